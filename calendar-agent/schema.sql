@@ -67,6 +67,7 @@ CREATE TABLE IF NOT EXISTS agent_logs (
     status VARCHAR(20) DEFAULT 'success',
     details JSONB,
     error_message TEXT,
+    prompt_version VARCHAR(100),  -- Prompt behind an LLM action (name@version, see shared/prompts)
     created_at TIMESTAMPTZ DEFAULT NOW()
 );
 
@@ -130,6 +131,7 @@ CREATE TABLE IF NOT EXISTS study_plans (
     goal TEXT NOT NULL,
     plan_json JSONB NOT NULL,
     status VARCHAR(20) DEFAULT 'draft' CHECK (status IN ('draft', 'applied', 'cancelled')),
+    prompt_version VARCHAR(100),  -- Prompt that generated the plan (name@version)
     created_at TIMESTAMPTZ DEFAULT NOW(),
     applied_at TIMESTAMPTZ,
     
@@ -161,6 +163,14 @@ ON study_plans(user_id, status);
 --     ON study_plans FOR UPDATE
 --     USING (auth.uid() = user_id);
 
+-- ============================================
+-- Upgrading an existing database
+-- Run these if the tables above were created by an earlier version
+-- ============================================
+
+ALTER TABLE agent_logs ADD COLUMN IF NOT EXISTS prompt_version VARCHAR(100);
+ALTER TABLE study_plans ADD COLUMN IF NOT EXISTS prompt_version VARCHAR(100);
+
 -- ============================================
 -- Success message
 -- ============================================
@@ -6,7 +6,7 @@
  * - Google OAuth 2.0 integration
  * - Study task management with timezone support
  * - Google Calendar and Tasks sync
- * - AI-powered daily/weekly summaries via Groq
+ * - AI-powered daily/weekly summaries via the LLM providers (Groq by default)
  * 
  * Architecture:
  * - Routes: HTTP handling only
@@ -81,6 +81,7 @@ app.get('/', (req, res) => {
                 create: 'POST /calendar/tasks',
                 today: 'GET /calendar/tasks/today',
                 week: 'GET /calendar/tasks/week',
+                flashcardReviews: 'POST /calendar/tasks/flashcard-reviews',
                 updateStatus: 'PATCH /calendar/tasks/:taskId/status'
             },
             sync: {
@@ -165,7 +166,7 @@ app.listen(PORT, () => {
     // Log configuration status (without sensitive info)
     logger.info('Configuration loaded:', {
         hasSupabaseUrl: !!config.supabase.url,
-        hasGroqApiKey: !!config.groq.apiKey,
+        llmProviders: config.llm.providers.map(provider => provider.name),
         hasGoogleClientId: !!config.google.clientId,
         hasGoogleClientSecret: !!config.google.clientSecret,
         defaultTimezone: config.timezone.default
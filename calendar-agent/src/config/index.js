@@ -9,12 +9,15 @@
 
 require('dotenv').config();
 
+const { readProvidersFromEnv } = require('../../../shared/llm');
+
 // Simple validation for required environment variables
 // TODO: Replace with proper validation library for production
 const requiredEnvVars = [
     'SUPABASE_URL',
     'SUPABASE_ANON_KEY',
-    'GROQ_API_KEY',
+    // Only when Groq is one of the LLM providers
+    ...(/\bgroq\b/i.test(process.env.LLM_PROVIDERS || 'groq') ? ['GROQ_API_KEY'] : []),
     'GOOGLE_CLIENT_ID',
     'GOOGLE_CLIENT_SECRET',
     'GOOGLE_REDIRECT_URI'
@@ -40,10 +43,24 @@ const config = {
         anonKey: process.env.SUPABASE_ANON_KEY
     },
 
-    // Groq API settings (for summaries only)
-    groq: {
-        apiKey: process.env.GROQ_API_KEY,
-        model: process.env.GROQ_MODEL || 'llama-3.1-8b-instant'
+    // Prompt templates (shared/prompts); files in PROMPTS_DIR override the built-in ones
+    prompts: {
+        overrideDir: process.env.PROMPTS_DIR || null
+    },
+
+    // LLM providers in fallback order (see shared/llm for the variables read)
+    // Agents: chat (task extraction), studyPlan (plan generation), summary (daily/weekly summaries)
+    llm: {
+        providers: readProvidersFromEnv(process.env, {
+            agents: ['chat', 'studyPlan', 'summary'],
+            defaultModels: { groq: 'llama-3.1-8b-instant' }
+        }),
+        timeoutMs: parseInt(process.env.LLM_TIMEOUT_MS, 10) || 30000,
+        // Retries per provider for transient failures (timeouts, 429, 5xx)
+        maxRetries: process.env.LLM_MAX_RETRIES !== undefined
+            ? parseInt(process.env.LLM_MAX_RETRIES, 10)
+            : 2,
+        retryBaseDelayMs: parseInt(process.env.LLM_RETRY_DELAY_MS, 10) || 500
     },
 
     // Google OAuth 2.0 settings
@@ -59,6 +76,12 @@ const config = {
         ]
     },
 
+    // RAG backend (Knowledge Navigator), read for flashcards due for review
+    ragBackend: {
+        url: process.env.RAG_BACKEND_URL || 'http://localhost:3002',
+        timeoutMs: parseInt(process.env.RAG_BACKEND_TIMEOUT_MS, 10) || 10000
+    },
+
     // Timezone settings
     timezone: {
         default: process.env.DEFAULT_TIMEZONE || 'UTC'
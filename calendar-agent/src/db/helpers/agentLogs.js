@@ -82,6 +82,7 @@ const ActionTypes = {
  * @param {string} logData.status - Status (use LogStatus constants)
  * @param {Object} logData.details - Additional details (JSON)
  * @param {string} logData.errorMessage - Error message if status is failure
+ * @param {string} logData.promptVersion - Prompt that produced the output (name@version), for LLM actions
  * @returns {Promise<Object>} Created log entry
  */
 async function createLog(logData) {
@@ -91,6 +92,7 @@ async function createLog(logData) {
         status: logData.status || LogStatus.SUCCESS,
         details: logData.details || {},
         error_message: logData.errorMessage || null,
+        prompt_version: logData.promptVersion || null,
         created_at: new Date().toISOString()
     };
 
@@ -117,14 +119,16 @@ async function createLog(logData) {
  * @param {string} userId - User's unique identifier
  * @param {string} action - Action type
  * @param {Object} details - Additional details
+ * @param {Object} options - { promptVersion } for LLM actions
  * @returns {Promise<Object>} Created log entry
  */
-async function logSuccess(userId, action, details = {}) {
+async function logSuccess(userId, action, details = {}, options = {}) {
     return createLog({
         userId,
         action,
         status: LogStatus.SUCCESS,
-        details
+        details,
+        promptVersion: options.promptVersion
     });
 }
 
@@ -134,15 +138,17 @@ async function logSuccess(userId, action, details = {}) {
  * @param {string} action - Action type
  * @param {string} errorMessage - Error message
  * @param {Object} details - Additional details
+ * @param {Object} options - { promptVersion } for LLM actions
  * @returns {Promise<Object>} Created log entry
  */
-async function logFailure(userId, action, errorMessage, details = {}) {
+async function logFailure(userId, action, errorMessage, details = {}, options = {}) {
     return createLog({
         userId,
         action,
         status: LogStatus.FAILURE,
         errorMessage,
-        details
+        details,
+        promptVersion: options.promptVersion
     });
 }
 
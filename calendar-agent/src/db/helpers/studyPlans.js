@@ -16,10 +16,11 @@ const logger = require('../../utils/logger');
  * @param {string} planData.userId - User ID
  * @param {string} planData.goal - Learning goal description
  * @param {Object} planData.planJson - Structured plan from LLM
+ * @param {string} planData.promptVersion - Prompt that generated the plan (name@version)
  * @returns {Promise<Object>} Created plan with ID
  */
 async function createStudyPlan(planData) {
-    const { userId, goal, planJson } = planData;
+    const { userId, goal, planJson, promptVersion } = planData;
 
     logger.info('Creating study plan', { userId, goal });
 
@@ -30,6 +31,7 @@ async function createStudyPlan(planData) {
                 user_id: userId,
                 goal,
                 plan_json: planJson,
+                prompt_version: promptVersion || null,
                 status: 'draft'
             }
         ])
@@ -8,6 +8,7 @@
  * POST   /calendar/tasks              - Create a new study task
  * GET    /calendar/tasks/today        - Get today's tasks
  * GET    /calendar/tasks/week         - Get this week's tasks
+ * POST   /calendar/tasks/flashcard-reviews - Turn flashcards due for review into tasks
  * POST   /calendar/sync               - Sync tasks to Google Calendar/Tasks
  * POST   /calendar/summary/daily      - Generate daily summary
  * POST   /calendar/summary/weekly     - Generate weekly summary
@@ -284,6 +285,64 @@ router.post('/tasks', authenticate, asyncHandler(async (req, res) => {
     });
 }));
 
+/**
+ * POST /calendar/tasks/flashcard-reviews
+ * Create tasks for the flashcards due for review (from the RAG backend's
+ * spaced-repetition schedule), one per deck
+ * 
+ * Headers:
+ *   X-User-Id: user's UUID
+ * 
+ * Body:
+ *   {
+ *     timezone: string (required, IANA timezone)
+ *     date: string (optional, YYYY-MM-DD, default: today)
+ *     preferredTime: string (optional, HH:mm, default: "18:00")
+ *   }
+ * 
+ * Query:
+ *   syncToGoogle: boolean (optional, default: false)
+ */
+router.post('/tasks/flashcard-reviews', authenticate, asyncHandler(async (req, res) => {
+    const { userId } = req;
+    const { timezone, date, preferredTime } = req.body;
+    const syncToGoogle = req.query.syncToGoogle === 'true';
+
+    if (!timezone) {
+        throw new AppError('Timezone is required', 400);
+    }
+
+    if (date !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+        throw new AppError('date must be in YYYY-MM-DD format', 400);
+    }
+
+    if (preferredTime !== undefined && !/^([01]\d|2[0-3]):[0-5]\d$/.test(preferredTime)) {
+        throw new AppError('preferredTime must be in HH:mm format', 400);
+    }
+
+    let result;
+    try {
+        result = await taskManager.scheduleFlashcardReviews(userId, timezone, {
+            date,
+            preferredTime,
+            syncToGoogle
+        });
+    } catch (error) {
+        if (error.message.startsWith('RAG backend')) {
+            throw new AppError(error.message, 502);
+        }
+        if (error.message.startsWith('Invalid date')) {
+            throw new AppError(error.message, 400);
+        }
+        throw error;
+    }
+
+    res.status(201).json({
+        success: true,
+        data: result
+    });
+}));
+
 /**
  * GET /calendar/tasks/today
  * Get today's tasks for the authenticated user
@@ -404,7 +463,7 @@ router.post('/sync',
 
 /**
  * POST /calendar/summary/daily
- * Generate a daily summary using Groq LLM
+ * Generate a daily summary using the LLM
  * 
  * Headers:
  *   X-User-Id: user's UUID
@@ -434,7 +493,7 @@ router.post('/summary/daily', authenticate, asyncHandler(async (req, res) => {
 
 /**
  * POST /calendar/summary/weekly
- * Generate a weekly summary using Groq LLM
+ * Generate a weekly summary using the LLM
  * 
  * Headers:
  *   X-User-Id: user's UUID
@@ -549,7 +608,7 @@ router.post('/chat', authenticate, asyncHandler(async (req, res) => {
     const currentDate = getCurrentDateInTimezone(timezone);
 
     // Process message with LLM
-    const response = await chatService.processMessage(message, timezone, currentDate);
+    const response = await chatService.processMessage(message, timezone, currentDate, { userId });
 
     // Handle task creation intent
     if (response.type === 'task_intent') {
@@ -586,7 +645,7 @@ router.post('/chat', authenticate, asyncHandler(async (req, res) => {
                 title: createdTask.title,
                 createdVia: 'chat',
                 originalMessage: message
-            });
+            }, { promptVersion: response.promptVersion });
 
             logger.info('Task created via chat', {
                 userId,
@@ -613,7 +672,7 @@ router.post('/chat', authenticate, asyncHandler(async (req, res) => {
 
             await agentLogs.logFailure(userId, agentLogs.ActionTypes.TASK_CREATED, error.message, {
                 originalMessage: message
-            });
+            }, { promptVersion: response.promptVersion });
 
             throw new AppError(`Failed to create task: ${error.message}`, 500);
         }
@@ -103,7 +103,7 @@ router.post('/generate', asyncHandler(async (req, res) => {
                 planId: result.planId,
                 goal: result.plan.goal,
                 totalDays: result.plan.total_days
-            });
+            }, { promptVersion: result.promptVersion });
         }
 
         res.json({
@@ -1,12 +1,13 @@
 /**
  * Chat Service
- * Handles natural language task creation using Groq LLM.
+ * Handles natural language task creation using the LLM.
  * 
  * User can say things like:
  * - "Tomorrow at 7pm, I need to study React hooks for 2 hours"
  * - "Add a task to review Node.js concepts next Monday at 3pm"
  * 
  * The LLM extracts structured task information and validates it.
+ * The prompt is the calendar-chat template in shared/prompts.
  * 
  * IMPORTANT: We do NOT let the LLM decide dates/times silently.
  * If information is missing, we ask for clarification.
@@ -16,91 +17,21 @@
  * TODO: Add support for task updates via chat
  */
 
-const Groq = require('groq-sdk');
-const config = require('../config');
+const llmClient = require('./llmClient');
+const prompts = require('./prompts');
 const logger = require('../utils/logger');
 const { parseRelativeDate } = require('../utils/timezone');
 
-// Initialize Groq client
-const groq = new Groq({
-    apiKey: config.groq.apiKey
-});
-
-/**
- * System prompt for the chat agent
- * This defines how the LLM should behave and extract task information
- */
-const CHAT_SYSTEM_PROMPT = `You are a calendar and task management agent for Mentora, a study platform.
-
-Your job is to extract structured task information from user messages.
-
-RULES:
-1. If the user wants to create a task, return ONLY valid JSON (no markdown, no explanation).
-2. Do NOT add tasks yourself or guess missing information.
-3. Do NOT assume dates or times - if missing, ask for clarification.
-4. If the user is just chatting or asking questions, respond normally in plain text.
-5. Be friendly, encouraging, and helpful.
-
-TASK CREATION SCHEMA:
-When extracting a task, return this exact JSON structure:
-{
-  "intent": "create_task",
-  "task": {
-    "title": "string (required)",
-    "description": "string or null",
-    "date": "YYYY-MM-DD (required)",
-    "time": "HH:MM in 24-hour format (required)",
-    "duration_minutes": number or null
-  }
-}
-
-EXAMPLES:
-
-User: "Tomorrow at 7pm, I need to study React hooks for 2 hours"
-Response:
-{
-  "intent": "create_task",
-  "task": {
-    "title": "Study React hooks",
-    "description": "Practice React hooks concepts",
-    "date": "TOMORROW",
-    "time": "19:00",
-    "duration_minutes": 120
-  }
-}
-
-User: "Add a task to review DSA"
-Response: "I'd be happy to help! When would you like to schedule this task? Please provide a date and time."
-
-User: "Next Monday at 3pm, complete the PBL project"
-Response:
-{
-  "intent": "create_task",
-  "task": {
-    "title": "Complete PBL project",
-    "description": null,
-    "date": "NEXT_MONDAY",
-    "time": "15:00",
-    "duration_minutes": null
-  }
-}
-
-IMPORTANT NOTES:
-- For relative dates like "tomorrow", "next week", use keywords: TOMORROW, NEXT_MONDAY, NEXT_TUESDAY, etc.
-- The backend will resolve these to actual dates based on user's timezone.
-- Always use 24-hour time format (e.g., "19:00" not "7pm").
-- Extract the task title concisely but preserve key information.
-- If duration is mentioned, extract it in minutes.`;
-
 /**
  * Process a chat message and extract task intent
  * 
  * @param {string} message - User's chat message
  * @param {string} timezone - User's timezone (IANA format)
  * @param {string} currentDate - Current date in user's timezone (YYYY-MM-DD)
- * @returns {Promise<Object>} Parsed response with intent and task data or plain text
+ * @param {Object} options - { userId } A/B cohort for the prompt version
+ * @returns {Promise<Object>} Parsed response with intent and task data or plain text, and the promptVersion used
  */
-async function processMessage(message, timezone, currentDate) {
+async function processMessage(message, timezone, currentDate, options = {}) {
     const startTime = Date.now();
 
     logger.info('Processing chat message', {
@@ -110,27 +41,30 @@ async function processMessage(message, timezone, currentDate) {
     });
 
     try {
-        // Call Groq LLM with the system prompt
-        const response = await groq.chat.completions.create({
-            model: config.groq.model,
+        const prompt = prompts.render('calendar-chat', { currentDate, timezone, message }, { cohortKey: options.userId });
+
+        // Call the LLM with the system prompt
+        const response = await llmClient.complete({
+            agent: 'chat',
             messages: [
                 {
                     role: 'system',
-                    content: CHAT_SYSTEM_PROMPT
+                    content: prompt.system
                 },
                 {
                     role: 'user',
-                    content: `Current date in user's timezone: ${currentDate}\nUser timezone: ${timezone}\n\nUser message: ${message}`
+                    content: prompt.user
                 }
             ],
             temperature: 0.3, // Lower temperature for more consistent parsing
-            max_tokens: 1024
+            maxTokens: 1024
         });
 
-        const aiResponse = response.choices[0].message.content.trim();
+        const aiResponse = response.content.trim();
 
         logger.debug('LLM response received', {
             responseLength: aiResponse.length,
+            promptVersion: prompt.id,
             latencyMs: Date.now() - startTime
         });
 
@@ -156,7 +90,8 @@ async function processMessage(message, timezone, currentDate) {
                 return {
                     type: 'task_intent',
                     task: resolvedTask,
-                    originalResponse: aiResponse
+                    originalResponse: aiResponse,
+                    promptVersion: prompt.id
                 };
             }
         } catch (parseError) {
@@ -167,7 +102,8 @@ async function processMessage(message, timezone, currentDate) {
         // Plain text response (clarification question, casual chat, etc.)
         return {
             type: 'text',
-            message: aiResponse
+            message: aiResponse,
+            promptVersion: prompt.id
         };
 
     } catch (error) {
@@ -0,0 +1,18 @@
+/**
+ * LLM Client
+ * The shared provider layer (shared/llm) configured for the Calendar Agent:
+ * Groq and OpenAI-compatible servers in LLM_PROVIDERS order, with retries,
+ * timeouts and a model per agent (chat, studyPlan, summary).
+ */
+
+const { createLlmClient } = require('../../../shared/llm');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+module.exports = createLlmClient({
+    providers: config.llm.providers,
+    timeoutMs: config.llm.timeoutMs,
+    maxRetries: config.llm.maxRetries,
+    retryBaseDelayMs: config.llm.retryBaseDelayMs,
+    logger
+});
@@ -0,0 +1,56 @@
+/**
+ * RAG Backend Client
+ * Reads study data from the Knowledge Navigator (rag-backend) over HTTP.
+ *
+ * NOTE: The RAG backend has no user accounts yet, so its flashcards are
+ * shared by everyone using that deployment.
+ *
+ * TODO: Pass the user's identity once the RAG backend scopes data per user
+ */
+
+const config = require('../config');
+const logger = require('../utils/logger');
+
+/**
+ * Page size used when reading due flashcards (the RAG backend's maximum)
+ */
+const DUE_PAGE_SIZE = 100;
+
+/**
+ * Fetch flashcards due for review
+ *
+ * @param {Date} before - Include cards due at or before this time
+ * @returns {Promise<{cards: Array, total: number}>} Due cards (with their deck) and the total due
+ *
+ * Only the first page is read; `total` tells how many were due overall.
+ */
+async function getDueFlashcards(before) {
+    const url = new URL('/study/reviews/due', config.ragBackend.url);
+    url.searchParams.set('before', before.toISOString());
+    url.searchParams.set('limit', String(DUE_PAGE_SIZE));
+
+    let response;
+    try {
+        response = await fetch(url, { signal: AbortSignal.timeout(config.ragBackend.timeoutMs) });
+    } catch (error) {
+        logger.error('RAG backend unreachable', { error: error.message, url: url.origin });
+        throw new Error(`RAG backend unreachable: ${error.message}`);
+    }
+
+    const body = await response.json().catch(() => null);
+
+    if (!response.ok || !body?.success) {
+        const message = body?.error?.message || `HTTP ${response.status}`;
+        logger.error('Failed to fetch due flashcards', { error: message, status: response.status });
+        throw new Error(`RAG backend error: ${message}`);
+    }
+
+    return {
+        cards: body.data.cards,
+        total: body.data.pagination.total
+    };
+}
+
+module.exports = {
+    getDueFlashcards
+};
@@ -1,6 +1,6 @@
 /**
  * Study Plan Service
- * Handles AI-powered study plan generation using Groq LLM
+ * Handles AI-powered study plan generation using the LLM
  * 
  * ARCHITECTURE NOTE:
  * This service generates study plans but DOES NOT create tasks.
@@ -13,179 +13,19 @@
  * 4. User reviews plan in frontend
  * 5. User approves → Calendar Agent creates tasks
  * 
+ * The prompt is the study-plan template in shared/prompts; stored plans
+ * record the version that generated them.
+ * 
  * TODO: Add plan templates for common goals
  * TODO: Add progress tracking integration
  * TODO: Add adaptive difficulty based on user performance
  */
 
-const Groq = require('groq-sdk');
-const config = require('../config');
+const llmClient = require('./llmClient');
+const prompts = require('./prompts');
 const logger = require('../utils/logger');
 const studyPlansDb = require('../db/helpers/studyPlans');
 
-// Initialize Groq client
-const groq = new Groq({
-    apiKey: config.groq.apiKey
-});
-
-/**
- * System prompt for study plan generation
- * Defines the schema and rules for the LLM
- */
-const STUDY_PLAN_SYSTEM_PROMPT = `You are a personalized study planning assistant for Mentora, an AI-powered learning platform.
-
-Your job is to create structured, effective study plans based on user learning goals.
-
-CRITICAL RULES:
-1. If the user wants a study plan, return ONLY valid JSON (no markdown, no explanation, no code blocks).
-2. Do NOT create calendar tasks - you only design the learning curriculum.
-3. Do NOT guess daily availability - ALWAYS ask if not explicitly specified.
-4. Do NOT include specific dates or times - only day numbers and session durations.
-5. If ANY of these are missing, ask a clarification question in plain text:
-   - Exact timeline (days/weeks/months)
-   - Daily time commitment (in hours or minutes)
-   - Current skill level or prerequisites
-6. NEVER infer or assume missing information - always ask first.
-7. Be friendly, encouraging, and educational in your responses.
-
-WHEN TO ASK FOR CLARIFICATION:
-- User says "I want to learn X" without timeline → ASK for duration
-- User says "in 2 weeks" without daily time → ASK for daily hours
-- User says "2 hours daily" without timeline → ASK for total duration
-- User gives vague timeline like "soon" or "quickly" → ASK for specific weeks/days
-
-STUDY PLAN JSON SCHEMA (use this EXACT structure):
-{
-  "intent": "generate_study_plan",
-  "plan": {
-    "goal": "string - clear description of learning objective",
-    "total_days": number,
-    "daily_time_minutes": number,
-    "learning_strategy": ["spaced_repetition", "pomodoro", "active_recall", "feynman_technique"],
-    "schedule": [
-      {
-        "day": number (1 to total_days),
-        "topic": "string - what to study this day",
-        "sessions": number (how many study sessions),
-        "session_duration_minutes": number,
-        "notes": "string or null - study tips, focus areas"
-      }
-    ]
-  }
-}
-
-LEARNING STRATEGIES EXPLAINED:
-- "spaced_repetition": Review topics at increasing intervals
-- "pomodoro": 25-minute focused sessions with 5-minute breaks
-- "active_recall": Practice retrieving information from memory
-- "feynman_technique": Explain concepts in simple terms
-
-EXAMPLE INPUTS & OUTPUTS:
-
-Example 1 - COMPLETE INFO (Generate Plan):
-Input: "I want to prepare for DSA interviews in 4 weeks, I can study 2 hours daily"
-
-Output:
-{
-  "intent": "generate_study_plan",
-  "plan": {
-    "goal": "Master Data Structures and Algorithms for technical interviews",
-    "total_days": 28,
-    "daily_time_minutes": 120,
-    "learning_strategy": ["spaced_repetition", "active_recall"],
-    "schedule": [
-      {
-        "day": 1,
-        "topic": "Arrays and Strings - Two Pointer Technique",
-        "sessions": 2,
-        "session_duration_minutes": 60,
-        "notes": "Practice 5 easy problems, focus on pattern recognition"
-      },
-      {
-        "day": 2,
-        "topic": "Arrays - Sliding Window Problems",
-        "sessions": 2,
-        "session_duration_minutes": 60,
-        "notes": "Build on yesterday's concepts, 3 medium problems"
-      },
-      {
-        "day": 3,
-        "topic": "Linked Lists - Basics and Reversal",
-        "sessions": 2,
-        "session_duration_minutes": 60,
-        "notes": "Understand node manipulation, practice pointer operations"
-      }
-    ]
-  }
-}
-
-Example 2 - MISSING TIMELINE (Ask Question):
-Input: "I want to learn React"
-
-Output (plain text):
-"Great! I'd love to help you learn React. To create the best study plan for you, I need a few more details:
-
-1. How many weeks or days do you have to learn React?
-2. How much time can you dedicate daily (e.g., 1 hour, 2 hours)?
-3. Do you have JavaScript experience, or should we start from basics?
-
-Let me know these details and I'll create a personalized plan!"
-
-Example 3 - MISSING DAILY TIME (Ask Question):
-Input: "I have to learn trees in DSA"
-
-Output (plain text):
-"I can help you master Trees in DSA! To create an effective study plan, I need to know:
-
-1. How many days or weeks do you have for this topic?
-2. How much time can you study daily (in hours)?
-
-For example, you could say: 'I have 2 weeks and can study 1.5 hours daily'
-
-Once I know your timeline and daily commitment, I'll create a complete day-by-day plan!"
-
-Example 4 - MISSING DAILY TIME (Ask Question):
-Input: "Learn machine learning in 2 months"
-
-Output (plain text):
-"Excellent goal! To create an effective ML study plan, please tell me:
-
-1. How much time can you study daily (in hours)?
-2. What's your Python and math background?
-3. Any specific ML topics you're most interested in (e.g., deep learning, NLP, computer vision)?
-
-This will help me tailor the plan to your level and interests!"
-
-Example 5 - VAGUE TIMELINE (Ask Question):
-Input: "I want to master System Design quickly"
-
-Output (plain text):
-"I'd love to help you master System Design! However, 'quickly' means different things to different people. Could you please specify:
-
-1. Exactly how many weeks or months do you have?
-2. How many hours per day can you dedicate to studying?
-
-For example: '6 weeks with 2 hours daily' or '3 months with 1 hour daily'
-
-This will help me create a realistic and effective plan!"
-
-IMPORTANT GUIDELINES:
-- Break complex topics into digestible daily chunks
-- Include revision days for spaced repetition
-- Balance theory and practice (roughly 40% theory, 60% hands-on)
-- Start easy, gradually increase difficulty
-- Include "milestone" days to consolidate knowledge
-- If timeline is aggressive (e.g., 30 days for complex topic), warn the user but still create the plan
-- For multi-month plans, include weekly review sessions
-
-TOPIC PROGRESSION BEST PRACTICES:
-- Build on previous concepts (dependencies matter)
-- Introduce one major concept per day
-- Revisit difficult topics multiple times
-- Include project/application days to solidify learning
-
-Always be realistic but encouraging in your plans.`;
-
 /**
  * Generate a study plan from user input
  * 
@@ -204,27 +44,31 @@ async function generatePlan(message, userId, timezone) {
     });
 
     try {
-        // Call Groq LLM with study plan prompt
-        const response = await groq.chat.completions.create({
-            model: config.groq.model,
+        // The user is the A/B cohort, so they keep getting plans from the same prompt version
+        const prompt = prompts.render('study-plan', { timezone, message }, { cohortKey: userId });
+
+        // Call the LLM with study plan prompt
+        const response = await llmClient.complete({
+            agent: 'studyPlan',
             messages: [
                 {
                     role: 'system',
-                    content: STUDY_PLAN_SYSTEM_PROMPT
+                    content: prompt.system
                 },
                 {
                     role: 'user',
-                    content: `User timezone: ${timezone}\n\nUser request: ${message}`
+                    content: prompt.user
                 }
             ],
             temperature: 0.2, // Lower temperature for more deterministic behavior
-            max_tokens: 2048
+            maxTokens: 2048
         });
 
-        const aiResponse = response.choices[0].message.content.trim();
+        const aiResponse = response.content.trim();
 
         logger.debug('LLM response received', {
             responseLength: aiResponse.length,
+            promptVersion: prompt.id,
             latencyMs: Date.now() - startTime
         });
 
@@ -270,7 +114,8 @@ async function generatePlan(message, userId, timezone) {
                 logger.warn('Plan validation failed', { errors: validation.errors });
                 return {
                     type: 'clarification',
-                    message: `I generated a plan but found some issues:\n${validation.errors.join('\n')}\n\nCould you provide more specific details?`
+                    message: `I generated a plan but found some issues:\n${validation.errors.join('\n')}\n\nCould you provide more specific details?`,
+                    promptVersion: prompt.id
                 };
             }
 
@@ -280,7 +125,8 @@ async function generatePlan(message, userId, timezone) {
             const storedPlan = await studyPlansDb.createStudyPlan({
                 userId,
                 goal: parsedResponse.plan.goal,
-                planJson: parsedResponse.plan
+                planJson: parsedResponse.plan,
+                promptVersion: prompt.id
             });
 
             logger.info('Stored in database', { planId: storedPlan.id });
@@ -290,7 +136,8 @@ async function generatePlan(message, userId, timezone) {
                 type: 'plan_generated',
                 planId: storedPlan.id,
                 plan: parsedResponse.plan,
-                message: formatPlanSummary(parsedResponse.plan)
+                message: formatPlanSummary(parsedResponse.plan),
+                promptVersion: prompt.id
             };
 
             logger.info('Returning plan_generated response', { planId: result.planId });
@@ -301,7 +148,8 @@ async function generatePlan(message, userId, timezone) {
         logger.debug('Returning clarification response');
         return {
             type: 'clarification',
-            message: aiResponse
+            message: aiResponse,
+            promptVersion: prompt.id
         };
 
     } catch (error) {
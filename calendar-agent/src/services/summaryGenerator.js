@@ -1,8 +1,8 @@
 /**
  * Summary Generator Service
- * Uses Groq LLM to generate daily and weekly study summaries.
+ * Uses the LLM to generate daily and weekly study summaries.
  * 
- * IMPORTANT: Groq is ONLY used for generating summaries and feedback.
+ * IMPORTANT: The LLM is ONLY used for generating summaries and feedback.
  * It is NOT used for task scheduling, timing decisions, or any other logic.
  * 
  * Features:
@@ -10,58 +10,21 @@
  * - Weekly progress summaries with trends
  * - Personalized study recommendations
  * 
+ * Prompts are the summary-daily and summary-weekly templates in shared/prompts.
+ * 
  * TODO: Add caching for identical summary requests
  * TODO: Implement streaming responses for real-time output
- * TODO: Add prompt templates and versioning
  * TODO: Support different summary styles (brief, detailed)
  * TODO: Add multi-language support
  */
 
-const Groq = require('groq-sdk');
-const config = require('../config');
+const llmClient = require('./llmClient');
+const prompts = require('./prompts');
 const logger = require('../utils/logger');
 const agentLogs = require('../db/helpers/agentLogs');
 const tasksDb = require('../db/helpers/tasks');
 const { formatInTimezone, getStartOfTodayUTC, getEndOfTodayUTC, getStartOfWeekUTC, getEndOfWeekUTC, isValidTimezone } = require('../utils/timezone');
 
-// Initialize Groq client
-const groq = new Groq({
-    apiKey: config.groq.apiKey
-});
-
-/**
- * System prompt for daily summaries
- */
-const DAILY_SUMMARY_SYSTEM_PROMPT = `You are a friendly and encouraging study assistant for Mentora, an educational platform. 
-Your role is to provide helpful, motivating daily summaries of a student's tasks and productivity.
-
-Guidelines:
-1. Be encouraging and positive, but also honest about areas for improvement
-2. Highlight accomplishments and progress
-3. Provide actionable suggestions for tomorrow
-4. Keep the tone friendly and supportive
-5. Use emojis sparingly to add warmth
-6. Keep summaries concise (under 300 words)
-
-Focus on the student's study tasks and help them stay motivated in their learning journey.`;
-
-/**
- * System prompt for weekly summaries
- */
-const WEEKLY_SUMMARY_SYSTEM_PROMPT = `You are a friendly and encouraging study assistant for Mentora, an educational platform.
-Your role is to provide insightful weekly summaries that help students understand their progress and patterns.
-
-Guidelines:
-1. Analyze patterns in task completion and productivity
-2. Celebrate achievements and milestones
-3. Identify areas where the student struggled
-4. Provide specific, actionable recommendations for next week
-5. Keep the tone supportive and growth-focused
-6. Use data to back up observations
-7. Keep summaries focused (under 500 words)
-
-Help students see their weekly progress and feel motivated for the week ahead.`;
-
 /**
  * Generate a daily summary for a user
  * 
@@ -95,46 +58,32 @@ async function generateDailySummary(userId, timezone = 'UTC') {
         // Format tasks for the prompt
         const taskList = formatTasksForPrompt(tasks, tz);
 
-        // Build the user prompt
-        const userPrompt = `Please provide a daily summary for today's study tasks.
-
-TODAY'S DATE: ${formatInTimezone(new Date(), tz, 'EEEE, MMMM d, yyyy')}
-
-TASKS FOR TODAY:
-${taskList}
-
-STATISTICS:
-- Total tasks: ${stats.total}
-- Completed: ${stats.completed}
-- In Progress: ${stats.inProgress}
-- Pending: ${stats.pending}
-- Completion Rate: ${stats.total > 0 ? Math.round((stats.completed / stats.total) * 100) : 0}%
+        // Build the prompt; the user is the A/B cohort
+        const prompt = prompts.render('summary-daily', {
+            date: formatInTimezone(new Date(), tz, 'EEEE, MMMM d, yyyy'),
+            taskList,
+            ...formatStatsForPrompt(stats)
+        }, { cohortKey: userId });
 
-Please provide:
-1. A brief overview of today's workload
-2. Recognition of completed tasks (if any)
-3. Priorities for remaining tasks
-4. A motivational closing message`;
-
-        // Call Groq API
-        const response = await groq.chat.completions.create({
-            model: config.groq.model,
+        // Call the LLM
+        const response = await llmClient.complete({
+            agent: 'summary',
             messages: [
-                { role: 'system', content: DAILY_SUMMARY_SYSTEM_PROMPT },
-                { role: 'user', content: userPrompt }
+                { role: 'system', content: prompt.system },
+                { role: 'user', content: prompt.user }
             ],
             temperature: 0.7,
-            max_tokens: 1024
+            maxTokens: 1024
         });
 
-        const summary = response.choices[0].message.content;
+        const summary = response.content;
 
         // Log successful generation
         await agentLogs.logSuccess(userId, agentLogs.ActionTypes.SUMMARY_DAILY_GENERATED, {
             taskCount: tasks.length,
             completionRate: stats.total > 0 ? Math.round((stats.completed / stats.total) * 100) : 0,
             tokenUsage: response.usage
-        });
+        }, { promptVersion: prompt.id });
 
         logger.info(`Generated daily summary in ${Date.now() - startTime}ms`, {
             userId,
@@ -150,6 +99,7 @@ Please provide:
                 deadline: formatInTimezone(new Date(t.deadline), tz, 'HH:mm')
             })),
             stats,
+            promptVersion: prompt.id,
             generatedAt: new Date().toISOString()
         };
 
@@ -212,52 +162,33 @@ async function generateWeeklySummary(userId, timezone = 'UTC') {
         // Format tasks for the prompt
         const taskList = formatTasksForPrompt(tasks, tz);
 
-        // Build the user prompt
-        const userPrompt = `Please provide a weekly summary and analysis of this student's study tasks.
-
-WEEK: ${formatInTimezone(startOfWeek, tz, 'MMMM d')} - ${formatInTimezone(endOfWeek, tz, 'MMMM d, yyyy')}
-
-ALL TASKS THIS WEEK:
-${taskList}
-
-DAILY BREAKDOWN:
-${formatDailyBreakdown(tasksByDay)}
-
-STATISTICS:
-- Total tasks: ${stats.total}
-- Completed: ${stats.completed}
-- In Progress: ${stats.inProgress}
-- Pending: ${stats.pending}
-- Cancelled: ${stats.cancelled}
-- Completion Rate: ${stats.total > 0 ? Math.round((stats.completed / stats.total) * 100) : 0}%
-
-Please provide:
-1. An overview of the week's productivity
-2. Pattern analysis (busiest days, task distribution)
-3. Achievements and areas of excellence
-4. Areas that need improvement
-5. Specific recommendations for next week
-6. An encouraging closing message`;
-
-        // Call Groq API
-        const response = await groq.chat.completions.create({
-            model: config.groq.model,
+        // Build the prompt; the user is the A/B cohort
+        const prompt = prompts.render('summary-weekly', {
+            week: `${formatInTimezone(startOfWeek, tz, 'MMMM d')} - ${formatInTimezone(endOfWeek, tz, 'MMMM d, yyyy')}`,
+            taskList,
+            dailyBreakdown: formatDailyBreakdown(tasksByDay),
+            ...formatStatsForPrompt(stats)
+        }, { cohortKey: userId });
+
+        // Call the LLM
+        const response = await llmClient.complete({
+            agent: 'summary',
             messages: [
-                { role: 'system', content: WEEKLY_SUMMARY_SYSTEM_PROMPT },
-                { role: 'user', content: userPrompt }
+                { role: 'system', content: prompt.system },
+                { role: 'user', content: prompt.user }
             ],
             temperature: 0.7,
-            max_tokens: 1500
+            maxTokens: 1500
         });
 
-        const summary = response.choices[0].message.content;
+        const summary = response.content;
 
         // Log successful generation
         await agentLogs.logSuccess(userId, agentLogs.ActionTypes.SUMMARY_WEEKLY_GENERATED, {
             taskCount: tasks.length,
             completionRate: stats.total > 0 ? Math.round((stats.completed / stats.total) * 100) : 0,
             tokenUsage: response.usage
-        });
+        }, { promptVersion: prompt.id });
 
         logger.info(`Generated weekly summary in ${Date.now() - startTime}ms`, {
             userId,
@@ -277,6 +208,7 @@ Please provide:
                 start: formatInTimezone(startOfWeek, tz, 'yyyy-MM-dd'),
                 end: formatInTimezone(endOfWeek, tz, 'yyyy-MM-dd')
             },
+            promptVersion: prompt.id,
             generatedAt: new Date().toISOString()
         };
 
@@ -337,6 +269,22 @@ function groupTasksByDay(tasks, timezone) {
     return grouped;
 }
 
+/**
+ * Task statistics as prompt variables
+ * @param {Object} stats - From tasksDb.getTaskStats
+ * @returns {Object} Counts and the completion rate in percent
+ */
+function formatStatsForPrompt(stats) {
+    return {
+        total: stats.total,
+        completed: stats.completed,
+        inProgress: stats.inProgress,
+        pending: stats.pending,
+        cancelled: stats.cancelled,
+        completionRate: stats.total > 0 ? Math.round((stats.completed / stats.total) * 100) : 0
+    };
+}
+
 /**
  * Format daily breakdown for prompt
  * @param {Object} tasksByDay - Tasks grouped by day
@@ -555,6 +555,132 @@ async function applyStudyPlan(userId, planId, timezone, options = {}) {
     };
 }
 
+// Kept in a review task's description to tie the task to its deck
+const REVIEW_MARKER_PATTERN = /\bflashcard-deck:\S+/;
+
+/**
+ * Marker of a deck's review task ("flashcard-deck:<deck ID>")
+ * @param {string|null} deckId - Deck UUID, or null for cards without a deck
+ * @returns {string}
+ */
+function reviewMarker(deckId) {
+    return `flashcard-deck:${deckId || 'none'}`;
+}
+
+/**
+ * Schedule flashcard reviews that are due as study tasks
+ * 
+ * Reads the flashcards due by the end of the day from the RAG backend
+ * (spaced-repetition schedule) and creates one task per deck, so reviews
+ * show up alongside the rest of the student's study tasks.
+ * 
+ * Running it again for the same day skips decks that already have a
+ * review task that day. Tasks are matched by the deck ID kept in their
+ * description (see reviewMarker), not by title, so decks with the same
+ * title each get a task.
+ * 
+ * @param {string} userId - User UUID
+ * @param {string} timezone - User timezone
+ * @param {Object} options - Scheduling options
+ * @param {string} options.date - Day to schedule (YYYY-MM-DD, default: today)
+ * @param {string} options.preferredTime - Review time (HH:mm format, default: "18:00")
+ * @param {boolean} options.syncToGoogle - Whether to sync the new tasks to Google immediately
+ * @returns {Promise<Object>} Created tasks, skipped decks and the number of cards due
+ */
+async function scheduleFlashcardReviews(userId, timezone, options = {}) {
+    const startTime = Date.now();
+    const ragBackend = require('./ragBackend');
+    const { DateTime } = require('luxon');
+
+    const tz = isValidTimezone(timezone) ? timezone : 'UTC';
+    const day = options.date
+        ? DateTime.fromISO(options.date, { zone: tz })
+        : DateTime.now().setZone(tz);
+
+    if (!day.isValid) {
+        throw new Error(`Invalid date: ${options.date}`);
+    }
+
+    const preferredTime = options.preferredTime || '18:00';
+    const [preferredHour, preferredMinute] = preferredTime.split(':').map(Number);
+    const reviewTime = day.set({ hour: preferredHour, minute: preferredMinute, second: 0, millisecond: 0 });
+    const startOfDay = day.startOf('day');
+    const endOfDay = day.endOf('day');
+
+    logger.info('Scheduling flashcard reviews', {
+        userId,
+        date: day.toISODate(),
+        preferredTime
+    });
+
+    const { cards, total } = await ragBackend.getDueFlashcards(endOfDay.toJSDate());
+
+    if (total > cards.length) {
+        logger.warn('More flashcards due than were read; scheduling the first page only', {
+            total,
+            read: cards.length
+        });
+    }
+
+    // One task per deck, in the order the decks first fall due
+    const decks = new Map();
+    for (const card of cards) {
+        const deckId = card.deck?.id || null;
+        if (!decks.has(deckId)) {
+            decks.set(deckId, { title: card.deck?.title || 'Flashcards', cards: [] });
+        }
+        decks.get(deckId).cards.push(card);
+    }
+
+    const existingTasks = await tasksDb.getTasksByDateRange(userId, startOfDay.toUTC().toJSDate(), endOfDay.toUTC().toJSDate());
+    const scheduledMarkers = new Set(existingTasks
+        .map(task => task.description?.match(REVIEW_MARKER_PATTERN)?.[0])
+        .filter(Boolean));
+
+    const createdTasks = [];
+    const skippedDecks = [];
+
+    for (const [deckId, deck] of decks) {
+        const marker = reviewMarker(deckId);
+
+        if (scheduledMarkers.has(marker)) {
+            skippedDecks.push(deck.title);
+            continue;
+        }
+
+        const description = [
+            `🃏 ${deck.cards.length} card${deck.cards.length === 1 ? '' : 's'} due for review`,
+            '🔁 Spaced repetition: rate each card to schedule its next review',
+            `🗂️ ${marker}`
+        ].join('\n');
+
+        const task = await createTask(userId, {
+            title: `Review flashcards: ${deck.title}`,
+            description,
+            deadline: reviewTime.toISO(),
+            timezone: tz
+        }, { syncToGoogle: options.syncToGoogle });
+
+        createdTasks.push(task);
+        scheduledMarkers.add(marker);
+    }
+
+    logger.info(`Flashcard reviews scheduled: ${createdTasks.length} tasks created`, {
+        userId,
+        dueCards: total,
+        skippedDecks: skippedDecks.length,
+        duration: Date.now() - startTime
+    });
+
+    return {
+        tasksCreated: createdTasks.length,
+        tasks: createdTasks,
+        skippedDecks,
+        dueCards: total,
+        date: day.toISODate()
+    };
+}
+
 module.exports = {
     createTask,
     getTodayTasks,
@@ -562,5 +688,6 @@ module.exports = {
     syncTaskToGoogle,
     syncAllTasks,
     updateTaskStatus,
-    applyStudyPlan
+    applyStudyPlan,
+    scheduleFlashcardReviews
 };
@@ -0,0 +1,12 @@
+/**
+ * Test Environment
+ * Loaded before every test file (see the "test" script) so the config
+ * module finds its required variables. Tests never reach these services.
+ */
+
+process.env.SUPABASE_URL ??= 'http://localhost:54321';
+process.env.SUPABASE_ANON_KEY ??= 'test-anon-key';
+process.env.GROQ_API_KEY ??= 'test-groq-key';
+process.env.GOOGLE_CLIENT_ID ??= 'test-client-id';
+process.env.GOOGLE_CLIENT_SECRET ??= 'test-client-secret';
+process.env.GOOGLE_REDIRECT_URI ??= 'http://localhost:3001/auth/google/callback';
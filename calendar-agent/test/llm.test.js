@@ -0,0 +1,265 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const { getEventListeners } = require('node:events');
+
+const { LlmError, readProvidersFromEnv, createLlmClient } = require('../../shared/llm');
+
+const silentLogger = { warn() {} };
+
+// Each provider is a path on one local server: /<name>/chat/completions
+let handlers = {};
+let requests = [];
+
+const server = http.createServer((req, res) => {
+    const name = req.url.split('/')[1];
+    let body = '';
+
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+        requests.push({ provider: name, body: JSON.parse(body) });
+        handlers[name](req, res, requests.filter(request => request.provider === name).length);
+    });
+});
+
+test.before(() => new Promise(resolve => server.listen(0, '127.0.0.1', resolve)));
+test.after(() => {
+    server.closeAllConnections();
+    server.close();
+});
+test.beforeEach(() => {
+    handlers = {};
+    requests = [];
+});
+
+function provider(name, models = {}) {
+    return {
+        name,
+        baseUrl: `http://127.0.0.1:${server.address().port}/${name}`,
+        apiKey: null,
+        streamUsage: true,
+        models: { default: `${name}-model`, ...models }
+    };
+}
+
+function client(providers, options = {}) {
+    return createLlmClient({ providers, maxRetries: 1, retryBaseDelayMs: 1, logger: silentLogger, ...options });
+}
+
+function reply(res, content, usage) {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ choices: [{ message: { content } }], usage }));
+}
+
+function fail(res, status, message = 'failed') {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: { message } }));
+}
+
+function streamReply(res, deltas, usage) {
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    for (const delta of deltas) {
+        res.write(`data: ${JSON.stringify({ choices: [{ delta: { content: delta } }] })}\n\n`);
+    }
+    if (usage) {
+        res.write(`data: ${JSON.stringify({ choices: [], usage })}\n\n`);
+    }
+    res.end('data: [DONE]\n\n');
+}
+
+async function collect(events) {
+    const items = [];
+    for await (const item of events) {
+        items.push(item);
+    }
+    return items;
+}
+
+test('readProvidersFromEnv builds the fallback chain with per-agent models', () => {
+    const providers = readProvidersFromEnv({
+        LLM_PROVIDERS: 'groq, local, missing',
+        GROQ_API_KEY: 'key',
+        GROQ_MODEL_STUDY_PLAN: 'big-model',
+        LOCAL_BASE_URL: 'http://localhost:8080/v1/',
+        LOCAL_MODEL: 'llama'
+    }, {
+        agents: ['chat', 'studyPlan'],
+        defaultModels: { groq: 'small-model' }
+    });
+
+    assert.deepEqual(providers.map(item => item.name), ['groq', 'local']);
+    assert.equal(providers[0].baseUrl, 'https://api.groq.com/openai/v1');
+    assert.equal(providers[0].streamUsage, false);
+    assert.deepEqual(providers[0].models, { default: 'small-model', chat: 'small-model', studyPlan: 'big-model' });
+    assert.equal(providers[1].baseUrl, 'http://localhost:8080/v1');
+    assert.equal(providers[1].apiKey, null);
+    assert.equal(providers[1].models.chat, 'llama');
+});
+
+test('complete sends the agent model and reports usage', async () => {
+    handlers.primary = (req, res) => reply(res, 'Hello', { prompt_tokens: 3, completion_tokens: 1, total_tokens: 4 });
+
+    const result = await client([provider('primary', { chat: 'chat-model' })]).complete({
+        agent: 'chat',
+        messages: [{ role: 'user', content: 'Hi' }],
+        temperature: 0.2,
+        maxTokens: 50
+    });
+
+    assert.deepEqual(result, {
+        content: 'Hello',
+        usage: { promptTokens: 3, completionTokens: 1, totalTokens: 4 },
+        provider: 'primary',
+        model: 'chat-model'
+    });
+    assert.equal(requests[0].body.model, 'chat-model');
+    assert.equal(requests[0].body.max_tokens, 50);
+    assert.equal(requests[0].body.stream, undefined);
+});
+
+test('complete retries transient errors on the same provider', async () => {
+    handlers.primary = (req, res, count) => (count === 1 ? fail(res, 429, 'slow down') : reply(res, 'OK'));
+
+    const result = await client([provider('primary'), provider('backup')]).complete({ messages: [] });
+
+    assert.equal(result.content, 'OK');
+    assert.equal(result.provider, 'primary');
+    assert.deepEqual(requests.map(request => request.provider), ['primary', 'primary']);
+});
+
+test('complete falls back without retrying errors that will not go away', async () => {
+    handlers.primary = (req, res) => fail(res, 400, 'bad request');
+    handlers.backup = (req, res) => reply(res, 'From backup');
+
+    const result = await client([provider('primary'), provider('backup')]).complete({ messages: [] });
+
+    assert.equal(result.content, 'From backup');
+    assert.equal(result.provider, 'backup');
+    assert.deepEqual(requests.map(request => request.provider), ['primary', 'backup']);
+});
+
+test('complete falls back once a provider runs out of retries', async () => {
+    handlers.primary = (req, res) => fail(res, 503);
+    handlers.backup = (req, res) => reply(res, 'From backup');
+
+    const result = await client([provider('primary'), provider('backup')]).complete({ messages: [] });
+
+    assert.equal(result.provider, 'backup');
+    assert.deepEqual(requests.map(request => request.provider), ['primary', 'primary', 'backup']);
+});
+
+test('complete times out a slow provider', async () => {
+    handlers.primary = (req, res) => setTimeout(() => reply(res, 'Too late'), 500);
+    handlers.backup = (req, res) => reply(res, 'On time');
+
+    const result = await client([provider('primary'), provider('backup')], { timeoutMs: 50, maxRetries: 0 })
+        .complete({ messages: [] });
+
+    assert.equal(result.provider, 'backup');
+});
+
+test('complete throws a 503 LlmError when every provider fails', async () => {
+    handlers.primary = (req, res) => fail(res, 500, 'primary down');
+    handlers.backup = (req, res) => fail(res, 401, 'bad key');
+
+    await assert.rejects(
+        client([provider('primary'), provider('backup')], { maxRetries: 0 }).complete({ messages: [] }),
+        error => error instanceof LlmError
+            && error.status === 503
+            && /primary down/.test(error.message)
+            && /bad key/.test(error.message)
+    );
+});
+
+test('complete does not retry a call the caller cancelled', async () => {
+    handlers.primary = (req, res) => setTimeout(() => reply(res, 'Too late'), 500);
+    handlers.backup = (req, res) => reply(res, 'Unused');
+
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 20);
+
+    await assert.rejects(client([provider('primary'), provider('backup')]).complete({
+        messages: [],
+        signal: controller.signal
+    }));
+    assert.deepEqual(requests.map(request => request.provider), ['primary']);
+});
+
+test('a caller abort ends the wait before a retry at once', async () => {
+    handlers.primary = (req, res) => {
+        res.setHeader('Retry-After', '5');
+        fail(res, 429, 'slow down');
+    };
+
+    const controller = new AbortController();
+    const startTime = Date.now();
+    setTimeout(() => controller.abort(new Error('user left')), 30);
+
+    await assert.rejects(client([provider('primary')]).complete({
+        messages: [],
+        signal: controller.signal
+    }), { message: 'user left' });
+    assert.ok(Date.now() - startTime < 1000);
+    assert.equal(requests.length, 1);
+});
+
+test('retries leave no listeners on the caller signal', async () => {
+    handlers.primary = (req, res, count) => (count < 3 ? fail(res, 500) : reply(res, 'Finally'));
+
+    const controller = new AbortController();
+    const result = await client([provider('primary')], { maxRetries: 3 }).complete({
+        messages: [],
+        signal: controller.signal
+    });
+
+    assert.equal(result.content, 'Finally');
+    assert.equal(getEventListeners(controller.signal, 'abort').length, 0);
+});
+
+test('stream yields tokens, then the full answer with usage', async () => {
+    handlers.primary = (req, res) => streamReply(res, ['Hel', 'lo'], { prompt_tokens: 2, completion_tokens: 2, total_tokens: 4 });
+
+    const items = await collect(client([provider('primary')]).stream({ messages: [] }));
+
+    assert.deepEqual(items, [
+        { type: 'token', content: 'Hel' },
+        { type: 'token', content: 'lo' },
+        {
+            type: 'done',
+            content: 'Hello',
+            usage: { promptTokens: 2, completionTokens: 2, totalTokens: 4 },
+            provider: 'primary',
+            model: 'primary-model'
+        }
+    ]);
+    assert.equal(requests[0].body.stream, true);
+    assert.deepEqual(requests[0].body.stream_options, { include_usage: true });
+});
+
+test('stream falls back when a provider fails before the first chunk', async () => {
+    handlers.primary = (req, res) => fail(res, 502);
+    handlers.backup = (req, res) => streamReply(res, ['Backup']);
+
+    const items = await collect(client([provider('primary'), provider('backup')], { maxRetries: 0 }).stream({ messages: [] }));
+
+    assert.equal(items.at(-1).content, 'Backup');
+    assert.equal(items.at(-1).provider, 'backup');
+});
+
+test('stream reports a stalled stream instead of falling back', async () => {
+    handlers.primary = (req, res) => {
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        res.write(`data: ${JSON.stringify({ choices: [{ delta: { content: 'Partial' } }] })}\n\n`);
+    };
+    handlers.backup = (req, res) => streamReply(res, ['Unused']);
+
+    const items = [];
+    await assert.rejects(async () => {
+        for await (const item of client([provider('primary'), provider('backup')], { timeoutMs: 50 }).stream({ messages: [] })) {
+            items.push(item);
+        }
+    }, /stream stalled/);
+
+    assert.deepEqual(items, [{ type: 'token', content: 'Partial' }]);
+    assert.deepEqual(requests.map(request => request.provider), ['primary']);
+});
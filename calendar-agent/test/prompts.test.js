@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const { createPromptRegistry } = require('../../shared/prompts');
+
+const overrideDir = fs.mkdtempSync(path.join(os.tmpdir(), 'prompts-'));
+
+test.after(() => fs.rmSync(overrideDir, { recursive: true, force: true }));
+
+function writeOverride(file, content) {
+    fs.mkdirSync(path.dirname(path.join(overrideDir, file)), { recursive: true });
+    fs.writeFileSync(path.join(overrideDir, file), content);
+}
+
+writeOverride('prompts.json', JSON.stringify({
+    greeting: { version: 'v1', variants: { v2: 30, v3: 10 } },
+    'study-plan': { version: 'v9' }
+}));
+writeOverride('greeting/v1.md', 'Greet {{name}}.');
+writeOverride('greeting/v2.md', 'Welcome {{ name }}!');
+writeOverride('greeting/v3.md', 'Hi {{name}}.');
+writeOverride('study-plan/v9.md', 'Pinned plan prompt.');
+
+const registry = createPromptRegistry({ overrideDir });
+
+test('calls without a cohort key get the active version', () => {
+    assert.equal(registry.resolve('greeting').id, 'greeting@v1');
+    assert.equal(registry.resolve('greeting', { cohortKey: '' }).version, 'v1');
+});
+
+test('a cohort keeps its version across calls', () => {
+    for (const cohortKey of ['user-1', 'user-2', 'session-3']) {
+        const { version } = registry.resolve('greeting', { cohortKey });
+        assert.equal(registry.resolve('greeting', { cohortKey }).version, version);
+        assert.equal(registry.render('greeting', { name: 'Ada' }, { cohortKey }).version, version);
+    }
+});
+
+test('variants take their share of cohort buckets', () => {
+    const counts = { v1: 0, v2: 0, v3: 0 };
+
+    for (let i = 0; i < 2000; i++) {
+        counts[registry.resolve('greeting', { cohortKey: `user-${i}` }).version]++;
+    }
+
+    assert.ok(Math.abs(counts.v2 / 2000 - 0.3) < 0.05, `v2 served ${counts.v2} of 2000`);
+    assert.ok(Math.abs(counts.v3 / 2000 - 0.1) < 0.05, `v3 served ${counts.v3} of 2000`);
+    assert.ok(Math.abs(counts.v1 / 2000 - 0.6) < 0.05, `v1 served ${counts.v1} of 2000`);
+});
+
+test('render fills placeholders and names the version used', () => {
+    const prompt = registry.render('greeting', { name: 'Ada' });
+
+    assert.deepEqual(prompt, {
+        id: 'greeting@v1',
+        name: 'greeting',
+        version: 'v1',
+        system: 'Greet Ada.',
+        user: null
+    });
+    assert.throws(() => registry.render('greeting', {}), /needs variable "name"/);
+});
+
+test('override entries take precedence over the built-in manifest', () => {
+    assert.equal(registry.render('study-plan').system, 'Pinned plan prompt.');
+    assert.equal(createPromptRegistry().resolve('study-plan').version, 'v1');
+    assert.equal(registry.resolve('rag-answer').id, createPromptRegistry().resolve('rag-answer').id);
+});
+
+test('unknown prompts and missing templates are errors', () => {
+    assert.throws(() => registry.resolve('missing'), /Unknown prompt: missing/);
+
+    writeOverride('prompts.json', JSON.stringify({ greeting: { version: 'v4' } }));
+    const pinned = createPromptRegistry({ overrideDir });
+    assert.throws(() => pinned.render('greeting', { name: 'Ada' }), /has no template \(greeting\/v4\.md\)/);
+});
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+
+const config = require('../src/config');
+const { getDueFlashcards } = require('../src/services/ragBackend');
+
+let respond = null;
+let lastUrl = null;
+
+const server = http.createServer((req, res) => {
+    lastUrl = new URL(req.url, 'http://localhost');
+    const { status, body } = respond();
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(typeof body === 'string' ? body : JSON.stringify(body));
+});
+
+test.before(() => new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+    config.ragBackend.url = `http://127.0.0.1:${server.address().port}`;
+    resolve();
+})));
+test.after(() => {
+    server.closeAllConnections();
+    server.close();
+});
+
+test('getDueFlashcards reads the first page of due cards', async () => {
+    const card = { id: 'card-1', question: 'What is a page?', deck: { id: 'deck-1', title: 'Memory' } };
+    respond = () => ({ status: 200, body: { success: true, data: { cards: [card], pagination: { total: 130 } } } });
+
+    const before = new Date('2026-03-02T23:59:59.000Z');
+    const due = await getDueFlashcards(before);
+
+    assert.deepEqual(due, { cards: [card], total: 130 });
+    assert.equal(lastUrl.pathname, '/study/reviews/due');
+    assert.equal(lastUrl.searchParams.get('before'), before.toISOString());
+    assert.equal(lastUrl.searchParams.get('limit'), '100');
+});
+
+test('getDueFlashcards reports the RAG backend error message', async () => {
+    respond = () => ({ status: 400, body: { success: false, error: { message: 'before must be a date' } } });
+    await assert.rejects(getDueFlashcards(new Date()), /RAG backend error: before must be a date/);
+
+    respond = () => ({ status: 502, body: 'Bad gateway' });
+    await assert.rejects(getDueFlashcards(new Date()), /RAG backend error: HTTP 502/);
+});
+
+test('getDueFlashcards reports an unreachable RAG backend', async () => {
+    const url = config.ragBackend.url;
+    config.ragBackend.url = 'http://127.0.0.1:1';
+
+    try {
+        await assert.rejects(getDueFlashcards(new Date()), /RAG backend unreachable/);
+    } finally {
+        config.ragBackend.url = url;
+    }
+});
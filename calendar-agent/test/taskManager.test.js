@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const tasksDb = require('../src/db/helpers/tasks');
+const agentLogs = require('../src/db/helpers/agentLogs');
+const ragBackend = require('../src/services/ragBackend');
+const { scheduleFlashcardReviews } = require('../src/services/taskManager');
+
+const card = (id, deck) => ({ id, question: `Question ${id}`, deck });
+
+// Tasks stored for the day; created review tasks are added to it
+function fakeTaskStore(stored = []) {
+    const tasks = [...stored];
+
+    tasksDb.getTasksByDateRange = async () => [...tasks];
+    tasksDb.createTask = async ({ title, description, deadline, timezone }) => {
+        const task = { id: `task-${tasks.length + 1}`, title, description, deadline, timezone, status: 'pending' };
+        tasks.push(task);
+        return task;
+    };
+    agentLogs.logSuccess = async () => {};
+
+    return tasks;
+}
+
+test('decks with the same title each get a review task, once', async () => {
+    const tasks = fakeTaskStore();
+    ragBackend.getDueFlashcards = async () => ({
+        cards: [
+            card('c1', { id: 'deck-1', title: 'Memory' }),
+            card('c2', { id: 'deck-2', title: 'Memory' }),
+            card('c3', { id: 'deck-1', title: 'Memory' })
+        ],
+        total: 3
+    });
+
+    const first = await scheduleFlashcardReviews('user-1', 'UTC', { date: '2026-03-02' });
+
+    assert.equal(first.tasksCreated, 2);
+    assert.deepEqual(first.tasks.map(task => task.title), ['Review flashcards: Memory', 'Review flashcards: Memory']);
+    assert.match(first.tasks[0].description, /^🃏 2 cards due for review/);
+    assert.match(first.tasks[0].description, /flashcard-deck:deck-1$/);
+    assert.match(first.tasks[1].description, /flashcard-deck:deck-2$/);
+
+    const second = await scheduleFlashcardReviews('user-1', 'UTC', { date: '2026-03-02' });
+
+    assert.equal(second.tasksCreated, 0);
+    assert.deepEqual(second.skippedDecks, ['Memory', 'Memory']);
+    assert.equal(tasks.length, 2);
+});
+
+test('a task the user named like a review task does not hide the deck', async () => {
+    fakeTaskStore([{ id: 'task-0', title: 'Review flashcards: Memory', description: 'Go over my notes' }]);
+    ragBackend.getDueFlashcards = async () => ({
+        cards: [card('c1', { id: 'deck-1', title: 'Memory' }), card('c2', null)],
+        total: 2
+    });
+
+    const result = await scheduleFlashcardReviews('user-1', 'UTC', { date: '2026-03-02', preferredTime: '19:30' });
+
+    assert.equal(result.tasksCreated, 2);
+    assert.deepEqual(result.tasks.map(task => task.title), ['Review flashcards: Memory', 'Review flashcards: Flashcards']);
+    assert.match(result.tasks[1].description, /flashcard-deck:none$/);
+    assert.equal(result.tasks[0].deadline, '2026-03-02T19:30:00.000Z');
+});
@@ -3,30 +3,106 @@
 import type React from "react"
 import { useState, useRef, useEffect } from "react"
 import { Button } from "@/components/ui/button"
-import { Upload, Send, ChevronRight, ChevronDown, FileText, Loader2, CheckCircle2, AlertCircle } from "lucide-react"
+import { Checkbox } from "@/components/ui/checkbox"
+import { Badge } from "@/components/ui/badge"
+import { Progress } from "@/components/ui/progress"
+import { Upload, Send, Square, ChevronRight, ChevronDown, FileText, Loader2, CheckCircle2, AlertCircle, Layers, ListChecks, ScrollText } from "lucide-react"
 import { AppHeader } from "@/components/AppHeader"
 import { MarkdownText } from "@/components/ui/markdown-text"
-import { FlashcardDeck } from "@/components/ui/flashcard-deck"
-import { Quiz } from "@/components/ui/quiz"
+import { FlashcardDeck, DeckShelf } from "@/components/ui/flashcard-deck"
+import { useFlashcards, type FlashcardDeckData, type StudyScope } from "@/components/ui/use-flashcards"
+import { Quiz, QuizShelf, type QuizData } from "@/components/ui/quiz"
+import { useQuizzes } from "@/components/ui/use-quizzes"
+import { useReviews } from "@/components/ui/use-reviews"
+import {
+  SummaryActions,
+  SummaryProgress,
+  SUMMARY_STYLE_LABELS,
+  downloadSummary,
+  streamSummary,
+  type DocumentSummary,
+  type SummaryStyle,
+} from "@/components/ui/document-summary"
+import { readEventStream } from "@/lib/event-stream"
 
 // API Configuration - change this to your backend URL
 const API_BASE_URL = "http://localhost:3002"
 
+// Formats the backend can ingest (see rag-backend/src/services/loaders)
+const UPLOAD_EXTENSIONS = [".pdf", ".docx", ".pptx", ".md", ".markdown", ".txt", ".html", ".htm"]
+
 interface SourceChunk {
   chunkId: string
   documentId: string
+  documentTitle?: string | null
+  // Original file format and where in it the chunk came from
+  format?: string | null
+  pageStart?: number | null
+  pageEnd?: number | null
+  slideStart?: number | null
+  slideEnd?: number | null
+  headingPath?: string[] | null
+  // Set when the chunk's text was recognized by OCR (0-100)
+  ocrConfidence?: number | null
   content: string
-  similarity: number
+  // Null for keyword-only matches
+  similarity: number | null
+  retrievers?: ("vector" | "keyword")[]
+  // Set when the backend reranked candidates: cross-encoder relevance (0-100) and original rank
+  rerankScore?: number | null
+  retrievalRank?: number | null
+  // Set when the answer was given the whole section around the chunk (parent context)
+  parentSection?: {
+    headingPath: string[]
+    content: string
+    chunkCount: number
+    sectionChunkCount: number
+    truncated: boolean
+  } | null
   metadata?: {
     chunkIndex: number
     charCount: number
+    startChar?: number
+    endChar?: number
   }
 }
 
+// Check of an answer's [n] source markers (see services/citations.js in the RAG backend)
+interface CitationCheck {
+  markers: number[]
+  invalidMarkers: number[]
+  sentences: number
+  supportedSentences: number
+  flagged: {
+    sentence: string
+    reason: "uncited" | "unsupported" | "invalid_marker"
+    markers: number[]
+    suggestedSource: number | null
+  }[]
+  verified: boolean
+}
+
+const CITATION_FLAG_LABELS: Record<CitationCheck["flagged"][number]["reason"], string> = {
+  uncited: "no source cited",
+  unsupported: "not found in the cited source",
+  invalid_marker: "cites a source that does not exist",
+}
+
 interface Message {
   role: "user" | "assistant"
   content: string
   sources?: SourceChunk[]
+  // Set once the answer is complete; null when there was no context to cite
+  citations?: CitationCheck | null
+  // Set for generated or reopened flashcard decks
+  deck?: FlashcardDeckData
+  // Set for generated or reopened quizzes
+  quiz?: QuizData
+  // Set for document summaries; content holds the summary text
+  summary?: DocumentSummary
+  // Set while answer tokens are still arriving
+  streaming?: boolean
+  cancelled?: boolean
   metrics?: {
     totalTimeMs: number
     tokenUsage?: {
@@ -40,7 +116,65 @@ interface UploadedDocument {
   id: string
   name: string
   chunkCount: number
-  pageCount: number
+}
+
+interface IngestJob {
+  id: string
+  status: "queued" | "running" | "retrying" | "completed" | "failed"
+  stage: "extracting" | "chunking" | "embedding" | "storing" | null
+  progress: number
+  attempts: number
+  maxAttempts: number
+  error: string | null
+  // An identical upload stored while this job was queued finishes as a duplicate
+  result: {
+    duplicate?: boolean
+    documentId: string
+    fileName: string
+    format: string
+    chunkCount: number
+    // Only set for the formats that have them: pages for PDF, slides for PPTX
+    pageCount: number | null
+    slideCount: number | null
+  } | null
+}
+
+const INGEST_STAGE_LABELS: Record<NonNullable<IngestJob["stage"]>, string> = {
+  extracting: "Extracting text",
+  chunking: "Splitting into chunks",
+  embedding: "Generating embeddings",
+  storing: "Saving to knowledge base",
+}
+
+/**
+ * Follow an ingestion job over Server-Sent Events until it completes or fails
+ */
+function watchIngestJob(eventsUrl: string, onProgress: (job: IngestJob) => void) {
+  return new Promise<IngestJob>((resolve, reject) => {
+    const source = new EventSource(`${API_BASE_URL}${eventsUrl}`)
+
+    source.addEventListener("progress", (event) => {
+      onProgress(JSON.parse((event as MessageEvent).data))
+    })
+    source.addEventListener("completed", (event) => {
+      source.close()
+      resolve(JSON.parse((event as MessageEvent).data))
+    })
+    source.addEventListener("failed", (event) => {
+      source.close()
+      reject(new Error(JSON.parse((event as MessageEvent).data).error || "Processing failed"))
+    })
+    source.onerror = () => {
+      source.close()
+      reject(new Error("Lost connection while processing the document"))
+    }
+  })
+}
+
+interface DocumentListItem {
+  id: string
+  title: string
+  chunkCount: number
 }
 
 export function RAGInterface() {
@@ -50,10 +184,22 @@ export function RAGInterface() {
   const [isUploading, setIsUploading] = useState(false)
   const [error, setError] = useState("")
   const [uploadedDocuments, setUploadedDocuments] = useState<UploadedDocument[]>([])
+  // Documents the next question is scoped to - empty means the whole knowledge base
+  const [selectedDocumentIds, setSelectedDocumentIds] = useState<string[]>([])
+  // Chat session for follow-up questions - created with the first question
+  const [sessionId, setSessionId] = useState<string | null>(null)
   const [expandedSources, setExpandedSources] = useState<number | null>(null)
+  // Cited passage opened from an answer's [n] marker
+  const [expandedCitation, setExpandedCitation] = useState<{ message: number; marker: number } | null>(null)
   const [uploadProgress, setUploadProgress] = useState<string>("")
+  const [uploadPercent, setUploadPercent] = useState<number | null>(null)
   const messagesEndRef = useRef<HTMLDivElement>(null)
   const fileInputRef = useRef<HTMLInputElement>(null)
+  // Cancels the in-flight streaming answer
+  const queryAbortRef = useRef<AbortController | null>(null)
+  const flashcards = useFlashcards(API_BASE_URL)
+  const quizzes = useQuizzes(API_BASE_URL)
+  const reviews = useReviews(API_BASE_URL)
 
   const scrollToBottom = () => {
     messagesEndRef.current?.scrollIntoView({ behavior: "smooth" })
@@ -63,12 +209,42 @@ export function RAGInterface() {
     scrollToBottom()
   }, [messages])
 
+  // Load documents already in the knowledge base
+  useEffect(() => {
+    const loadDocuments = async () => {
+      try {
+        const response = await fetch(`${API_BASE_URL}/documents?limit=100`)
+        const result = await response.json()
+        if (!response.ok || !result.success) return
+
+        setUploadedDocuments(
+          result.data.documents.map((doc: DocumentListItem) => ({
+            id: doc.id,
+            name: doc.title,
+            chunkCount: doc.chunkCount,
+          })),
+        )
+      } catch {
+        // Backend offline - the upload flow will surface the error
+      }
+    }
+
+    loadDocuments()
+  }, [])
+
+  const toggleDocumentScope = (documentId: string) => {
+    setSelectedDocumentIds((prev) =>
+      prev.includes(documentId) ? prev.filter((id) => id !== documentId) : [...prev, documentId],
+    )
+  }
+
   const handleFileUpload = async (e: React.ChangeEvent<HTMLInputElement>) => {
     const file = e.target.files?.[0]
     if (!file) return
 
-    if (file.type !== "application/pdf") {
-      setError("Please upload a valid PDF file")
+    const extension = file.name.slice(file.name.lastIndexOf(".")).toLowerCase()
+    if (!UPLOAD_EXTENSIONS.includes(extension)) {
+      setError("Please upload a PDF, Word, PowerPoint, Markdown, HTML or text file")
       return
     }
 
@@ -80,8 +256,6 @@ export function RAGInterface() {
       const formData = new FormData()
       formData.append("file", file)
 
-      setUploadProgress("Extracting text and generating embeddings...")
-
       const response = await fetch(`${API_BASE_URL}/ingest`, {
         method: "POST",
         body: formData,
@@ -93,23 +267,77 @@ export function RAGInterface() {
         throw new Error(result.error?.message || "Failed to upload document")
       }
 
+      // Same content was uploaded before - the backend returns the stored document
+      const showExistingDocument = (duplicate: { documentId: string; fileName: string; chunkCount: number }) => {
+        const existing: UploadedDocument = {
+          id: duplicate.documentId,
+          name: duplicate.fileName,
+          chunkCount: duplicate.chunkCount,
+        }
+
+        setUploadedDocuments((prev) =>
+          prev.some((doc) => doc.id === existing.id) ? prev : [...prev, existing],
+        )
+        setMessages((prev) => [
+          ...prev,
+          {
+            role: "assistant",
+            content: `ℹ️ **Already in your knowledge base**\n\n📄 **${existing.name}** has the same content as this file (${existing.chunkCount} chunks), so it was not processed again.`,
+          },
+        ])
+        setUploadProgress("")
+      }
+
+      if (result.data.duplicate) {
+        showExistingDocument(result.data)
+        return
+      }
+
+      // Processing continues in the background - follow the job's progress
+      setUploadProgress("Queued for processing...")
+      setUploadPercent(0)
+
+      const job = await watchIngestJob(result.data.eventsUrl, (update) => {
+        setUploadPercent(update.progress)
+        if (update.status === "retrying") {
+          setUploadProgress(`Retrying (attempt ${update.attempts + 1} of ${update.maxAttempts})...`)
+        } else if (update.stage) {
+          setUploadProgress(`${INGEST_STAGE_LABELS[update.stage]}...`)
+        }
+      })
+
+      if (!job.result) {
+        throw new Error("Processing finished without a result")
+      }
+
+      // An identical upload was stored while this one waited in the queue
+      if (job.result.duplicate) {
+        showExistingDocument(job.result)
+        return
+      }
+
       setUploadProgress("Document processed successfully!")
+      setUploadPercent(100)
 
       const newDoc: UploadedDocument = {
-        id: result.data.documentId,
-        name: result.data.fileName,
-        chunkCount: result.data.chunkCount,
-        pageCount: result.data.pageCount,
+        id: job.result.documentId,
+        name: job.result.fileName,
+        chunkCount: job.result.chunkCount,
       }
 
       setUploadedDocuments((prev) => [...prev, newDoc])
 
+      const { format, pageCount, slideCount } = job.result
+      const lengthLine = format === "pdf" && pageCount != null ? `- Pages: ${pageCount}\n`
+        : format === "pptx" && slideCount != null ? `- Slides: ${slideCount}\n`
+        : ""
+
       // Add a system message about the upload
       setMessages((prev) => [
         ...prev,
         {
           role: "assistant",
-          content: `✅ **Document uploaded successfully!**\n\n📄 **${newDoc.name}**\n- Pages: ${newDoc.pageCount}\n- Chunks: ${newDoc.chunkCount}\n\nYou can now ask questions about this document.`,
+          content: `✅ **Document uploaded successfully!**\n\n📄 **${newDoc.name}**\n${lengthLine}- Chunks: ${newDoc.chunkCount}\n\nYou can now ask questions about this document.`,
         },
       ])
 
@@ -119,6 +347,7 @@ export function RAGInterface() {
       setError(errorMessage)
       setUploadProgress("")
     } finally {
+      setUploadPercent(null)
       setIsUploading(false)
       if (fileInputRef.current) {
         fileInputRef.current.value = ""
@@ -126,6 +355,44 @@ export function RAGInterface() {
     }
   }
 
+  // Apply an update to the answer currently being streamed (always the last message)
+  const updateStreamingMessage = (update: (message: Message) => Message) => {
+    setMessages((prev) => {
+      const last = prev[prev.length - 1]
+      if (!last || last.role !== "assistant" || !last.streaming) return prev
+      return [...prev.slice(0, -1), update(last)]
+    })
+  }
+
+  // Start a chat session titled after the first question; answers still work without one
+  const ensureSession = async (title: string) => {
+    if (sessionId) return sessionId
+
+    try {
+      const response = await fetch(`${API_BASE_URL}/sessions`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ title }),
+      })
+      const result = await response.json()
+      if (!response.ok || !result.success) return null
+
+      setSessionId(result.data.id)
+      return result.data.id as string
+    } catch {
+      return null
+    }
+  }
+
+  const handleNewChat = () => {
+    queryAbortRef.current?.abort()
+    setSessionId(null)
+    setMessages([])
+    setExpandedSources(null)
+    setExpandedCitation(null)
+    setError("")
+  }
+
   const handleSubmit = async (e: React.FormEvent) => {
     e.preventDefault()
     if (!input.trim() || isLoading) return
@@ -136,32 +403,70 @@ export function RAGInterface() {
     setIsLoading(true)
     setError("")
 
+    const abortController = new AbortController()
+    queryAbortRef.current = abortController
+
     try {
-      const response = await fetch(`${API_BASE_URL}/query`, {
+      const activeSessionId = await ensureSession(input.slice(0, 200))
+
+      const response = await fetch(`${API_BASE_URL}/query/stream`, {
         method: "POST",
         headers: {
           "Content-Type": "application/json",
         },
-        body: JSON.stringify({ question: input }),
+        body: JSON.stringify({
+          question: input,
+          ...(activeSessionId && { sessionId: activeSessionId }),
+          ...(selectedDocumentIds.length > 0 && { documentIds: selectedDocumentIds }),
+        }),
+        signal: abortController.signal,
       })
 
-      const result = await response.json()
-
-      if (!response.ok || !result.success) {
+      // Validation errors come back as regular JSON
+      if (!response.ok) {
+        const result = await response.json()
         throw new Error(result.error?.message || "Query failed")
       }
 
-      const assistantMessage: Message = {
-        role: "assistant",
-        content: result.data.answer,
-        sources: result.data.sources,
-        metrics: result.metrics,
-      }
+      await readEventStream(response, (event, data) => {
+        const payload = data as {
+          sources?: SourceChunk[]
+          content?: string
+          metrics?: Message["metrics"]
+          citations?: CitationCheck | null
+          message?: string
+        }
+
+        if (event === "sources") {
+          setMessages((prev) => [
+            ...prev,
+            { role: "assistant", content: "", sources: payload.sources, streaming: true },
+          ])
+        } else if (event === "token") {
+          updateStreamingMessage((message) => ({ ...message, content: message.content + (payload.content ?? "") }))
+        } else if (event === "done") {
+          updateStreamingMessage((message) => ({
+            ...message,
+            citations: payload.citations,
+            metrics: payload.metrics,
+            streaming: false,
+          }))
+        } else if (event === "error") {
+          throw new Error(payload.message || "Answer generation failed")
+        }
+      })
 
-      setMessages((prev) => [...prev, assistantMessage])
+      // Stream closed without a done event
+      updateStreamingMessage((message) => ({ ...message, streaming: false }))
     } catch (err: unknown) {
+      if (abortController.signal.aborted) {
+        updateStreamingMessage((message) => ({ ...message, streaming: false, cancelled: true }))
+        return
+      }
+
       const errorMessage = err instanceof Error ? err.message : "Query failed"
       setError(errorMessage)
+      updateStreamingMessage((message) => ({ ...message, streaming: false }))
       setMessages((prev) => [
         ...prev,
         {
@@ -170,10 +475,190 @@ export function RAGInterface() {
         },
       ])
     } finally {
+      queryAbortRef.current = null
       setIsLoading(false)
     }
   }
 
+  const handleCancel = () => {
+    queryAbortRef.current?.abort()
+  }
+
+  // Study material is made from the selected documents (or all of them); the text box sets an optional topic
+  const getStudyScope = (): StudyScope => ({
+    documentIds: selectedDocumentIds.length > 0
+      ? selectedDocumentIds
+      : uploadedDocuments.slice(0, 100).map((doc) => doc.id),
+    topic: input.trim() || undefined,
+  })
+
+  // Run a study request as a conversation turn: prompt, then the reply or the error
+  const runStudyTask = async (prompt: string, task: (signal: AbortSignal) => Promise<Message>, fallbackError: string) => {
+    setMessages((prev) => [...prev, { role: "user", content: prompt }])
+    setInput("")
+    setIsLoading(true)
+    setError("")
+
+    const abortController = new AbortController()
+    queryAbortRef.current = abortController
+
+    try {
+      const reply = await task(abortController.signal)
+      setMessages((prev) => [...prev, reply])
+    } catch (err: unknown) {
+      if (abortController.signal.aborted) return
+
+      const errorMessage = err instanceof Error ? err.message : fallbackError
+      setError(errorMessage)
+      setMessages((prev) => [...prev, { role: "assistant", content: `❌ Error: ${errorMessage}` }])
+    } finally {
+      queryAbortRef.current = null
+      setIsLoading(false)
+    }
+  }
+
+  // Show stored study material (a deck, quiz or due cards) in the conversation
+  const openInChat = async (load: () => Promise<Message | null>, fallbackError: string) => {
+    setError("")
+
+    try {
+      const message = await load()
+      if (message) setMessages((prev) => [...prev, message])
+    } catch (err: unknown) {
+      setError(err instanceof Error ? err.message : fallbackError)
+    }
+  }
+
+  const handleGenerateFlashcards = () => {
+    if (isLoading || uploadedDocuments.length === 0) return
+
+    const scope = getStudyScope()
+    runStudyTask(
+      scope.topic ? `🃏 Flashcards: ${scope.topic}` : "🃏 Flashcards for the selected documents",
+      async (signal) => {
+        const { deck, metrics } = await flashcards.generateDeck(scope, signal)
+        // New cards are due straight away
+        reviews.refreshDueCount()
+        return { role: "assistant", content: "", deck, metrics }
+      },
+      "Failed to generate flashcards",
+    )
+  }
+
+  const handleOpenDeck = (deckId: string) => openInChat(
+    async () => ({ role: "assistant", content: "", deck: await flashcards.loadDeck(deckId) }),
+    "Failed to load flashcards",
+  )
+
+  // Open the cards due for review as one deck
+  const handleOpenDueReviews = () => openInChat(
+    async () => {
+      const deck = await reviews.loadDueDeck()
+      return deck && { role: "assistant", content: "", deck }
+    },
+    "Failed to load due reviews",
+  )
+
+  // Generate a quiz the same way as a flashcard deck
+  const handleGenerateQuiz = () => {
+    if (isLoading || uploadedDocuments.length === 0) return
+
+    const scope = getStudyScope()
+    runStudyTask(
+      scope.topic ? `📝 Quiz: ${scope.topic}` : "📝 Quiz on the selected documents",
+      async (signal) => {
+        const { quiz, metrics } = await quizzes.generateQuiz(scope, signal)
+        return { role: "assistant", content: "", quiz, metrics }
+      },
+      "Failed to generate quiz",
+    )
+  }
+
+  const handleOpenQuiz = (quizId: string) => openInChat(
+    async () => ({ role: "assistant", content: "", quiz: await quizzes.loadQuiz(quizId) }),
+    "Failed to load quiz",
+  )
+
+  // Document a summary is made of: the one selected document, or the only one loaded
+  const summaryTarget = selectedDocumentIds.length === 1
+    ? uploadedDocuments.find((doc) => doc.id === selectedDocumentIds[0])
+    : uploadedDocuments.length === 1 ? uploadedDocuments[0] : undefined
+
+  // Stream a summary of a document; heading limits it to one chapter or section
+  const handleSummarize = async (doc: { id: string; name: string }, style: SummaryStyle, heading?: string) => {
+    if (isLoading) return
+
+    setMessages((prev) => [
+      ...prev,
+      { role: "user", content: `📄 ${SUMMARY_STYLE_LABELS[style]} summary: ${heading ? `${doc.name} › ${heading}` : doc.name}` },
+      {
+        role: "assistant",
+        content: "",
+        streaming: true,
+        summary: { documentId: doc.id, documentTitle: doc.name, style, ...(heading && { heading }) },
+      },
+    ])
+    setIsLoading(true)
+    setError("")
+
+    const abortController = new AbortController()
+    queryAbortRef.current = abortController
+
+    try {
+      await streamSummary(API_BASE_URL, { documentId: doc.id, style, heading }, abortController.signal, {
+        onProgress: (progress) => updateStreamingMessage((message) => ({
+          ...message,
+          summary: message.summary && { ...message.summary, progress },
+        })),
+        onToken: (content) => updateStreamingMessage((message) => ({ ...message, content: message.content + content })),
+        onDone: (metrics) => updateStreamingMessage((message) => ({ ...message, metrics, streaming: false })),
+      })
+
+      // Stream closed without a done event
+      updateStreamingMessage((message) => ({ ...message, streaming: false }))
+    } catch (err: unknown) {
+      if (abortController.signal.aborted) {
+        updateStreamingMessage((message) => ({ ...message, streaming: false, cancelled: true }))
+        return
+      }
+
+      const errorMessage = err instanceof Error ? err.message : "Summary failed"
+      setError(errorMessage)
+      updateStreamingMessage((message) => ({ ...message, streaming: false }))
+      setMessages((prev) => [...prev, { role: "assistant", content: `❌ Error: ${errorMessage}` }])
+    } finally {
+      queryAbortRef.current = null
+      setIsLoading(false)
+    }
+  }
+
+  const handleExportSummary = async (summary: DocumentSummary) => {
+    setError("")
+
+    try {
+      await downloadSummary(API_BASE_URL, summary)
+    } catch (err: unknown) {
+      setError(err instanceof Error ? err.message : "Export failed")
+    }
+  }
+
+  const formatLocation = (source: SourceChunk) => {
+    if (source.pageStart) {
+      return source.pageEnd && source.pageEnd !== source.pageStart
+        ? `pp. ${source.pageStart}–${source.pageEnd}`
+        : `p. ${source.pageStart}`
+    }
+    if (source.slideStart) {
+      return source.slideEnd && source.slideEnd !== source.slideStart
+        ? `slides ${source.slideStart}–${source.slideEnd}`
+        : `slide ${source.slideStart}`
+    }
+    if (source.headingPath?.length) {
+      return source.headingPath.join(" › ")
+    }
+    return null
+  }
+
   const getSimilarityColor = (similarity: number) => {
     if (similarity >= 70) return "text-green-500"
     if (similarity >= 50) return "text-yellow-500"
@@ -199,7 +684,7 @@ export function RAGInterface() {
                   <div className="space-y-2">
                     <h2 className="text-xl font-semibold text-foreground">Upload a document</h2>
                     <p className="text-sm text-muted-foreground">
-                      Start by uploading a PDF document. Our AI will extract and index the content,
+                      Start by uploading a PDF, slide deck, Word document or notes. Our AI will extract and index the content,
                       allowing you to ask questions and get accurate answers.
                     </p>
                   </div>
@@ -216,7 +701,7 @@ export function RAGInterface() {
                     ) : (
                       <>
                         <Upload className="h-4 w-4" />
-                        Upload PDF
+                        Upload document
                       </>
                     )}
                   </label>
@@ -224,7 +709,7 @@ export function RAGInterface() {
                     id="pdf-upload-empty"
                     ref={fileInputRef}
                     type="file"
-                    accept=".pdf"
+                    accept={UPLOAD_EXTENSIONS.join(",")}
                     onChange={handleFileUpload}
                     className="hidden"
                     disabled={isUploading}
@@ -245,36 +730,101 @@ export function RAGInterface() {
                       <div className="rounded-2xl rounded-tl-md bg-card border border-border/50 px-4 py-3 shadow-sm">
 
                         {/* Dynamic Content Rendering */}
-                        {(() => {
-                          try {
-                            // Sanitize content: remove markdown code blocks if present
-                            let cleanContent = message.content
-                              .replace(/```json\s*/g, '')
-                              .replace(/```\s*$/g, '')
-                              .trim();
-
-                            // Attempt to find simple JSON borders if simple parse fails or just always try to extract object
-                            const jsonMatch = cleanContent.match(/(\{[\s\S]*\})/);
-                            if (jsonMatch) {
-                              cleanContent = jsonMatch[0];
-                            }
-
-                            const parsed = JSON.parse(cleanContent);
-                            if (parsed.type === 'flashcards' && Array.isArray(parsed.data)) {
-                              return <FlashcardDeck cards={parsed.data} />;
-                            }
-                            if (parsed.type === 'quiz' && Array.isArray(parsed.data)) {
-                              return <Quiz questions={parsed.data} />;
-                            }
-                            throw new Error('Not a structured component');
-                          } catch (e) {
-                            // Fallback to safe markdown rendering
-                            return (
-                              <div className="text-sm text-foreground leading-relaxed whitespace-pre-wrap">
-                                <MarkdownText content={message.content} />
+                        {message.deck ? (
+                          <FlashcardDeck cards={message.deck.cards} title={message.deck.title} onReview={reviews.reviewCard} />
+                        ) : message.quiz ? (
+                          <Quiz quiz={message.quiz} onSubmit={quizzes.submitAttempt} />
+                        ) : (
+                          <div className="text-sm text-foreground leading-relaxed whitespace-pre-wrap">
+                            <MarkdownText
+                              content={message.content}
+                              renderCitation={message.sources?.length ? (marker, key) => {
+                                const source = message.sources?.[marker - 1]
+                                const isOpen = expandedCitation?.message === index && expandedCitation.marker === marker
+
+                                return (
+                                  <button
+                                    key={key}
+                                    type="button"
+                                    disabled={!source}
+                                    onClick={() => setExpandedCitation(isOpen ? null : { message: index, marker })}
+                                    title={source ? source.documentTitle || `Source ${marker}` : "No matching source"}
+                                    className={`mx-0.5 inline-flex h-4 min-w-4 items-center justify-center rounded px-1 align-super text-[10px] font-semibold transition-colors ${
+                                      !source
+                                        ? "bg-destructive/10 text-destructive line-through cursor-not-allowed"
+                                        : isOpen
+                                          ? "bg-primary text-primary-foreground"
+                                          : "bg-primary/15 text-primary hover:bg-primary/25"
+                                    }`}
+                                  >
+                                    {marker}
+                                  </button>
+                                )
+                              } : undefined}
+                            />
+                          </div>
+                        )}
+
+                        {/* Passage behind the selected [n] marker */}
+                        {expandedCitation?.message === index && message.sources?.[expandedCitation.marker - 1] && (() => {
+                          const source = message.sources[expandedCitation.marker - 1]
+                          return (
+                            <div className="mt-3 rounded-xl border border-primary/30 bg-primary/5 p-3 animate-in fade-in slide-in-from-top-2 duration-200">
+                              <div className="mb-1 flex items-center gap-1.5 text-xs font-medium text-foreground">
+                                <span className="rounded bg-primary px-1 text-[10px] text-primary-foreground">{expandedCitation.marker}</span>
+                                <FileText className="h-3 w-3 flex-shrink-0 text-muted-foreground" />
+                                <span className="truncate">{source.documentTitle || `Source ${expandedCitation.marker}`}</span>
+                                {formatLocation(source) && (
+                                  <span className="flex-shrink-0 text-muted-foreground">· {formatLocation(source)}</span>
+                                )}
                               </div>
-                            );
-                          }
+                              {/* The text the answer and the citation check saw */}
+                              <p className="text-xs text-muted-foreground leading-relaxed whitespace-pre-wrap">
+                                {source.parentSection?.content ?? source.content}
+                              </p>
+                            </div>
+                          )
+                        })()}
+
+                        {/* Statements the citation check could not match to a source */}
+                        {message.citations && message.citations.flagged.length > 0 && (
+                          <details className="mt-3 text-xs text-amber-600">
+                            <summary className="cursor-pointer">
+                              ⚠️ {message.citations.flagged.length} of {message.citations.sentences} statements could not be matched to a source
+                            </summary>
+                            <ul className="mt-2 space-y-1 text-muted-foreground">
+                              {message.citations.flagged.map((flag, flagIndex) => (
+                                <li key={flagIndex}>
+                                  “{flag.sentence}” — {CITATION_FLAG_LABELS[flag.reason]}
+                                  {flag.suggestedSource && ` (maybe source ${flag.suggestedSource})`}
+                                </li>
+                              ))}
+                            </ul>
+                          </details>
+                        )}
+
+                        {message.summary && message.streaming && !message.content && (
+                          <SummaryProgress summary={message.summary} />
+                        )}
+
+                        {message.cancelled && (
+                          <p className="mt-2 text-xs italic text-muted-foreground">Stopped</p>
+                        )}
+
+                        {message.summary && message.content && !message.streaming && !message.cancelled && (() => {
+                          const summary = message.summary
+                          return (
+                            <SummaryActions
+                              summary={summary}
+                              disabled={isLoading}
+                              onSummarize={(style) => handleSummarize(
+                                { id: summary.documentId, name: summary.documentTitle },
+                                style,
+                                summary.heading,
+                              )}
+                              onExport={() => handleExportSummary(summary)}
+                            />
+                          )
                         })()}
 
                         {message.metrics && (
@@ -314,11 +864,45 @@ export function RAGInterface() {
                                   className="rounded-xl border border-border/50 bg-card/50 p-4 hover:bg-card transition-colors"
                                 >
                                   <div className="flex items-center justify-between mb-2">
-                                    <span className="text-xs font-medium text-foreground">
-                                      Chunk {source.metadata?.chunkIndex !== undefined ? source.metadata.chunkIndex + 1 : sourceIndex + 1}
+                                    <span className="flex items-center gap-1.5 text-xs font-medium text-foreground min-w-0">
+                                      <span className="flex-shrink-0 text-primary">[{sourceIndex + 1}]</span>
+                                      <FileText className="h-3 w-3 flex-shrink-0 text-muted-foreground" />
+                                      <span className="truncate">
+                                        {source.documentTitle || `Chunk ${source.metadata?.chunkIndex !== undefined ? source.metadata.chunkIndex + 1 : sourceIndex + 1}`}
+                                      </span>
+                                      {formatLocation(source) && (
+                                        <span className="flex-shrink-0 text-muted-foreground">· {formatLocation(source)}</span>
+                                      )}
                                     </span>
-                                    <span className={`text-xs font-semibold ${getSimilarityColor(source.similarity)}`}>
-                                      {source.similarity.toFixed(1)}% match
+                                    <span className="flex flex-shrink-0 items-center gap-1.5">
+                                      {typeof source.ocrConfidence === "number" && (
+                                        <Badge
+                                          variant="outline"
+                                          className="px-1.5 py-0 text-[10px] font-normal"
+                                          title="Text recognized from a scanned page"
+                                        >
+                                          OCR {Math.round(source.ocrConfidence)}%
+                                        </Badge>
+                                      )}
+                                      {source.retrievers?.map((retriever) => (
+                                        <Badge key={retriever} variant="outline" className="px-1.5 py-0 text-[10px] font-normal">
+                                          {retriever}
+                                        </Badge>
+                                      ))}
+                                      {typeof source.rerankScore === "number" && (
+                                        <Badge
+                                          variant="outline"
+                                          className="px-1.5 py-0 text-[10px] font-normal"
+                                          title={source.retrievalRank ? `Ranked #${source.retrievalRank} before reranking` : undefined}
+                                        >
+                                          rerank {source.rerankScore.toFixed(0)}%
+                                        </Badge>
+                                      )}
+                                      {source.similarity !== null && (
+                                        <span className={`text-xs font-semibold ${getSimilarityColor(source.similarity)}`}>
+                                          {source.similarity.toFixed(1)}% match
+                                        </span>
+                                      )}
                                     </span>
                                   </div>
                                   <p className="text-xs text-muted-foreground leading-relaxed line-clamp-4">
@@ -336,8 +920,8 @@ export function RAGInterface() {
               ))
             )}
 
-            {/* Loading state */}
-            {isLoading && (
+            {/* Loading state - until the first sources/tokens arrive */}
+            {isLoading && messages[messages.length - 1]?.role === "user" && (
               <div className="flex justify-start animate-in fade-in duration-300">
                 <div className="rounded-2xl rounded-tl-md bg-card border border-border/50 px-4 py-3 shadow-sm">
                   <div className="flex items-center gap-2">
@@ -355,7 +939,11 @@ export function RAGInterface() {
                   <div className="flex items-center gap-2">
                     <Loader2 className="h-4 w-4 animate-spin text-primary" />
                     <p className="text-sm text-muted-foreground">{uploadProgress}</p>
+                    {uploadPercent !== null && (
+                      <span className="text-xs font-medium text-muted-foreground">{uploadPercent}%</span>
+                    )}
                   </div>
+                  {uploadPercent !== null && <Progress value={uploadPercent} className="mt-2 h-1.5 w-64" />}
                 </div>
               </div>
             )}
@@ -389,7 +977,7 @@ export function RAGInterface() {
               <input
                 id="pdf-upload"
                 type="file"
-                accept=".pdf"
+                accept={UPLOAD_EXTENSIONS.join(",")}
                 onChange={handleFileUpload}
                 className="hidden"
                 disabled={isUploading}
@@ -410,27 +998,119 @@ export function RAGInterface() {
                   disabled={isLoading || uploadedDocuments.length === 0}
                 />
                 <Button
-                  type="submit"
-                  disabled={isLoading || !input.trim() || uploadedDocuments.length === 0}
-                  className="bg-primary text-primary-foreground hover:bg-primary/90 px-4 py-3 h-auto rounded-xl shadow-lg shadow-primary/25 transition-all hover:shadow-xl hover:shadow-primary/30"
+                  type="button"
+                  variant="outline"
+                  onClick={handleGenerateFlashcards}
+                  disabled={isLoading || uploadedDocuments.length === 0}
+                  title="Make flashcards from the selected documents (the text box sets an optional topic)"
+                  className="px-4 py-3 h-auto rounded-xl"
                 >
-                  {isLoading ? (
-                    <Loader2 className="h-4 w-4 animate-spin" />
-                  ) : (
-                    <Send className="h-4 w-4" />
-                  )}
+                  <Layers className="h-4 w-4" />
+                </Button>
+                <Button
+                  type="button"
+                  variant="outline"
+                  onClick={handleGenerateQuiz}
+                  disabled={isLoading || uploadedDocuments.length === 0}
+                  title="Make a quiz from the selected documents (the text box sets an optional topic)"
+                  className="px-4 py-3 h-auto rounded-xl"
+                >
+                  <ListChecks className="h-4 w-4" />
                 </Button>
+                <Button
+                  type="button"
+                  variant="outline"
+                  onClick={() => {
+                    if (!summaryTarget) return
+                    handleSummarize(summaryTarget, "brief", input.trim() || undefined)
+                    setInput("")
+                  }}
+                  disabled={isLoading || !summaryTarget}
+                  title={summaryTarget
+                    ? "Summarize the selected document (the text box sets an optional chapter heading)"
+                    : "Select one document to summarize"}
+                  className="px-4 py-3 h-auto rounded-xl"
+                >
+                  <ScrollText className="h-4 w-4" />
+                </Button>
+                {isLoading ? (
+                  <Button
+                    type="button"
+                    onClick={handleCancel}
+                    title="Stop generating"
+                    className="bg-primary text-primary-foreground hover:bg-primary/90 px-4 py-3 h-auto rounded-xl shadow-lg shadow-primary/25 transition-all hover:shadow-xl hover:shadow-primary/30"
+                  >
+                    <Square className="h-4 w-4" />
+                  </Button>
+                ) : (
+                  <Button
+                    type="submit"
+                    disabled={!input.trim() || uploadedDocuments.length === 0}
+                    className="bg-primary text-primary-foreground hover:bg-primary/90 px-4 py-3 h-auto rounded-xl shadow-lg shadow-primary/25 transition-all hover:shadow-xl hover:shadow-primary/30"
+                  >
+                    <Send className="h-4 w-4" />
+                  </Button>
+                )}
               </div>
             </form>
 
             {/* Status bar */}
             {uploadedDocuments.length > 0 && (
-              <div className="mt-3 flex items-center gap-2 text-xs text-muted-foreground">
-                <CheckCircle2 className="h-3 w-3 text-green-500" />
-                <span>
-                  {uploadedDocuments.length} document{uploadedDocuments.length !== 1 ? "s" : ""} loaded •{" "}
-                  {uploadedDocuments.reduce((sum, d) => sum + d.chunkCount, 0)} total chunks indexed
-                </span>
+              <div className="mt-3 space-y-2">
+                <div className="flex items-center gap-2 text-xs text-muted-foreground">
+                  <CheckCircle2 className="h-3 w-3 text-green-500" />
+                  <span>
+                    {uploadedDocuments.length} document{uploadedDocuments.length !== 1 ? "s" : ""} loaded •{" "}
+                    {uploadedDocuments.reduce((sum, d) => sum + d.chunkCount, 0)} total chunks indexed •{" "}
+                    {selectedDocumentIds.length === 0
+                      ? "searching all documents"
+                      : `searching ${selectedDocumentIds.length} selected`}
+                  </span>
+                  {selectedDocumentIds.length > 0 && (
+                    <button
+                      type="button"
+                      onClick={() => setSelectedDocumentIds([])}
+                      className="text-primary hover:underline"
+                    >
+                      Clear
+                    </button>
+                  )}
+                  {sessionId && (
+                    <button
+                      type="button"
+                      onClick={handleNewChat}
+                      className="ml-auto text-primary hover:underline"
+                    >
+                      New chat
+                    </button>
+                  )}
+                </div>
+
+                <DeckShelf
+                  decks={flashcards.savedDecks}
+                  dueCount={reviews.dueCount}
+                  onOpenDeck={handleOpenDeck}
+                  onOpenDue={handleOpenDueReviews}
+                />
+
+                <QuizShelf quizzes={quizzes.savedQuizzes} onOpenQuiz={handleOpenQuiz} />
+
+                {/* Document scope */}
+                <div className="flex flex-wrap gap-2">
+                  {uploadedDocuments.map((doc) => (
+                    <label
+                      key={doc.id}
+                      className="inline-flex items-center gap-1.5 cursor-pointer rounded-lg border border-border/50 bg-card px-2 py-1 text-xs text-muted-foreground hover:bg-accent transition-colors"
+                    >
+                      <Checkbox
+                        checked={selectedDocumentIds.includes(doc.id)}
+                        onCheckedChange={() => toggleDocumentScope(doc.id)}
+                      />
+                      <FileText className="h-3 w-3" />
+                      <span className="max-w-[12rem] truncate">{doc.name}</span>
+                    </label>
+                  ))}
+                </div>
               </div>
             )}
           </div>
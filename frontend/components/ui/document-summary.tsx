@@ -0,0 +1,149 @@
+import React from 'react';
+import { Download, Loader2 } from 'lucide-react';
+import { readEventStream } from '@/lib/event-stream';
+import type { GenerationMetrics } from '@/components/ui/use-flashcards';
+
+// Summary styles offered by POST /documents/:id/summary
+export type SummaryStyle = 'brief' | 'detailed' | 'outline';
+
+export const SUMMARY_STYLE_LABELS: Record<SummaryStyle, string> = {
+    brief: 'Brief',
+    detailed: 'Detailed',
+    outline: 'Outline',
+};
+
+// Summary shown in the conversation; the message content holds its text
+export interface DocumentSummary {
+    documentId: string;
+    documentTitle: string;
+    style: SummaryStyle;
+    // Set when only one chapter or section is summarized
+    heading?: string;
+    // Map progress while a long document is condensed
+    progress?: { completed: number; total: number };
+}
+
+interface SummaryStreamHandlers {
+    onProgress: (progress: { completed: number; total: number }) => void;
+    onToken: (content: string) => void;
+    onDone: (metrics?: GenerationMetrics) => void;
+}
+
+/**
+ * Stream a summary of a document, or of one section when heading is set
+ */
+export async function streamSummary(
+    apiBaseUrl: string,
+    { documentId, style, heading }: Pick<DocumentSummary, 'documentId' | 'style' | 'heading'>,
+    signal: AbortSignal,
+    handlers: SummaryStreamHandlers,
+) {
+    const response = await fetch(`${apiBaseUrl}/documents/${documentId}/summary/stream`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ style, ...(heading && { heading }) }),
+        signal,
+    });
+
+    // Validation errors come back as regular JSON
+    if (!response.ok) {
+        const result = await response.json();
+        throw new Error(result.error?.message || 'Summary failed');
+    }
+
+    await readEventStream(response, (event, data) => {
+        const payload = data as {
+            completed?: number;
+            total?: number;
+            content?: string;
+            metrics?: GenerationMetrics;
+            message?: string;
+        };
+
+        if (event === 'progress') {
+            handlers.onProgress({ completed: payload.completed ?? 0, total: payload.total ?? 0 });
+        } else if (event === 'token') {
+            handlers.onToken(payload.content ?? '');
+        } else if (event === 'done') {
+            handlers.onDone(payload.metrics);
+        } else if (event === 'error') {
+            throw new Error(payload.message || 'Summary failed');
+        }
+    });
+}
+
+/**
+ * Download a finished summary as Markdown (the backend returns the stored copy)
+ */
+export async function downloadSummary(apiBaseUrl: string, summary: DocumentSummary) {
+    const response = await fetch(`${apiBaseUrl}/documents/${summary.documentId}/summary?format=markdown`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ style: summary.style, ...(summary.heading && { heading: summary.heading }) }),
+    });
+
+    if (!response.ok) {
+        const result = await response.json();
+        throw new Error(result.error?.message || 'Export failed');
+    }
+
+    const url = URL.createObjectURL(await response.blob());
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${summary.documentTitle.replace(/\.[^.]+$/, '')}-summary.md`;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Shown until the first summary tokens arrive
+ */
+export function SummaryProgress({ summary }: { summary: DocumentSummary }) {
+    return (
+        <p className="flex items-center gap-2 text-xs text-muted-foreground">
+            <Loader2 className="h-3 w-3 animate-spin" />
+            {summary.progress
+                ? `Condensing part ${summary.progress.completed} of ${summary.progress.total}...`
+                : 'Summarizing...'}
+        </p>
+    );
+}
+
+interface SummaryActionsProps {
+    summary: DocumentSummary;
+    disabled?: boolean;
+    // Summarize the same document or section in another style
+    onSummarize: (style: SummaryStyle) => void;
+    onExport: () => void;
+}
+
+/**
+ * Other styles and Markdown export for a finished summary
+ */
+export function SummaryActions({ summary, disabled, onSummarize, onExport }: SummaryActionsProps) {
+    return (
+        <div className="mt-3 flex flex-wrap items-center gap-2 text-xs">
+            {(Object.keys(SUMMARY_STYLE_LABELS) as SummaryStyle[])
+                .filter((style) => style !== summary.style)
+                .map((style) => (
+                    <button
+                        key={style}
+                        type="button"
+                        disabled={disabled}
+                        onClick={() => onSummarize(style)}
+                        className="rounded-lg border border-border/50 bg-card px-2 py-1 text-muted-foreground hover:bg-accent transition-colors disabled:opacity-50"
+                    >
+                        {SUMMARY_STYLE_LABELS[style]}
+                    </button>
+                ))}
+            <button
+                type="button"
+                onClick={onExport}
+                className="ml-auto inline-flex items-center gap-1 rounded-lg border border-border/50 bg-card px-2 py-1 text-muted-foreground hover:bg-accent transition-colors"
+            >
+                <Download className="h-3 w-3" />
+                Markdown
+            </button>
+        </div>
+    );
+}
@@ -1,21 +1,83 @@
 
 import React, { useState } from 'react';
-import { ChevronLeft, ChevronRight, RotateCw } from 'lucide-react';
+import { ChevronLeft, ChevronRight, FileText, RotateCw, CalendarClock, Layers } from 'lucide-react';
 import { Button } from "@/components/ui/button";
 import { MarkdownText } from "@/components/ui/markdown-text";
+import type { FlashcardDeckSummary } from "@/components/ui/use-flashcards";
 
-interface Flashcard {
+// Chunk a flashcard or quiz question was written from (see /study in the RAG backend)
+export interface StudySource {
+    chunkId: string | null;
+    documentId: string | null;
+    documentTitle?: string | null;
+    pageStart?: number | null;
+    pageEnd?: number | null;
+    slideStart?: number | null;
+    slideEnd?: number | null;
+    headingPath?: string[] | null;
+}
+
+// Spaced-repetition schedule of a stored card (SM-2)
+export interface FlashcardReview {
+    dueAt: string | null;
+    intervalDays: number;
+    easeFactor: number;
+    repetitions: number;
+    lapses: number;
+    lastReviewedAt: string | null;
+}
+
+export interface Flashcard {
+    id?: string;
     question: string;
     answer: string;
+    source?: StudySource;
+    review?: FlashcardReview;
 }
 
 interface FlashcardDeckProps {
     cards: Flashcard[];
+    title?: string;
+    // Rate a stored card's recall (0-5); resolves with its new schedule
+    onReview?: (cardId: string, quality: number) => Promise<FlashcardReview>;
+}
+
+// Recall ratings offered after flipping a card, on the SM-2 0-5 scale
+const RATINGS = [
+    { label: 'Again', quality: 1 },
+    { label: 'Hard', quality: 3 },
+    { label: 'Good', quality: 4 },
+    { label: 'Easy', quality: 5 },
+];
+
+/**
+ * Short citation for a card or question, e.g. "lecture4.pdf · p. 12"
+ */
+export function formatStudySource(source: StudySource) {
+    const parts = [source.documentTitle || 'Source'];
+
+    if (source.pageStart) {
+        parts.push(source.pageEnd && source.pageEnd !== source.pageStart
+            ? `pp. ${source.pageStart}–${source.pageEnd}`
+            : `p. ${source.pageStart}`);
+    } else if (source.slideStart) {
+        parts.push(source.slideEnd && source.slideEnd !== source.slideStart
+            ? `slides ${source.slideStart}–${source.slideEnd}`
+            : `slide ${source.slideStart}`);
+    } else if (source.headingPath?.length) {
+        parts.push(source.headingPath.join(' › '));
+    }
+
+    return parts.join(' · ');
 }
 
-export function FlashcardDeck({ cards }: FlashcardDeckProps) {
+export function FlashcardDeck({ cards, title, onReview }: FlashcardDeckProps) {
     const [currentIndex, setCurrentIndex] = useState(0);
     const [isFlipped, setIsFlipped] = useState(false);
+    // New schedules of the cards rated in this session, by card ID
+    const [reviewed, setReviewed] = useState<Record<string, FlashcardReview>>({});
+    const [isRating, setIsRating] = useState(false);
+    const [reviewError, setReviewError] = useState('');
 
     const handleNext = () => {
         setIsFlipped(false);
@@ -31,10 +93,32 @@ export function FlashcardDeck({ cards }: FlashcardDeckProps) {
         }, 150);
     };
 
+    const handleRate = async (quality: number) => {
+        const cardId = currentCard.id;
+        if (!onReview || !cardId || isRating) return;
+
+        setIsRating(true);
+        setReviewError('');
+
+        try {
+            const review = await onReview(cardId, quality);
+            setReviewed((prev) => ({ ...prev, [cardId]: review }));
+            if (cards.length > 1) handleNext();
+        } catch (err: unknown) {
+            setReviewError(err instanceof Error ? err.message : 'Failed to save the review');
+        } finally {
+            setIsRating(false);
+        }
+    };
+
     const currentCard = cards[currentIndex];
+    const currentReview = currentCard.id ? reviewed[currentCard.id] : undefined;
 
     return (
         <div className="w-full max-w-lg mx-auto my-4">
+            {title && (
+                <p className="mb-3 text-sm font-semibold text-foreground text-center">{title}</p>
+            )}
             <div
                 className="relative h-64 w-full cursor-pointer perspective-1000 group"
                 onClick={() => setIsFlipped(!isFlipped)}
@@ -55,10 +139,43 @@ export function FlashcardDeck({ cards }: FlashcardDeckProps) {
                         <div className="text-base text-foreground/90 text-left w-full h-full overflow-y-auto">
                             <MarkdownText content={currentCard.answer} />
                         </div>
+                        {currentCard.source && (
+                            <p className="mt-3 flex w-full items-center gap-1 text-xs text-muted-foreground">
+                                <FileText className="h-3 w-3 flex-shrink-0" />
+                                <span className="truncate">{formatStudySource(currentCard.source)}</span>
+                            </p>
+                        )}
                     </div>
                 </div>
             </div>
 
+            {onReview && currentCard.id && (
+                <div className="mt-4 space-y-2">
+                    {currentReview ? (
+                        <p className="flex items-center justify-center gap-1 text-xs text-muted-foreground">
+                            <CalendarClock className="h-3 w-3" />
+                            Next review in {currentReview.intervalDays} day{currentReview.intervalDays === 1 ? '' : 's'}
+                        </p>
+                    ) : isFlipped && (
+                        <div className="grid grid-cols-4 gap-2">
+                            {RATINGS.map(({ label, quality }) => (
+                                <Button
+                                    key={label}
+                                    variant="outline"
+                                    size="sm"
+                                    onClick={() => handleRate(quality)}
+                                    disabled={isRating}
+                                    className="text-xs"
+                                >
+                                    {label}
+                                </Button>
+                            ))}
+                        </div>
+                    )}
+                    {reviewError && <p className="text-center text-xs text-destructive">{reviewError}</p>}
+                </div>
+            )}
+
             <div className="flex items-center justify-center gap-4 mt-6">
                 <Button
                     variant="outline"
@@ -83,3 +200,47 @@ export function FlashcardDeck({ cards }: FlashcardDeckProps) {
         </div>
     );
 }
+
+interface DeckShelfProps {
+    decks: FlashcardDeckSummary[];
+    // Cards due for spaced-repetition review
+    dueCount: number;
+    onOpenDeck: (deckId: string) => void;
+    onOpenDue: () => void;
+}
+
+/**
+ * Stored decks to reopen, and the cards due for review
+ */
+export function DeckShelf({ decks, dueCount, onOpenDeck, onOpenDue }: DeckShelfProps) {
+    if (decks.length === 0 && dueCount === 0) return null;
+
+    return (
+        <div className="flex flex-wrap items-center gap-2 text-xs text-muted-foreground">
+            <Layers className="h-3 w-3" />
+            <span>Flashcards:</span>
+            {dueCount > 0 && (
+                <button
+                    type="button"
+                    onClick={onOpenDue}
+                    className="inline-flex items-center gap-1 rounded-lg border border-primary/40 bg-primary/10 px-2 py-1 text-primary hover:bg-primary/20 transition-colors"
+                    title="Review the cards that are due (spaced repetition)"
+                >
+                    <CalendarClock className="h-3 w-3" />
+                    {dueCount} due
+                </button>
+            )}
+            {decks.map((deck) => (
+                <button
+                    key={deck.id}
+                    type="button"
+                    onClick={() => onOpenDeck(deck.id)}
+                    className="max-w-[12rem] truncate rounded-lg border border-border/50 bg-card px-2 py-1 hover:bg-accent transition-colors"
+                    title={`${deck.cardCount} cards`}
+                >
+                    {deck.title}
+                </button>
+            ))}
+        </div>
+    );
+}
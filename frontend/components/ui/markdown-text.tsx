@@ -4,17 +4,60 @@ import React from 'react';
 interface MarkdownTextProps {
     content: string;
     className?: string;
+    // Renders source markers like [1] or [2, 3]; without it they stay plain text
+    renderCitation?: (marker: number, key: string) => React.ReactNode;
 }
 
-export function MarkdownText({ content, className = "" }: MarkdownTextProps) {
+// Source markers in RAG answers: [1], [2, 3] or [Chunk 4]
+const CITATION_PATTERN = /(\[(?:Chunk\s*)?\d+(?:\s*,\s*\d+)*\])/gi;
+// Inline code (`arr[5]`) and code fences (``` or ~~~) never hold citations
+const CODE_SPAN_PATTERN = /(`+[^`]*?`+)/g;
+const FENCE_PATTERN = /^(`{3,}|~{3,})/;
+
+/**
+ * Flags the lines that belong to fenced code blocks (fence lines included)
+ */
+function findCodeLines(lines: string[]): boolean[] {
+    let fence: string | null = null;
+
+    return lines.map((line) => {
+        const match = line.trim().match(FENCE_PATTERN);
+
+        if (fence) {
+            if (match && match[1][0] === fence[0] && match[1].length >= fence.length) {
+                fence = null;
+            }
+            return true;
+        }
+
+        if (match) {
+            fence = match[1];
+            return true;
+        }
+
+        return false;
+    });
+}
+
+export function MarkdownText({ content, className = "", renderCitation }: MarkdownTextProps) {
     // Split by newlines to handle block-level elements
     const lines = content.split('\n');
+    const codeLines = findCodeLines(lines);
 
     return (
         <div className={`space-y-1 ${className}`}>
             {lines.map((line, i) => {
                 const trimmed = line.trim();
 
+                // Code is shown as written
+                if (codeLines[i]) {
+                    return (
+                        <pre key={i} className="font-mono text-xs whitespace-pre-wrap">
+                            {line}
+                        </pre>
+                    );
+                }
+
                 // Allow empty lines to render as spacing
                 if (trimmed === '') {
                     return <div key={i} className="h-2" />;
@@ -24,7 +67,7 @@ export function MarkdownText({ content, className = "" }: MarkdownTextProps) {
                 if (trimmed.startsWith('### ')) {
                     return (
                         <h3 key={i} className="font-semibold text-base mt-2 mb-1">
-                            {parseInline(trimmed.substring(4))}
+                            {parseInline(trimmed.substring(4), renderCitation)}
                         </h3>
                     );
                 }
@@ -34,7 +77,7 @@ export function MarkdownText({ content, className = "" }: MarkdownTextProps) {
                     return (
                         <div key={i} className="flex gap-2 pl-2">
                             <span className="opacity-70 mt-1.5 w-1.5 h-1.5 rounded-full bg-current flex-shrink-0" />
-                            <span className="leading-relaxed">{parseInline(trimmed.substring(2))}</span>
+                            <span className="leading-relaxed">{parseInline(trimmed.substring(2), renderCitation)}</span>
                         </div>
                     );
                 }
@@ -42,7 +85,7 @@ export function MarkdownText({ content, className = "" }: MarkdownTextProps) {
                 // Default Paragraph
                 return (
                     <p key={i} className="leading-relaxed">
-                        {parseInline(line)}
+                        {parseInline(line, renderCitation)}
                     </p>
                 );
             })}
@@ -53,7 +96,7 @@ export function MarkdownText({ content, className = "" }: MarkdownTextProps) {
 /**
  * Parses inline formatting like **bold** and *italic*
  */
-function parseInline(text: string): React.ReactNode[] {
+function parseInline(text: string, renderCitation?: MarkdownTextProps['renderCitation']): React.ReactNode[] {
     // Split by bold syntax (**text**)
     const parts = text.split(/(\*\*.*?\*\*)/g);
 
@@ -66,6 +109,28 @@ function parseInline(text: string): React.ReactNode[] {
             );
         }
         // Could add italic handling here if needed
-        return part;
+        return renderCitation ? parseCitations(part, renderCitation, `${index}`) : part;
+    });
+}
+
+/**
+ * Replaces source markers with rendered citations, one per number
+ * Markers inside inline code are left as text.
+ */
+function parseCitations(
+    text: string,
+    renderCitation: NonNullable<MarkdownTextProps['renderCitation']>,
+    keyPrefix: string,
+): React.ReactNode[] {
+    return text.split(CODE_SPAN_PATTERN).flatMap((segment, segmentIndex) => {
+        if (segmentIndex % 2 === 1) return [segment];
+
+        return segment.split(CITATION_PATTERN).flatMap((part, index) => {
+            if (index % 2 === 0) return part ? [part] : [];
+
+            return (part.match(/\d+/g) || []).map((marker) =>
+                renderCitation(Number(marker), `${keyPrefix}-${segmentIndex}-${index}-${marker}`),
+            );
+        });
     });
 }
@@ -1,83 +1,267 @@
-
 import React, { useState } from 'react';
-import { Eye, EyeOff, CheckCircle2 } from 'lucide-react';
+import { CheckCircle2, XCircle, FileText, Loader2, RotateCcw, ListChecks } from 'lucide-react';
 import { Button } from "@/components/ui/button";
+import { Textarea } from "@/components/ui/textarea";
+import { formatStudySource, type StudySource } from "@/components/ui/flashcard-deck";
+import type { QuizSummary } from "@/components/ui/use-quizzes";
+
+export type QuestionType = 'multiple_choice' | 'true_false' | 'short_answer';
+
+// Option index (multiple choice), true/false, or text (short answer)
+export type QuizResponse = number | boolean | string;
 
-interface QuizItem {
+export interface QuizQuestion {
+    id: string;
+    type: QuestionType;
     question: string;
-    answer: string;
+    options: string[] | null;
+    source?: StudySource;
+}
+
+export interface QuizData {
+    id: string;
+    title: string;
+    questions: QuizQuestion[];
+}
+
+export interface QuizAnswerResult {
+    questionId: string;
+    response: QuizResponse | null;
+    score: number;
+    maxScore: number;
+    correct: boolean;
+    feedback: string | null;
+    correctAnswer: number | boolean | { answer: string; rubric: string[] };
+    explanation: string | null;
+}
+
+// Graded attempt from POST /study/quizzes/:id/attempts
+export interface QuizAttemptResult {
+    id: string;
+    score: number;
+    maxScore: number;
+    percent: number;
+    answers: QuizAnswerResult[];
 }
 
 interface QuizProps {
-    questions: QuizItem[];
+    quiz: QuizData;
+    onSubmit: (quizId: string, answers: { questionId: string; response: QuizResponse }[]) => Promise<QuizAttemptResult>;
 }
 
-export function Quiz({ questions }: QuizProps) {
-    const [revealed, setRevealed] = useState<boolean[]>(new Array(questions.length).fill(false));
+const TYPE_LABELS: Record<QuestionType, string> = {
+    multiple_choice: 'Multiple choice',
+    true_false: 'True or false',
+    short_answer: 'Short answer',
+};
 
-    const toggleReveal = (index: number) => {
-        const newRevealed = [...revealed];
-        newRevealed[index] = !newRevealed[index];
-        setRevealed(newRevealed);
+export function Quiz({ quiz, onSubmit }: QuizProps) {
+    const [responses, setResponses] = useState<Record<string, QuizResponse>>({});
+    const [result, setResult] = useState<QuizAttemptResult | null>(null);
+    const [isSubmitting, setIsSubmitting] = useState(false);
+    const [error, setError] = useState('');
+
+    const { questions } = quiz;
+    const answeredCount = questions.filter((question) => {
+        const response = responses[question.id];
+        return typeof response === 'string' ? response.trim().length > 0 : response !== undefined;
+    }).length;
+
+    const setResponse = (questionId: string, response: QuizResponse) => {
+        if (result) return;
+        setResponses((prev) => ({ ...prev, [questionId]: response }));
+    };
+
+    const handleSubmit = async () => {
+        setIsSubmitting(true);
+        setError('');
+
+        try {
+            const answers = Object.entries(responses).map(([questionId, response]) => ({ questionId, response }));
+            setResult(await onSubmit(quiz.id, answers));
+        } catch (err: unknown) {
+            setError(err instanceof Error ? err.message : 'Grading failed');
+        } finally {
+            setIsSubmitting(false);
+        }
     };
 
-    const allRevealed = revealed.every(Boolean);
+    const handleRetry = () => {
+        setResponses({});
+        setResult(null);
+        setError('');
+    };
+
+    // Highlight the chosen option, and after grading the correct one
+    const optionClass = (question: QuizQuestion, value: number | boolean, graded?: QuizAnswerResult) => {
+        const selected = responses[question.id] === value;
+
+        if (graded) {
+            if (graded.correctAnswer === value) return 'border-green-500/60 bg-green-500/10 text-foreground';
+            if (selected) return 'border-destructive/60 bg-destructive/10 text-foreground';
+            return 'border-border/50 text-muted-foreground';
+        }
+        return selected
+            ? 'border-primary bg-primary/10 text-foreground'
+            : 'border-border/50 hover:bg-accent text-foreground';
+    };
 
     return (
         <div className="space-y-6 my-4 w-full">
             <div className="flex items-center justify-between">
-                <h3 className="text-lg font-semibold text-primary">Knowledge Check</h3>
+                <h3 className="text-lg font-semibold text-primary">{quiz.title}</h3>
                 <span className="text-xs text-muted-foreground bg-secondary px-2 py-1 rounded-md">
                     {questions.length} Questions
                 </span>
             </div>
 
             <div className="space-y-4">
-                {questions.map((item, index) => (
-                    <div key={index} className="rounded-xl border border-border/50 bg-card overflow-hidden transition-all hover:border-primary/20">
-                        <div className="p-4 bg-muted/20 border-b border-border/50">
-                            <h4 className="font-medium text-sm text-foreground mb-1">Question {index + 1}</h4>
-                            <p className="text-sm leading-relaxed">{item.question}</p>
-                        </div>
+                {questions.map((question, index) => {
+                    const graded = result?.answers.find((answer) => answer.questionId === question.id);
+
+                    return (
+                        <div key={question.id} className="rounded-xl border border-border/50 bg-card overflow-hidden transition-all hover:border-primary/20">
+                            <div className="p-4 bg-muted/20 border-b border-border/50">
+                                <h4 className="font-medium text-sm text-foreground mb-1">
+                                    Question {index + 1}
+                                    <span className="ml-2 text-xs font-normal text-muted-foreground">{TYPE_LABELS[question.type]}</span>
+                                </h4>
+                                <p className="text-sm leading-relaxed">{question.question}</p>
+                            </div>
 
-                        <div className="p-4 bg-card/50">
-                            {revealed[index] ? (
-                                <div className="space-y-3 animate-in fade-in slide-in-from-top-2 duration-300">
-                                    <div className="flex items-start gap-2">
-                                        <CheckCircle2 className="h-4 w-4 text-green-500 mt-0.5 flex-shrink-0" />
-                                        <p className="text-sm text-foreground/90">{item.answer}</p>
+                            <div className="p-4 bg-card/50 space-y-3">
+                                {question.type === 'multiple_choice' && question.options && (
+                                    <div className="space-y-2">
+                                        {question.options.map((option, optionIndex) => (
+                                            <button
+                                                key={optionIndex}
+                                                type="button"
+                                                disabled={Boolean(result)}
+                                                onClick={() => setResponse(question.id, optionIndex)}
+                                                className={`w-full rounded-lg border px-3 py-2 text-left text-sm transition-colors ${optionClass(question, optionIndex, graded)}`}
+                                            >
+                                                <span className="mr-2 font-medium text-muted-foreground">{String.fromCharCode(65 + optionIndex)}.</span>
+                                                {option}
+                                            </button>
+                                        ))}
                                     </div>
-                                    <Button
-                                        variant="ghost"
-                                        size="sm"
-                                        onClick={() => toggleReveal(index)}
-                                        className="h-7 text-xs text-muted-foreground hover:text-foreground"
-                                    >
-                                        <EyeOff className="w-3 h-3 mr-1.5" />
-                                        Hide Answer
-                                    </Button>
-                                </div>
-                            ) : (
-                                <Button
-                                    variant="secondary"
-                                    size="sm"
-                                    onClick={() => toggleReveal(index)}
-                                    className="w-full h-9 bg-secondary/50 hover:bg-secondary text-secondary-foreground"
-                                >
-                                    <Eye className="w-4 h-4 mr-2" />
-                                    Reveal Answer
-                                </Button>
-                            )}
+                                )}
+
+                                {question.type === 'true_false' && (
+                                    <div className="grid grid-cols-2 gap-2">
+                                        {[true, false].map((value) => (
+                                            <button
+                                                key={String(value)}
+                                                type="button"
+                                                disabled={Boolean(result)}
+                                                onClick={() => setResponse(question.id, value)}
+                                                className={`rounded-lg border px-3 py-2 text-sm font-medium transition-colors ${optionClass(question, value, graded)}`}
+                                            >
+                                                {value ? 'True' : 'False'}
+                                            </button>
+                                        ))}
+                                    </div>
+                                )}
+
+                                {question.type === 'short_answer' && (
+                                    <Textarea
+                                        value={typeof responses[question.id] === 'string' ? (responses[question.id] as string) : ''}
+                                        onChange={(e) => setResponse(question.id, e.target.value)}
+                                        disabled={Boolean(result)}
+                                        maxLength={1000}
+                                        placeholder="Type your answer..."
+                                        className="text-sm"
+                                    />
+                                )}
+
+                                {graded && (
+                                    <div className="space-y-2 animate-in fade-in slide-in-from-top-2 duration-300">
+                                        <div className="flex items-start gap-2">
+                                            {graded.correct ? (
+                                                <CheckCircle2 className="h-4 w-4 text-green-500 mt-0.5 flex-shrink-0" />
+                                            ) : (
+                                                <XCircle className="h-4 w-4 text-destructive mt-0.5 flex-shrink-0" />
+                                            )}
+                                            <div className="text-sm text-foreground/90 space-y-1">
+                                                <p className="font-medium">
+                                                    {graded.score} / {graded.maxScore}
+                                                    {graded.feedback && <span className="ml-2 font-normal">{graded.feedback}</span>}
+                                                </p>
+                                                {typeof graded.correctAnswer === 'object' && (
+                                                    <p className="text-muted-foreground">Model answer: {graded.correctAnswer.answer}</p>
+                                                )}
+                                                {graded.explanation && (
+                                                    <p className="text-muted-foreground">{graded.explanation}</p>
+                                                )}
+                                            </div>
+                                        </div>
+                                        {question.source && (
+                                            <p className="flex items-center gap-1 text-xs text-muted-foreground">
+                                                <FileText className="h-3 w-3 flex-shrink-0" />
+                                                <span className="truncate">{formatStudySource(question.source)}</span>
+                                            </p>
+                                        )}
+                                    </div>
+                                )}
+                            </div>
                         </div>
-                    </div>
-                ))}
+                    );
+                })}
             </div>
 
-            {allRevealed && (
-                <div className="text-center p-4 bg-green-500/10 rounded-lg border border-green-500/20 animate-in zoom-in-95 duration-300">
-                    <p className="text-sm text-green-600 font-medium">Great job! You've reviewed all questions.</p>
+            {error && <p className="text-sm text-destructive">{error}</p>}
+
+            {result ? (
+                <div className="flex items-center justify-between p-4 bg-green-500/10 rounded-lg border border-green-500/20 animate-in zoom-in-95 duration-300">
+                    <p className="text-sm text-green-600 font-medium">
+                        You scored {result.score} / {result.maxScore} ({result.percent}%)
+                    </p>
+                    <Button variant="ghost" size="sm" onClick={handleRetry} className="h-8 text-xs">
+                        <RotateCcw className="w-3 h-3 mr-1.5" />
+                        Try again
+                    </Button>
+                </div>
+            ) : (
+                <div className="flex items-center justify-between">
+                    <span className="text-xs text-muted-foreground">
+                        {answeredCount} of {questions.length} answered
+                    </span>
+                    <Button onClick={handleSubmit} disabled={isSubmitting || answeredCount === 0} size="sm">
+                        {isSubmitting && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+                        Submit answers
+                    </Button>
                 </div>
             )}
         </div>
     );
 }
+
+interface QuizShelfProps {
+    quizzes: QuizSummary[];
+    onOpenQuiz: (quizId: string) => void;
+}
+
+/**
+ * Stored quizzes to reopen
+ */
+export function QuizShelf({ quizzes, onOpenQuiz }: QuizShelfProps) {
+    if (quizzes.length === 0) return null;
+
+    return (
+        <div className="flex flex-wrap items-center gap-2 text-xs text-muted-foreground">
+            <ListChecks className="h-3 w-3" />
+            <span>Quizzes:</span>
+            {quizzes.map((quiz) => (
+                <button
+                    key={quiz.id}
+                    type="button"
+                    onClick={() => onOpenQuiz(quiz.id)}
+                    className="max-w-[12rem] truncate rounded-lg border border-border/50 bg-card px-2 py-1 hover:bg-accent transition-colors"
+                    title={`${quiz.questionCount} questions`}
+                >
+                    {quiz.title}
+                </button>
+            ))}
+        </div>
+    );
+}
@@ -0,0 +1,91 @@
+import { useEffect, useState } from 'react';
+import type { Flashcard } from '@/components/ui/flashcard-deck';
+
+// Stored flashcard deck (see POST /study/flashcards)
+export interface FlashcardDeckSummary {
+    id: string;
+    title: string;
+    cardCount: number;
+    createdAt: string;
+}
+
+export interface FlashcardDeckData extends FlashcardDeckSummary {
+    cards: Flashcard[];
+}
+
+// What study material is made from: the documents, and an optional topic to focus on
+export interface StudyScope {
+    documentIds: string[];
+    topic?: string;
+}
+
+// Timing and token usage the backend reports with generated material
+export interface GenerationMetrics {
+    totalTimeMs: number;
+    tokenUsage?: {
+        promptTokens: number;
+        completionTokens: number;
+    };
+}
+
+// How many recent decks are offered for reopening
+const SAVED_DECK_LIMIT = 10;
+
+/**
+ * Flashcard decks on the RAG backend: the recently generated ones, and
+ * requests that generate a deck or load a stored one
+ */
+export function useFlashcards(apiBaseUrl: string) {
+    // Newest first
+    const [savedDecks, setSavedDecks] = useState<FlashcardDeckSummary[]>([]);
+
+    useEffect(() => {
+        const loadDecks = async () => {
+            try {
+                const response = await fetch(`${apiBaseUrl}/study/flashcards?limit=${SAVED_DECK_LIMIT}`);
+                const result = await response.json();
+                if (!response.ok || !result.success) return;
+
+                setSavedDecks(result.data.decks);
+            } catch {
+                // Backend offline - nothing to reopen
+            }
+        };
+
+        loadDecks();
+    }, [apiBaseUrl]);
+
+    const generateDeck = async (
+        { documentIds, topic }: StudyScope,
+        signal: AbortSignal,
+    ): Promise<{ deck: FlashcardDeckData; metrics?: GenerationMetrics }> => {
+        const response = await fetch(`${apiBaseUrl}/study/flashcards`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ documentIds, ...(topic && { topic }) }),
+            signal,
+        });
+        const result = await response.json();
+
+        if (!response.ok || !result.success) {
+            throw new Error(result.error?.message || 'Failed to generate flashcards');
+        }
+
+        const deck: FlashcardDeckData = result.data;
+        setSavedDecks((prev) => [deck, ...prev.filter((saved) => saved.id !== deck.id)].slice(0, SAVED_DECK_LIMIT));
+        return { deck, metrics: result.metrics };
+    };
+
+    const loadDeck = async (deckId: string): Promise<FlashcardDeckData> => {
+        const response = await fetch(`${apiBaseUrl}/study/flashcards/${deckId}`);
+        const result = await response.json();
+
+        if (!response.ok || !result.success) {
+            throw new Error(result.error?.message || 'Failed to load flashcards');
+        }
+
+        return result.data;
+    };
+
+    return { savedDecks, generateDeck, loadDeck };
+}
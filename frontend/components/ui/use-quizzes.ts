@@ -0,0 +1,92 @@
+import { useEffect, useState } from 'react';
+import type { QuizData, QuizResponse, QuizAttemptResult } from '@/components/ui/quiz';
+import type { GenerationMetrics, StudyScope } from '@/components/ui/use-flashcards';
+
+// Stored quiz (see POST /study/quizzes); questions come without their answers
+export interface QuizSummary {
+    id: string;
+    title: string;
+    questionCount: number;
+    createdAt: string;
+}
+
+// How many recent quizzes are offered for reopening
+const SAVED_QUIZ_LIMIT = 10;
+
+/**
+ * Quizzes on the RAG backend: the recently generated ones, and requests that
+ * generate a quiz, load a stored one or grade an attempt
+ */
+export function useQuizzes(apiBaseUrl: string) {
+    // Newest first
+    const [savedQuizzes, setSavedQuizzes] = useState<QuizSummary[]>([]);
+
+    useEffect(() => {
+        const loadQuizzes = async () => {
+            try {
+                const response = await fetch(`${apiBaseUrl}/study/quizzes?limit=${SAVED_QUIZ_LIMIT}`);
+                const result = await response.json();
+                if (!response.ok || !result.success) return;
+
+                setSavedQuizzes(result.data.quizzes);
+            } catch {
+                // Backend offline - nothing to reopen
+            }
+        };
+
+        loadQuizzes();
+    }, [apiBaseUrl]);
+
+    const generateQuiz = async (
+        { documentIds, topic }: StudyScope,
+        signal: AbortSignal,
+    ): Promise<{ quiz: QuizData; metrics?: GenerationMetrics }> => {
+        const response = await fetch(`${apiBaseUrl}/study/quizzes`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ documentIds, ...(topic && { topic }) }),
+            signal,
+        });
+        const result = await response.json();
+
+        if (!response.ok || !result.success) {
+            throw new Error(result.error?.message || 'Failed to generate quiz');
+        }
+
+        const quiz: QuizData & QuizSummary = result.data;
+        setSavedQuizzes((prev) => [quiz, ...prev.filter((saved) => saved.id !== quiz.id)].slice(0, SAVED_QUIZ_LIMIT));
+        return { quiz, metrics: result.metrics };
+    };
+
+    const loadQuiz = async (quizId: string): Promise<QuizData> => {
+        const response = await fetch(`${apiBaseUrl}/study/quizzes/${quizId}`);
+        const result = await response.json();
+
+        if (!response.ok || !result.success) {
+            throw new Error(result.error?.message || 'Failed to load quiz');
+        }
+
+        return result.data;
+    };
+
+    // Grade an attempt on the server; the Quiz component shows the result
+    const submitAttempt = async (
+        quizId: string,
+        answers: { questionId: string; response: QuizResponse }[],
+    ): Promise<QuizAttemptResult> => {
+        const response = await fetch(`${apiBaseUrl}/study/quizzes/${quizId}/attempts`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ answers }),
+        });
+        const result = await response.json();
+
+        if (!response.ok || !result.success) {
+            throw new Error(result.error?.message || 'Failed to grade quiz');
+        }
+
+        return result.data;
+    };
+
+    return { savedQuizzes, generateQuiz, loadQuiz, submitAttempt };
+}
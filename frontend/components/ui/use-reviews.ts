@@ -0,0 +1,71 @@
+import { useCallback, useEffect, useState } from 'react';
+import type { Flashcard, FlashcardReview } from '@/components/ui/flashcard-deck';
+import type { FlashcardDeckData } from '@/components/ui/use-flashcards';
+
+// Most due cards opened in one review session
+const REVIEW_SESSION_LIMIT = 50;
+
+/**
+ * Spaced-repetition reviews on the RAG backend: how many cards are due,
+ * the due cards as one deck, and saving a card's rating (SM-2)
+ */
+export function useReviews(apiBaseUrl: string) {
+    const [dueCount, setDueCount] = useState(0);
+
+    const refreshDueCount = useCallback(async () => {
+        try {
+            const response = await fetch(`${apiBaseUrl}/study/reviews/due?limit=1`);
+            const result = await response.json();
+            if (!response.ok || !result.success) return;
+
+            setDueCount(result.data.pagination.total);
+        } catch {
+            // Backend offline - nothing to review
+        }
+    }, [apiBaseUrl]);
+
+    useEffect(() => {
+        refreshDueCount();
+    }, [refreshDueCount]);
+
+    // Resolves with null when nothing is due
+    const loadDueDeck = async (): Promise<FlashcardDeckData | null> => {
+        const response = await fetch(`${apiBaseUrl}/study/reviews/due?limit=${REVIEW_SESSION_LIMIT}`);
+        const result = await response.json();
+
+        if (!response.ok || !result.success) {
+            throw new Error(result.error?.message || 'Failed to load due reviews');
+        }
+
+        const cards: Flashcard[] = result.data.cards;
+        setDueCount(result.data.pagination.total);
+        if (cards.length === 0) return null;
+
+        return {
+            id: 'due-reviews',
+            title: `Due for review (${result.data.pagination.total})`,
+            cardCount: cards.length,
+            createdAt: result.data.before,
+            cards,
+        };
+    };
+
+    // Rate a card's recall; the backend schedules its next review
+    const reviewCard = async (cardId: string, quality: number): Promise<FlashcardReview> => {
+        const response = await fetch(`${apiBaseUrl}/study/cards/${cardId}/review`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ quality }),
+        });
+        const result = await response.json();
+
+        if (!response.ok || !result.success) {
+            throw new Error(result.error?.message || 'Failed to save the review');
+        }
+
+        refreshDueCount();
+        return result.data.review;
+    };
+
+    return { dueCount, refreshDueCount, loadDueDeck, reviewCard };
+}
@@ -0,0 +1,116 @@
+/**
+ * Embedding Benchmark
+ * Compares embedding throughput and event loop responsiveness for:
+ *
+ * - sequential: one pipeline call per chunk on the main thread (previous behaviour)
+ * - batched:    EMBEDDING_BATCH_SIZE chunks per call on the main thread
+ * - pool:       batched, split across WORKER_POOL_SIZE worker threads
+ *
+ * Event loop delay is what a concurrent /query request would wait for
+ * before it could even be parsed.
+ *
+ * Usage:
+ *   node scripts/benchmark-embeddings.js [--chunks 256] [--chars 500]
+ *   WORKER_POOL_SIZE=4 EMBEDDING_BATCH_SIZE=32 npm run benchmark
+ */
+
+const { monitorEventLoopDelay } = require('perf_hooks');
+const config = require('../src/config');
+const { getEmbeddingPipeline, generateEmbedding, generateEmbeddings } = require('../src/services/embeddings');
+const { runTask, embedTexts, shutdownWorkers } = require('../src/workers');
+
+const WORDS = (
+    'process thread memory page frame table cache kernel scheduler deadlock mutex semaphore ' +
+    'virtual address disk block file inode socket buffer interrupt signal queue priority'
+).split(' ');
+
+function parseArgs() {
+    const args = process.argv.slice(2);
+    const value = (name, fallback) => {
+        const index = args.indexOf(`--${name}`);
+        return index >= 0 ? parseInt(args[index + 1], 10) || fallback : fallback;
+    };
+    return { chunks: value('chunks', 256), chars: value('chars', 500) };
+}
+
+/**
+ * Deterministic lecture-like filler text
+ */
+function makeChunks(count, chars) {
+    const chunks = [];
+    let seed = 42;
+
+    for (let i = 0; i < count; i++) {
+        let text = '';
+        while (text.length < chars) {
+            seed = (seed * 1103515245 + 12345) % 2147483648;
+            text += WORDS[seed % WORDS.length] + (seed % 7 === 0 ? '. ' : ' ');
+        }
+        chunks.push(text.slice(0, chars));
+    }
+
+    return chunks;
+}
+
+async function measure(name, run) {
+    const histogram = monitorEventLoopDelay({ resolution: 10 });
+    histogram.enable();
+    const startTime = Date.now();
+
+    await run();
+
+    const elapsedMs = Date.now() - startTime;
+    histogram.disable();
+
+    return {
+        mode: name,
+        totalMs: elapsedMs,
+        chunksPerSec: null,
+        loopDelayP99Ms: Math.round(histogram.percentile(99) / 1e6),
+        loopDelayMaxMs: Math.round(histogram.max / 1e6)
+    };
+}
+
+async function main() {
+    const { chunks: chunkCount, chars } = parseArgs();
+    const texts = makeChunks(chunkCount, chars);
+    const poolSize = Math.max(config.workers.poolSize, 1);
+
+    console.log(`Embedding ${chunkCount} chunks of ${chars} chars ` +
+        `(batch size ${config.embedding.batchSize}, ${poolSize} worker(s))`);
+
+    // Load the model everywhere first so timings exclude model loading
+    await getEmbeddingPipeline();
+    if (config.workers.poolSize > 0) {
+        await Promise.all(Array.from({ length: poolSize }, () => runTask('embed', { texts: ['warm up'] })));
+    }
+
+    const results = [];
+
+    results.push(await measure('sequential', async () => {
+        for (const text of texts) {
+            await generateEmbedding(text);
+        }
+    }));
+
+    results.push(await measure('batched', () => generateEmbeddings(texts)));
+
+    if (config.workers.poolSize > 0) {
+        results.push(await measure(`pool (${poolSize})`, () => embedTexts(texts)));
+    }
+
+    const baselineMs = results[0].totalMs;
+    for (const result of results) {
+        result.chunksPerSec = Number((chunkCount / (result.totalMs / 1000)).toFixed(1));
+        result.speedup = `${(baselineMs / result.totalMs).toFixed(2)}x`;
+    }
+
+    console.table(results);
+    await shutdownWorkers();
+}
+
+main().catch(async (error) => {
+    console.error('Benchmark failed:', error.message);
+    await shutdownWorkers();
+    process.exit(1);
+});
@@ -0,0 +1,125 @@
+/**
+ * Re-embed the Corpus
+ * Moves every stored chunk to another embedding model.
+ *
+ * 1. Chunks without a vector from the target model are embedded in batches
+ *    (in the worker pool) and staged in the chunk_embeddings table.
+ *    Retrieval keeps using the current vectors meanwhile.
+ * 2. Once nothing is pending, activate_embedding_model swaps the staged
+ *    vectors in for all chunks in one transaction (retyping the column when
+ *    the dimension changes) and records the target as the active model.
+ * 3. Running backends read the active model (EMBEDDING_MODEL_SYNC_MS) and
+ *    embed queries and new documents with it; no restart is needed.
+ *
+ * Needs SUPABASE_SERVICE_ROLE_KEY: staging and switching are closed to the
+ * anon key.
+ *
+ * Resumable: staged vectors are kept, so an interrupted run continues where
+ * it stopped. Documents uploaded during the run are picked up too.
+ *
+ * Usage:
+ *   node scripts/reembed.js --model Xenova/bge-small-en-v1.5 [--batch 64] [--no-switch]
+ *   node scripts/reembed.js --model Xenova/bge-small-en-v1.5 --status
+ */
+
+const config = require('../src/config');
+const { EMBEDDING_MODELS, getEmbeddingSpace } = require('../src/services/embeddings');
+const { embedTexts, shutdownWorkers } = require('../src/workers');
+const {
+    getReembedProgress,
+    getPendingReembedChunks,
+    stageEmbeddings,
+    activateEmbeddingModel
+} = require('../src/db/supabase');
+
+function parseArgs() {
+    const args = process.argv.slice(2);
+    const value = (name) => {
+        const index = args.indexOf(`--${name}`);
+        return index >= 0 ? args[index + 1] : undefined;
+    };
+    return {
+        model: value('model'),
+        batchSize: parseInt(value('batch'), 10) || 64,
+        statusOnly: args.includes('--status'),
+        switchModel: !args.includes('--no-switch')
+    };
+}
+
+function describeProgress({ total, embedded, staged, pending }) {
+    return `${total} chunks: ${embedded} already on the model, ${staged} staged, ${pending} pending`;
+}
+
+async function main() {
+    const { model, batchSize, statusOnly, switchModel } = parseArgs();
+
+    if (!model) {
+        console.error('Usage: node scripts/reembed.js --model <name> [--batch 64] [--no-switch] [--status]');
+        console.error(`Known models: ${Object.keys(EMBEDDING_MODELS).join(', ')}`);
+        process.exit(1);
+    }
+
+    if (config.vectorStore.provider !== 'supabase') {
+        throw new Error('Re-embedding needs the Supabase vector store. Re-ingest documents to change models in the local store.');
+    }
+
+    if (!config.supabase.serviceRoleKey) {
+        throw new Error('Re-embedding needs SUPABASE_SERVICE_ROLE_KEY (the anon key may not stage or switch embeddings).');
+    }
+
+    const { dimensions } = getEmbeddingSpace(model);
+    const progress = await getReembedProgress(model);
+
+    console.log(`Target: ${model} (${dimensions} dimensions)`);
+    console.log(describeProgress(progress));
+
+    if (statusOnly) return;
+
+    const startTime = Date.now();
+    let done = 0;
+
+    for (;;) {
+        const chunks = await getPendingReembedChunks(model, batchSize);
+        if (chunks.length === 0) break;
+
+        const embeddings = await embedTexts(chunks.map(chunk => chunk.content || ''), { model });
+
+        await stageEmbeddings(model, chunks.map((chunk, index) => ({
+            chunkId: chunk.id,
+            embedding: embeddings[index]
+        })));
+
+        done += chunks.length;
+        const rate = done / ((Date.now() - startTime) / 1000);
+        console.log(`Staged ${done}/${progress.pending} chunks (${rate.toFixed(1)} chunks/sec)`);
+    }
+
+    if (!switchModel) {
+        console.log('All chunks staged. Run again without --no-switch to switch retrieval over.');
+        return;
+    }
+
+    try {
+        const switched = await activateEmbeddingModel(model, dimensions);
+        console.log(`Switched ${switched} chunks to ${model}.`);
+    } catch (error) {
+        // Large corpora can exceed the API's statement timeout; the SQL editor has none
+        if (error.code === '57014') {
+            console.error('Switching timed out. Run this in the Supabase SQL editor instead:');
+            console.error(`  select activate_embedding_model('${model}', ${dimensions});`);
+        }
+        throw error;
+    }
+
+    if (model !== config.embedding.model) {
+        console.log(`Running backends switch within ${config.embedding.modelSyncIntervalMs / 1000}s. Set EMBEDDING_MODEL=${model} to match.`);
+    }
+}
+
+main()
+    .then(() => shutdownWorkers())
+    .catch(async (error) => {
+        console.error('Re-embedding failed:', error.message);
+        await shutdownWorkers();
+        process.exit(1);
+    });
@@ -16,10 +16,18 @@ const config = require('./config');
 const logger = require('./utils/logger');
 const latencyTracker = require('./middleware/latencyTracker');
 const { errorHandler, notFoundHandler } = require('./middleware/errorHandler');
+const { getWorkerStats } = require('./workers');
+const { getEmbeddingSpace, startActiveModelSync } = require('./services/embeddings');
+const { getCacheStats } = require('./services/queryCache');
+const llmClient = require('./services/llmClient');
 
 // Import routes
 const ingestRouter = require('./routes/ingest');
 const queryRouter = require('./routes/query');
+const documentsRouter = require('./routes/documents');
+const collectionsRouter = require('./routes/collections');
+const sessionsRouter = require('./routes/sessions');
+const studyRouter = require('./routes/study');
 
 // Initialize Express app
 const app = express();
@@ -32,7 +40,7 @@ const app = express();
 // TODO: Configure allowed origins for production
 app.use(cors({
     origin: '*', // TODO: Restrict in production
-    methods: ['GET', 'POST'],
+    methods: ['GET', 'POST', 'PATCH', 'DELETE'],
     allowedHeaders: ['Content-Type', 'Authorization']
 }));
 
@@ -58,8 +66,47 @@ app.get('/', (req, res) => {
         name: 'RAG Backend API',
         version: '1.0.0',
         endpoints: {
-            ingest: 'POST /ingest - Upload and process a PDF document',
-            query: 'POST /query - Ask a question and get a grounded answer'
+            ingest: {
+                upload: 'POST /ingest - Upload a document (PDF, DOCX, PPTX, HTML, Markdown, text) and queue it for processing',
+                status: 'GET /ingest/jobs/:id - Ingestion job stage, progress and result',
+                events: 'GET /ingest/jobs/:id/events - Ingestion job progress as Server-Sent Events'
+            },
+            query: 'POST /query - Ask a question and get a grounded answer',
+            queryStream: 'POST /query/stream - Same as /query, streamed as Server-Sent Events',
+            documents: {
+                list: 'GET /documents - List documents with chunk counts',
+                get: 'GET /documents/:id - Document details with chunk previews',
+                update: 'PATCH /documents/:id - Rename or retag a document',
+                delete: 'DELETE /documents/:id - Delete a document and its chunks',
+                outline: 'GET /documents/:id/outline - Section tree (chapters and headings) with page spans and chunk counts',
+                summary: 'POST /documents/:id/summary - Brief, detailed or outline summary of a document or a page/slide/heading range (?format=markdown to export)',
+                summaryStream: 'POST /documents/:id/summary/stream - Same, streamed as Server-Sent Events'
+            },
+            collections: {
+                list: 'GET /collections - List collections with document counts',
+                create: 'POST /collections - Create a collection',
+                delete: 'DELETE /collections/:id - Delete a collection (documents are kept)'
+            },
+            sessions: {
+                list: 'GET /sessions - List chat sessions',
+                create: 'POST /sessions - Start a chat session (pass its id as sessionId to /query)',
+                get: 'GET /sessions/:id - Session with all of its messages',
+                delete: 'DELETE /sessions/:id - Delete a session and its messages'
+            },
+            study: {
+                flashcards: 'POST /study/flashcards - Generate a flashcard deck from documents, a collection or a topic',
+                listDecks: 'GET /study/flashcards - List stored flashcard decks',
+                getDeck: 'GET /study/flashcards/:id - Flashcard deck with its cards and their sources',
+                deleteDeck: 'DELETE /study/flashcards/:id - Delete a flashcard deck',
+                reviewCard: 'POST /study/cards/:id/review - Rate a flashcard (0-5) and schedule its next review (SM-2)',
+                dueReviews: 'GET /study/reviews/due - Flashcards due for review',
+                quizzes: 'POST /study/quizzes - Generate a multiple-choice, true/false and short-answer quiz',
+                listQuizzes: 'GET /study/quizzes - List stored quizzes',
+                getQuiz: 'GET /study/quizzes/:id - Quiz questions (answers are revealed when an attempt is graded)',
+                deleteQuiz: 'DELETE /study/quizzes/:id - Delete a quiz and its attempts',
+                submitAttempt: 'POST /study/quizzes/:id/attempts - Grade an attempt (short answers by rubric)',
+                listAttempts: 'GET /study/quizzes/:id/attempts - Past attempts with per-question scores'
+            }
         },
         status: 'running'
     });
@@ -71,13 +118,21 @@ app.get('/health', (req, res) => {
     res.json({
         status: 'healthy',
         timestamp: new Date().toISOString(),
-        uptime: process.uptime()
+        uptime: process.uptime(),
+        workers: getWorkerStats(),
+        embedding: getEmbeddingSpace(),
+        llm: llmClient.describe('answer'),
+        cache: getCacheStats()
     });
 });
 
 // Mount API routes
 app.use('/ingest', ingestRouter);
 app.use('/query', queryRouter);
+app.use('/documents', documentsRouter);
+app.use('/collections', collectionsRouter);
+app.use('/sessions', sessionsRouter);
+app.use('/study', studyRouter);
 
 // =============================================================================
 // Error Handling
@@ -102,10 +157,15 @@ const PORT = config.port;
 //     process.exit(0);
 // });
 
+// Follow the model the corpus was re-embedded with (scripts/reembed.js)
+startActiveModelSync();
+
 app.listen(PORT, () => {
     logger.info(`🚀 RAG Backend server started`, {
         port: PORT,
         environment: process.env.NODE_ENV || 'development',
+        embeddingModel: config.embedding.model,
+        llmProviders: config.llm.providers.map(provider => provider.name),
         timestamp: new Date().toISOString()
     });
 
@@ -113,7 +173,10 @@ app.listen(PORT, () => {
         root: `http://localhost:${PORT}/`,
         health: `http://localhost:${PORT}/health`,
         ingest: `http://localhost:${PORT}/ingest`,
-        query: `http://localhost:${PORT}/query`
+        query: `http://localhost:${PORT}/query`,
+        documents: `http://localhost:${PORT}/documents`,
+        collections: `http://localhost:${PORT}/collections`,
+        sessions: `http://localhost:${PORT}/sessions`
     });
 });
 
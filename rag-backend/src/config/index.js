@@ -8,12 +8,16 @@
 
 require('dotenv').config();
 
+const os = require('os');
+const { readProvidersFromEnv } = require('../../../shared/llm');
+
 // Simple validation for required environment variables
 // TODO: Replace with proper validation library for production
 const requiredEnvVars = [
     'SUPABASE_URL',
     'SUPABASE_ANON_KEY',
-    'GROQ_API_KEY'
+    // Only when Groq is one of the LLM providers
+    ...(/\bgroq\b/i.test(process.env.LLM_PROVIDERS || 'groq') ? ['GROQ_API_KEY'] : [])
 ];
 
 const missingVars = requiredEnvVars.filter(varName => !process.env[varName]);
@@ -32,27 +36,177 @@ const config = {
     // Supabase settings
     supabase: {
         url: process.env.SUPABASE_URL,
-        anonKey: process.env.SUPABASE_ANON_KEY
+        anonKey: process.env.SUPABASE_ANON_KEY,
+        // Only for scripts/reembed.js: staging and switching embeddings is closed to the anon key
+        serviceRoleKey: process.env.SUPABASE_SERVICE_ROLE_KEY,
+        // Chunks per multi-row insert when storing a document
+        insertBatchSize: parseInt(process.env.CHUNK_INSERT_BATCH_SIZE, 10) || 100,
+        // Retries for transient failures (network errors, timeouts, 5xx)
+        maxRetries: process.env.DB_MAX_RETRIES !== undefined
+            ? parseInt(process.env.DB_MAX_RETRIES, 10)
+            : 3,
+        retryBaseDelayMs: parseInt(process.env.DB_RETRY_DELAY_MS, 10) || 500
     },
 
-    // Embedding settings (local - using Transformers.js)
-    // No API needed - runs completely locally
+    // Embedding settings (see services/embeddings.js for known models)
+    // Changing the model needs a re-embed of stored chunks (scripts/reembed.js)
     embedding: {
-        model: 'Xenova/all-MiniLM-L6-v2',  // 384 dimensions
-        dimensions: 384
+        // transformers: local Transformers.js models, no API needed
+        provider: process.env.EMBEDDING_PROVIDER || 'transformers',
+        model: process.env.EMBEDDING_MODEL || 'Xenova/all-MiniLM-L6-v2',  // 384 dimensions
+        // Only needed for models not listed in services/embeddings.js
+        dimensions: parseInt(process.env.EMBEDDING_DIMENSIONS, 10) || null,
+        // Texts sent to the feature-extraction pipeline per call
+        batchSize: parseInt(process.env.EMBEDDING_BATCH_SIZE, 10) || 16,
+        // How often to check which model the corpus was re-embedded with (0 = startup only)
+        modelSyncIntervalMs: process.env.EMBEDDING_MODEL_SYNC_MS !== undefined
+            ? parseInt(process.env.EMBEDDING_MODEL_SYNC_MS, 10)
+            : 60000
+    },
+
+    // Worker threads for CPU-heavy ingestion work (extraction, OCR, embedding)
+    // so the HTTP server stays responsive. 0 runs everything on the main thread.
+    workers: {
+        poolSize: process.env.WORKER_POOL_SIZE !== undefined
+            ? parseInt(process.env.WORKER_POOL_SIZE, 10)
+            : Math.min(4, Math.max(1, os.availableParallelism() - 1))
     },
 
-    // Groq API settings (for LLM only)
-    groq: {
-        apiKey: process.env.GROQ_API_KEY,
-        llmModel: process.env.GROQ_MODEL || 'llama-3.1-8b-instant'
+    // Vector store settings
+    // 'supabase' uses pgvector via the match_documents RPC,
+    // 'local' keeps vectors in process (optionally persisted to a JSON file)
+    vectorStore: {
+        provider: process.env.VECTOR_STORE || 'supabase',
+        localPath: process.env.LOCAL_VECTOR_STORE_PATH || null,
+        // Documents and collections of the local provider (see db/documentStore.js)
+        localDocumentsPath: process.env.LOCAL_DOCUMENT_STORE_PATH || null
+    },
+
+    // Prompt templates (shared/prompts); files in PROMPTS_DIR override the built-in ones
+    prompts: {
+        overrideDir: process.env.PROMPTS_DIR || null
+    },
+
+    // LLM providers in fallback order (see shared/llm for the variables read)
+    // Agents: answer (RAG answers), condense (rewriting follow-up questions),
+    // study (flashcards, quizzes and short-answer grading), summary (document summaries)
+    llm: {
+        providers: readProvidersFromEnv(process.env, {
+            agents: ['answer', 'condense', 'study', 'summary'],
+            defaultModels: { groq: 'llama-3.1-8b-instant' }
+        }),
+        // Per attempt; for streamed answers, the longest wait for the next chunk
+        timeoutMs: parseInt(process.env.LLM_TIMEOUT_MS, 10) || 30000,
+        // Retries per provider for transient failures (timeouts, 429, 5xx)
+        maxRetries: process.env.LLM_MAX_RETRIES !== undefined
+            ? parseInt(process.env.LLM_MAX_RETRIES, 10)
+            : 2,
+        retryBaseDelayMs: parseInt(process.env.LLM_RETRY_DELAY_MS, 10) || 500
     },
 
     // RAG settings
     rag: {
+        // Chunking strategy: fixed | recursive | sentence | token
+        chunkStrategy: process.env.CHUNK_STRATEGY || 'recursive',
         chunkSize: parseInt(process.env.CHUNK_SIZE, 10) || 500,
         chunkOverlap: parseInt(process.env.CHUNK_OVERLAP, 10) || 50,
-        topK: parseInt(process.env.TOP_K_RESULTS, 10) || 5
+        // Token strategy - MiniLM accepts at most 512 tokens per input
+        maxTokens: parseInt(process.env.CHUNK_MAX_TOKENS, 10) || 512,
+        tokenOverlap: parseInt(process.env.CHUNK_TOKEN_OVERLAP, 10) || 32,
+        // Sentence strategy
+        sentencesPerChunk: parseInt(process.env.SENTENCES_PER_CHUNK, 10) || 5,
+        sentenceOverlap: parseInt(process.env.SENTENCE_OVERLAP, 10) || 1,
+        topK: parseInt(process.env.TOP_K_RESULTS, 10) || 5,
+        // Minimum cosine similarity (0-1) for a chunk to be retrieved
+        similarityThreshold: process.env.SIMILARITY_THRESHOLD !== undefined
+            ? parseFloat(process.env.SIMILARITY_THRESHOLD)
+            : 0.2,
+        // Retrieval: vector | keyword | hybrid (reciprocal rank fusion of both)
+        retrievalMode: process.env.RETRIEVAL_MODE || 'hybrid',
+        vectorWeight: process.env.VECTOR_WEIGHT !== undefined
+            ? parseFloat(process.env.VECTOR_WEIGHT)
+            : 1,
+        keywordWeight: process.env.KEYWORD_WEIGHT !== undefined
+            ? parseFloat(process.env.KEYWORD_WEIGHT)
+            : 1,
+        // RRF smoothing constant - higher values flatten the rank contribution
+        rrfK: parseInt(process.env.RRF_K, 10) || 60,
+        // Widen matched chunks to their heading's section (/query 'parentContext' overrides)
+        parentContext: process.env.PARENT_CONTEXT === 'true',
+        // Characters of section text around a matched chunk
+        parentContextChars: parseInt(process.env.PARENT_CONTEXT_CHARS, 10) || 3000
+    },
+
+    // Cross-encoder reranking of retrieved chunks (/query 'rerank' overrides enabled)
+    rerank: {
+        enabled: process.env.RERANK_ENABLED === 'true',
+        model: process.env.RERANK_MODEL || 'Xenova/ms-marco-MiniLM-L-6-v2',
+        // Candidates fetched from the retriever and re-scored; the best topK are kept
+        candidates: parseInt(process.env.RERANK_CANDIDATES, 10) || 20,
+        // Question/chunk pairs per model call
+        batchSize: parseInt(process.env.RERANK_BATCH_SIZE, 10) || 16
+    },
+
+    // In-memory caches for repeated /query questions (see services/queryCache.js)
+    cache: {
+        enabled: process.env.CACHE_ENABLED !== 'false',
+        // Question embeddings, keyed on normalized question text
+        embeddingMaxEntries: parseInt(process.env.CACHE_EMBEDDING_ENTRIES, 10) || 1000,
+        // Answers, keyed on question + retrieved chunks + prompt version
+        answerMaxEntries: parseInt(process.env.CACHE_ANSWER_ENTRIES, 10) || 500,
+        answerTtlMs: parseInt(process.env.CACHE_ANSWER_TTL_MS, 10) || 60 * 60 * 1000
+    },
+
+    // Background ingestion jobs (POST /ingest)
+    ingest: {
+        // Documents processed at the same time - embedding is CPU-bound
+        concurrency: parseInt(process.env.INGEST_CONCURRENCY, 10) || 1,
+        maxAttempts: parseInt(process.env.INGEST_MAX_ATTEMPTS, 10) || 3,
+        // Delay before the first retry, doubled for each further attempt
+        retryBaseDelayMs: parseInt(process.env.INGEST_RETRY_DELAY_MS, 10) || 2000,
+        // How long finished jobs stay available at /ingest/jobs/:id
+        jobTtlMs: parseInt(process.env.INGEST_JOB_TTL_MS, 10) || 60 * 60 * 1000,
+        // Drop chunks repeated within a document (headers, footers) before embedding
+        collapseDuplicateChunks: process.env.COLLAPSE_DUPLICATE_CHUNKS !== 'false'
+    },
+
+    // OCR fallback for scanned/image-only PDF pages (tesseract.js, runs locally)
+    ocr: {
+        enabled: process.env.OCR_ENABLED !== 'false',
+        // Pages with less extracted text than this are rasterized and OCR'd
+        minCharsPerPage: parseInt(process.env.OCR_MIN_CHARS_PER_PAGE, 10) || 100,
+        // Tesseract language; data comes from the @tesseract.js-data/<language> package
+        language: process.env.OCR_LANGUAGE || 'eng',
+        // Directory with <language>.traineddata.gz, overriding the bundled package
+        langPath: process.env.OCR_LANG_PATH || null,
+        // Render scale (1 = 72 DPI); 2-3 gives tesseract enough resolution
+        renderScale: parseFloat(process.env.OCR_RENDER_SCALE) || 2,
+        // Upper bound on OCR'd pages per document, OCR takes seconds per page
+        maxPages: parseInt(process.env.OCR_MAX_PAGES, 10) || 50
+    },
+
+    // Study material generation (POST /study/flashcards, /study/quizzes)
+    study: {
+        // Chunks given to the LLM per deck or quiz
+        contextChunks: parseInt(process.env.STUDY_CONTEXT_CHUNKS, 10) || 12,
+        // LLM calls per deck, quiz or grading, including repairs of invalid JSON
+        maxAttempts: parseInt(process.env.STUDY_MAX_ATTEMPTS, 10) || 3
+    },
+
+    // Document summaries (POST /documents/:id/summary)
+    summary: {
+        // Characters of chunk text (or notes) condensed per map call
+        batchChars: parseInt(process.env.SUMMARY_BATCH_CHARS, 10) || 12000,
+        // Map calls run at the same time
+        concurrency: parseInt(process.env.SUMMARY_CONCURRENCY, 10) || 3
+    },
+
+    // Chat session settings (conversational follow-ups on /query)
+    chat: {
+        // Approximate token budget for prior turns included in the prompt
+        historyTokenBudget: parseInt(process.env.CHAT_HISTORY_TOKENS, 10) || 1500,
+        // Rewrite follow-ups into standalone questions before retrieval
+        condenseFollowUps: process.env.CONDENSE_FOLLOW_UPS !== 'false'
     }
 };
 
@@ -0,0 +1,50 @@
+/**
+ * Document Store
+ * Document and collection records, from the same provider as the vector
+ * store (config.vectorStore.provider), so VECTOR_STORE=local runs without
+ * Supabase.
+ *
+ * Providers:
+ * - supabase: the documents and collections tables (default)
+ * - local:    in-process records (see localDocumentStore.js)
+ *
+ * Every provider implements:
+ * - createDocument(title, { tags, collectionId, format, contentHash, outline })
+ * - getDocument(documentId)
+ * - findDocumentsByHash(contentHash)
+ * - listDocuments({ limit, offset, filters })
+ * - updateDocument(documentId, { title, tags, collectionId })
+ * - deleteDocument(documentId)
+ * - listCollections()
+ * - getCollection(collectionId)
+ * - createCollection(name)
+ * - deleteCollection(collectionId)
+ */
+
+const config = require('../config');
+
+const PROVIDERS = {
+    supabase: () => require('./supabase'),
+    local: () => require('./localDocumentStore')
+};
+
+const provider = config.vectorStore.provider;
+
+if (!PROVIDERS[provider]) {
+    throw new Error(`Unknown vector store provider: ${provider}. Use one of: ${Object.keys(PROVIDERS).join(', ')}`);
+}
+
+const store = PROVIDERS[provider]();
+
+module.exports = {
+    createDocument: store.createDocument,
+    getDocument: store.getDocument,
+    findDocumentsByHash: store.findDocumentsByHash,
+    listDocuments: store.listDocuments,
+    updateDocument: store.updateDocument,
+    deleteDocument: store.deleteDocument,
+    listCollections: store.listCollections,
+    getCollection: store.getCollection,
+    createCollection: store.createCollection,
+    deleteCollection: store.deleteCollection
+};
@@ -0,0 +1,237 @@
+/**
+ * Local Document Store
+ * In-process document and collection records for offline development and
+ * tests, used with the local vector store (VECTOR_STORE=local).
+ *
+ * Records have the same shape as the Supabase tables and are optionally
+ * persisted to a JSON file (LOCAL_DOCUMENT_STORE_PATH). Deleting a
+ * collection unassigns its documents, like ON DELETE SET NULL.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+// { documents: [{ id, title, format, tags, collection_id, content_hash, outline, created_at }],
+//   collections: [{ id, name, created_at }] }
+let store = null;
+
+/**
+ * Load records from disk on first use
+ * @returns {{documents: Array, collections: Array}}
+ */
+function getStore() {
+    if (store) {
+        return store;
+    }
+
+    store = { documents: [], collections: [] };
+    const storePath = config.vectorStore.localDocumentsPath;
+
+    if (storePath && fs.existsSync(storePath)) {
+        try {
+            store = { ...store, ...JSON.parse(fs.readFileSync(storePath, 'utf8')) };
+            logger.info('Loaded local document store', {
+                storePath,
+                documentCount: store.documents.length,
+                collectionCount: store.collections.length
+            });
+        } catch (error) {
+            logger.error('Failed to read local document store, starting empty', {
+                error: error.message,
+                storePath
+            });
+        }
+    }
+
+    return store;
+}
+
+/**
+ * Write records to disk when a store path is configured
+ */
+async function persist() {
+    const storePath = config.vectorStore.localDocumentsPath;
+    if (!storePath) return;
+
+    await fs.promises.mkdir(path.dirname(storePath), { recursive: true });
+    await fs.promises.writeFile(storePath, JSON.stringify(store));
+}
+
+/**
+ * Newest first, like the Supabase queries
+ */
+function byNewest(a, b) {
+    return b.created_at.localeCompare(a.created_at);
+}
+
+/**
+ * Create a new document record
+ * Same options as the Supabase createDocument.
+ * @returns {Promise<Object>} Created document record
+ */
+async function createDocument(title, options = {}) {
+    const document = {
+        id: crypto.randomUUID(),
+        title,
+        format: options.format || 'pdf',
+        tags: options.tags || [],
+        collection_id: options.collectionId || null,
+        content_hash: options.contentHash || null,
+        outline: options.outline || null,
+        created_at: new Date().toISOString()
+    };
+
+    getStore().documents.push(document);
+    await persist();
+
+    return { ...document };
+}
+
+/**
+ * Get a document by ID
+ * @returns {Promise<Object|null>} Document or null if not found
+ */
+async function getDocument(documentId) {
+    const document = getStore().documents.find(item => item.id === documentId);
+    return document ? { ...document } : null;
+}
+
+/**
+ * Find documents uploaded with the same file contents
+ * @returns {Promise<Array>} Matching documents, oldest first
+ */
+async function findDocumentsByHash(contentHash) {
+    return getStore().documents
+        .filter(document => document.content_hash === contentHash)
+        .sort((a, b) => byNewest(b, a))
+        .map(document => ({ ...document }));
+}
+
+/**
+ * List documents, newest first
+ * Same options and result shape as the Supabase listDocuments.
+ * @returns {Promise<{documents: Array, total: number}>}
+ */
+async function listDocuments(options = {}) {
+    const { limit = 20, offset = 0, filters = {} } = options;
+
+    const matching = getStore().documents.filter(document =>
+        (!filters.documentIds || filters.documentIds.includes(document.id)) &&
+        (!filters.collectionId || document.collection_id === filters.collectionId) &&
+        (!filters.tags || filters.tags.some(tag => document.tags.includes(tag)))
+    );
+
+    return {
+        documents: matching
+            .sort(byNewest)
+            .slice(offset, offset + limit)
+            .map(document => ({ ...document })),
+        total: matching.length
+    };
+}
+
+/**
+ * Update a document's title, tags and/or collection
+ * @returns {Promise<Object|null>} Updated document or null if not found
+ */
+async function updateDocument(documentId, updates) {
+    const document = getStore().documents.find(item => item.id === documentId);
+    if (!document) return null;
+
+    if (updates.title !== undefined) document.title = updates.title;
+    if (updates.tags !== undefined) document.tags = updates.tags;
+    if (updates.collectionId !== undefined) document.collection_id = updates.collectionId;
+
+    await persist();
+    return { ...document };
+}
+
+/**
+ * Delete a document record
+ * @returns {Promise<boolean>} Whether a document was deleted
+ */
+async function deleteDocument(documentId) {
+    const { documents } = getStore();
+    const index = documents.findIndex(document => document.id === documentId);
+    if (index < 0) return false;
+
+    documents.splice(index, 1);
+    await persist();
+
+    logger.info('Document deleted', { documentId });
+    return true;
+}
+
+/**
+ * List collections with document counts
+ * @returns {Promise<Array>} Collections, alphabetical
+ */
+async function listCollections() {
+    const { documents, collections } = getStore();
+
+    return collections
+        .map(collection => ({
+            ...collection,
+            document_count: documents.filter(document => document.collection_id === collection.id).length
+        }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Get a collection by ID
+ * @returns {Promise<Object|null>} Collection or null if not found
+ */
+async function getCollection(collectionId) {
+    const collection = getStore().collections.find(item => item.id === collectionId);
+    return collection ? { ...collection } : null;
+}
+
+/**
+ * Create a collection
+ * @returns {Promise<Object>} Created collection
+ */
+async function createCollection(name) {
+    const collection = { id: crypto.randomUUID(), name, created_at: new Date().toISOString() };
+
+    getStore().collections.push(collection);
+    await persist();
+
+    logger.info('Collection created', { collectionId: collection.id, name });
+    return { ...collection };
+}
+
+/**
+ * Delete a collection, unassigning its documents
+ * @returns {Promise<boolean>} Whether a collection was deleted
+ */
+async function deleteCollection(collectionId) {
+    const { documents, collections } = getStore();
+    const index = collections.findIndex(collection => collection.id === collectionId);
+    if (index < 0) return false;
+
+    collections.splice(index, 1);
+    for (const document of documents) {
+        if (document.collection_id === collectionId) {
+            document.collection_id = null;
+        }
+    }
+
+    await persist();
+    return true;
+}
+
+module.exports = {
+    createDocument,
+    getDocument,
+    findDocumentsByHash,
+    listDocuments,
+    updateDocument,
+    deleteDocument,
+    listCollections,
+    getCollection,
+    createCollection,
+    deleteCollection
+};
@@ -0,0 +1,350 @@
+/**
+ * Local Vector Store
+ * In-process implementation of the vector store interface for offline development and tests.
+ *
+ * Chunks are kept in memory and optionally persisted to a JSON file
+ * (LOCAL_VECTOR_STORE_PATH). Vector search is brute-force cosine similarity
+ * and keyword search uses an in-memory BM25 inverted index, so this is only
+ * suitable for small corpora.
+ *
+ * Document attributes used for filtering (title, tags, collection) are copied
+ * onto the stored chunks and refreshed through updateDocumentAttributes.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { LEGACY_EMBEDDING_MODEL, getActiveModel } = require('../services/embeddings');
+
+// Chunk records: { id, document_id, document_title, collection_id, tags, content, metadata,
+//                  embedding, embedding_model, embedding_dimensions, created_at }
+let chunks = null;
+
+// BM25 inverted index, rebuilt lazily after chunks change
+let keywordIndex = null;
+
+// BM25 parameters (standard defaults)
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+const STOP_WORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'do', 'does', 'for', 'from',
+    'how', 'i', 'in', 'is', 'it', 'its', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was',
+    'what', 'when', 'where', 'which', 'who', 'why', 'with', 'you'
+]);
+
+/**
+ * Load chunks from disk on first use
+ * @returns {Array} Stored chunks
+ */
+function getChunks() {
+    if (chunks) {
+        return chunks;
+    }
+
+    chunks = [];
+    const storePath = config.vectorStore.localPath;
+
+    if (storePath && fs.existsSync(storePath)) {
+        try {
+            chunks = JSON.parse(fs.readFileSync(storePath, 'utf8'));
+            logger.info('Loaded local vector store', { storePath, chunkCount: chunks.length });
+        } catch (error) {
+            logger.error('Failed to read local vector store, starting empty', {
+                error: error.message,
+                storePath
+            });
+        }
+    }
+
+    return chunks;
+}
+
+/**
+ * Write chunks to disk when a store path is configured
+ */
+async function persist() {
+    const storePath = config.vectorStore.localPath;
+    if (!storePath) return;
+
+    await fs.promises.mkdir(path.dirname(storePath), { recursive: true });
+    await fs.promises.writeFile(storePath, JSON.stringify(chunks));
+}
+
+/**
+ * Model a chunk was embedded with (chunks stored before models were recorded used the legacy model)
+ */
+function embeddingModelOf(chunk) {
+    return chunk.embedding_model || LEGACY_EMBEDDING_MODEL;
+}
+
+/**
+ * Compute cosine similarity between two vectors
+ */
+function cosineSimilarity(a, b) {
+    if (!a || !b || a.length !== b.length) return 0;
+
+    let dotProduct = 0;
+    let normA = 0;
+    let normB = 0;
+
+    for (let i = 0; i < a.length; i++) {
+        dotProduct += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+
+    if (normA === 0 || normB === 0) return 0;
+    return dotProduct / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+/**
+ * Split text into lowercase search terms, dropping stop words
+ * @param {string} text - Text to tokenize
+ * @returns {string[]} Terms
+ */
+function tokenize(text) {
+    return (text.toLowerCase().match(/[\p{L}\p{N}_]+/gu) || [])
+        .filter(term => !STOP_WORDS.has(term));
+}
+
+/**
+ * Build (or reuse) the BM25 inverted index over all chunks
+ * @returns {{postings: Map<string, Map<Object, number>>, lengths: Map<Object, number>, avgLength: number}}
+ */
+function getKeywordIndex() {
+    if (keywordIndex) {
+        return keywordIndex;
+    }
+
+    const postings = new Map();
+    const lengths = new Map();
+    let totalLength = 0;
+
+    for (const chunk of getChunks()) {
+        const terms = tokenize(chunk.content);
+        lengths.set(chunk, terms.length);
+        totalLength += terms.length;
+
+        for (const term of terms) {
+            if (!postings.has(term)) {
+                postings.set(term, new Map());
+            }
+            const termPostings = postings.get(term);
+            termPostings.set(chunk, (termPostings.get(chunk) || 0) + 1);
+        }
+    }
+
+    keywordIndex = {
+        postings,
+        lengths,
+        avgLength: lengths.size > 0 ? totalLength / lengths.size : 0
+    };
+
+    return keywordIndex;
+}
+
+/**
+ * Check a chunk against search filters (same semantics as match_documents)
+ */
+function matchesFilters(chunk, filters) {
+    if (filters.documentIds?.length && !filters.documentIds.includes(chunk.document_id)) {
+        return false;
+    }
+
+    if (filters.collectionId && chunk.collection_id !== filters.collectionId) {
+        return false;
+    }
+
+    if (filters.tags?.length && !filters.tags.some(tag => chunk.tags.includes(tag))) {
+        return false;
+    }
+
+    if (filters.metadata) {
+        for (const [key, value] of Object.entries(filters.metadata)) {
+            if (chunk.metadata?.[key] !== value) return false;
+        }
+    }
+
+    return true;
+}
+
+/**
+ * Insert chunks with embeddings for a document
+ * @param {Object} document - Parent document record
+ * @param {Array<{content: string, embedding: number[], metadata?: Object}>} newChunks - Chunks with embeddings
+ * @returns {Promise<Array>} Inserted chunk records
+ */
+async function insertChunks(document, newChunks) {
+    const store = getChunks();
+    const createdAt = new Date().toISOString();
+
+    const records = newChunks.map((chunk, i) => ({
+        id: crypto.randomUUID(),
+        document_id: document.id,
+        document_title: document.title,
+        collection_id: document.collection_id || null,
+        tags: document.tags || [],
+        content: chunk.content,
+        metadata: {
+            chunkIndex: i,
+            charCount: chunk.content.length,
+            ...chunk.metadata
+        },
+        embedding: chunk.embedding,
+        embedding_model: chunk.embeddingModel,
+        embedding_dimensions: chunk.embedding.length,
+        created_at: createdAt
+    }));
+
+    store.push(...records);
+    keywordIndex = null;
+    await persist();
+
+    logger.info(`Inserted ${records.length} chunks into local vector store`, {
+        documentId: document.id
+    });
+
+    return records;
+}
+
+/**
+ * Brute-force similarity search
+ * Same options and result shape as the Supabase searchSimilar.
+ *
+ * @param {number[]} queryEmbedding - Query vector
+ * @param {Object} options - { limit, threshold, filters, embeddingModel }
+ * @returns {Promise<Array>} Top-K chunks with similarity (0-1)
+ */
+async function searchSimilar(queryEmbedding, options = {}) {
+    const { limit = 5, threshold = 0, filters = {}, embeddingModel = getActiveModel() } = options;
+
+    return getChunks()
+        .filter(chunk => embeddingModelOf(chunk) === embeddingModel && matchesFilters(chunk, filters))
+        .map(chunk => ({
+            id: chunk.id,
+            document_id: chunk.document_id,
+            document_title: chunk.document_title,
+            content: chunk.content,
+            metadata: chunk.metadata,
+            similarity: cosineSimilarity(queryEmbedding, chunk.embedding)
+        }))
+        .filter(result => result.similarity > threshold)
+        .sort((a, b) => b.similarity - a.similarity)
+        .slice(0, limit);
+}
+
+/**
+ * BM25 keyword search
+ * Same options and result shape as the Supabase searchKeyword.
+ *
+ * @param {string} queryText - Raw question text
+ * @param {Object} options - { limit, queryEmbedding, filters, embeddingModel }
+ * @returns {Promise<Array>} Chunks ordered by BM25 score, with rank and similarity (0-1 or null)
+ */
+async function searchKeyword(queryText, options = {}) {
+    const { limit = 5, queryEmbedding = null, filters = {}, embeddingModel = getActiveModel() } = options;
+    const { postings, lengths, avgLength } = getKeywordIndex();
+    const chunkCount = lengths.size;
+    const scores = new Map();
+
+    for (const term of new Set(tokenize(queryText))) {
+        const termPostings = postings.get(term);
+        if (!termPostings) continue;
+
+        const idf = Math.log(1 + (chunkCount - termPostings.size + 0.5) / (termPostings.size + 0.5));
+
+        for (const [chunk, tf] of termPostings) {
+            const lengthNorm = 1 - BM25_B + BM25_B * (lengths.get(chunk) / avgLength);
+            const score = idf * (tf * (BM25_K1 + 1)) / (tf + BM25_K1 * lengthNorm);
+            scores.set(chunk, (scores.get(chunk) || 0) + score);
+        }
+    }
+
+    return [...scores.entries()]
+        .filter(([chunk]) => matchesFilters(chunk, filters))
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, limit)
+        .map(([chunk, rank]) => ({
+            id: chunk.id,
+            document_id: chunk.document_id,
+            document_title: chunk.document_title,
+            content: chunk.content,
+            metadata: chunk.metadata,
+            similarity: queryEmbedding && embeddingModelOf(chunk) === embeddingModel
+                ? cosineSimilarity(queryEmbedding, chunk.embedding)
+                : null,
+            rank
+        }));
+}
+
+/**
+ * Get all chunks of a document (embeddings excluded), in chunk order
+ * @param {string} documentId - Document UUID
+ * @returns {Promise<Array>} Chunk records
+ */
+async function getDocumentChunks(documentId) {
+    return getChunks()
+        .filter(chunk => chunk.document_id === documentId)
+        .sort((a, b) => a.metadata.chunkIndex - b.metadata.chunkIndex)
+        .map(({ embedding, ...chunk }) => chunk);
+}
+
+/**
+ * Count chunks for a set of documents
+ * @param {string[]} documentIds - Document UUIDs
+ * @returns {Promise<Object<string, number>>} Map of document ID to chunk count
+ */
+async function countChunks(documentIds) {
+    const counts = Object.fromEntries(documentIds.map(id => [id, 0]));
+
+    for (const chunk of getChunks()) {
+        if (chunk.document_id in counts) {
+            counts[chunk.document_id]++;
+        }
+    }
+
+    return counts;
+}
+
+/**
+ * Delete all chunks of a document
+ * @param {string} documentId - Document UUID
+ * @returns {Promise<number>} Number of chunks deleted
+ */
+async function deleteDocumentChunks(documentId) {
+    const before = getChunks().length;
+    chunks = chunks.filter(chunk => chunk.document_id !== documentId);
+    keywordIndex = null;
+    await persist();
+
+    return before - chunks.length;
+}
+
+/**
+ * Refresh the document attributes copied onto its chunks
+ * @param {Object} document - Updated document record
+ */
+async function updateDocumentAttributes(document) {
+    for (const chunk of getChunks()) {
+        if (chunk.document_id === document.id) {
+            chunk.document_title = document.title;
+            chunk.collection_id = document.collection_id || null;
+            chunk.tags = document.tags || [];
+        }
+    }
+
+    await persist();
+}
+
+module.exports = {
+    insertChunks,
+    searchSimilar,
+    searchKeyword,
+    getDocumentChunks,
+    countChunks,
+    deleteDocumentChunks,
+    updateDocumentAttributes
+};
@@ -1,47 +1,603 @@
 -- Enable the pgvector extension to work with embedding vectors
 create extension if not exists vector;
 
+-- Create a table to group documents (e.g. one collection per course)
+create table collections (
+  id uuid primary key default gen_random_uuid(),
+  name text not null,
+  created_at timestamp with time zone default now()
+);
+
 -- Create a table to store processed documents
 create table documents (
   id uuid primary key default gen_random_uuid(),
   title text not null,
+  format text not null default 'pdf', -- pdf | docx | pptx | html | markdown | text
+  tags text[] not null default '{}',
+  collection_id uuid references collections(id) on delete set null,
+  content_hash text, -- SHA-256 of the uploaded file, used to detect re-uploads
+  outline jsonb, -- section tree: { source, sections: [{ title, level, pageStart, pageEnd, children }] }
   created_at timestamp with time zone default now()
 );
 
+create index documents_tags_idx on documents using gin (tags);
+create index documents_collection_idx on documents (collection_id);
+create index documents_content_hash_idx on documents (content_hash);
+
 -- Create a table to store document chunks and their embeddings
 create table document_chunks (
   id uuid primary key default gen_random_uuid(),
   document_id uuid references documents(id) on delete cascade,
   content text,
   metadata jsonb,
-  embedding vector(384), -- 384 dimensions for all-MiniLM-L6-v2
+  -- Dimension of the active embedding model: 384 for the default all-MiniLM-L6-v2.
+  -- activate_embedding_model changes it when the corpus is re-embedded.
+  embedding vector(384),
+  embedding_model text,       -- model the embedding came from, e.g. Xenova/all-MiniLM-L6-v2
+  embedding_dimensions int,
   created_at timestamp with time zone default now()
 );
 
--- Create a function to search for documents
+create index document_chunks_embedding_model_idx on document_chunks (embedding_model);
+
+-- Full-text search vector for the keyword leg of hybrid retrieval
+alter table document_chunks
+  add column content_tsv tsvector
+  generated always as (to_tsvector('english', coalesce(content, ''))) stored;
+
+create index document_chunks_content_tsv_idx on document_chunks using gin (content_tsv);
+
+-- Approximate nearest-neighbour index for cosine distance
+-- HNSW needs pgvector >= 0.5. On older versions use IVFFlat instead:
+--   create index document_chunks_embedding_idx on document_chunks
+--   using ivfflat (embedding vector_cosine_ops) with (lists = 100);
+create index document_chunks_embedding_idx on document_chunks
+using hnsw (embedding vector_cosine_ops);
+
+-- Metadata filters use jsonb containment
+create index document_chunks_metadata_idx on document_chunks using gin (metadata);
+
+-- Similarity search used by the backend (supabase.rpc('match_documents'))
+-- Only chunks embedded with the query's model are compared: vectors from
+-- different models are in different spaces.
+-- All filters are optional; null / '{}' means "no filter".
 create or replace function match_documents (
-  query_embedding vector(384),
-  match_threshold float,
-  match_count int
+  query_embedding vector,
+  match_embedding_model text,
+  match_threshold float default 0,
+  match_count int default 5,
+  filter_document_ids uuid[] default null,
+  filter_collection_id uuid default null,
+  filter_tags text[] default null,
+  metadata_filter jsonb default '{}'
 )
 returns table (
   id uuid,
+  document_id uuid,
+  document_title text,
   content text,
   metadata jsonb,
   similarity float
 )
-language plpgsql
+language sql stable
 as $$
-begin
-  return query
   select
-    document_chunks.id,
-    document_chunks.content,
-    document_chunks.metadata,
-    1 - (document_chunks.embedding <=> query_embedding) as similarity
-  from document_chunks
-  where 1 - (document_chunks.embedding <=> query_embedding) > match_threshold
-  order by document_chunks.embedding <=> query_embedding
+    c.id,
+    c.document_id,
+    d.title as document_title,
+    c.content,
+    c.metadata,
+    1 - (c.embedding <=> query_embedding) as similarity
+  from document_chunks c
+  join documents d on d.id = c.document_id
+  where c.embedding is not null
+    and c.embedding_model = match_embedding_model
+    and (filter_document_ids is null or c.document_id = any(filter_document_ids))
+    and (filter_collection_id is null or d.collection_id = filter_collection_id)
+    and (filter_tags is null or d.tags && filter_tags)
+    and c.metadata @> metadata_filter
+    and 1 - (c.embedding <=> query_embedding) > match_threshold
+  order by c.embedding <=> query_embedding
+  limit match_count;
+$$;
+
+-- Keyword search used by hybrid retrieval (supabase.rpc('match_documents_keyword'))
+-- Query terms are OR-ed so a question does not need every word to match;
+-- ts_rank_cd ranks chunks matching more (and closer) terms higher.
+-- similarity is the vector similarity when query_embedding is given (and the chunk
+-- has the same embedding model), so keyword-only hits can still be reported with a cosine score.
+create or replace function match_documents_keyword (
+  query_text text,
+  query_embedding vector default null,
+  match_embedding_model text default null,
+  match_count int default 5,
+  filter_document_ids uuid[] default null,
+  filter_collection_id uuid default null,
+  filter_tags text[] default null,
+  metadata_filter jsonb default '{}'
+)
+returns table (
+  id uuid,
+  document_id uuid,
+  document_title text,
+  content text,
+  metadata jsonb,
+  similarity float,
+  rank float
+)
+language sql stable
+as $$
+  with q as (
+    select to_tsquery('english', replace(plainto_tsquery('english', query_text)::text, '&', '|')) as query
+  )
+  select
+    c.id,
+    c.document_id,
+    d.title as document_title,
+    c.content,
+    c.metadata,
+    case when query_embedding is null or c.embedding_model is distinct from match_embedding_model then null
+         else 1 - (c.embedding <=> query_embedding) end as similarity,
+    ts_rank_cd(c.content_tsv, q.query) as rank
+  from document_chunks c
+  join documents d on d.id = c.document_id
+  cross join q
+  where c.content_tsv @@ q.query
+    and (filter_document_ids is null or c.document_id = any(filter_document_ids))
+    and (filter_collection_id is null or d.collection_id = filter_collection_id)
+    and (filter_tags is null or d.tags && filter_tags)
+    and c.metadata @> metadata_filter
+  order by rank desc
   limit match_count;
+$$;
+
+-- Re-embedding with another model (scripts/reembed.js)
+-- New vectors are staged here while retrieval keeps using document_chunks.embedding,
+-- then activate_embedding_model swaps them in for every chunk at once.
+-- Only the service role may stage vectors (see the revokes below).
+create table chunk_embeddings (
+  chunk_id uuid not null references document_chunks(id) on delete cascade,
+  embedding_model text not null,
+  embedding vector not null, -- any dimension
+  created_at timestamp with time zone default now(),
+  primary key (chunk_id, embedding_model)
+);
+
+-- The model activate_embedding_model last switched the corpus to (a single row).
+-- The backend reads it to embed queries and new documents with the same model.
+create table embedding_settings (
+  id boolean primary key default true check (id),
+  model text not null,
+  dimensions int not null,
+  activated_at timestamp with time zone default now()
+);
+
+-- Chunks that still need an embedding from target_model
+create or replace function pending_chunk_embeddings (
+  target_model text,
+  batch_size int default 100
+)
+returns table (id uuid, content text)
+language sql stable
+as $$
+  select c.id, c.content
+  from document_chunks c
+  where c.embedding_model is distinct from target_model
+    and not exists (
+      select 1 from chunk_embeddings e
+      where e.chunk_id = c.id and e.embedding_model = target_model
+    )
+  order by c.id
+  limit batch_size;
+$$;
+
+-- Switch every chunk to its staged target_model embedding in one transaction.
+-- Fails (changing nothing) while any chunk has no staged embedding. The column
+-- is retyped to the new dimension and the HNSW index rebuilt, so this holds an
+-- exclusive lock on document_chunks while it runs.
+-- security definer: altering the table needs the owner's privileges.
+create or replace function activate_embedding_model (
+  target_model text,
+  target_dimensions int
+)
+returns int
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  missing int;
+  switched int;
+begin
+  lock table document_chunks in access exclusive mode;
+
+  select count(*) into missing
+  from document_chunks c
+  where c.embedding_model is distinct from target_model
+    and not exists (
+      select 1 from chunk_embeddings e
+      where e.chunk_id = c.id and e.embedding_model = target_model
+    );
+
+  if missing > 0 then
+    raise exception 'Cannot switch to %: % chunks have no staged embedding', target_model, missing;
+  end if;
+
+  drop index if exists document_chunks_embedding_idx;
+
+  -- Chunks already on target_model keep their vectors, the rest are filled in below
+  execute format(
+    'alter table document_chunks alter column embedding type vector(%s) '
+    'using case when embedding_model = %L then embedding::vector(%s) end',
+    target_dimensions, target_model, target_dimensions
+  );
+
+  update document_chunks c
+  set embedding = e.embedding,
+      embedding_model = target_model,
+      embedding_dimensions = target_dimensions
+  from chunk_embeddings e
+  where e.chunk_id = c.id
+    and e.embedding_model = target_model
+    and c.embedding_model is distinct from target_model;
+  get diagnostics switched = row_count;
+
+  delete from chunk_embeddings where embedding_model = target_model;
+
+  create index document_chunks_embedding_idx on document_chunks
+  using hnsw (embedding vector_cosine_ops);
+
+  insert into embedding_settings (id, model, dimensions, activated_at)
+  values (true, target_model, target_dimensions, now())
+  on conflict (id) do update
+  set model = excluded.model,
+      dimensions = excluded.dimensions,
+      activated_at = excluded.activated_at;
+
+  return switched;
 end;
 $$;
+
+-- Re-embedding runs with the service role key; the anon key used by the
+-- backend may read the active model but not stage vectors or switch models.
+revoke execute on function activate_embedding_model(text, int) from public, anon, authenticated;
+revoke execute on function pending_chunk_embeddings(text, int) from public, anon, authenticated;
+revoke all on table chunk_embeddings from anon, authenticated;
+revoke insert, update, delete, truncate on table embedding_settings from anon, authenticated;
+
+-- Chat sessions: conversational follow-ups on /query (sessionId)
+create table chat_sessions (
+  id uuid primary key default gen_random_uuid(),
+  title text,
+  created_at timestamp with time zone default now(),
+  updated_at timestamp with time zone default now()
+);
+
+create index chat_sessions_updated_idx on chat_sessions (updated_at desc);
+
+-- One row per turn. standalone_question is the condensed retrieval query for
+-- follow-ups; sources keeps a compact reference to the chunks an answer used.
+create table chat_messages (
+  id uuid primary key default gen_random_uuid(),
+  session_id uuid not null references chat_sessions(id) on delete cascade,
+  role text not null check (role in ('user', 'assistant')),
+  content text not null,
+  standalone_question text,
+  sources jsonb not null default '[]',
+  -- Answer prompt that produced an assistant message (name@version, see shared/prompts)
+  prompt_version text,
+  created_at timestamp with time zone default now()
+);
+
+create index chat_messages_session_idx on chat_messages (session_id, created_at);
+
+-- Flashcard decks generated by POST /study/flashcards
+create table flashcard_decks (
+  id uuid primary key default gen_random_uuid(),
+  title text not null,
+  topic text,
+  scope jsonb not null default '{}', -- documentIds, collectionId and tags the cards were drawn from
+  prompt_version text,               -- flashcards prompt that produced the deck (name@version)
+  model text,
+  created_at timestamp with time zone default now()
+);
+
+create index flashcard_decks_created_idx on flashcard_decks (created_at desc);
+
+-- chunk_id is not a foreign key: chunks can live in the local vector store, and
+-- re-ingesting a document replaces them. source keeps the document title and
+-- location so the citation still reads correctly afterwards.
+create table flashcards (
+  id uuid primary key default gen_random_uuid(),
+  deck_id uuid not null references flashcard_decks(id) on delete cascade,
+  position int not null,
+  question text not null,
+  answer text not null,
+  chunk_id uuid,
+  document_id uuid references documents(id) on delete set null,
+  source jsonb not null default '{}',
+  -- Spaced-repetition (SM-2) state, updated by POST /study/cards/:id/review.
+  -- New cards are due straight away.
+  ease_factor numeric not null default 2.5,
+  interval_days int not null default 0,
+  repetitions int not null default 0, -- successful reviews in a row
+  lapses int not null default 0,      -- times the card was forgotten after being learned
+  due_at timestamp with time zone not null default now(),
+  last_reviewed_at timestamp with time zone,
+  created_at timestamp with time zone default now()
+);
+
+create index flashcards_deck_idx on flashcards (deck_id, position);
+create index flashcards_due_idx on flashcards (due_at);
+
+-- One row per review, with the schedule it produced
+create table flashcard_reviews (
+  id uuid primary key default gen_random_uuid(),
+  card_id uuid not null references flashcards(id) on delete cascade,
+  quality int not null check (quality between 0 and 5),
+  ease_factor numeric not null,
+  interval_days int not null,
+  due_at timestamp with time zone not null,
+  reviewed_at timestamp with time zone default now()
+);
+
+create index flashcard_reviews_card_idx on flashcard_reviews (card_id, reviewed_at desc);
+
+-- Quizzes generated by POST /study/quizzes
+create table quizzes (
+  id uuid primary key default gen_random_uuid(),
+  title text not null,
+  topic text,
+  scope jsonb not null default '{}', -- documentIds, collectionId and tags the questions were drawn from
+  prompt_version text,               -- quiz prompt that produced the questions (name@version)
+  model text,
+  created_at timestamp with time zone default now()
+);
+
+create index quizzes_created_idx on quizzes (created_at desc);
+
+-- correct_answer: option index (multiple_choice), boolean (true_false) or model
+-- answer text (short_answer, graded against rubric). Sources work as for flashcards.
+create table quiz_questions (
+  id uuid primary key default gen_random_uuid(),
+  quiz_id uuid not null references quizzes(id) on delete cascade,
+  position int not null,
+  type text not null check (type in ('multiple_choice', 'true_false', 'short_answer')),
+  question text not null,
+  options jsonb,
+  correct_answer jsonb not null,
+  rubric jsonb,
+  explanation text,
+  chunk_id uuid,
+  document_id uuid references documents(id) on delete set null,
+  source jsonb not null default '{}',
+  created_at timestamp with time zone default now()
+);
+
+create index quiz_questions_quiz_idx on quiz_questions (quiz_id, position);
+
+-- Graded submissions (POST /study/quizzes/:id/attempts), one answer row per question
+create table quiz_attempts (
+  id uuid primary key default gen_random_uuid(),
+  quiz_id uuid not null references quizzes(id) on delete cascade,
+  score numeric not null,
+  max_score numeric not null,
+  grading_prompt_version text, -- quiz-grading prompt used for short answers, if any
+  created_at timestamp with time zone default now()
+);
+
+create index quiz_attempts_quiz_idx on quiz_attempts (quiz_id, created_at desc);
+
+create table quiz_attempt_answers (
+  id uuid primary key default gen_random_uuid(),
+  attempt_id uuid not null references quiz_attempts(id) on delete cascade,
+  question_id uuid not null references quiz_questions(id) on delete cascade,
+  response jsonb, -- null when unanswered
+  score numeric not null,
+  max_score numeric not null,
+  correct boolean not null,
+  feedback text,
+  created_at timestamp with time zone default now()
+);
+
+create index quiz_attempt_answers_attempt_idx on quiz_attempt_answers (attempt_id);
+
+-- Summaries from POST /documents/:id/summary, cached per document version:
+-- source_hash changes whenever the summarized chunk text does
+create table document_summaries (
+  id uuid primary key default gen_random_uuid(),
+  document_id uuid not null references documents(id) on delete cascade,
+  style text not null check (style in ('brief', 'detailed', 'outline')),
+  range jsonb not null default '{}', -- pages, slides or heading the summary covers; {} for the whole document
+  range_key text not null,           -- canonical form of range, part of the cache key
+  source_hash text not null,         -- SHA-256 of the summarized chunks
+  prompt_version text not null,      -- summary-reduce prompt that wrote the summary (name@version)
+  model text,
+  summary text not null,
+  chunk_count int not null,
+  created_at timestamp with time zone default now(),
+  unique (document_id, style, range_key, source_hash, prompt_version)
+);
+
+-- ============================================
+-- Upgrading an existing database
+-- Run these if the tables above were created by an earlier version
+-- ============================================
+
+alter table documents add column if not exists tags text[] not null default '{}';
+create index if not exists documents_tags_idx on documents using gin (tags);
+
+create table if not exists collections (
+  id uuid primary key default gen_random_uuid(),
+  name text not null,
+  created_at timestamp with time zone default now()
+);
+alter table documents add column if not exists collection_id uuid references collections(id) on delete set null;
+create index if not exists documents_collection_idx on documents (collection_id);
+
+-- match_documents changed its signature and return type
+drop function if exists match_documents(vector, float, int);
+create index if not exists document_chunks_embedding_idx on document_chunks
+using hnsw (embedding vector_cosine_ops);
+create index if not exists document_chunks_metadata_idx on document_chunks using gin (metadata);
+-- Then re-run the "create or replace function match_documents" statement above
+
+alter table document_chunks
+  add column if not exists content_tsv tsvector
+  generated always as (to_tsvector('english', coalesce(content, ''))) stored;
+create index if not exists document_chunks_content_tsv_idx on document_chunks using gin (content_tsv);
+-- Then run the "create or replace function match_documents_keyword" statement above
+
+create table if not exists chat_sessions (
+  id uuid primary key default gen_random_uuid(),
+  title text,
+  created_at timestamp with time zone default now(),
+  updated_at timestamp with time zone default now()
+);
+create index if not exists chat_sessions_updated_idx on chat_sessions (updated_at desc);
+create table if not exists chat_messages (
+  id uuid primary key default gen_random_uuid(),
+  session_id uuid not null references chat_sessions(id) on delete cascade,
+  role text not null check (role in ('user', 'assistant')),
+  content text not null,
+  standalone_question text,
+  sources jsonb not null default '[]',
+  created_at timestamp with time zone default now()
+);
+create index if not exists chat_messages_session_idx on chat_messages (session_id, created_at);
+
+alter table documents add column if not exists format text not null default 'pdf';
+
+alter table documents add column if not exists content_hash text;
+create index if not exists documents_content_hash_idx on documents (content_hash);
+
+-- Chunks record the model they were embedded with; earlier chunks all used all-MiniLM-L6-v2
+alter table document_chunks add column if not exists embedding_model text;
+alter table document_chunks add column if not exists embedding_dimensions int;
+update document_chunks
+set embedding_model = 'Xenova/all-MiniLM-L6-v2', embedding_dimensions = 384
+where embedding_model is null and embedding is not null;
+create index if not exists document_chunks_embedding_model_idx on document_chunks (embedding_model);
+-- match_documents and match_documents_keyword gained match_embedding_model
+drop function if exists match_documents(vector, float, int, uuid[], uuid, text[], jsonb);
+drop function if exists match_documents_keyword(text, vector, int, uuid[], uuid, text[], jsonb);
+-- Then re-run both "create or replace function match_documents..." statements, and the
+-- chunk_embeddings, embedding_settings, pending_chunk_embeddings and activate_embedding_model
+-- statements above together with the revokes after them
+
+alter table chat_messages add column if not exists prompt_version text;
+
+create table if not exists flashcard_decks (
+  id uuid primary key default gen_random_uuid(),
+  title text not null,
+  topic text,
+  scope jsonb not null default '{}',
+  prompt_version text,
+  model text,
+  created_at timestamp with time zone default now()
+);
+create index if not exists flashcard_decks_created_idx on flashcard_decks (created_at desc);
+create table if not exists flashcards (
+  id uuid primary key default gen_random_uuid(),
+  deck_id uuid not null references flashcard_decks(id) on delete cascade,
+  position int not null,
+  question text not null,
+  answer text not null,
+  chunk_id uuid,
+  document_id uuid references documents(id) on delete set null,
+  source jsonb not null default '{}',
+  created_at timestamp with time zone default now()
+);
+create index if not exists flashcards_deck_idx on flashcards (deck_id, position);
+
+create table if not exists quizzes (
+  id uuid primary key default gen_random_uuid(),
+  title text not null,
+  topic text,
+  scope jsonb not null default '{}',
+  prompt_version text,
+  model text,
+  created_at timestamp with time zone default now()
+);
+create index if not exists quizzes_created_idx on quizzes (created_at desc);
+create table if not exists quiz_questions (
+  id uuid primary key default gen_random_uuid(),
+  quiz_id uuid not null references quizzes(id) on delete cascade,
+  position int not null,
+  type text not null check (type in ('multiple_choice', 'true_false', 'short_answer')),
+  question text not null,
+  options jsonb,
+  correct_answer jsonb not null,
+  rubric jsonb,
+  explanation text,
+  chunk_id uuid,
+  document_id uuid references documents(id) on delete set null,
+  source jsonb not null default '{}',
+  created_at timestamp with time zone default now()
+);
+create index if not exists quiz_questions_quiz_idx on quiz_questions (quiz_id, position);
+create table if not exists quiz_attempts (
+  id uuid primary key default gen_random_uuid(),
+  quiz_id uuid not null references quizzes(id) on delete cascade,
+  score numeric not null,
+  max_score numeric not null,
+  grading_prompt_version text,
+  created_at timestamp with time zone default now()
+);
+create index if not exists quiz_attempts_quiz_idx on quiz_attempts (quiz_id, created_at desc);
+create table if not exists quiz_attempt_answers (
+  id uuid primary key default gen_random_uuid(),
+  attempt_id uuid not null references quiz_attempts(id) on delete cascade,
+  question_id uuid not null references quiz_questions(id) on delete cascade,
+  response jsonb,
+  score numeric not null,
+  max_score numeric not null,
+  correct boolean not null,
+  feedback text,
+  created_at timestamp with time zone default now()
+);
+create index if not exists quiz_attempt_answers_attempt_idx on quiz_attempt_answers (attempt_id);
+
+alter table flashcards add column if not exists ease_factor numeric not null default 2.5;
+alter table flashcards add column if not exists interval_days int not null default 0;
+alter table flashcards add column if not exists repetitions int not null default 0;
+alter table flashcards add column if not exists lapses int not null default 0;
+alter table flashcards add column if not exists due_at timestamp with time zone not null default now();
+alter table flashcards add column if not exists last_reviewed_at timestamp with time zone;
+create index if not exists flashcards_due_idx on flashcards (due_at);
+create table if not exists flashcard_reviews (
+  id uuid primary key default gen_random_uuid(),
+  card_id uuid not null references flashcards(id) on delete cascade,
+  quality int not null check (quality between 0 and 5),
+  ease_factor numeric not null,
+  interval_days int not null,
+  due_at timestamp with time zone not null,
+  reviewed_at timestamp with time zone default now()
+);
+create index if not exists flashcard_reviews_card_idx on flashcard_reviews (card_id, reviewed_at desc);
+create table if not exists document_summaries (
+  id uuid primary key default gen_random_uuid(),
+  document_id uuid not null references documents(id) on delete cascade,
+  style text not null check (style in ('brief', 'detailed', 'outline')),
+  range jsonb not null default '{}',
+  range_key text not null,
+  source_hash text not null,
+  prompt_version text not null,
+  model text,
+  summary text not null,
+  chunk_count int not null,
+  created_at timestamp with time zone default now(),
+  unique (document_id, style, range_key, source_hash, prompt_version)
+);
+
+alter table documents add column if not exists outline jsonb;
+
+-- activate_embedding_model records the active model and is closed to the anon key
+create table if not exists embedding_settings (
+  id boolean primary key default true check (id),
+  model text not null,
+  dimensions int not null,
+  activated_at timestamp with time zone default now()
+);
+-- Then re-run the "create or replace function activate_embedding_model" statement and the
+-- revokes after it
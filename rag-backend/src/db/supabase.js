@@ -1,17 +1,26 @@
 /**
  * Supabase Database Client
- * Handles vector storage and similarity search operations.
+ * Handles document records, chat sessions and the Supabase/pgvector vector store.
+ * 
+ * Chunk storage and search functions here implement the vector store interface
+ * (see vectorStore.js); routes should use vectorStore.js rather than calling them directly.
+ * 
+ * Writes used by ingestion (createDocument, insertChunks, deleteDocument) retry
+ * transient failures with exponential backoff. Inserts are retried even when
+ * the failed attempt may have been written (a timeout), so their rows get IDs
+ * here and are upserted: a repeated attempt finds its rows already there.
  * 
  * TODO: Add connection pooling for high-traffic scenarios
- * TODO: Implement batch insert for better performance
- * TODO: Add retry logic for transient failures
  * TODO: Consider using prepared statements
  * TODO: Add database health check endpoint
  */
 
+const crypto = require('crypto');
 const { createClient } = require('@supabase/supabase-js');
 const config = require('../config');
 const logger = require('../utils/logger');
+const { withRetry } = require('../utils/retry');
+const { getActiveModel } = require('../services/embeddings');
 
 // Initialize Supabase client
 // TODO: Consider using service role key for server-side operations
@@ -20,21 +29,59 @@ const supabase = createClient(
     config.supabase.anonKey
 );
 
+// Service role client for re-embedding (see scripts/reembed.js), created on first use
+let adminClient = null;
+
+/**
+ * Client allowed to stage and switch embeddings
+ * chunk_embeddings and activate_embedding_model are closed to the anon key.
+ */
+function getAdminClient() {
+    if (!config.supabase.serviceRoleKey) {
+        throw new Error('Re-embedding needs SUPABASE_SERVICE_ROLE_KEY');
+    }
+
+    if (!adminClient) {
+        adminClient = createClient(config.supabase.url, config.supabase.serviceRoleKey);
+    }
+
+    return adminClient;
+}
+
 /**
  * Create a new document record
  * @param {string} title - Document title/filename
+ * @param {Object} options - Optional attributes
+ * @param {string[]} options.tags - Tags for filtering retrieval
+ * @param {string} options.collectionId - Collection the document belongs to
+ * @param {string} options.format - Source format (pdf, docx, pptx, html, markdown, text)
+ * @param {string} options.contentHash - SHA-256 of the uploaded file
+ * @param {Object} options.outline - Section tree, { source, sections } (see services/headings.js)
  * @returns {Promise<Object>} Created document record
  */
-async function createDocument(title) {
+async function createDocument(title, options = {}) {
     const startTime = Date.now();
 
-    const { data, error } = await supabase
-        .from('documents')
-        .insert({ title })
-        .select()
-        .single();
+    const row = {
+        id: crypto.randomUUID(),
+        title,
+        format: options.format || 'pdf',
+        tags: options.tags || [],
+        collection_id: options.collectionId || null,
+        content_hash: options.contentHash || null,
+        outline: options.outline || null
+    };
 
-    if (error) {
+    let data;
+    try {
+        // Upsert on the ID: a retry after a timed-out but committed attempt returns that row
+        ({ data } = await runWithRetry('Create document', () => supabase
+            .from('documents')
+            .upsert(row, { onConflict: 'id' })
+            .select()
+            .single()
+        ));
+    } catch (error) {
         logger.error('Failed to create document', { error: error.message, title });
         throw new Error(`Database error: ${error.message}`);
     }
@@ -43,185 +90,1345 @@ async function createDocument(title) {
     return data;
 }
 
+/**
+ * Whether a failed Supabase request is worth retrying
+ * Network failures (status 0), timeouts, rate limits and 5xx responses are
+ * transient; constraint violations and bad requests fail the same way again.
+ */
+function isTransientError(error) {
+    const { status, code } = error;
+
+    // Postgres connection exceptions, serialization failures/deadlocks, resource limits, statement timeout
+    if (code && /^(08|40001|40P01|53|57014)/.test(code)) return true;
+
+    return status === 0 || status === 408 || status === 429 || status >= 500;
+}
+
+/**
+ * Run a Supabase query with retries for transient failures
+ * 
+ * @param {string} label - Operation name (for logs)
+ * @param {function(): PromiseLike<Object>} buildQuery - Builds a fresh query per attempt
+ * @returns {Promise<Object>} { data, count } of the successful attempt
+ */
+function runWithRetry(label, buildQuery) {
+    return withRetry(async () => {
+        const { data, error, count, status } = await buildQuery();
+
+        if (error) {
+            throw Object.assign(new Error(error.message), { code: error.code, status });
+        }
+
+        return { data, count };
+    }, {
+        label,
+        retries: config.supabase.maxRetries,
+        baseDelayMs: config.supabase.retryBaseDelayMs,
+        shouldRetry: isTransientError
+    });
+}
+
 /**
  * Insert chunks with embeddings for a document
- * WARNING: This is intentionally synchronous/sequential for simplicity
+ * Chunks are written in multi-row batches of config.supabase.insertBatchSize,
+ * each retried on transient failures. Rows carry their own IDs and existing
+ * IDs are skipped, so a retried batch never duplicates chunks. All or nothing:
+ * if a batch still fails, every batch attempted (including the failed one,
+ * which may have been written before timing out) is deleted before the error
+ * is thrown.
  * 
- * @param {string} documentId - Parent document ID
- * @param {Array<{content: string, embedding: number[]}>} chunks - Chunks with embeddings
+ * @param {Object} document - Parent document record
+ * @param {Array<{content: string, embedding: number[], embeddingModel: string, metadata?: Object}>} chunks - Chunks with embeddings
  * @returns {Promise<Array>} Inserted chunk records
  * 
- * TODO: Implement batch insert using Supabase's bulk insert
- * TODO: Add transaction support for atomic operations
- * TODO: Consider using COPY for large batch inserts
+ * TODO: Consider COPY (via a server-side job) for very large documents
  */
-async function insertChunks(documentId, chunks) {
+async function insertChunks(document, chunks) {
     const startTime = Date.now();
-    const insertedChunks = [];
+    const documentId = document.id;
+    const batchSize = config.supabase.insertBatchSize;
+    const attemptedIds = [];
 
-    // TODO: This is intentionally sequential - should be batched in production
-    for (let i = 0; i < chunks.length; i++) {
-        const chunk = chunks[i];
+    const rows = chunks.map((chunk, i) => ({
+        id: crypto.randomUUID(),
+        document_id: documentId,
+        content: chunk.content,
+        embedding: chunk.embedding,
+        embedding_model: chunk.embeddingModel,
+        embedding_dimensions: chunk.embedding.length,
+        metadata: {
+            chunkIndex: i,
+            charCount: chunk.content.length,
+            ...chunk.metadata
+        }
+    }));
 
-        const { data, error } = await supabase
-            .from('document_chunks')
-            .insert({
-                document_id: documentId,
-                content: chunk.content,
-                embedding: chunk.embedding,
-                metadata: {
-                    chunkIndex: i,
-                    charCount: chunk.content.length
-                }
-            })
-            .select()
-            .single();
+    try {
+        for (let start = 0; start < rows.length; start += batchSize) {
+            const batch = rows.slice(start, start + batchSize);
+            attemptedIds.push(...batch.map(row => row.id));
 
-        if (error) {
-            logger.error('Failed to insert chunk', {
-                error: error.message,
-                documentId,
-                chunkIndex: i
-            });
-            // TODO: Implement proper rollback on partial failure
-            throw new Error(`Failed to insert chunk ${i}: ${error.message}`);
+            // Nothing is selected back; echoing the embeddings would double the transfer
+            await runWithRetry(
+                `Insert chunks ${start}-${start + batch.length - 1}`,
+                () => supabase
+                    .from('document_chunks')
+                    .upsert(batch, { onConflict: 'id', ignoreDuplicates: true })
+            );
         }
-
-        insertedChunks.push(data);
+    } catch (error) {
+        logger.error('Failed to insert chunks, rolling back', {
+            error: error.message,
+            documentId,
+            attemptedChunks: attemptedIds.length,
+            totalChunks: rows.length
+        });
+        await rollbackChunks(documentId, attemptedIds);
+        throw new Error(`Failed to insert chunks: ${error.message}`);
     }
 
-    logger.info(`Inserted ${chunks.length} chunks in ${Date.now() - startTime}ms`, {
+    logger.info(`Inserted ${rows.length} chunks in ${Date.now() - startTime}ms`, {
         documentId,
-        chunkCount: chunks.length
+        chunkCount: rows.length,
+        batches: Math.ceil(rows.length / batchSize)
     });
 
-    return insertedChunks;
+    return rows;
+}
+
+/**
+ * Delete chunks written by a failed insertChunks call
+ * IDs that were never written are simply not found. Failures are logged rather than thrown so the original error is reported;
+ * deleting the document (cascade) removes anything left behind.
+ */
+async function rollbackChunks(documentId, chunkIds) {
+    // Keep the ID list (and so the request URL) short
+    const ROLLBACK_BATCH_SIZE = 100;
+
+    try {
+        for (let start = 0; start < chunkIds.length; start += ROLLBACK_BATCH_SIZE) {
+            const ids = chunkIds.slice(start, start + ROLLBACK_BATCH_SIZE);
+            await runWithRetry('Roll back chunks', () =>
+                supabase.from('document_chunks').delete().in('id', ids)
+            );
+        }
+    } catch (error) {
+        logger.error('Failed to roll back inserted chunks', {
+            error: error.message,
+            documentId,
+            chunkCount: chunkIds.length
+        });
+    }
 }
 
 /**
- * Perform vector similarity search
- * Uses pgvector's cosine similarity for semantic search
+ * Perform vector similarity search in the database
+ * Calls the match_documents RPC so ranking happens in pgvector (HNSW index)
+ * instead of downloading every embedding.
  * 
  * @param {number[]} queryEmbedding - Query vector
- * @param {number} limit - Number of results to return
- * @returns {Promise<Array>} Top-K similar chunks with scores
+ * @param {Object} options - Search options
+ * @param {number} options.limit - Number of results to return (default: 5)
+ * @param {number} options.threshold - Minimum cosine similarity, 0-1 (default: 0)
+ * @param {string} options.embeddingModel - Model the query was embedded with; only chunks embedded
+ *   with the same model are compared (default: the active model)
+ * @param {Object} options.filters - Restrict the search scope (all optional, combined with AND)
+ * @param {string[]} options.filters.documentIds - Only search these documents
+ * @param {string} options.filters.collectionId - Only search documents in this collection
+ * @param {string[]} options.filters.tags - Only search documents having any of these tags
+ * @param {Object} options.filters.metadata - Chunk metadata must contain these key/values
+ * @returns {Promise<Array>} Top-K chunks with similarity (0-1) and parent document title
  * 
- * TODO: Add filtering by document ID or metadata
- * TODO: Implement hybrid search (vector + keyword)
  * TODO: Add caching for frequent queries
  */
-async function searchSimilar(queryEmbedding, limit = 5) {
+async function searchSimilar(queryEmbedding, options = {}) {
     const startTime = Date.now();
+    const { limit = 5, threshold = 0, filters = {}, embeddingModel = getActiveModel() } = options;
 
     logger.debug('Searching with embedding', {
-        embeddingLength: queryEmbedding.length
+        embeddingModel,
+        embeddingLength: queryEmbedding.length,
+        limit,
+        threshold,
+        filters
     });
 
-    try {
-        // Get all chunks with embeddings from database
-        const { data: allChunks, error } = await supabase
+    const { data, error } = await supabase.rpc('match_documents', {
+        query_embedding: queryEmbedding,
+        match_embedding_model: embeddingModel,
+        match_threshold: threshold,
+        match_count: limit,
+        filter_document_ids: filters.documentIds?.length ? filters.documentIds : null,
+        filter_collection_id: filters.collectionId || null,
+        filter_tags: filters.tags?.length ? filters.tags : null,
+        metadata_filter: filters.metadata || {}
+    });
+
+    if (error) {
+        logger.error('Vector search failed', { error: error.message });
+        throw new Error(`Database error: ${error.message}`);
+    }
+
+    const results = data || [];
+
+    logger.info(`Vector search completed in ${Date.now() - startTime}ms`, {
+        resultCount: results.length,
+        topSimilarity: results[0]?.similarity.toFixed(4)
+    });
+
+    return results;
+}
+
+/**
+ * Perform keyword (full-text) search in the database
+ * Calls the match_documents_keyword RPC (Postgres FTS, ts_rank_cd ranking).
+ * 
+ * @param {string} queryText - Raw question text
+ * @param {Object} options - Search options
+ * @param {number} options.limit - Number of results to return (default: 5)
+ * @param {number[]} options.queryEmbedding - When given, results also carry vector similarity
+ * @param {string} options.embeddingModel - Model of queryEmbedding (default: the active model)
+ * @param {Object} options.filters - Same filters as searchSimilar
+ * @returns {Promise<Array>} Chunks ordered by keyword rank, with rank and similarity (0-1 or null)
+ */
+async function searchKeyword(queryText, options = {}) {
+    const startTime = Date.now();
+    const { limit = 5, queryEmbedding = null, filters = {}, embeddingModel = getActiveModel() } = options;
+
+    const { data, error } = await supabase.rpc('match_documents_keyword', {
+        query_text: queryText,
+        query_embedding: queryEmbedding,
+        match_embedding_model: embeddingModel,
+        match_count: limit,
+        filter_document_ids: filters.documentIds?.length ? filters.documentIds : null,
+        filter_collection_id: filters.collectionId || null,
+        filter_tags: filters.tags?.length ? filters.tags : null,
+        metadata_filter: filters.metadata || {}
+    });
+
+    if (error) {
+        logger.error('Keyword search failed', { error: error.message });
+        throw new Error(`Database error: ${error.message}`);
+    }
+
+    const results = data || [];
+
+    logger.info(`Keyword search completed in ${Date.now() - startTime}ms`, {
+        resultCount: results.length
+    });
+
+    return results;
+}
+
+/**
+ * Get all chunks of a document (embeddings excluded), in chunk order
+ * @param {string} documentId - Document UUID
+ * @returns {Promise<Array>} Chunk records
+ */
+async function getDocumentChunks(documentId) {
+    // PostgREST returns at most 1,000 rows per request, so read in pages
+    const PAGE_SIZE = 1000;
+    const chunks = [];
+
+    for (let offset = 0; ; offset += PAGE_SIZE) {
+        const { data, error } = await supabase
             .from('document_chunks')
-            .select('id, document_id, content, metadata, embedding')
-            .not('embedding', 'is', null);
-        
+            .select('id, document_id, content, metadata, embedding_model, embedding_dimensions, created_at')
+            .eq('document_id', documentId)
+            .order('metadata->chunkIndex', { ascending: true })
+            .order('id', { ascending: true })
+            .range(offset, offset + PAGE_SIZE - 1);
+
         if (error) {
-            logger.error('Failed to fetch chunks', { error: error.message });
-            throw error;
+            logger.error('Failed to fetch document chunks', { error: error.message, documentId });
+            throw new Error(`Database error: ${error.message}`);
         }
-        
-        if (!allChunks || allChunks.length === 0) {
-            logger.warn('No chunks found in database');
-            return [];
+
+        chunks.push(...(data || []));
+
+        if (!data || data.length < PAGE_SIZE) {
+            return chunks;
         }
-        
-        logger.debug(`Found ${allChunks.length} chunks, computing similarities...`);
-        
-        // Compute cosine similarity for each chunk
-        const results = allChunks.map(chunk => {
-            // Parse embedding if it's a string
-            let storedEmbedding = chunk.embedding;
-            if (typeof storedEmbedding === 'string') {
-                try {
-                    storedEmbedding = JSON.parse(storedEmbedding.replace(/[\[\]]/g, m => m));
-                } catch (e) {
-                    storedEmbedding = storedEmbedding
-                        .replace('[', '')
-                        .replace(']', '')
-                        .split(',')
-                        .map(Number);
-                }
-            }
-            
-            const similarity = cosineSimilarity(queryEmbedding, storedEmbedding);
-            return {
-                id: chunk.id,
-                document_id: chunk.document_id,
-                content: chunk.content,
-                metadata: chunk.metadata,
-                similarity: similarity * 100  // Convert to percentage
-            };
-        });
-        
-        // Sort by similarity (descending) and take top K
-        results.sort((a, b) => b.similarity - a.similarity);
-        const topResults = results.slice(0, limit);
-        
-        logger.info(`Vector search completed in ${Date.now() - startTime}ms`, {
-            totalChunks: allChunks.length,
-            resultCount: topResults.length,
-            topSimilarity: topResults[0]?.similarity.toFixed(2)
-        });
-        
-        return topResults;
-    } catch (err) {
-        logger.error('Vector search failed', { error: err.message });
-        throw err;
     }
 }
 
 /**
- * Compute cosine similarity between two vectors
+ * Count chunks for a set of documents
+ * @param {string[]} documentIds - Document UUIDs
+ * @returns {Promise<Object<string, number>>} Map of document ID to chunk count
+ */
+async function countChunks(documentIds) {
+    if (documentIds.length === 0) return {};
+
+    const { data, error } = await supabase
+        .from('documents')
+        .select('id, document_chunks(count)')
+        .in('id', documentIds);
+
+    if (error) {
+        logger.error('Failed to count chunks', { error: error.message });
+        throw new Error(`Database error: ${error.message}`);
+    }
+
+    return Object.fromEntries(
+        (data || []).map(doc => [doc.id, doc.document_chunks?.[0]?.count || 0])
+    );
+}
+
+/**
+ * Delete all chunks of a document
+ * @param {string} documentId - Document UUID
+ * @returns {Promise<number>} Number of chunks deleted
  */
-function cosineSimilarity(a, b) {
-    if (!a || !b) return 0;
-    
-    // Ensure both are arrays
-    const arrA = Array.isArray(a) ? a : Object.values(a);
-    const arrB = Array.isArray(b) ? b : Object.values(b);
-    
-    if (arrA.length !== arrB.length) return 0;
-    
-    let dotProduct = 0;
-    let normA = 0;
-    let normB = 0;
-    
-    for (let i = 0; i < arrA.length; i++) {
-        dotProduct += arrA[i] * arrB[i];
-        normA += arrA[i] * arrA[i];
-        normB += arrB[i] * arrB[i];
+async function deleteDocumentChunks(documentId) {
+    let count;
+    try {
+        ({ count } = await runWithRetry('Delete document chunks', () => supabase
+            .from('document_chunks')
+            .delete({ count: 'exact' })
+            .eq('document_id', documentId)
+        ));
+    } catch (error) {
+        logger.error('Failed to delete document chunks', { error: error.message, documentId });
+        throw new Error(`Database error: ${error.message}`);
     }
-    
-    if (normA === 0 || normB === 0) return 0;
-    return dotProduct / (Math.sqrt(normA) * Math.sqrt(normB));
+
+    return count || 0;
 }
 
 /**
  * Get document by ID
  * @param {string} documentId - Document UUID
- * @returns {Promise<Object|null>} Document record or null
+ * @returns {Promise<Object|null>} Document record or null if not found
  */
 async function getDocument(documentId) {
     const { data, error } = await supabase
         .from('documents')
-        .select('*, document_chunks(*)')
+        .select('*')
         .eq('id', documentId)
         .single();
 
     if (error) {
+        if (error.code === 'PGRST116') {
+            // Not found
+            logger.warn('Document not found', { documentId });
+            return null;
+        }
         logger.error('Failed to fetch document', { error: error.message, documentId });
-        return null;
+        throw new Error(`Database error: ${error.message}`);
+    }
+
+    return data;
+}
+
+/**
+ * Find documents uploaded with the same file contents
+ * @param {string} contentHash - SHA-256 of the file
+ * @returns {Promise<Array>} Matching documents, oldest first (usually zero or one)
+ */
+async function findDocumentsByHash(contentHash) {
+    const { data, error } = await supabase
+        .from('documents')
+        .select('*')
+        .eq('content_hash', contentHash)
+        .order('created_at', { ascending: true });
+
+    if (error) {
+        logger.error('Failed to look up document by hash', { error: error.message });
+        throw new Error(`Database error: ${error.message}`);
+    }
+
+    return data || [];
+}
+
+/**
+ * List documents, newest first
+ * 
+ * @param {Object} options - Query options
+ * @param {number} options.limit - Page size (default: 20)
+ * @param {number} options.offset - Number of documents to skip (default: 0)
+ * @param {Object} options.filters - Optional scope (documentIds, collectionId, tags), combined with AND
+ * @returns {Promise<{documents: Array, total: number}>}
+ */
+async function listDocuments(options = {}) {
+    const { limit = 20, offset = 0, filters = {} } = options;
+
+    let query = supabase
+        .from('documents')
+        .select('*', { count: 'exact' });
+
+    if (filters.documentIds) {
+        query = query.in('id', filters.documentIds);
+    }
+    if (filters.collectionId) {
+        query = query.eq('collection_id', filters.collectionId);
+    }
+    if (filters.tags) {
+        query = query.overlaps('tags', filters.tags);  // any of the tags, like match_documents
+    }
+
+    const { data, error, count } = await query
+        .order('created_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+    if (error) {
+        logger.error('Failed to list documents', { error: error.message });
+        throw new Error(`Database error: ${error.message}`);
+    }
+
+    return { documents: data || [], total: count || 0 };
+}
+
+/**
+ * Update a document's title, tags and/or collection
+ * 
+ * @param {string} documentId - Document UUID
+ * @param {Object} updates - Fields to update
+ * @param {string} updates.title - New title (optional)
+ * @param {string[]} updates.tags - Replacement tag list (optional)
+ * @param {string|null} updates.collectionId - Collection UUID, null to unassign (optional)
+ * @returns {Promise<Object|null>} Updated document or null if not found
+ */
+async function updateDocument(documentId, updates) {
+    const updateData = {
+        ...(updates.title !== undefined && { title: updates.title }),
+        ...(updates.tags !== undefined && { tags: updates.tags }),
+        ...(updates.collectionId !== undefined && { collection_id: updates.collectionId })
+    };
+
+    const { data, error } = await supabase
+        .from('documents')
+        .update(updateData)
+        .eq('id', documentId)
+        .select()
+        .maybeSingle();
+
+    if (error) {
+        logger.error('Failed to update document', { error: error.message, documentId });
+        throw new Error(`Database error: ${error.message}`);
+    }
+
+    if (data) {
+        logger.info('Document updated', { documentId, fields: Object.keys(updateData) });
+    }
+
+    return data;
+}
+
+/**
+ * Delete a document record
+ * Delete its chunks first through the vector store so no store keeps orphans.
+ * 
+ * @param {string} documentId - Document UUID
+ * @returns {Promise<boolean>} Whether a document was deleted
+ */
+async function deleteDocument(documentId) {
+    let data;
+    try {
+        ({ data } = await runWithRetry('Delete document', () => supabase
+            .from('documents')
+            .delete()
+            .eq('id', documentId)
+            .select('id')
+        ));
+    } catch (error) {
+        logger.error('Failed to delete document', { error: error.message, documentId });
+        throw new Error(`Database error: ${error.message}`);
+    }
+
+    const deleted = (data || []).length > 0;
+
+    if (deleted) {
+        logger.info('Document deleted', { documentId });
+    }
+
+    return deleted;
+}
+
+/**
+ * List collections with document counts
+ * @returns {Promise<Array>} Collections, alphabetical
+ */
+async function listCollections() {
+    const { data, error } = await supabase
+        .from('collections')
+        .select('*, documents(count)')
+        .order('name', { ascending: true });
+
+    if (error) {
+        logger.error('Failed to list collections', { error: error.message });
+        throw new Error(`Database error: ${error.message}`);
+    }
+
+    return (data || []).map(({ documents, ...collection }) => ({
+        ...collection,
+        document_count: documents?.[0]?.count || 0
+    }));
+}
+
+/**
+ * Get a collection by ID
+ * @param {string} collectionId - Collection UUID
+ * @returns {Promise<Object|null>} Collection or null if not found
+ */
+async function getCollection(collectionId) {
+    const { data, error } = await supabase
+        .from('collections')
+        .select('*')
+        .eq('id', collectionId)
+        .maybeSingle();
+
+    if (error) {
+        logger.error('Failed to fetch collection', { error: error.message, collectionId });
+        throw new Error(`Database error: ${error.message}`);
+    }
+
+    return data;
+}
+
+/**
+ * Create a collection (e.g. one per course)
+ * @param {string} name - Collection name
+ * @returns {Promise<Object>} Created collection
+ */
+async function createCollection(name) {
+    const { data, error } = await supabase
+        .from('collections')
+        .insert({ name })
+        .select()
+        .single();
+
+    if (error) {
+        logger.error('Failed to create collection', { error: error.message, name });
+        throw new Error(`Database error: ${error.message}`);
+    }
+
+    logger.info('Collection created', { collectionId: data.id, name });
+    return data;
+}
+
+/**
+ * Delete a collection
+ * Its documents are kept and simply leave the collection (ON DELETE SET NULL).
+ * 
+ * @param {string} collectionId - Collection UUID
+ * @returns {Promise<boolean>} Whether a collection was deleted
+ */
+async function deleteCollection(collectionId) {
+    const { data, error } = await supabase
+        .from('collections')
+        .delete()
+        .eq('id', collectionId)
+        .select('id');
+
+    if (error) {
+        logger.error('Failed to delete collection', { error: error.message, collectionId });
+        throw new Error(`Database error: ${error.message}`);
+    }
+
+    return (data || []).length > 0;
+}
+
+/**
+ * Create a chat session
+ * @param {string|null} title - Session title (usually the first question)
+ * @returns {Promise<Object>} Created session
+ */
+async function createSession(title = null) {
+    const { data, error } = await supabase
+        .from('chat_sessions')
+        .insert({ title })
+        .select()
+        .single();
+
+    if (error) {
+        logger.error('Failed to create chat session', { error: error.message });
+        throw new Error(`Database error: ${error.message}`);
+    }
+
+    logger.info('Chat session created', { sessionId: data.id });
+    return data;
+}
+
+/**
+ * Get chat session by ID
+ * @param {string} sessionId - Session UUID
+ * @returns {Promise<Object|null>} Session record or null if not found
+ */
+async function getSession(sessionId) {
+    const { data, error } = await supabase
+        .from('chat_sessions')
+        .select('*')
+        .eq('id', sessionId)
+        .maybeSingle();
+
+    if (error) {
+        logger.error('Failed to fetch chat session', { error: error.message, sessionId });
+        throw new Error(`Database error: ${error.message}`);
+    }
+
+    return data;
+}
+
+/**
+ * List chat sessions with message counts, most recently active first
+ * 
+ * @param {Object} options - Query options
+ * @param {number} options.limit - Page size (default: 20)
+ * @param {number} options.offset - Number of sessions to skip (default: 0)
+ * @returns {Promise<{sessions: Array, total: number}>}
+ */
+async function listSessions(options = {}) {
+    const { limit = 20, offset = 0 } = options;
+
+    const { data, error, count } = await supabase
+        .from('chat_sessions')
+        .select('*, chat_messages(count)', { count: 'exact' })
+        .order('updated_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+    if (error) {
+        logger.error('Failed to list chat sessions', { error: error.message });
+        throw new Error(`Database error: ${error.message}`);
+    }
+
+    return {
+        sessions: (data || []).map(({ chat_messages, ...session }) => ({
+            ...session,
+            message_count: chat_messages?.[0]?.count || 0
+        })),
+        total: count || 0
+    };
+}
+
+/**
+ * Get the messages of a chat session, oldest first
+ * @param {string} sessionId - Session UUID
+ * @returns {Promise<Array>} Message records
+ */
+async function getSessionMessages(sessionId) {
+    const { data, error } = await supabase
+        .from('chat_messages')
+        .select('*')
+        .eq('session_id', sessionId)
+        .order('created_at', { ascending: true });
+
+    if (error) {
+        logger.error('Failed to fetch chat messages', { error: error.message, sessionId });
+        throw new Error(`Database error: ${error.message}`);
+    }
+
+    return data || [];
+}
+
+/**
+ * Append messages (usually one question/answer turn) to a chat session
+ * Inserted in a single statement so a turn is never stored half-way.
+ * 
+ * @param {string} sessionId - Session UUID
+ * @param {Array<{role: string, content: string, standaloneQuestion?: string, sources?: Array}>} messages - Messages in order
+ * @returns {Promise<Array>} Inserted message records
+ */
+async function addSessionMessages(sessionId, messages) {
+    // created_at is nudged forward per message to keep the order stable
+    const now = Date.now();
+    const rows = messages.map((message, i) => ({
+        session_id: sessionId,
+        role: message.role,
+        content: message.content,
+        standalone_question: message.standaloneQuestion || null,
+        sources: message.sources || [],
+        prompt_version: message.promptVersion || null,
+        created_at: new Date(now + i).toISOString()
+    }));
+
+    const { data, error } = await supabase
+        .from('chat_messages')
+        .insert(rows)
+        .select();
+
+    if (error) {
+        logger.error('Failed to store chat messages', { error: error.message, sessionId });
+        throw new Error(`Database error: ${error.message}`);
+    }
+
+    const { error: touchError } = await supabase
+        .from('chat_sessions')
+        .update({ updated_at: new Date(now).toISOString() })
+        .eq('id', sessionId);
+
+    if (touchError) {
+        logger.warn('Failed to update chat session timestamp', { error: touchError.message, sessionId });
+    }
+
+    return data || [];
+}
+
+/**
+ * Delete a chat session and its messages
+ * @param {string} sessionId - Session UUID
+ * @returns {Promise<boolean>} Whether a session was deleted
+ */
+async function deleteSession(sessionId) {
+    const { data, error } = await supabase
+        .from('chat_sessions')
+        .delete()
+        .eq('id', sessionId)
+        .select('id');
+
+    if (error) {
+        logger.error('Failed to delete chat session', { error: error.message, sessionId });
+        throw new Error(`Database error: ${error.message}`);
+    }
+
+    const deleted = (data || []).length > 0;
+
+    if (deleted) {
+        logger.info('Chat session deleted', { sessionId });
+    }
+
+    return deleted;
+}
+
+/**
+ * Store a generated flashcard deck and its cards
+ * If the cards cannot be stored the deck is deleted again, so a deck is never empty.
+ * 
+ * @param {Object} deck - Deck attributes
+ * @param {string} deck.title - Deck title
+ * @param {string|null} deck.topic - Topic the cards focus on
+ * @param {Object} deck.scope - Filters the material came from (documentIds, collectionId, tags)
+ * @param {string} deck.promptVersion - Prompt that produced the cards (name@version)
+ * @param {string} deck.model - LLM model that produced the cards
+ * @param {Array<{question: string, answer: string, chunkId: string, documentId: string, source: Object}>} cards - Cards in order
+ * @returns {Promise<{deck: Object, cards: Array}>} Stored deck and card records
+ */
+async function createFlashcardDeck(deck, cards) {
+    const { data: deckRecord, error } = await supabase
+        .from('flashcard_decks')
+        .insert({
+            title: deck.title,
+            topic: deck.topic || null,
+            scope: deck.scope || {},
+            prompt_version: deck.promptVersion || null,
+            model: deck.model || null
+        })
+        .select()
+        .single();
+
+    if (error) {
+        logger.error('Failed to create flashcard deck', { error: error.message });
+        throw new Error(`Database error: ${error.message}`);
+    }
+
+    const { data: cardRecords, error: cardsError } = await supabase
+        .from('flashcards')
+        .insert(cards.map((card, i) => ({
+            deck_id: deckRecord.id,
+            position: i,
+            question: card.question,
+            answer: card.answer,
+            chunk_id: card.chunkId || null,
+            document_id: card.documentId || null,
+            source: card.source || {}
+        })))
+        .select()
+        .order('position', { ascending: true });
+
+    if (cardsError) {
+        logger.error('Failed to store flashcards', { error: cardsError.message, deckId: deckRecord.id });
+        await deleteFlashcardDeck(deckRecord.id).catch(() => {});
+        throw new Error(`Database error: ${cardsError.message}`);
+    }
+
+    logger.info('Flashcard deck created', { deckId: deckRecord.id, cards: cardRecords.length });
+    return { deck: deckRecord, cards: cardRecords };
+}
+
+/**
+ * Get a flashcard deck with its cards
+ * @param {string} deckId - Deck UUID
+ * @returns {Promise<{deck: Object, cards: Array}|null>} Deck and cards in order, or null if not found
+ */
+async function getFlashcardDeck(deckId) {
+    const { data: deck, error } = await supabase
+        .from('flashcard_decks')
+        .select('*')
+        .eq('id', deckId)
+        .maybeSingle();
+
+    if (error) {
+        logger.error('Failed to fetch flashcard deck', { error: error.message, deckId });
+        throw new Error(`Database error: ${error.message}`);
+    }
+
+    if (!deck) {
+        return null;
+    }
+
+    const { data: cards, error: cardsError } = await supabase
+        .from('flashcards')
+        .select('*')
+        .eq('deck_id', deckId)
+        .order('position', { ascending: true });
+
+    if (cardsError) {
+        logger.error('Failed to fetch flashcards', { error: cardsError.message, deckId });
+        throw new Error(`Database error: ${cardsError.message}`);
+    }
+
+    return { deck, cards: cards || [] };
+}
+
+/**
+ * List flashcard decks with card counts, newest first
+ * 
+ * @param {Object} options - Query options
+ * @param {number} options.limit - Page size (default: 20)
+ * @param {number} options.offset - Number of decks to skip (default: 0)
+ * @returns {Promise<{decks: Array, total: number}>}
+ */
+async function listFlashcardDecks(options = {}) {
+    const { limit = 20, offset = 0 } = options;
+
+    const { data, error, count } = await supabase
+        .from('flashcard_decks')
+        .select('*, flashcards(count)', { count: 'exact' })
+        .order('created_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+    if (error) {
+        logger.error('Failed to list flashcard decks', { error: error.message });
+        throw new Error(`Database error: ${error.message}`);
+    }
+
+    return {
+        decks: (data || []).map(({ flashcards, ...deck }) => ({
+            ...deck,
+            card_count: flashcards?.[0]?.count || 0
+        })),
+        total: count || 0
+    };
+}
+
+/**
+ * Delete a flashcard deck and its cards
+ * @param {string} deckId - Deck UUID
+ * @returns {Promise<boolean>} Whether a deck was deleted
+ */
+async function deleteFlashcardDeck(deckId) {
+    const { data, error } = await supabase
+        .from('flashcard_decks')
+        .delete()
+        .eq('id', deckId)
+        .select('id');
+
+    if (error) {
+        logger.error('Failed to delete flashcard deck', { error: error.message, deckId });
+        throw new Error(`Database error: ${error.message}`);
+    }
+
+    const deleted = (data || []).length > 0;
+
+    if (deleted) {
+        logger.info('Flashcard deck deleted', { deckId });
+    }
+
+    return deleted;
+}
+
+/**
+ * Get a single flashcard
+ * @param {string} cardId - Card UUID
+ * @returns {Promise<Object|null>} Card record, or null if not found
+ */
+async function getFlashcard(cardId) {
+    const { data, error } = await supabase
+        .from('flashcards')
+        .select('*')
+        .eq('id', cardId)
+        .maybeSingle();
+
+    if (error) {
+        logger.error('Failed to fetch flashcard', { error: error.message, cardId });
+        throw new Error(`Database error: ${error.message}`);
+    }
+
+    return data;
+}
+
+/**
+ * Store a card's new review schedule and log the review
+ * 
+ * @param {string} cardId - Card UUID
+ * @param {number} quality - Review rating, 0-5
+ * @param {Object} schedule - Result of scheduleReview (easeFactor, intervalDays, repetitions, lapses, dueAt)
+ * @param {Date} reviewedAt - Time of the review
+ * @returns {Promise<Object>} Updated card record
+ */
+async function recordFlashcardReview(cardId, quality, schedule, reviewedAt) {
+    const { data: card, error } = await supabase
+        .from('flashcards')
+        .update({
+            ease_factor: schedule.easeFactor,
+            interval_days: schedule.intervalDays,
+            repetitions: schedule.repetitions,
+            lapses: schedule.lapses,
+            due_at: schedule.dueAt.toISOString(),
+            last_reviewed_at: reviewedAt.toISOString()
+        })
+        .eq('id', cardId)
+        .select()
+        .single();
+
+    if (error) {
+        logger.error('Failed to update flashcard schedule', { error: error.message, cardId });
+        throw new Error(`Database error: ${error.message}`);
+    }
+
+    const { error: reviewError } = await supabase
+        .from('flashcard_reviews')
+        .insert({
+            card_id: cardId,
+            quality,
+            ease_factor: schedule.easeFactor,
+            interval_days: schedule.intervalDays,
+            due_at: schedule.dueAt.toISOString(),
+            reviewed_at: reviewedAt.toISOString()
+        });
+
+    if (reviewError) {
+        // The schedule is already updated; only the history entry is missing
+        logger.warn('Failed to log flashcard review', { error: reviewError.message, cardId });
+    }
+
+    return card;
+}
+
+/**
+ * List flashcards due for review, most overdue first
+ * 
+ * @param {Object} options - Query options
+ * @param {Date} options.before - Cards due at or before this time (default: now)
+ * @param {string} options.deckId - Only cards from this deck
+ * @param {number} options.limit - Page size (default: 20)
+ * @param {number} options.offset - Number of cards to skip (default: 0)
+ * @returns {Promise<{cards: Array, total: number}>} Cards with their deck (id, title)
+ */
+async function listDueFlashcards(options = {}) {
+    const { before = new Date(), deckId, limit = 20, offset = 0 } = options;
+
+    let query = supabase
+        .from('flashcards')
+        .select('*, deck:flashcard_decks(id, title)', { count: 'exact' })
+        .lte('due_at', before.toISOString());
+
+    if (deckId) {
+        query = query.eq('deck_id', deckId);
+    }
+
+    const { data, error, count } = await query
+        .order('due_at', { ascending: true })
+        .order('position', { ascending: true })
+        .range(offset, offset + limit - 1);
+
+    if (error) {
+        logger.error('Failed to list due flashcards', { error: error.message });
+        throw new Error(`Database error: ${error.message}`);
+    }
+
+    return { cards: data || [], total: count || 0 };
+}
+
+/**
+ * Store a generated quiz and its questions
+ * If the questions cannot be stored the quiz is deleted again.
+ * 
+ * @param {Object} quiz - Quiz attributes (title, topic, scope, promptVersion, model)
+ * @param {Array<{type: string, question: string, options: string[]|null, answer: *, rubric: string[]|null,
+ *   explanation: string|null, chunkId: string, documentId: string, source: Object}>} questions - Questions in order
+ * @returns {Promise<{quiz: Object, questions: Array}>} Stored quiz and question records
+ */
+async function createQuiz(quiz, questions) {
+    const { data: quizRecord, error } = await supabase
+        .from('quizzes')
+        .insert({
+            title: quiz.title,
+            topic: quiz.topic || null,
+            scope: quiz.scope || {},
+            prompt_version: quiz.promptVersion || null,
+            model: quiz.model || null
+        })
+        .select()
+        .single();
+
+    if (error) {
+        logger.error('Failed to create quiz', { error: error.message });
+        throw new Error(`Database error: ${error.message}`);
+    }
+
+    const { data: questionRecords, error: questionsError } = await supabase
+        .from('quiz_questions')
+        .insert(questions.map((question, i) => ({
+            quiz_id: quizRecord.id,
+            position: i,
+            type: question.type,
+            question: question.question,
+            options: question.options,
+            correct_answer: question.answer,
+            rubric: question.rubric,
+            explanation: question.explanation,
+            chunk_id: question.chunkId || null,
+            document_id: question.documentId || null,
+            source: question.source || {}
+        })))
+        .select()
+        .order('position', { ascending: true });
+
+    if (questionsError) {
+        logger.error('Failed to store quiz questions', { error: questionsError.message, quizId: quizRecord.id });
+        await deleteQuiz(quizRecord.id).catch(() => {});
+        throw new Error(`Database error: ${questionsError.message}`);
+    }
+
+    logger.info('Quiz created', { quizId: quizRecord.id, questions: questionRecords.length });
+    return { quiz: quizRecord, questions: questionRecords };
+}
+
+/**
+ * Get a quiz with its questions (including correct answers)
+ * @param {string} quizId - Quiz UUID
+ * @returns {Promise<{quiz: Object, questions: Array}|null>} Quiz and questions in order, or null if not found
+ */
+async function getQuiz(quizId) {
+    const { data: quiz, error } = await supabase
+        .from('quizzes')
+        .select('*')
+        .eq('id', quizId)
+        .maybeSingle();
+
+    if (error) {
+        logger.error('Failed to fetch quiz', { error: error.message, quizId });
+        throw new Error(`Database error: ${error.message}`);
+    }
+
+    if (!quiz) {
+        return null;
+    }
+
+    const { data: questions, error: questionsError } = await supabase
+        .from('quiz_questions')
+        .select('*')
+        .eq('quiz_id', quizId)
+        .order('position', { ascending: true });
+
+    if (questionsError) {
+        logger.error('Failed to fetch quiz questions', { error: questionsError.message, quizId });
+        throw new Error(`Database error: ${questionsError.message}`);
+    }
+
+    return { quiz, questions: questions || [] };
+}
+
+/**
+ * List quizzes with question and attempt counts, newest first
+ * 
+ * @param {Object} options - Query options
+ * @param {number} options.limit - Page size (default: 20)
+ * @param {number} options.offset - Number of quizzes to skip (default: 0)
+ * @returns {Promise<{quizzes: Array, total: number}>}
+ */
+async function listQuizzes(options = {}) {
+    const { limit = 20, offset = 0 } = options;
+
+    const { data, error, count } = await supabase
+        .from('quizzes')
+        .select('*, quiz_questions(count), quiz_attempts(count)', { count: 'exact' })
+        .order('created_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+    if (error) {
+        logger.error('Failed to list quizzes', { error: error.message });
+        throw new Error(`Database error: ${error.message}`);
+    }
+
+    return {
+        quizzes: (data || []).map(({ quiz_questions, quiz_attempts, ...quiz }) => ({
+            ...quiz,
+            question_count: quiz_questions?.[0]?.count || 0,
+            attempt_count: quiz_attempts?.[0]?.count || 0
+        })),
+        total: count || 0
+    };
+}
+
+/**
+ * Delete a quiz with its questions and attempts
+ * @param {string} quizId - Quiz UUID
+ * @returns {Promise<boolean>} Whether a quiz was deleted
+ */
+async function deleteQuiz(quizId) {
+    const { data, error } = await supabase
+        .from('quizzes')
+        .delete()
+        .eq('id', quizId)
+        .select('id');
+
+    if (error) {
+        logger.error('Failed to delete quiz', { error: error.message, quizId });
+        throw new Error(`Database error: ${error.message}`);
+    }
+
+    const deleted = (data || []).length > 0;
+
+    if (deleted) {
+        logger.info('Quiz deleted', { quizId });
+    }
+
+    return deleted;
+}
+
+/**
+ * Store a graded quiz attempt and its per-question scores
+ * If the answers cannot be stored the attempt is deleted again.
+ * 
+ * @param {Object} attempt - Attempt totals
+ * @param {string} attempt.quizId - Quiz UUID
+ * @param {number} attempt.score - Points scored
+ * @param {number} attempt.maxScore - Points available
+ * @param {string|null} attempt.gradingPromptVersion - Prompt that graded short answers, if any
+ * @param {Array<{questionId: string, response: *, score: number, maxScore: number, correct: boolean, feedback: string|null}>} answers - One per question
+ * @returns {Promise<{attempt: Object, answers: Array}>} Stored attempt and answer records
+ */
+async function createQuizAttempt(attempt, answers) {
+    const { data: attemptRecord, error } = await supabase
+        .from('quiz_attempts')
+        .insert({
+            quiz_id: attempt.quizId,
+            score: attempt.score,
+            max_score: attempt.maxScore,
+            grading_prompt_version: attempt.gradingPromptVersion || null
+        })
+        .select()
+        .single();
+
+    if (error) {
+        logger.error('Failed to create quiz attempt', { error: error.message, quizId: attempt.quizId });
+        throw new Error(`Database error: ${error.message}`);
+    }
+
+    const { data: answerRecords, error: answersError } = await supabase
+        .from('quiz_attempt_answers')
+        .insert(answers.map(answer => ({
+            attempt_id: attemptRecord.id,
+            question_id: answer.questionId,
+            response: answer.response,
+            score: answer.score,
+            max_score: answer.maxScore,
+            correct: answer.correct,
+            feedback: answer.feedback
+        })))
+        .select();
+
+    if (answersError) {
+        logger.error('Failed to store quiz attempt answers', { error: answersError.message, attemptId: attemptRecord.id });
+        await supabase.from('quiz_attempts').delete().eq('id', attemptRecord.id);
+        throw new Error(`Database error: ${answersError.message}`);
+    }
+
+    return { attempt: attemptRecord, answers: answerRecords || [] };
+}
+
+/**
+ * List the attempts at a quiz with their per-question scores, newest first
+ * @param {string} quizId - Quiz UUID
+ * @returns {Promise<Array>} Attempt records, each with an 'answers' array
+ */
+async function listQuizAttempts(quizId) {
+    const { data, error } = await supabase
+        .from('quiz_attempts')
+        .select('*, answers:quiz_attempt_answers(*)')
+        .eq('quiz_id', quizId)
+        .order('created_at', { ascending: false });
+
+    if (error) {
+        logger.error('Failed to list quiz attempts', { error: error.message, quizId });
+        throw new Error(`Database error: ${error.message}`);
+    }
+
+    return data || [];
+}
+
+/**
+ * Find a stored summary for the same document version, range, style and prompt
+ * 
+ * @param {Object} key - Cache key
+ * @param {string} key.documentId - Document UUID
+ * @param {string} key.style - brief, detailed or outline
+ * @param {string} key.rangeKey - Canonical range ('all' for the whole document)
+ * @param {string} key.sourceHash - SHA-256 of the summarized chunks
+ * @param {string} key.promptVersion - summary-reduce prompt version (name@version)
+ * @returns {Promise<Object|null>} Summary record, or null if none is stored
+ */
+async function findDocumentSummary(key) {
+    const { data, error } = await supabase
+        .from('document_summaries')
+        .select('*')
+        .eq('document_id', key.documentId)
+        .eq('style', key.style)
+        .eq('range_key', key.rangeKey)
+        .eq('source_hash', key.sourceHash)
+        .eq('prompt_version', key.promptVersion)
+        .maybeSingle();
+
+    if (error) {
+        logger.error('Failed to fetch document summary', { error: error.message, documentId: key.documentId });
+        throw new Error(`Database error: ${error.message}`);
+    }
+
+    return data;
+}
+
+/**
+ * Store a document summary
+ * A summary stored meanwhile for the same key is replaced.
+ * 
+ * @param {Object} summary - Summary with the key fields of findDocumentSummary
+ * @param {Object} summary.range - Range as requested
+ * @param {string} summary.model - Model that wrote the summary
+ * @param {string} summary.summary - Summary text (Markdown)
+ * @param {number} summary.chunkCount - Number of chunks summarized
+ * @returns {Promise<Object>} Stored summary record
+ */
+async function saveDocumentSummary(summary) {
+    const { data, error } = await supabase
+        .from('document_summaries')
+        .upsert({
+            document_id: summary.documentId,
+            style: summary.style,
+            range: summary.range || {},
+            range_key: summary.rangeKey,
+            source_hash: summary.sourceHash,
+            prompt_version: summary.promptVersion,
+            model: summary.model || null,
+            summary: summary.summary,
+            chunk_count: summary.chunkCount,
+            created_at: new Date().toISOString()
+        }, { onConflict: 'document_id,style,range_key,source_hash,prompt_version' })
+        .select()
+        .single();
+
+    if (error) {
+        logger.error('Failed to store document summary', { error: error.message, documentId: summary.documentId });
+        throw new Error(`Database error: ${error.message}`);
+    }
+
+    return data;
+}
+
+/**
+ * Model the corpus was last switched to by activate_embedding_model
+ * @returns {Promise<{model: string, dimensions: number}|null>} null before the first switch
+ */
+async function getActiveEmbeddingModel() {
+    const { data, error } = await supabase
+        .from('embedding_settings')
+        .select('model, dimensions')
+        .maybeSingle();
+
+    if (error) {
+        throw new Error(`Database error: ${error.message}`);
+    }
+
+    return data;
+}
+
+/**
+ * Re-embedding progress for a target model
+ * @param {string} model - Target embedding model
+ * @returns {Promise<{total: number, embedded: number, staged: number, pending: number}>}
+ *   embedded: chunks already using the model, staged: new vectors waiting in chunk_embeddings
+ */
+async function getReembedProgress(model) {
+    const counts = await Promise.all([
+        getAdminClient().from('document_chunks').select('id', { count: 'exact', head: true }),
+        getAdminClient().from('document_chunks').select('id', { count: 'exact', head: true }).eq('embedding_model', model),
+        getAdminClient().from('chunk_embeddings').select('chunk_id', { count: 'exact', head: true }).eq('embedding_model', model)
+    ]);
+
+    const failed = counts.find(result => result.error);
+    if (failed) {
+        logger.error('Failed to count re-embedding progress', { error: failed.error.message, model });
+        throw new Error(`Database error: ${failed.error.message}`);
+    }
+
+    const [total, embedded, staged] = counts.map(result => result.count || 0);
+    return { total, embedded, staged, pending: Math.max(0, total - embedded - staged) };
+}
+
+/**
+ * Next chunks that still need an embedding from the target model
+ * @param {string} model - Target embedding model
+ * @param {number} limit - Batch size
+ * @returns {Promise<Array<{id: string, content: string}>>}
+ */
+async function getPendingReembedChunks(model, limit) {
+    try {
+        const { data } = await runWithRetry('Fetch chunks to re-embed', () =>
+            getAdminClient().rpc('pending_chunk_embeddings', { target_model: model, batch_size: limit })
+        );
+        return data || [];
+    } catch (error) {
+        logger.error('Failed to fetch chunks to re-embed', { error: error.message, model });
+        throw new Error(`Database error: ${error.message}`);
+    }
+}
+
+/**
+ * Stage new embeddings until activateEmbeddingModel swaps them in
+ * Upserts, so re-running an interrupted batch is harmless.
+ * 
+ * @param {string} model - Target embedding model
+ * @param {Array<{chunkId: string, embedding: number[]}>} embeddings - New vectors
+ */
+async function stageEmbeddings(model, embeddings) {
+    const rows = embeddings.map(({ chunkId, embedding }) => ({
+        chunk_id: chunkId,
+        embedding_model: model,
+        embedding
+    }));
+
+    try {
+        await runWithRetry('Stage embeddings', () => getAdminClient()
+            .from('chunk_embeddings')
+            .upsert(rows, { onConflict: 'chunk_id,embedding_model' })
+        );
+    } catch (error) {
+        logger.error('Failed to stage embeddings', { error: error.message, model });
+        throw new Error(`Database error: ${error.message}`);
+    }
+}
+
+/**
+ * Switch every chunk to the staged embeddings of a model, in one transaction
+ * The activate_embedding_model function refuses while any chunk is missing one.
+ * 
+ * @param {string} model - Target embedding model
+ * @param {number} dimensions - Its vector dimension
+ * @returns {Promise<number>} Number of chunks switched
+ */
+async function activateEmbeddingModel(model, dimensions) {
+    const { data, error } = await getAdminClient().rpc('activate_embedding_model', {
+        target_model: model,
+        target_dimensions: dimensions
+    });
+
+    if (error) {
+        logger.error('Failed to switch embedding model', { error: error.message, model });
+        throw Object.assign(new Error(`Database error: ${error.message}`), { code: error.code });
     }
 
+    logger.info('Embedding model switched', { model, dimensions, chunkCount: data });
     return data;
 }
 
@@ -230,5 +1437,43 @@ module.exports = {
     createDocument,
     insertChunks,
     searchSimilar,
-    getDocument
+    searchKeyword,
+    getDocumentChunks,
+    countChunks,
+    deleteDocumentChunks,
+    getDocument,
+    findDocumentsByHash,
+    listDocuments,
+    updateDocument,
+    deleteDocument,
+    listCollections,
+    getCollection,
+    createCollection,
+    deleteCollection,
+    createSession,
+    getSession,
+    listSessions,
+    getSessionMessages,
+    addSessionMessages,
+    deleteSession,
+    createFlashcardDeck,
+    getFlashcardDeck,
+    listFlashcardDecks,
+    deleteFlashcardDeck,
+    getFlashcard,
+    recordFlashcardReview,
+    listDueFlashcards,
+    createQuiz,
+    getQuiz,
+    listQuizzes,
+    deleteQuiz,
+    createQuizAttempt,
+    listQuizAttempts,
+    findDocumentSummary,
+    saveDocumentSummary,
+    getActiveEmbeddingModel,
+    getReembedProgress,
+    getPendingReembedChunks,
+    stageEmbeddings,
+    activateEmbeddingModel
 };
@@ -0,0 +1,50 @@
+/**
+ * Vector Store
+ * Selects the chunk storage/search backend from config.vectorStore.provider.
+ *
+ * Providers:
+ * - supabase: pgvector via the match_documents RPC (default)
+ * - local:    in-process store for offline development and tests
+ *
+ * Every provider implements:
+ * - insertChunks(document, chunks)
+ * - searchSimilar(queryEmbedding, { limit, threshold, filters })
+ * - searchKeyword(queryText, { limit, queryEmbedding, filters })
+ * - getDocumentChunks(documentId)
+ * - countChunks(documentIds)
+ * - deleteDocumentChunks(documentId)
+ * - updateDocumentAttributes(document)   (optional)
+ * - getActiveEmbeddingModel()            (optional, see scripts/reembed.js)
+ */
+
+const config = require('../config');
+const logger = require('../utils/logger');
+
+const PROVIDERS = {
+    supabase: () => require('./supabase'),
+    local: () => require('./localVectorStore')
+};
+
+const provider = config.vectorStore.provider;
+
+if (!PROVIDERS[provider]) {
+    throw new Error(`Unknown vector store provider: ${provider}. Use one of: ${Object.keys(PROVIDERS).join(', ')}`);
+}
+
+const store = PROVIDERS[provider]();
+
+logger.info('Vector store initialized', { provider });
+
+module.exports = {
+    provider,
+    insertChunks: store.insertChunks,
+    searchSimilar: store.searchSimilar,
+    searchKeyword: store.searchKeyword,
+    getDocumentChunks: store.getDocumentChunks,
+    countChunks: store.countChunks,
+    deleteDocumentChunks: store.deleteDocumentChunks,
+    // Supabase joins document attributes at query time, so there is nothing to refresh
+    updateDocumentAttributes: store.updateDocumentAttributes || (async () => {}),
+    // Without a recorded model, EMBEDDING_MODEL is used
+    getActiveEmbeddingModel: store.getActiveEmbeddingModel || (async () => null)
+};
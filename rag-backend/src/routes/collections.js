@@ -0,0 +1,83 @@
+/**
+ * Collections Route
+ * Groups documents (e.g. by course) so queries can be scoped to one collection.
+ *
+ * GET    /collections      - List collections with document counts
+ * POST   /collections      - Create a collection
+ * DELETE /collections/:id  - Delete a collection (its documents are kept)
+ *
+ * Documents are assigned with POST /ingest (collectionId field)
+ * or PATCH /documents/:id.
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { listCollections, createCollection, deleteCollection } = require('../db/documentStore');
+const { isUuid } = require('../utils/validation');
+
+/**
+ * GET /collections
+ */
+router.get('/', asyncHandler(async (req, res) => {
+    const collections = await listCollections();
+
+    res.json({
+        success: true,
+        data: {
+            collections: collections.map(collection => ({
+                id: collection.id,
+                name: collection.name,
+                documentCount: collection.document_count,
+                createdAt: collection.created_at
+            }))
+        }
+    });
+}));
+
+/**
+ * POST /collections
+ * Body: { "name": "CS301 - Operating Systems" }
+ */
+router.post('/', asyncHandler(async (req, res) => {
+    const { name } = req.body;
+
+    if (!name || typeof name !== 'string' || name.trim().length === 0) {
+        throw new AppError('Collection name is required', 400);
+    }
+
+    const collection = await createCollection(name.trim());
+
+    res.status(201).json({
+        success: true,
+        data: {
+            id: collection.id,
+            name: collection.name,
+            documentCount: 0,
+            createdAt: collection.created_at
+        }
+    });
+}));
+
+/**
+ * DELETE /collections/:id
+ */
+router.delete('/:id', asyncHandler(async (req, res) => {
+    if (!isUuid(req.params.id)) {
+        throw new AppError('Invalid collection ID format', 400);
+    }
+
+    const deleted = await deleteCollection(req.params.id);
+
+    if (!deleted) {
+        throw new AppError('Collection not found', 404);
+    }
+
+    res.json({
+        success: true,
+        data: { collectionId: req.params.id }
+    });
+}));
+
+module.exports = router;
@@ -0,0 +1,523 @@
+/**
+ * Documents Route
+ * Knowledge base management: list, inspect, rename/retag and delete documents.
+ *
+ * GET    /documents      - List documents with chunk counts (paginated)
+ * GET    /documents/:id  - Document details with chunk previews
+ * GET    /documents/:id/outline - Section tree (chapters and headings) with page spans
+ * PATCH  /documents/:id  - Rename, retag or move a document to a collection
+ * DELETE /documents/:id  - Delete a document and all of its chunks
+ *
+ * POST   /documents/:id/summary        - Summarize the document or a page, slide or heading range
+ * POST   /documents/:id/summary/stream - Same, streamed as Server-Sent Events
+ *
+ * TODO: Add per-user ownership once authentication is added
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { getDocument, listDocuments, updateDocument, deleteDocument, getCollection } = require('../db/documentStore');
+const vectorStore = require('../db/vectorStore');
+const { invalidateAnswers } = require('../services/queryCache');
+const {
+    SUMMARY_STYLES,
+    planSummary,
+    streamSummary,
+    generateSummary,
+    formatMarkdown
+} = require('../services/summaries');
+const { buildOutline, OUTLINE_SOURCES } = require('../services/headings');
+const { isUuid, isStringArray } = require('../utils/validation');
+const logger = require('../utils/logger');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const PREVIEW_LENGTH = 200;
+const MAX_TAGS = 20;
+const MAX_HEADING_LEVELS = 6;
+const MAX_HEADING_LENGTH = 200;
+
+// Reject malformed IDs before they reach the database
+router.param('id', (req, res, next, id) => {
+    if (!isUuid(id)) {
+        return next(new AppError('Invalid document ID format', 400));
+    }
+    next();
+});
+
+/**
+ * Format a document record for API responses
+ */
+function formatDocument(doc) {
+    return {
+        id: doc.id,
+        title: doc.title,
+        format: doc.format || 'pdf',
+        tags: doc.tags || [],
+        collectionId: doc.collection_id || null,
+        chunkCount: doc.chunk_count,
+        createdAt: doc.created_at
+    };
+}
+
+/**
+ * Validate and normalize a tag list (trimmed, non-empty, unique)
+ * @param {*} tags - Raw tags from the request body
+ * @returns {string[]} Normalized tags
+ */
+function normalizeTags(tags) {
+    if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string')) {
+        throw new AppError('Tags must be an array of strings', 400);
+    }
+
+    const normalized = [...new Set(tags.map(tag => tag.trim()).filter(Boolean))];
+
+    if (normalized.length > MAX_TAGS) {
+        throw new AppError(`A document can have at most ${MAX_TAGS} tags`, 400);
+    }
+
+    return normalized;
+}
+
+/**
+ * Format a section tree node for API responses
+ * chunkCount counts the chunks under the heading, subsections included.
+ *
+ * @param {Object} node - Node from headings.buildOutline
+ * @param {string[]} parentPath - Heading path of the parent node
+ * @param {Map<string, number>} chunkCounts - Chunk count per heading path (JSON)
+ */
+function formatOutlineNode(node, parentPath, chunkCounts) {
+    const headingPath = [...parentPath, node.title];
+    const children = (node.children || []).map(child => formatOutlineNode(child, headingPath, chunkCounts));
+
+    return {
+        title: node.title,
+        level: node.level,
+        headingPath,
+        pageStart: node.pageStart ?? null,
+        pageEnd: node.pageEnd ?? null,
+        slideStart: node.slideStart ?? null,
+        slideEnd: node.slideEnd ?? null,
+        chunkCount: children.reduce((sum, child) => sum + child.chunkCount,
+            chunkCounts.get(JSON.stringify(headingPath)) || 0),
+        children
+    };
+}
+
+/**
+ * Format a summary record for API responses
+ */
+function formatSummary(summary, cached) {
+    return {
+        id: summary.id,
+        documentId: summary.document_id,
+        style: summary.style,
+        range: summary.range || {},
+        summary: summary.summary,
+        chunkCount: summary.chunk_count,
+        promptVersion: summary.prompt_version,
+        model: summary.model || null,
+        cached,
+        createdAt: summary.created_at
+    };
+}
+
+/**
+ * Validate a page or slide span ({ start, end }; end defaults to start)
+ */
+function parseSpan(span, name) {
+    const start = span?.start;
+    const end = span?.end ?? start;
+
+    if (!Number.isInteger(start) || !Number.isInteger(end) || start < 1 || end < start) {
+        throw new AppError(`${name} must be { start, end } with whole numbers and 1 <= start <= end`, 400);
+    }
+
+    return { start, end };
+}
+
+/**
+ * Validate a summary request
+ *
+ * @param {Object} body - Request body
+ * @returns {{style: string, range: Object}} Style and range ({} for the whole document)
+ */
+function parseSummaryRequest(body) {
+    const { style = 'brief', pages, slides, heading } = body;
+    const styles = Object.keys(SUMMARY_STYLES);
+
+    if (!styles.includes(style)) {
+        throw new AppError(`style must be one of: ${styles.join(', ')}`, 400);
+    }
+
+    if ([pages, slides, heading].filter(value => value !== undefined && value !== null).length > 1) {
+        throw new AppError('Provide at most one of pages, slides or heading', 400);
+    }
+
+    if (pages !== undefined && pages !== null) {
+        return { style, range: { pages: parseSpan(pages, 'pages') } };
+    }
+
+    if (slides !== undefined && slides !== null) {
+        return { style, range: { slides: parseSpan(slides, 'slides') } };
+    }
+
+    if (heading !== undefined && heading !== null) {
+        const levels = typeof heading === 'string' ? [heading] : heading;
+
+        if (!isStringArray(levels) || levels.length === 0 || levels.length > MAX_HEADING_LEVELS
+            || levels.some(level => level.length > MAX_HEADING_LENGTH)) {
+            throw new AppError(`heading must be a heading or a path of up to ${MAX_HEADING_LEVELS} headings`, 400);
+        }
+
+        return { style, range: { heading: levels.map(level => level.trim()) } };
+    }
+
+    return { style, range: {} };
+}
+
+/**
+ * Load a document and plan its summary, or fail with 404
+ */
+async function loadSummaryPlan(documentId, body) {
+    const params = parseSummaryRequest(body);
+    const document = await getDocument(documentId);
+
+    if (!document) {
+        throw new AppError('Document not found', 404);
+    }
+
+    return planSummary(document, params);
+}
+
+/**
+ * Write a single Server-Sent Event
+ */
+function sendEvent(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * GET /documents
+ * List documents, newest first
+ *
+ * Query params:
+ * - limit: Page size (default: 20, max: 100)
+ * - offset: Number of documents to skip (default: 0)
+ */
+router.get('/', asyncHandler(async (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+    if (limit <= 0) {
+        throw new AppError('limit must be a positive integer', 400);
+    }
+
+    const { documents, total } = await listDocuments({ limit, offset });
+    const chunkCounts = await vectorStore.countChunks(documents.map(doc => doc.id));
+
+    res.json({
+        success: true,
+        data: {
+            documents: documents.map(doc => formatDocument({ ...doc, chunk_count: chunkCounts[doc.id] || 0 })),
+            pagination: {
+                total,
+                limit,
+                offset,
+                hasMore: offset + documents.length < total
+            }
+        }
+    });
+}));
+
+/**
+ * GET /documents/:id
+ * Document details with a short preview of every chunk
+ */
+router.get('/:id', asyncHandler(async (req, res) => {
+    const document = await getDocument(req.params.id);
+
+    if (!document) {
+        throw new AppError('Document not found', 404);
+    }
+
+    const chunks = (await vectorStore.getDocumentChunks(document.id))
+        .map(chunk => ({
+            chunkId: chunk.id,
+            chunkIndex: chunk.metadata?.chunkIndex ?? null,
+            pageStart: chunk.metadata?.pageStart ?? null,
+            pageEnd: chunk.metadata?.pageEnd ?? null,
+            slideStart: chunk.metadata?.slideStart ?? null,
+            slideEnd: chunk.metadata?.slideEnd ?? null,
+            headingPath: chunk.metadata?.headingPath ?? null,
+            ocrConfidence: chunk.metadata?.ocrConfidence ?? null,
+            embeddingModel: chunk.embedding_model ?? null,
+            charCount: chunk.content?.length || 0,
+            preview: chunk.content && chunk.content.length > PREVIEW_LENGTH
+                ? `${chunk.content.slice(0, PREVIEW_LENGTH)}…`
+                : chunk.content
+        }));
+
+    res.json({
+        success: true,
+        data: {
+            ...formatDocument({ ...document, chunk_count: chunks.length }),
+            chunks
+        }
+    });
+}));
+
+/**
+ * GET /documents/:id/outline
+ * Section tree of the document: chapters and headings with their page or
+ * slide spans, as detected at ingestion (see services/headings.js).
+ *
+ * source is where the headings came from: 'pdf-outline' (PDF bookmarks),
+ * 'detected' (PDF fonts and numbering), 'headings' (Word/Markdown/HTML headings)
+ * or 'chunks' (rebuilt from chunk metadata, for documents stored before
+ * trees were kept). It is null, with no sections, when no headings were found.
+ */
+router.get('/:id/outline', asyncHandler(async (req, res) => {
+    const document = await getDocument(req.params.id);
+
+    if (!document) {
+        throw new AppError('Document not found', 404);
+    }
+
+    const chunks = await vectorStore.getDocumentChunks(document.id);
+    const chunkCounts = new Map();
+    for (const chunk of chunks) {
+        if (chunk.metadata?.headingPath?.length) {
+            const key = JSON.stringify(chunk.metadata.headingPath);
+            chunkCounts.set(key, (chunkCounts.get(key) || 0) + 1);
+        }
+    }
+
+    let outline = document.outline;
+    if (!outline) {
+        const sections = buildOutline(chunks.map(chunk => chunk.metadata || {}));
+        outline = { source: sections.length > 0 ? OUTLINE_SOURCES.CHUNKS : null, sections };
+    }
+
+    res.json({
+        success: true,
+        data: {
+            documentId: document.id,
+            title: document.title,
+            source: outline.source,
+            sections: outline.sections.map(node => formatOutlineNode(node, [], chunkCounts))
+        }
+    });
+}));
+
+/**
+ * PATCH /documents/:id
+ * Rename, retag or move a document to a collection
+ *
+ * Body:
+ * {
+ *   "title": "Operating Systems - Lecture 4",   // optional
+ *   "tags": ["os", "midterm"],                   // optional, replaces existing tags
+ *   "collectionId": "uuid"                       // optional, null removes it from its collection
+ * }
+ */
+router.patch('/:id', asyncHandler(async (req, res) => {
+    const { title, tags, collectionId } = req.body;
+    const updates = {};
+
+    if (title !== undefined) {
+        if (typeof title !== 'string' || title.trim().length === 0) {
+            throw new AppError('Title must be a non-empty string', 400);
+        }
+        updates.title = title.trim();
+    }
+
+    if (tags !== undefined) {
+        updates.tags = normalizeTags(tags);
+    }
+
+    if (collectionId !== undefined) {
+        if (collectionId !== null && !isUuid(collectionId)) {
+            throw new AppError('collectionId must be a UUID or null', 400);
+        }
+        if (collectionId !== null && !(await getCollection(collectionId))) {
+            throw new AppError('Collection not found', 404);
+        }
+        updates.collectionId = collectionId;
+    }
+
+    if (Object.keys(updates).length === 0) {
+        throw new AppError('Provide a title, tags or collectionId to update', 400);
+    }
+
+    const document = await updateDocument(req.params.id, updates);
+
+    if (!document) {
+        throw new AppError('Document not found', 404);
+    }
+
+    await vectorStore.updateDocumentAttributes(document);
+    // Cached answers cite document titles
+    invalidateAnswers('document updated');
+
+    const chunkCounts = await vectorStore.countChunks([document.id]);
+
+    res.json({
+        success: true,
+        data: formatDocument({ ...document, chunk_count: chunkCounts[document.id] || 0 })
+    });
+}));
+
+/**
+ * DELETE /documents/:id
+ * Delete a document and all of its chunks
+ */
+router.delete('/:id', asyncHandler(async (req, res) => {
+    const document = await getDocument(req.params.id);
+
+    if (!document) {
+        throw new AppError('Document not found', 404);
+    }
+
+    // Chunks first, so a failure never leaves chunks without their document
+    const chunkCount = await vectorStore.deleteDocumentChunks(document.id);
+    await deleteDocument(document.id);
+    invalidateAnswers('document deleted');
+
+    logger.info('Document removed from knowledge base', {
+        documentId: req.params.id,
+        chunkCount
+    });
+
+    res.json({
+        success: true,
+        data: {
+            documentId: req.params.id,
+            deletedChunks: chunkCount
+        }
+    });
+}));
+
+/**
+ * POST /documents/:id/summary
+ * Summarize a document, or part of it, with map-reduce over its chunks.
+ * Repeated requests for the same document version, range and style return
+ * the stored summary.
+ *
+ * Body:
+ * {
+ *   "style": "brief",                  // optional: brief (default), detailed or outline
+ *   "pages": { "start": 3, "end": 10 }, // optional, at most one of pages, slides, heading
+ *   "slides": { "start": 1, "end": 5 },
+ *   "heading": ["Memory", "Paging"]    // a heading, or consecutive levels of a heading path
+ * }
+ *
+ * Query params:
+ * - format: json (default) or markdown, which downloads the summary as a .md file
+ */
+router.post('/:id/summary', asyncHandler(async (req, res) => {
+    const startTime = Date.now();
+    const format = req.query.format || 'json';
+
+    if (!['json', 'markdown'].includes(format)) {
+        throw new AppError('format must be json or markdown', 400);
+    }
+
+    const plan = await loadSummaryPlan(req.params.id, req.body);
+    const result = plan.cached
+        ? { summary: plan.cached, usage: null, mapCalls: 0 }
+        : await generateSummary(plan);
+
+    if (format === 'markdown') {
+        const fileName = `${plan.document.title.replace(/\.[^.]+$/, '').replace(/[^\w.-]+/g, '_')}-summary.md`;
+
+        res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+        return res.type('text/markdown').send(formatMarkdown(plan.document, result.summary));
+    }
+
+    res.json({
+        success: true,
+        data: formatSummary(result.summary, Boolean(plan.cached)),
+        metrics: {
+            totalTimeMs: Date.now() - startTime,
+            chunksUsed: plan.chunks.length,
+            mapCalls: result.mapCalls,
+            ...(result.usage && { tokenUsage: result.usage })
+        }
+    });
+}));
+
+/**
+ * POST /documents/:id/summary/stream
+ * Same request body as POST /documents/:id/summary, answered as Server-Sent Events:
+ *
+ * - progress: { round, completed, total } - after each group of map calls
+ * - token:    { content }                 - summary text deltas
+ * - done:     { summary, metrics }        - the stored summary (including its full text) and timings
+ * - error:    { message }                 - generation failed mid-stream
+ *
+ * A stored summary is sent as a single token. Closing the connection cancels
+ * generation, and nothing is stored.
+ */
+router.post('/:id/summary/stream', asyncHandler(async (req, res) => {
+    const startTime = Date.now();
+
+    // Validation errors still get a regular JSON error response
+    const plan = await loadSummaryPlan(req.params.id, req.body);
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+
+    const metrics = { chunksUsed: plan.chunks.length };
+
+    if (plan.cached) {
+        sendEvent(res, 'token', { content: plan.cached.summary });
+        sendEvent(res, 'done', {
+            summary: formatSummary(plan.cached, true),
+            metrics: { totalTimeMs: Date.now() - startTime, mapCalls: 0, ...metrics }
+        });
+        return res.end();
+    }
+
+    // Cancel the LLM calls when the client goes away
+    const abortController = new AbortController();
+    res.on('close', () => {
+        if (!res.writableEnded) {
+            abortController.abort();
+        }
+    });
+
+    try {
+        for await (const event of streamSummary(plan, { signal: abortController.signal })) {
+            if (event.type === 'done') {
+                sendEvent(res, 'done', {
+                    summary: formatSummary(event.summary, false),
+                    metrics: {
+                        totalTimeMs: Date.now() - startTime,
+                        mapCalls: event.mapCalls,
+                        ...metrics,
+                        ...(event.usage && { tokenUsage: event.usage })
+                    }
+                });
+            } else {
+                const { type, ...data } = event;
+                sendEvent(res, type, data);
+            }
+        }
+    } catch (error) {
+        // Headers are already sent, so report the failure in-band
+        logger.error('Streaming summary failed', { error: error.message, documentId: plan.document.id });
+        sendEvent(res, 'error', { message: error.message });
+    }
+
+    res.end();
+}));
+
+module.exports = router;
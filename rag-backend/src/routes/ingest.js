@@ -1,15 +1,24 @@
 /**
  * Ingest Route
- * Handles PDF upload, text extraction, chunking, embedding, and storage.
+ * Handles document upload and queues background processing
+ * (text extraction, chunking, embedding, and storage).
  * 
  * POST /ingest
- * - Accepts multipart/form-data with 'file' field (PDF)
- * - Returns: document ID, chunk count, processing time
+ * - Accepts multipart/form-data with 'file' field
+ *   (PDF, DOCX, PPTX, HTML, Markdown or plain text; see services/loaders)
+ * - Optional 'chunkStrategy' field (fixed | recursive | sentence | token)
+ * - Optional 'collectionId' field and 'tags' field (comma-separated) for scoped retrieval
+ * - Optional 'replace' field ('true') to re-ingest a file that is already stored
+ * - Returns 202 with a job ID right away, or 200 with the existing document
+ *   when identical content (same SHA-256) was uploaded before
+ * 
+ * GET /ingest/jobs/:id
+ * - Job status: stage, percent complete, attempts, error, and the result when done
+ * 
+ * GET /ingest/jobs/:id/events
+ * - Same job status streamed as Server-Sent Events until the job finishes
  * 
  * TODO: Add support for multiple file uploads
- * TODO: Implement async processing with job queue
- * TODO: Add progress tracking for large files
- * TODO: Support other file formats (DOCX, TXT, HTML)
  */
 
 const express = require('express');
@@ -17,10 +26,14 @@ const multer = require('multer');
 const router = express.Router();
 
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
-const { extractText, isValidPdf } = require('../services/pdfExtractor');
-const { chunkText, preprocessText } = require('../services/chunker');
-const { generateEmbeddings } = require('../services/embeddings');
-const { createDocument, insertChunks } = require('../db/supabase');
+const { detectFormat, isSupportedUpload, describeFormats } = require('../services/loaders');
+const { isValidStrategy, CHUNK_STRATEGIES } = require('../services/chunker');
+const { ingestDocument, findDuplicate } = require('../services/ingestion');
+const { createJobQueue, isFinished } = require('../services/jobQueue');
+const { getCollection } = require('../db/documentStore');
+const { isUuid } = require('../utils/validation');
+const { sha256 } = require('../utils/hash');
+const config = require('../config');
 const logger = require('../utils/logger');
 
 // Configure multer for file uploads
@@ -33,132 +46,189 @@ const upload = multer({
         files: 1
     },
     fileFilter: (req, file, cb) => {
-        if (file.mimetype === 'application/pdf') {
+        if (isSupportedUpload(file.originalname, file.mimetype)) {
             cb(null, true);
         } else {
-            cb(new AppError('Only PDF files are allowed', 400), false);
+            cb(new AppError(`Unsupported file type. Supported formats: ${describeFormats()}`, 400), false);
         }
     }
 });
 
+const ingestQueue = createJobQueue({
+    name: 'Ingestion',
+    ...config.ingest
+});
+
+/**
+ * Parse the multipart 'tags' field
+ * Accepts a comma-separated string or a repeated field.
+ * 
+ * @param {string|string[]|undefined} raw - Raw field value
+ * @returns {string[]} Trimmed, unique tags
+ */
+function parseTags(raw) {
+    if (!raw) return [];
+
+    const values = Array.isArray(raw) ? raw : String(raw).split(',');
+    return [...new Set(values.map(tag => tag.trim()).filter(Boolean))];
+}
+
 /**
  * POST /ingest
- * Upload and process a PDF document
+ * Upload a document and queue it for processing
  */
 router.post('/', upload.single('file'), asyncHandler(async (req, res) => {
-    const startTime = Date.now();
-    const timings = {};
-
     logger.info('Received upload request');
 
     // Validate file upload
     if (!req.file) {
         logger.error('No file uploaded');
-        throw new AppError('No file uploaded. Please upload a PDF file.', 400);
+        throw new AppError('No file uploaded. Please upload a document.', 400);
     }
 
-    const pdfBuffer = req.file.buffer;
+    const fileBuffer = req.file.buffer;
     const fileName = req.file.originalname;
 
-    logger.info('Starting document ingestion', {
+    // Chunking strategy can be chosen per request, falling back to config
+    const chunkStrategy = req.body.chunkStrategy || config.rag.chunkStrategy;
+
+    if (!isValidStrategy(chunkStrategy)) {
+        throw new AppError(`Invalid chunkStrategy. Use one of: ${Object.values(CHUNK_STRATEGIES).join(', ')}`, 400);
+    }
+
+    // Optional grouping used to scope /query retrieval
+    const collectionId = req.body.collectionId || null;
+    const tags = parseTags(req.body.tags);
+
+    if (collectionId && !isUuid(collectionId)) {
+        throw new AppError('collectionId must be a valid UUID', 400);
+    }
+
+    if (collectionId && !(await getCollection(collectionId))) {
+        throw new AppError('Collection not found', 404);
+    }
+
+    // Check the content before queueing so bad uploads fail fast
+    const format = detectFormat(fileBuffer, fileName);
+
+    if (!format) {
+        logger.error('Unrecognized file format', { fileName, mimeType: req.file.mimetype });
+        throw new AppError(`Unrecognized file format. Supported formats: ${describeFormats()}`, 400);
+    }
+
+    // Identical content is only ingested again when the client asks to replace it
+    const contentHash = sha256(fileBuffer);
+    const replace = req.body.replace === 'true';
+
+    if (!replace) {
+        const duplicate = await findDuplicate(contentHash, { collectionId, tags });
+
+        if (duplicate) {
+            logger.info('Upload matches a stored document', {
+                documentId: duplicate.documentId,
+                fileName
+            });
+
+            return res.json({
+                success: true,
+                data: duplicate
+            });
+        }
+    }
+
+    const job = ingestQueue.enqueue('ingest', {
+        buffer: fileBuffer,
+        format,
+        fileName,
+        chunkStrategy,
+        collectionId,
+        tags,
+        contentHash,
+        replace
+    }, ingestDocument);
+
+    logger.info('Document ingestion queued', {
+        jobId: job.id,
         fileName,
-        fileSize: pdfBuffer.length
+        format,
+        fileSize: fileBuffer.length,
+        chunkStrategy,
+        replace
     });
 
-    try {
-        // Validate PDF structure
-        if (!isValidPdf(pdfBuffer)) {
-            logger.error('Invalid PDF format');
-            throw new AppError('Invalid PDF file format', 400);
+    res.status(202).json({
+        success: true,
+        data: {
+            jobId: job.id,
+            status: job.status,
+            fileName,
+            format,
+            statusUrl: `/ingest/jobs/${job.id}`,
+            eventsUrl: `/ingest/jobs/${job.id}/events`
         }
+    });
+}));
 
-        // Step 1: Extract text from PDF
-        logger.info('Step 1: Extracting text...');
-        let extractStart = Date.now();
-        const { text, pageCount, info } = await extractText(pdfBuffer);
-        timings.extraction = Date.now() - extractStart;
-        logger.info(`Text extracted: ${pageCount} pages, ${text.length} chars`);
+/**
+ * Look up a job or fail with 404
+ */
+function findJob(jobId) {
+    if (!isUuid(jobId)) {
+        throw new AppError('Invalid job ID format', 400);
+    }
 
-        if (!text || text.trim().length === 0) {
-            throw new AppError('Could not extract text from PDF. It may be scanned or image-based.', 422);
-        }
+    const job = ingestQueue.getJob(jobId);
+
+    if (!job) {
+        throw new AppError('Job not found (finished jobs expire after a while)', 404);
+    }
 
-        // Step 2: Preprocess and chunk text
-        logger.info('Step 2: Chunking text...');
-        let chunkStart = Date.now();
-        const cleanedText = preprocessText(text);
-        const chunks = chunkText(cleanedText);
-        timings.chunking = Date.now() - chunkStart;
-        logger.info(`Created ${chunks.length} chunks`);
+    return job;
+}
 
-        if (chunks.length === 0) {
-            throw new AppError('No valid chunks could be created from the document', 422);
+/**
+ * GET /ingest/jobs/:id
+ * Current status of an ingestion job
+ */
+router.get('/jobs/:id', asyncHandler(async (req, res) => {
+    res.json({
+        success: true,
+        data: findJob(req.params.id)
+    });
+}));
+
+/**
+ * GET /ingest/jobs/:id/events
+ * Job status as Server-Sent Events:
+ * 
+ * - progress: job status on every stage/percent change
+ * - completed | failed: final job status, then the stream closes
+ */
+router.get('/jobs/:id/events', asyncHandler(async (req, res) => {
+    const job = findJob(req.params.id);
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+
+    const send = (current) => {
+        const event = isFinished(current) ? current.status : 'progress';
+        res.write(`event: ${event}\ndata: ${JSON.stringify(current)}\n\n`);
+
+        if (isFinished(current)) {
+            unsubscribe();
+            res.end();
         }
+    };
 
-        // Step 3: Generate embeddings for chunks
-        logger.info('Step 3: Generating embeddings (this may take a while)...');
-        let embedStart = Date.now();
-        const chunkContents = chunks.map(c => c.content);
-        // Add timeout/race if needed, but for now just await
-        const embeddings = await generateEmbeddings(chunkContents);
-        timings.embedding = Date.now() - embedStart;
-        logger.info('Embeddings generated successfully');
-
-        // Step 4: Store document and chunks in Supabase
-        logger.info('Step 4: Storing in Supabase...');
-        let storeStart = Date.now();
-
-        // Create parent document record
-        const document = await createDocument(fileName);
-        logger.info(`Document created with ID: ${document.id}`);
-
-        // Combine chunks with embeddings
-        const chunksWithEmbeddings = chunks.map((chunk, index) => ({
-            content: chunk.content,
-            embedding: embeddings[index]
-        }));
-
-        // Insert chunks with embeddings
-        await insertChunks(document.id, chunksWithEmbeddings);
-        timings.storage = Date.now() - storeStart;
-        logger.info('Storage completed');
-
-        const totalTime = Date.now() - startTime;
-
-        logger.info('Document ingestion completed successfully', {
-            documentId: document.id,
-            fileName,
-            totalTimeMs: totalTime
-        });
-
-        // Return success response
-        res.status(201).json({
-            success: true,
-            data: {
-                documentId: document.id,
-                fileName,
-                pageCount,
-                chunkCount: chunks.length,
-                documentInfo: info
-            },
-            metrics: {
-                totalTimeMs: totalTime,
-                timings: {
-                    extractionMs: timings.extraction,
-                    chunkingMs: timings.chunking,
-                    embeddingMs: timings.embedding,
-                    storageMs: timings.storage
-                }
-            }
-        });
-    } catch (error) {
-        logger.error('Ingestion failed at specific step', {
-            step: error.step || 'unknown',
-            message: error.message,
-            stack: error.stack
-        });
-        throw error; // Re-throw to be caught by global handler
-    }
+    const unsubscribe = ingestQueue.subscribe(job.id, send);
+    res.on('close', unsubscribe);
+
+    // Current state first, so late subscribers are never left waiting
+    send(job);
 }));
 
 module.exports = router;
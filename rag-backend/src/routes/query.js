@@ -4,121 +4,539 @@
  * 
  * POST /query
  * - Accepts JSON with 'question' field
- * - Returns: answer, source chunks, usage metrics
+ * - Optional scope: 'documentIds', 'collectionId' and/or 'tags' (combined with AND)
+ * - Optional 'minSimilarity' (0-1) overrides the configured similarity threshold
+ * - Optional 'retrieval' selects vector, keyword or hybrid search and their weights
+ * - Optional 'rerank' (true/false or { enabled, candidates }) re-scores over-fetched
+ *   candidates with a cross-encoder and keeps the best topK (default: config.rerank)
+ * - Optional 'parentContext' (true/false) gives the LLM the section around each
+ *   matched chunk instead of the chunk alone; sources carry it as parentSection
+ *   (default: config.rag.parentContext)
+ * - Optional 'sessionId' continues a chat session (see /sessions): prior turns are
+ *   included in the prompt and follow-ups are rewritten into standalone queries
+ * - Returns: answer, source chunks, citation check, usage metrics
  * 
- * TODO: Add conversation history support
- * TODO: Implement streaming responses
- * TODO: Add query caching
- * TODO: Support filtering by document ID
+ * POST /query/stream
+ * - Same body; streams sources, answer tokens and metrics as Server-Sent Events
+ * 
+ * Question embeddings and answers are cached (see services/queryCache.js);
+ * metrics.cache reports whether this request hit either cache.
+ * 
+ * Answers cite sources with numbered markers ([1] is sources[0]). The
+ * 'citations' check (see services/citations.js) flags markers without a
+ * matching source and sentences no cited source supports; it is null when
+ * there was no context to cite.
  */
 
 const express = require('express');
 const router = express.Router();
 
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
-const { generateEmbedding } = require('../services/embeddings');
-const { searchSimilar } = require('../db/supabase');
-const { generateAnswer } = require('../services/llm');
+const { retrieve, attachParentSections, isValidMode, RETRIEVAL_MODES } = require('../services/retriever');
+const { rerankChunks } = require('../services/reranker');
+const { getAnswerPrompt, generateAnswer, generateAnswerStream, condenseQuestion } = require('../services/llm');
+const { loadConversation, saveTurn } = require('../services/conversation');
+const { getQuestionEmbedding, getAnswerKey, getCachedAnswer, getAnswerGeneration, setCachedAnswer } = require('../services/queryCache');
+const { verifyCitations } = require('../services/citations');
+const { isUuid, parseScope } = require('../utils/validation');
 const config = require('../config');
 const logger = require('../utils/logger');
 
+const MAX_RETRIEVER_WEIGHT = 10;
+const MAX_RERANK_CANDIDATES = 50;
+const NO_CONTEXT_ANSWER = 'I could not find any relevant information in the knowledge base to answer your question.';
+
 /**
- * POST /query
- * Ask a question and get a grounded answer
+ * Validate the optional retrieval settings from the request body
+ * Unset fields fall back to config.rag.
+ *
+ * @param {Object} retrieval - { mode, vectorWeight, keywordWeight }
+ * @returns {{mode: string, vectorWeight: number, keywordWeight: number}} Retrieval options
  */
-router.post('/', asyncHandler(async (req, res) => {
-    const startTime = Date.now();
-    const timings = {};
+function parseRetrieval(retrieval = {}) {
+    if (typeof retrieval !== 'object' || retrieval === null || Array.isArray(retrieval)) {
+        throw new AppError('retrieval must be an object', 400);
+    }
 
-    // Validate request body
-    const { question, topK } = req.body;
+    const {
+        mode = config.rag.retrievalMode,
+        vectorWeight = config.rag.vectorWeight,
+        keywordWeight = config.rag.keywordWeight
+    } = retrieval;
+
+    if (!isValidMode(mode)) {
+        throw new AppError(`retrieval.mode must be one of: ${Object.values(RETRIEVAL_MODES).join(', ')}`, 400);
+    }
+
+    for (const [name, weight] of Object.entries({ vectorWeight, keywordWeight })) {
+        if (typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0 || weight > MAX_RETRIEVER_WEIGHT) {
+            throw new AppError(`retrieval.${name} must be a number between 0 and ${MAX_RETRIEVER_WEIGHT}`, 400);
+        }
+    }
+
+    if (mode === RETRIEVAL_MODES.HYBRID && vectorWeight === 0 && keywordWeight === 0) {
+        throw new AppError('At least one retrieval weight must be greater than 0', 400);
+    }
+
+    return { mode, vectorWeight, keywordWeight };
+}
+
+/**
+ * Validate the optional rerank setting from the request body
+ * Accepts a boolean or { enabled, candidates }; unset fields fall back to config.rerank.
+ *
+ * @param {boolean|Object} rerank - Raw setting
+ * @returns {{enabled: boolean, candidates: number}} Rerank options
+ */
+function parseRerank(rerank = {}) {
+    if (typeof rerank === 'boolean') {
+        rerank = { enabled: rerank };
+    }
+
+    if (typeof rerank !== 'object' || rerank === null || Array.isArray(rerank)) {
+        throw new AppError('rerank must be a boolean or an object', 400);
+    }
+
+    const { enabled = config.rerank.enabled, candidates = config.rerank.candidates } = rerank;
+
+    if (typeof enabled !== 'boolean') {
+        throw new AppError('rerank.enabled must be a boolean', 400);
+    }
+
+    if (!Number.isInteger(candidates) || candidates < 1 || candidates > MAX_RERANK_CANDIDATES) {
+        throw new AppError(`rerank.candidates must be an integer between 1 and ${MAX_RERANK_CANDIDATES}`, 400);
+    }
+
+    return { enabled, candidates };
+}
+
+/**
+ * Validate a query request body
+ * 
+ * @param {Object} body - Request body
+ * @returns {{question: string, sessionId: string|null, limit: number, threshold: number, filters: Object, retrieval: Object, rerank: Object, parentContext: boolean}}
+ */
+function parseQueryRequest(body) {
+    const { question, topK, minSimilarity, sessionId, parentContext = config.rag.parentContext } = body;
 
     if (!question || typeof question !== 'string' || question.trim().length === 0) {
         throw new AppError('Question is required and must be a non-empty string', 400);
     }
 
+    if (sessionId !== undefined && sessionId !== null && !isUuid(sessionId)) {
+        throw new AppError('sessionId must be a valid UUID', 400);
+    }
+
+    const filters = parseScope(body);
+
     // Optional: limit on number of results
-    const resultLimit = topK && Number.isInteger(topK) && topK > 0 && topK <= 20
+    const limit = topK && Number.isInteger(topK) && topK > 0 && topK <= 20
         ? topK
         : config.rag.topK;
 
+    if (minSimilarity !== undefined && (typeof minSimilarity !== 'number' || minSimilarity < 0 || minSimilarity > 1)) {
+        throw new AppError('minSimilarity must be a number between 0 and 1', 400);
+    }
+
+    if (typeof parentContext !== 'boolean') {
+        throw new AppError('parentContext must be a boolean', 400);
+    }
+
+    return {
+        question,
+        sessionId: sessionId || null,
+        limit,
+        threshold: minSimilarity ?? config.rag.similarityThreshold,
+        filters,
+        retrieval: parseRetrieval(body.retrieval),
+        rerank: parseRerank(body.rerank),
+        parentContext
+    };
+}
+
+/**
+ * Load the chat session named in the request, if any
+ * 
+ * @param {string|null} sessionId - Session UUID from the request
+ * @returns {Promise<{session: Object, history: Array, turnCount: number}|null>}
+ */
+async function loadSession(sessionId) {
+    if (!sessionId) {
+        return null;
+    }
+
+    const conversation = await loadConversation(sessionId);
+
+    if (!conversation) {
+        throw new AppError('Session not found', 404);
+    }
+
+    return conversation;
+}
+
+/**
+ * Embed the question and retrieve relevant chunks, recording step timings
+ * Follow-ups in a session are first rewritten into a standalone question.
+ * With reranking, more candidates are retrieved and the cross-encoder picks the best.
+ * With parentContext, the chosen chunks are widened to their sections.
+ * 
+ * @param {Object} params - Output of parseQueryRequest
+ * @param {Array} history - Prior conversation turns (empty when stateless)
+ * @param {Object} timings - Timings object to fill (condense, embedding, search, rerank, parentContext)
+ * @returns {Promise<{chunks: Array, stats: Object, standaloneQuestion: string|null, embeddingCacheHit: boolean}>}
+ */
+async function retrieveContext(params, history, timings) {
+    const { question, limit, threshold, filters, retrieval, rerank, parentContext } = params;
+
     logger.info('Processing query', {
         questionLength: question.length,
-        topK: resultLimit
+        sessionId: params.sessionId,
+        historyMessages: history.length,
+        topK: limit,
+        threshold,
+        filters,
+        retrieval,
+        rerank,
+        parentContext
     });
 
-    // Step 1: Generate embedding for the question
-    let embedStart = Date.now();
-    const queryEmbedding = await generateEmbedding(question);
+    // Step 0: Rewrite follow-ups ("explain the second point") into standalone queries
+    let standaloneQuestion = null;
+    if (history.length > 0 && config.chat.condenseFollowUps) {
+        const condenseStart = Date.now();
+        standaloneQuestion = await condenseQuestion(question, history);
+        timings.condense = Date.now() - condenseStart;
+
+        logger.debug('Condensed follow-up question', { question, standaloneQuestion });
+    }
+    const searchQuestion = standaloneQuestion || question;
+
+    // Step 1: Generate embedding for the question (cached for repeated questions)
+    const embedStart = Date.now();
+    const { embedding: queryEmbedding, cacheHit: embeddingCacheHit } = await getQuestionEmbedding(searchQuestion);
     timings.embedding = Date.now() - embedStart;
 
-    // Step 2: Perform vector similarity search
-    let searchStart = Date.now();
-    const similarChunks = await searchSimilar(queryEmbedding, resultLimit);
+    // Step 2: Retrieve chunks (vector, keyword or fused hybrid search)
+    const searchStart = Date.now();
+    const result = await retrieve(searchQuestion, queryEmbedding, {
+        limit: rerank.enabled ? Math.max(limit, rerank.candidates) : limit,
+        threshold,
+        filters,
+        ...retrieval
+    });
     timings.search = Date.now() - searchStart;
 
-    // Handle case where no relevant chunks found
-    if (!similarChunks || similarChunks.length === 0) {
-        logger.warn('No relevant chunks found for query', { question });
-
-        return res.json({
-            success: true,
-            data: {
-                answer: 'I could not find any relevant information in the knowledge base to answer your question.',
-                sources: [],
-                hasContext: false
-            },
-            metrics: {
-                totalTimeMs: Date.now() - startTime,
-                timings: {
-                    embeddingMs: timings.embedding,
-                    searchMs: timings.search
-                }
-            }
+    // Step 3: Re-score the candidates with the cross-encoder and keep the best
+    if (rerank.enabled) {
+        const rerankStart = Date.now();
+        const candidates = result.chunks.length;
+        result.chunks = await rerankChunks(searchQuestion, result.chunks, { limit });
+        timings.rerank = Date.now() - rerankStart;
+
+        result.stats = { ...result.stats, rerank: { model: config.rerank.model, candidates } };
+    }
+
+    // Widen the chosen chunks to the sections they sit in
+    if (parentContext && result.chunks.length > 0) {
+        const sectionStart = Date.now();
+        result.chunks = await attachParentSections(result.chunks);
+        timings.parentContext = Date.now() - sectionStart;
+
+        result.stats = {
+            ...result.stats,
+            parentSections: result.chunks.filter(chunk => chunk.parentSection).length
+        };
+    }
+
+    if (result.chunks.length === 0) {
+        logger.warn('No relevant chunks found for query', { question: searchQuestion });
+    }
+
+    return { ...result, standaloneQuestion, embeddingCacheHit };
+}
+
+/**
+ * Format retrieved chunks as response sources
+ */
+function formatSources(chunks) {
+    return chunks.map(chunk => ({
+        chunkId: chunk.id,
+        documentId: chunk.document_id,
+        documentTitle: chunk.document_title,
+        format: chunk.metadata?.format ?? null,
+        pageStart: chunk.metadata?.pageStart ?? null,
+        pageEnd: chunk.metadata?.pageEnd ?? null,
+        slideStart: chunk.metadata?.slideStart ?? null,
+        slideEnd: chunk.metadata?.slideEnd ?? null,
+        headingPath: chunk.metadata?.headingPath ?? null,
+        // Set when the text came from OCR (0-100); low values mean the text may be garbled
+        ocrConfidence: chunk.metadata?.ocrConfidence ?? null,
+        content: chunk.content,
+        similarity: typeof chunk.similarity === 'number'
+            ? parseFloat((chunk.similarity * 100).toFixed(2))
+            : null,
+        retrievers: chunk.retrievers,
+        vectorRank: chunk.vectorRank,
+        keywordRank: chunk.keywordRank,
+        fusedScore: parseFloat(chunk.fusedScore.toFixed(5)),
+        // Set when reranked: cross-encoder relevance (0-100) and position before reranking
+        rerankScore: typeof chunk.rerankScore === 'number'
+            ? parseFloat((chunk.rerankScore * 100).toFixed(2))
+            : null,
+        retrievalRank: chunk.retrievalRank ?? null,
+        // Set with parentContext: the section text around the chunk that the LLM was given
+        parentSection: chunk.parentSection ?? null,
+        metadata: chunk.metadata
+    }));
+}
+
+/**
+ * Check an answer's citation markers against its context
+ * @returns {Object|null} Citation check, or null when there was no context
+ */
+function checkCitations(answer, chunks) {
+    if (chunks.length === 0) {
+        return null;
+    }
+
+    const citations = verifyCitations(answer, chunks);
+
+    if (!citations.verified) {
+        logger.info('Answer has unverified citations', {
+            sentences: citations.sentences,
+            flagged: citations.flagged.length,
+            invalidMarkers: citations.invalidMarkers
         });
     }
 
-    // Step 3: Generate answer using LLM with context
-    let llmStart = Date.now();
-    const { answer, usage } = await generateAnswer(question, similarChunks);
-    timings.llm = Date.now() - llmStart;
+    return citations;
+}
+
+/**
+ * Write a single Server-Sent Event
+ */
+function sendEvent(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Format step timings for response metrics
+ */
+function formatTimings(timings) {
+    return {
+        ...(timings.condense !== undefined && { condenseMs: timings.condense }),
+        embeddingMs: timings.embedding,
+        searchMs: timings.search,
+        ...(timings.rerank !== undefined && { rerankMs: timings.rerank }),
+        ...(timings.parentContext !== undefined && { parentContextMs: timings.parentContext }),
+        ...(timings.llm !== undefined && { llmMs: timings.llm })
+    };
+}
+
+/**
+ * POST /query
+ * Ask a question and get a grounded answer
+ */
+router.post('/', asyncHandler(async (req, res) => {
+    const startTime = Date.now();
+    const timings = {};
+    // Read before retrieval: an answer is only cached if no document changed while it was built
+    const cacheGeneration = getAnswerGeneration();
+
+    const params = parseQueryRequest(req.body);
+    const conversation = await loadSession(params.sessionId);
+    const history = conversation?.history || [];
+
+    const { chunks: similarChunks, stats: retrievalStats, standaloneQuestion, embeddingCacheHit } =
+        await retrieveContext(params, history, timings);
+
+    let answer = NO_CONTEXT_ANSWER;
+    let usage;
+
+    // Step 4: Generate answer using LLM with context (skipped when nothing relevant was found,
+    // or when the same question over the same chunks was answered before)
+    const prompt = getAnswerPrompt(params.sessionId);
+    const promptVersion = similarChunks.length > 0 ? prompt.id : null;
+    const answerKey = getAnswerKey(params.question, similarChunks, history, prompt.id);
+    const cachedAnswer = getCachedAnswer(answerKey);
+
+    if (cachedAnswer) {
+        answer = cachedAnswer.answer;
+    } else if (similarChunks.length > 0) {
+        const llmStart = Date.now();
+        let provider;
+        ({ answer, usage, provider } = await generateAnswer(params.question, similarChunks, { history, prompt }));
+        timings.llm = Date.now() - llmStart;
+        setCachedAnswer(answerKey, { answer, usage }, { generation: cacheGeneration, provider });
+    }
+
+    const sources = formatSources(similarChunks);
+    const citations = checkCitations(answer, similarChunks);
+
+    if (conversation) {
+        await saveTurn(params.sessionId, { question: params.question, standaloneQuestion, answer, sources, promptVersion });
+    }
 
     const totalTime = Date.now() - startTime;
 
     logger.info('Query completed', {
         totalTimeMs: totalTime,
         chunksUsed: similarChunks.length,
+        sessionId: params.sessionId,
+        answerCacheHit: Boolean(cachedAnswer),
+        promptVersion,
         tokenUsage: usage
     });
 
-    // Format source chunks for response
-    // TODO: Include document title and page numbers
-    const sources = similarChunks.map((chunk, index) => ({
-        chunkId: chunk.id,
-        documentId: chunk.document_id,
-        content: chunk.content,
-        similarity: parseFloat((chunk.similarity * 100).toFixed(2)),
-        metadata: chunk.metadata
-    }));
-
     // Return success response
     res.json({
         success: true,
         data: {
             answer,
             sources,
-            hasContext: true
+            citations,
+            hasContext: similarChunks.length > 0,
+            scope: params.filters,
+            sessionId: params.sessionId,
+            standaloneQuestion
         },
         metrics: {
             totalTimeMs: totalTime,
-            timings: {
-                embeddingMs: timings.embedding,
-                searchMs: timings.search,
-                llmMs: timings.llm
-            },
-            tokenUsage: usage
+            timings: formatTimings(timings),
+            retrieval: retrievalStats,
+            cache: { embeddingHit: embeddingCacheHit, answerHit: Boolean(cachedAnswer) },
+            promptVersion,
+            ...(usage && { tokenUsage: usage })
+        }
+    });
+}));
+
+/**
+ * POST /query/stream
+ * Same request body as POST /query, answered as Server-Sent Events:
+ * 
+ * - sources: { sources, hasContext, scope, sessionId, standaloneQuestion } - sent once retrieval finishes
+ * - token:   { content }                    - answer text deltas
+ * - done:    { citations, metrics }         - citation check of the full answer, token usage and timings
+ * - error:   { message }                    - generation failed mid-stream
+ * 
+ * Closing the connection cancels the LLM completion. Cancelled answers are
+ * not stored in the session.
+ */
+router.post('/stream', asyncHandler(async (req, res) => {
+    const startTime = Date.now();
+    const timings = {};
+    const cacheGeneration = getAnswerGeneration();
+
+    // Validation and retrieval errors still get a regular JSON error response
+    const params = parseQueryRequest(req.body);
+    const conversation = await loadSession(params.sessionId);
+    const history = conversation?.history || [];
+
+    const { chunks, stats: retrievalStats, standaloneQuestion, embeddingCacheHit } =
+        await retrieveContext(params, history, timings);
+    const sources = formatSources(chunks);
+    const prompt = getAnswerPrompt(params.sessionId);
+    const promptVersion = chunks.length > 0 ? prompt.id : null;
+    const answerKey = getAnswerKey(params.question, chunks, history, prompt.id);
+    const cachedAnswer = getCachedAnswer(answerKey);
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+
+    sendEvent(res, 'sources', {
+        sources,
+        hasContext: chunks.length > 0,
+        scope: params.filters,
+        sessionId: params.sessionId,
+        standaloneQuestion
+    });
+
+    const metrics = {
+        retrieval: retrievalStats,
+        cache: { embeddingHit: embeddingCacheHit, answerHit: Boolean(cachedAnswer) },
+        promptVersion
+    };
+
+    // Stores the finished turn; a storage failure must not hide the answer already sent
+    const finishTurn = async (answer) => {
+        if (!conversation) return;
+
+        try {
+            await saveTurn(params.sessionId, { question: params.question, standaloneQuestion, answer, sources, promptVersion });
+        } catch (error) {
+            logger.error('Failed to store chat turn', { error: error.message, sessionId: params.sessionId });
+            sendEvent(res, 'error', { message: 'Answer generated but could not be saved to the session' });
+        }
+    };
+
+    // Nothing to generate: send the fixed or cached answer as a single token
+    if (chunks.length === 0 || cachedAnswer) {
+        const answer = cachedAnswer ? cachedAnswer.answer : NO_CONTEXT_ANSWER;
+        sendEvent(res, 'token', { content: answer });
+        await finishTurn(answer);
+        sendEvent(res, 'done', {
+            citations: checkCitations(answer, chunks),
+            metrics: { totalTimeMs: Date.now() - startTime, timings: formatTimings(timings), ...metrics }
+        });
+        return res.end();
+    }
+
+    // Cancel the completion when the client goes away
+    const abortController = new AbortController();
+    res.on('close', () => {
+        if (!res.writableEnded) {
+            abortController.abort();
         }
     });
+
+    const llmStart = Date.now();
+
+    try {
+        const stream = generateAnswerStream(params.question, chunks, {
+            signal: abortController.signal,
+            history,
+            prompt
+        });
+
+        for await (const event of stream) {
+            if (event.type === 'token') {
+                sendEvent(res, 'token', { content: event.content });
+            } else if (event.type === 'done') {
+                timings.llm = Date.now() - llmStart;
+                metrics.tokenUsage = event.usage;
+                setCachedAnswer(answerKey, { answer: event.answer, usage: event.usage }, {
+                    generation: cacheGeneration,
+                    provider: event.provider
+                });
+
+                await finishTurn(event.answer);
+
+                logger.info('Streaming query completed', {
+                    totalTimeMs: Date.now() - startTime,
+                    chunksUsed: chunks.length,
+                    sessionId: params.sessionId,
+                    promptVersion,
+                    tokenUsage: event.usage
+                });
+
+                sendEvent(res, 'done', {
+                    citations: checkCitations(event.answer, chunks),
+                    metrics: { totalTimeMs: Date.now() - startTime, timings: formatTimings(timings), ...metrics }
+                });
+            }
+        }
+    } catch (error) {
+        // Headers are already sent, so report the failure in-band
+        logger.error('Streaming query failed', { error: error.message });
+        sendEvent(res, 'error', { message: error.message });
+    }
+
+    res.end();
 }));
 
 /**
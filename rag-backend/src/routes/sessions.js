@@ -0,0 +1,152 @@
+/**
+ * Sessions Route
+ * Chat sessions for conversational follow-ups on /query.
+ *
+ * GET    /sessions      - List sessions with message counts (paginated)
+ * POST   /sessions      - Start a session
+ * GET    /sessions/:id  - Session with all of its messages
+ * DELETE /sessions/:id  - Delete a session and its messages
+ *
+ * Turns are added by passing the session ID as 'sessionId' to POST /query
+ * or POST /query/stream.
+ *
+ * TODO: Add per-user ownership once authentication is added
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const {
+    createSession,
+    getSession,
+    listSessions,
+    getSessionMessages,
+    deleteSession
+} = require('../db/supabase');
+const { isUuid } = require('../utils/validation');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const MAX_TITLE_LENGTH = 200;
+
+// Reject malformed IDs before they reach the database
+router.param('id', (req, res, next, id) => {
+    if (!isUuid(id)) {
+        return next(new AppError('Invalid session ID format', 400));
+    }
+    next();
+});
+
+/**
+ * Format a session record for API responses
+ */
+function formatSession(session) {
+    return {
+        id: session.id,
+        title: session.title,
+        messageCount: session.message_count,
+        createdAt: session.created_at,
+        updatedAt: session.updated_at
+    };
+}
+
+/**
+ * GET /sessions
+ * List sessions, most recently active first
+ *
+ * Query params:
+ * - limit: Page size (default: 20, max: 100)
+ * - offset: Number of sessions to skip (default: 0)
+ */
+router.get('/', asyncHandler(async (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+    if (limit <= 0) {
+        throw new AppError('limit must be a positive integer', 400);
+    }
+
+    const { sessions, total } = await listSessions({ limit, offset });
+
+    res.json({
+        success: true,
+        data: {
+            sessions: sessions.map(formatSession),
+            pagination: {
+                total,
+                limit,
+                offset,
+                hasMore: offset + sessions.length < total
+            }
+        }
+    });
+}));
+
+/**
+ * POST /sessions
+ * Body: { "title": "OS midterm revision" }   // optional
+ */
+router.post('/', asyncHandler(async (req, res) => {
+    const { title } = req.body;
+
+    if (title !== undefined && title !== null && typeof title !== 'string') {
+        throw new AppError('Title must be a string', 400);
+    }
+
+    const session = await createSession(title?.trim().slice(0, MAX_TITLE_LENGTH) || null);
+
+    res.status(201).json({
+        success: true,
+        data: formatSession({ ...session, message_count: 0 })
+    });
+}));
+
+/**
+ * GET /sessions/:id
+ * Session details with every message, oldest first
+ */
+router.get('/:id', asyncHandler(async (req, res) => {
+    const session = await getSession(req.params.id);
+
+    if (!session) {
+        throw new AppError('Session not found', 404);
+    }
+
+    const messages = await getSessionMessages(session.id);
+
+    res.json({
+        success: true,
+        data: {
+            ...formatSession({ ...session, message_count: messages.length }),
+            messages: messages.map(message => ({
+                id: message.id,
+                role: message.role,
+                content: message.content,
+                standaloneQuestion: message.standalone_question,
+                sources: message.sources || [],
+                promptVersion: message.prompt_version || null,
+                createdAt: message.created_at
+            }))
+        }
+    });
+}));
+
+/**
+ * DELETE /sessions/:id
+ * Delete a session and all of its messages
+ */
+router.delete('/:id', asyncHandler(async (req, res) => {
+    const deleted = await deleteSession(req.params.id);
+
+    if (!deleted) {
+        throw new AppError('Session not found', 404);
+    }
+
+    res.json({
+        success: true,
+        data: { sessionId: req.params.id }
+    });
+}));
+
+module.exports = router;
@@ -0,0 +1,566 @@
+/**
+ * Study Route
+ * Study aids generated from the knowledge base.
+ *
+ * POST   /study/flashcards      - Generate and store a flashcard deck
+ * GET    /study/flashcards      - List stored decks (paginated)
+ * GET    /study/flashcards/:id  - Deck with all of its cards
+ * DELETE /study/flashcards/:id  - Delete a deck
+ *
+ * POST   /study/cards/:id/review - Rate a card recall (0-5) and schedule its next review
+ * GET    /study/reviews/due      - Cards due for review, most overdue first
+ *
+ * POST   /study/quizzes                - Generate and store a quiz
+ * GET    /study/quizzes                - List stored quizzes (paginated)
+ * GET    /study/quizzes/:id            - Quiz questions (correct answers are not included)
+ * DELETE /study/quizzes/:id            - Delete a quiz and its attempts
+ * POST   /study/quizzes/:id/attempts   - Grade and store an attempt
+ * GET    /study/quizzes/:id/attempts   - Past attempts with per-question scores
+ *
+ * TODO: Add per-user ownership once authentication is added
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { generateDeck } = require('../services/flashcards');
+const { QUESTION_TYPES, generateQuiz, formatCorrectAnswer, gradeAttempt } = require('../services/quizzes');
+const { MIN_QUALITY, MAX_QUALITY, isValidQuality, scheduleReview } = require('../services/spacedRepetition');
+const {
+    getFlashcardDeck,
+    listFlashcardDecks,
+    deleteFlashcardDeck,
+    getFlashcard,
+    recordFlashcardReview,
+    listDueFlashcards,
+    getQuiz,
+    listQuizzes,
+    deleteQuiz,
+    listQuizAttempts
+} = require('../db/supabase');
+const { isUuid, parseScope } = require('../utils/validation');
+
+const DEFAULT_CARD_COUNT = 10;
+const MAX_CARD_COUNT = 30;
+const DEFAULT_QUESTION_COUNT = 5;
+const MAX_QUESTION_COUNT = 20;
+const MAX_TOPIC_LENGTH = 200;
+const MAX_TITLE_LENGTH = 200;
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// What :id refers to under each path, for error messages
+const ID_LABELS = { flashcards: 'deck', cards: 'card', quizzes: 'quiz' };
+
+// Reject malformed IDs before they reach the database
+router.param('id', (req, res, next, id) => {
+    if (!isUuid(id)) {
+        return next(new AppError(`Invalid ${ID_LABELS[req.path.split('/')[1]]} ID format`, 400));
+    }
+    next();
+});
+
+/**
+ * Format a deck record for API responses
+ */
+function formatDeck(deck, cardCount) {
+    return {
+        id: deck.id,
+        title: deck.title,
+        topic: deck.topic,
+        scope: deck.scope || {},
+        cardCount,
+        promptVersion: deck.prompt_version || null,
+        createdAt: deck.created_at
+    };
+}
+
+/**
+ * Format a card record for API responses, with its review schedule
+ */
+function formatCard(card) {
+    return {
+        id: card.id,
+        question: card.question,
+        answer: card.answer,
+        source: {
+            chunkId: card.chunk_id,
+            documentId: card.document_id,
+            ...card.source
+        },
+        review: {
+            dueAt: card.due_at || null,
+            intervalDays: card.interval_days ?? 0,
+            easeFactor: Number(card.ease_factor ?? 2.5),
+            repetitions: card.repetitions ?? 0,
+            lapses: card.lapses ?? 0,
+            lastReviewedAt: card.last_reviewed_at || null
+        }
+    };
+}
+
+/**
+ * Format a quiz record for API responses
+ */
+function formatQuiz(quiz, questionCount) {
+    return {
+        id: quiz.id,
+        title: quiz.title,
+        topic: quiz.topic,
+        scope: quiz.scope || {},
+        questionCount,
+        promptVersion: quiz.prompt_version || null,
+        createdAt: quiz.created_at
+    };
+}
+
+/**
+ * Format a question for someone taking the quiz - without its answer
+ */
+function formatQuestion(question) {
+    return {
+        id: question.id,
+        type: question.type,
+        question: question.question,
+        options: question.options,
+        source: {
+            chunkId: question.chunk_id,
+            documentId: question.document_id,
+            ...question.source
+        }
+    };
+}
+
+/**
+ * Format a graded attempt, revealing the correct answers
+ */
+function formatAttempt(attempt, answers, questions) {
+    const score = Number(attempt.score);
+    const maxScore = Number(attempt.max_score);
+
+    return {
+        id: attempt.id,
+        quizId: attempt.quiz_id,
+        score,
+        maxScore,
+        percent: maxScore > 0 ? Math.round((score / maxScore) * 100) : 0,
+        gradingPromptVersion: attempt.grading_prompt_version || null,
+        createdAt: attempt.created_at,
+        answers: questions
+            .map(question => {
+                const answer = answers.find(item => item.question_id === question.id);
+                return answer && {
+                    questionId: question.id,
+                    response: answer.response,
+                    score: Number(answer.score),
+                    maxScore: Number(answer.max_score),
+                    correct: answer.correct,
+                    feedback: answer.feedback,
+                    correctAnswer: formatCorrectAnswer(question),
+                    explanation: question.explanation
+                };
+            })
+            .filter(Boolean)
+    };
+}
+
+/**
+ * Validate the fields shared by flashcard and quiz requests
+ *
+ * @param {Object} body - Request body
+ * @param {{defaultCount: number, maxCount: number}} limits - Item count limits
+ * @returns {{topic: string|null, filters: Object, count: number, title: string|null}}
+ */
+function parseStudyRequest(body, { defaultCount, maxCount }) {
+    const { topic, title, count = defaultCount } = body;
+
+    if (topic !== undefined && topic !== null && (typeof topic !== 'string' || topic.length > MAX_TOPIC_LENGTH)) {
+        throw new AppError(`topic must be a string of at most ${MAX_TOPIC_LENGTH} characters`, 400);
+    }
+
+    if (title !== undefined && title !== null && typeof title !== 'string') {
+        throw new AppError('title must be a string', 400);
+    }
+
+    if (!Number.isInteger(count) || count < 1 || count > maxCount) {
+        throw new AppError(`count must be an integer between 1 and ${maxCount}`, 400);
+    }
+
+    const filters = parseScope(body);
+
+    if (!topic?.trim() && Object.keys(filters).length === 0) {
+        throw new AppError('Provide documentIds, collectionId, tags or a topic', 400);
+    }
+
+    return {
+        topic: topic?.trim() || null,
+        filters,
+        count,
+        title: title?.trim().slice(0, MAX_TITLE_LENGTH) || null
+    };
+}
+
+/**
+ * Validate the question types of a quiz request (default: all types)
+ */
+function parseQuestionTypes(types = Object.values(QUESTION_TYPES)) {
+    const validTypes = Object.values(QUESTION_TYPES);
+
+    if (!Array.isArray(types) || types.length === 0 || !types.every(type => validTypes.includes(type))) {
+        throw new AppError(`types must be a non-empty array of: ${validTypes.join(', ')}`, 400);
+    }
+
+    return [...new Set(types)];
+}
+
+/**
+ * POST /study/flashcards
+ * Body: {
+ *   "documentIds": ["uuid"],        // and/or collectionId, tags (combined with AND)
+ *   "topic": "Page replacement",    // optional; without it cards cover the whole scope
+ *   "count": 10,                    // optional, 1-30
+ *   "title": "OS midterm deck"      // optional
+ * }
+ */
+router.post('/flashcards', asyncHandler(async (req, res) => {
+    const startTime = Date.now();
+    const params = parseStudyRequest(req.body, { defaultCount: DEFAULT_CARD_COUNT, maxCount: MAX_CARD_COUNT });
+
+    const { deck, cards, usage, attempts, chunksUsed } = await generateDeck(params);
+
+    res.status(201).json({
+        success: true,
+        data: {
+            ...formatDeck(deck, cards.length),
+            cards: cards.map(formatCard)
+        },
+        metrics: {
+            totalTimeMs: Date.now() - startTime,
+            chunksUsed,
+            attempts,
+            ...(usage && { tokenUsage: usage })
+        }
+    });
+}));
+
+/**
+ * GET /study/flashcards
+ * List decks, newest first
+ *
+ * Query params:
+ * - limit: Page size (default: 20, max: 100)
+ * - offset: Number of decks to skip (default: 0)
+ */
+router.get('/flashcards', asyncHandler(async (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+    if (limit <= 0) {
+        throw new AppError('limit must be a positive integer', 400);
+    }
+
+    const { decks, total } = await listFlashcardDecks({ limit, offset });
+
+    res.json({
+        success: true,
+        data: {
+            decks: decks.map(deck => formatDeck(deck, deck.card_count)),
+            pagination: {
+                total,
+                limit,
+                offset,
+                hasMore: offset + decks.length < total
+            }
+        }
+    });
+}));
+
+/**
+ * GET /study/flashcards/:id
+ * Deck with every card, in order
+ */
+router.get('/flashcards/:id', asyncHandler(async (req, res) => {
+    const result = await getFlashcardDeck(req.params.id);
+
+    if (!result) {
+        throw new AppError('Flashcard deck not found', 404);
+    }
+
+    res.json({
+        success: true,
+        data: {
+            ...formatDeck(result.deck, result.cards.length),
+            cards: result.cards.map(formatCard)
+        }
+    });
+}));
+
+/**
+ * DELETE /study/flashcards/:id
+ */
+router.delete('/flashcards/:id', asyncHandler(async (req, res) => {
+    const deleted = await deleteFlashcardDeck(req.params.id);
+
+    if (!deleted) {
+        throw new AppError('Flashcard deck not found', 404);
+    }
+
+    res.json({
+        success: true,
+        data: { deckId: req.params.id }
+    });
+}));
+
+/**
+ * POST /study/cards/:id/review
+ * Body: { "quality": 4 }
+ *
+ * quality rates the recall from 0 (complete blackout) to 5 (perfect recall);
+ * 3 and above count as remembered. Returns the card with its next due date.
+ */
+router.post('/cards/:id/review', asyncHandler(async (req, res) => {
+    const { quality } = req.body;
+
+    if (!isValidQuality(quality)) {
+        throw new AppError(`quality must be an integer from ${MIN_QUALITY} to ${MAX_QUALITY}`, 400);
+    }
+
+    const card = await getFlashcard(req.params.id);
+
+    if (!card) {
+        throw new AppError('Flashcard not found', 404);
+    }
+
+    const reviewedAt = new Date();
+    const schedule = scheduleReview({
+        easeFactor: card.ease_factor,
+        intervalDays: card.interval_days,
+        repetitions: card.repetitions,
+        lapses: card.lapses
+    }, quality, reviewedAt);
+
+    const updated = await recordFlashcardReview(card.id, quality, schedule, reviewedAt);
+
+    res.json({
+        success: true,
+        data: formatCard(updated)
+    });
+}));
+
+/**
+ * GET /study/reviews/due
+ * Cards due for review, most overdue first
+ *
+ * Query params:
+ * - before: ISO timestamp; include cards due by then (default: now)
+ * - deckId: Only cards from this deck
+ * - limit: Page size (default: 20, max: 100)
+ * - offset: Number of cards to skip (default: 0)
+ */
+router.get('/reviews/due', asyncHandler(async (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    const before = req.query.before ? new Date(req.query.before) : new Date();
+    const { deckId } = req.query;
+
+    if (limit <= 0) {
+        throw new AppError('limit must be a positive integer', 400);
+    }
+
+    if (Number.isNaN(before.getTime())) {
+        throw new AppError('before must be an ISO timestamp', 400);
+    }
+
+    if (deckId !== undefined && !isUuid(deckId)) {
+        throw new AppError('Invalid deck ID format', 400);
+    }
+
+    const { cards, total } = await listDueFlashcards({ before, deckId, limit, offset });
+
+    res.json({
+        success: true,
+        data: {
+            cards: cards.map(card => ({
+                ...formatCard(card),
+                deck: card.deck ? { id: card.deck.id, title: card.deck.title } : null
+            })),
+            before: before.toISOString(),
+            pagination: {
+                total,
+                limit,
+                offset,
+                hasMore: offset + cards.length < total
+            }
+        }
+    });
+}));
+
+/**
+ * POST /study/quizzes
+ * Body: {
+ *   "documentIds": ["uuid"],                          // and/or collectionId, tags (combined with AND)
+ *   "topic": "Page replacement",                      // optional; without it questions cover the whole scope
+ *   "count": 5,                                       // optional, 1-20
+ *   "types": ["multiple_choice", "true_false", "short_answer"],  // optional, default: all
+ *   "title": "OS midterm practice"                    // optional
+ * }
+ *
+ * The response leaves out correct answers; they are revealed by grading an attempt.
+ */
+router.post('/quizzes', asyncHandler(async (req, res) => {
+    const startTime = Date.now();
+    const params = {
+        ...parseStudyRequest(req.body, { defaultCount: DEFAULT_QUESTION_COUNT, maxCount: MAX_QUESTION_COUNT }),
+        types: parseQuestionTypes(req.body.types)
+    };
+
+    const { quiz, questions, usage, attempts, chunksUsed } = await generateQuiz(params);
+
+    res.status(201).json({
+        success: true,
+        data: {
+            ...formatQuiz(quiz, questions.length),
+            questions: questions.map(formatQuestion)
+        },
+        metrics: {
+            totalTimeMs: Date.now() - startTime,
+            chunksUsed,
+            attempts,
+            ...(usage && { tokenUsage: usage })
+        }
+    });
+}));
+
+/**
+ * GET /study/quizzes
+ * List quizzes, newest first
+ *
+ * Query params:
+ * - limit: Page size (default: 20, max: 100)
+ * - offset: Number of quizzes to skip (default: 0)
+ */
+router.get('/quizzes', asyncHandler(async (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+    if (limit <= 0) {
+        throw new AppError('limit must be a positive integer', 400);
+    }
+
+    const { quizzes, total } = await listQuizzes({ limit, offset });
+
+    res.json({
+        success: true,
+        data: {
+            quizzes: quizzes.map(quiz => ({
+                ...formatQuiz(quiz, quiz.question_count),
+                attemptCount: quiz.attempt_count
+            })),
+            pagination: {
+                total,
+                limit,
+                offset,
+                hasMore: offset + quizzes.length < total
+            }
+        }
+    });
+}));
+
+/**
+ * Load a quiz or fail with 404
+ */
+async function loadQuiz(quizId) {
+    const result = await getQuiz(quizId);
+
+    if (!result) {
+        throw new AppError('Quiz not found', 404);
+    }
+
+    return result;
+}
+
+/**
+ * GET /study/quizzes/:id
+ * Quiz with its questions, without correct answers
+ */
+router.get('/quizzes/:id', asyncHandler(async (req, res) => {
+    const { quiz, questions } = await loadQuiz(req.params.id);
+
+    res.json({
+        success: true,
+        data: {
+            ...formatQuiz(quiz, questions.length),
+            questions: questions.map(formatQuestion)
+        }
+    });
+}));
+
+/**
+ * DELETE /study/quizzes/:id
+ */
+router.delete('/quizzes/:id', asyncHandler(async (req, res) => {
+    const deleted = await deleteQuiz(req.params.id);
+
+    if (!deleted) {
+        throw new AppError('Quiz not found', 404);
+    }
+
+    res.json({
+        success: true,
+        data: { quizId: req.params.id }
+    });
+}));
+
+/**
+ * POST /study/quizzes/:id/attempts
+ * Body: {
+ *   "answers": [
+ *     { "questionId": "uuid", "response": 2 },                  // multiple_choice: option index
+ *     { "questionId": "uuid", "response": false },              // true_false
+ *     { "questionId": "uuid", "response": "LRU evicts the..." } // short_answer
+ *   ]
+ * }
+ *
+ * Questions without an answer score 0. Returns the score, per-question
+ * feedback and the correct answers.
+ */
+router.post('/quizzes/:id/attempts', asyncHandler(async (req, res) => {
+    const startTime = Date.now();
+    const { answers } = req.body;
+
+    if (!Array.isArray(answers) || !answers.every(answer => isUuid(answer?.questionId))) {
+        throw new AppError('answers must be an array of { questionId, response }', 400);
+    }
+
+    const { quiz, questions } = await loadQuiz(req.params.id);
+
+    const { attempt, answers: graded, usage } = await gradeAttempt(quiz, questions, answers);
+
+    res.status(201).json({
+        success: true,
+        data: formatAttempt(attempt, graded, questions),
+        metrics: {
+            totalTimeMs: Date.now() - startTime,
+            ...(usage && { tokenUsage: usage })
+        }
+    });
+}));
+
+/**
+ * GET /study/quizzes/:id/attempts
+ * Past attempts, newest first
+ */
+router.get('/quizzes/:id/attempts', asyncHandler(async (req, res) => {
+    const { questions } = await loadQuiz(req.params.id);
+    const attempts = await listQuizAttempts(req.params.id);
+
+    res.json({
+        success: true,
+        data: {
+            attempts: attempts.map(attempt => formatAttempt(attempt, attempt.answers || [], questions))
+        }
+    });
+}));
+
+module.exports = router;
@@ -1,83 +1,176 @@
 /**
  * Text Chunking Service
- * Splits text into fixed-size chunks for embedding.
- * 
- * TODO: Implement semantic chunking (respect sentence/paragraph boundaries)
- * TODO: Add recursive chunking based on content type
- * TODO: Support different chunking strategies (sliding window, hierarchical)
- * TODO: Add chunk deduplication
- * TODO: Consider using LangChain text splitters for better results
+ * Splits text into chunks for embedding.
+ *
+ * Strategies:
+ * - fixed:     fixed-size character windows (original behaviour)
+ * - recursive: split on paragraphs, then sentences, then words, then merge up to chunkSize
+ * - sentence:  sliding window of N sentences with M sentences of overlap
+ * - token:     recursive splitting with a token budget sized to the embedding model,
+ *              counted with the model's own tokenizer (see loadTokenCounter)
  */
 
 const logger = require('../utils/logger');
 const config = require('../config');
 
 /**
- * Split text into fixed-size chunks with overlap
- * 
+ * Supported chunking strategies
+ */
+const CHUNK_STRATEGIES = {
+    FIXED: 'fixed',
+    RECURSIVE: 'recursive',
+    SENTENCE: 'sentence',
+    TOKEN: 'token'
+};
+
+/**
+ * Boundaries used by recursive splitting, coarsest first.
+ * Each separator stays attached to the piece on its left.
+ */
+const SEPARATORS = [
+    /\n\s*\n/g,             // Paragraphs
+    /(?<=[.!?])["')\]]*\s+/g, // Sentences
+    /\s+/g                  // Words
+];
+
+// Tokenizers by model name, loaded on first use
+const tokenCounters = new Map();
+
+/**
+ * Rough WordPiece token count for MiniLM-style tokenizers.
+ * Punctuation is one token; words cost about one token per 5 characters.
+ * Includes the [CLS] and [SEP] special tokens. Good enough for budgets
+ * such as chat history; chunking counts with the real tokenizer instead.
+ *
+ * @param {string} text - Text to measure
+ * @returns {number} Estimated token count
+ */
+function estimateTokens(text) {
+    const parts = text.match(/\w+|[^\w\s]/g) || [];
+    let tokens = 2;
+
+    for (const part of parts) {
+        tokens += Math.max(1, Math.ceil(part.length / 5));
+    }
+
+    return tokens;
+}
+
+/**
+ * Token counter backed by an embedding model's tokenizer
+ * Counts include the special tokens the model adds ([CLS] and [SEP] for
+ * MiniLM), so a chunk within the budget is never truncated when embedded.
+ *
+ * @param {string} model - Transformers.js model name (e.g. Xenova/all-MiniLM-L6-v2)
+ * @returns {Promise<function(string): number>} Counts the tokens of a text
+ */
+function loadTokenCounter(model) {
+    if (!tokenCounters.has(model)) {
+        const counter = (async () => {
+            // Dynamic import for ES module
+            const { AutoTokenizer } = await import('@xenova/transformers');
+            const tokenizer = await AutoTokenizer.from_pretrained(model);
+
+            logger.info('Tokenizer loaded', { model });
+            return text => tokenizer.encode(text).length;
+        })();
+
+        // Let a later call retry a failed download
+        counter.catch(() => tokenCounters.delete(model));
+        tokenCounters.set(model, counter);
+    }
+
+    return tokenCounters.get(model);
+}
+
+/**
+ * Split text into chunks using the configured strategy
+ *
  * @param {string} text - Text to split
  * @param {Object} options - Chunking options
+ * @param {string} options.strategy - One of CHUNK_STRATEGIES (default: config.rag.chunkStrategy)
  * @param {number} options.chunkSize - Size of each chunk in characters
  * @param {number} options.overlap - Overlap between chunks in characters
- * @returns {Array<{content: string, index: number, startChar: number, endChar: number}>}
- * 
- * WARNING: This naive approach may split words and sentences mid-way
- * TODO: Implement sentence-aware splitting
+ * @param {number} options.maxTokens - Token budget per chunk (token strategy)
+ * @param {number} options.tokenOverlap - Overlap between chunks in tokens (token strategy)
+ * @param {function(string): number} options.countTokens - Token counter from loadTokenCounter (token strategy, required)
+ * @param {number} options.sentencesPerChunk - Sentences per window (sentence strategy)
+ * @param {number} options.sentenceOverlap - Sentences shared between windows (sentence strategy)
+ * @returns {Array<{content: string, index: number, startChar: number, endChar: number, strategy: string}>}
  */
 function chunkText(text, options = {}) {
     const startTime = Date.now();
 
+    const strategy = options.strategy || config.rag.chunkStrategy;
     const chunkSize = options.chunkSize || config.rag.chunkSize;
-    const overlap = options.overlap || config.rag.chunkOverlap;
+    const overlap = options.overlap ?? config.rag.chunkOverlap;
+
+    if (!isValidStrategy(strategy)) {
+        throw new Error(`Unknown chunking strategy: ${strategy}`);
+    }
 
     if (!text || text.trim().length === 0) {
         logger.warn('Empty text provided for chunking');
         return [];
     }
 
-    // Normalize whitespace
-    // TODO: Consider preserving formatting in some cases
-    const normalizedText = text
-        .replace(/\r\n/g, '\n')
-        .replace(/\n{3,}/g, '\n\n')
-        .trim();
+    const normalizedText = normalizeText(text);
 
-    const chunks = [];
-    let startIndex = 0;
-    let chunkIndex = 0;
+    let ranges;
 
-    while (startIndex < normalizedText.length) {
-        let endIndex = Math.min(startIndex + chunkSize, normalizedText.length);
+    switch (strategy) {
+        case CHUNK_STRATEGIES.RECURSIVE: {
+            const measure = (start, end) => end - start;
+            const pieces = splitRecursive(normalizedText, 0, normalizedText.length, 0, chunkSize, measure);
+            ranges = mergePieces(pieces, chunkSize, overlap, measure);
+            break;
+        }
+        case CHUNK_STRATEGIES.TOKEN: {
+            if (!options.countTokens) {
+                throw new Error('The token strategy needs a countTokens function (see loadTokenCounter)');
+            }
+            const maxTokens = options.maxTokens || config.rag.maxTokens;
+            const tokenOverlap = options.tokenOverlap ?? config.rag.tokenOverlap;
+            const measure = (start, end) => options.countTokens(normalizedText.slice(start, end));
+            const pieces = splitRecursive(normalizedText, 0, normalizedText.length, 0, maxTokens, measure);
+            ranges = mergePieces(pieces, maxTokens, tokenOverlap, measure);
+            break;
+        }
+        case CHUNK_STRATEGIES.SENTENCE:
+            ranges = sentenceWindows(normalizedText, {
+                chunkSize,
+                sentencesPerChunk: options.sentencesPerChunk || config.rag.sentencesPerChunk,
+                sentenceOverlap: options.sentenceOverlap ?? config.rag.sentenceOverlap
+            });
+            break;
+        default:
+            ranges = fixedWindows(normalizedText, chunkSize, overlap);
+    }
 
-        // TODO: Try to end at sentence boundary
-        // This is a naive approach that doesn't respect sentence boundaries
-        // A better approach would be to find the nearest sentence end
+    const chunks = [];
 
-        const chunkContent = normalizedText.slice(startIndex, endIndex);
+    for (const range of ranges) {
+        const raw = normalizedText.slice(range.start, range.end);
+        const content = raw.trim();
 
         // Skip empty or whitespace-only chunks
-        if (chunkContent.trim().length > 0) {
-            chunks.push({
-                content: chunkContent,
-                index: chunkIndex,
-                startChar: startIndex,
-                endChar: endIndex
-            });
-            chunkIndex++;
-        }
+        if (content.length === 0) continue;
 
-        // Move to next chunk position (subtract overlap)
-        startIndex = endIndex - overlap;
+        const startChar = range.start + (raw.length - raw.trimStart().length);
 
-        // Safety check to avoid infinite loop
-        if (startIndex >= normalizedText.length || endIndex === normalizedText.length) {
-            break;
-        }
+        chunks.push({
+            content,
+            index: chunks.length,
+            startChar,
+            endChar: startChar + content.length,
+            strategy
+        });
     }
 
     const processingTime = Date.now() - startTime;
 
     logger.info('Text chunking completed', {
+        strategy,
         inputLength: text.length,
         chunkCount: chunks.length,
         chunkSize,
@@ -85,7 +178,6 @@ function chunkText(text, options = {}) {
         processingTimeMs: processingTime
     });
 
-    // TODO: Warn if chunks are too small or too large
     const avgChunkSize = chunks.reduce((sum, c) => sum + c.content.length, 0) / chunks.length;
     if (avgChunkSize < 100) {
         logger.warn('Average chunk size is very small', { avgChunkSize });
@@ -94,6 +186,302 @@ function chunkText(text, options = {}) {
     return chunks;
 }
 
+/**
+ * Drop duplicate chunks, keeping the first occurrence
+ * Repeated slide headers, page headers/footers and boilerplate pages produce
+ * the same chunk again and again; embedding them again adds nothing but
+ * crowds the top-K results.
+ * 
+ * Chunks are compared with case and whitespace normalized. Numbers and
+ * punctuation are kept, so chunks that only differ in their figures
+ * ("4096 bytes" vs "8192 bytes") are both kept.
+ * 
+ * @param {Array<{content: string, index: number}>} chunks - Chunks from chunkText
+ * @returns {{chunks: Array, collapsedCount: number}} Remaining chunks (re-indexed) and how many were dropped
+ */
+function collapseDuplicateChunks(chunks) {
+    const seen = new Set();
+    const unique = [];
+
+    for (const chunk of chunks) {
+        const fingerprint = chunkFingerprint(chunk.content);
+
+        if (seen.has(fingerprint)) continue;
+
+        seen.add(fingerprint);
+        unique.push({ ...chunk, index: unique.length });
+    }
+
+    const collapsedCount = chunks.length - unique.length;
+
+    if (collapsedCount > 0) {
+        logger.info('Collapsed duplicate chunks', { collapsedCount, remaining: unique.length });
+    }
+
+    return { chunks: unique, collapsedCount };
+}
+
+/**
+ * Comparison key for collapseDuplicateChunks
+ */
+function chunkFingerprint(content) {
+    return content
+        .toLowerCase()
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Normalize line endings and blank lines before chunking
+ * Idempotent, so offsets computed on normalized text stay valid in chunkText.
+ * 
+ * @param {string} text - Text to normalize
+ * @returns {string} Normalized text
+ */
+function normalizeText(text) {
+    return text
+        .replace(/\r\n/g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+/**
+ * Join extracted sections into a single chunkable text
+ * Sections are the loaders' normalized structure: a PDF page, a slide, or the
+ * text under a heading. Each is cleaned on its own and separated by a blank line.
+ * 
+ * @param {Array<{text: string, pageNumber?: number, slideNumber?: number, headingPath?: string[], ocrConfidence?: number}>} sections - Extracted sections
+ * @returns {{text: string, sectionRanges: Array<{startChar: number, endChar: number, pageNumber?: number, slideNumber?: number, headingPath?: string[], ocrConfidence?: number}>}}
+ */
+function joinSections(sections) {
+    const sectionRanges = [];
+    let text = '';
+
+    for (const section of sections) {
+        const sectionText = normalizeText(preprocessText(section.text || ''));
+
+        if (sectionText.length === 0) continue;
+
+        if (text.length > 0) {
+            text += '\n\n';
+        }
+
+        const { text: _, ...location } = section;
+        sectionRanges.push({
+            ...location,
+            startChar: text.length,
+            endChar: text.length + sectionText.length
+        });
+        text += sectionText;
+    }
+
+    return { text, sectionRanges };
+}
+
+/**
+ * Find where a character range sits in the source document
+ * Only location kinds the document has are returned, e.g. a PDF chunk gets
+ * { pageStart, pageEnd } and a slide deck chunk gets { slideStart, slideEnd }.
+ * The heading path is the one in effect where the chunk starts. Chunks that
+ * overlap OCR'd pages get the lowest OCR confidence (0-100) among them.
+ * 
+ * @param {number} startChar - Start offset in the joined text
+ * @param {number} endChar - End offset (exclusive) in the joined text
+ * @param {Array<Object>} sectionRanges - From joinSections
+ * @returns {{pageStart?: number, pageEnd?: number, slideStart?: number, slideEnd?: number, headingPath?: string[], ocrConfidence?: number}}
+ */
+function locateSections(startChar, endChar, sectionRanges) {
+    const location = {};
+
+    for (const range of sectionRanges) {
+        // Sections overlap the chunk if they start before it ends and end after it starts
+        if (range.startChar >= endChar || range.endChar <= startChar) continue;
+
+        if (range.pageNumber !== undefined) {
+            location.pageStart ??= range.pageNumber;
+            location.pageEnd = range.pageNumber;
+        }
+
+        if (range.slideNumber !== undefined) {
+            location.slideStart ??= range.slideNumber;
+            location.slideEnd = range.slideNumber;
+        }
+
+        if (range.headingPath?.length && !location.headingPath) {
+            location.headingPath = range.headingPath;
+        }
+
+        if (range.ocrConfidence !== undefined) {
+            location.ocrConfidence = Math.min(location.ocrConfidence ?? 100, range.ocrConfidence);
+        }
+    }
+
+    return location;
+}
+
+/**
+ * Fixed-size character windows with overlap
+ * WARNING: May split words and sentences mid-way
+ *
+ * @returns {Array<{start: number, end: number}>}
+ */
+function fixedWindows(text, chunkSize, overlap) {
+    const ranges = [];
+    let startIndex = 0;
+
+    while (startIndex < text.length) {
+        const endIndex = Math.min(startIndex + chunkSize, text.length);
+        ranges.push({ start: startIndex, end: endIndex });
+
+        if (endIndex === text.length) break;
+
+        // Move to next chunk position (subtract overlap)
+        startIndex = Math.max(endIndex - overlap, startIndex + 1);
+    }
+
+    return ranges;
+}
+
+/**
+ * Split [start, end) at the given separator level
+ * Returns contiguous sub-ranges, each separator attached to its left piece.
+ */
+function splitAt(text, start, end, separator) {
+    const segment = text.slice(start, end);
+    const ranges = [];
+    let pieceStart = 0;
+
+    separator.lastIndex = 0;
+    let match;
+    while ((match = separator.exec(segment)) !== null) {
+        const pieceEnd = match.index + match[0].length;
+        if (match[0].length === 0) {
+            separator.lastIndex++;
+            continue;
+        }
+        if (pieceEnd > pieceStart && pieceEnd < segment.length) {
+            ranges.push({ start: start + pieceStart, end: start + pieceEnd });
+            pieceStart = pieceEnd;
+        }
+    }
+
+    ranges.push({ start: start + pieceStart, end });
+    return ranges;
+}
+
+/**
+ * Recursively break [start, end) into pieces that fit the size limit,
+ * preferring the coarsest boundary that works.
+ *
+ * @returns {Array<{start: number, end: number}>}
+ */
+function splitRecursive(text, start, end, level, limit, measure) {
+    if (measure(start, end) <= limit) {
+        return [{ start, end }];
+    }
+
+    // No boundaries left - hard cut by characters
+    if (level >= SEPARATORS.length) {
+        const pieces = [];
+        let pieceStart = start;
+        while (pieceStart < end) {
+            let pieceEnd = Math.min(pieceStart + limit, end);
+            while (pieceEnd > pieceStart + 1 && measure(pieceStart, pieceEnd) > limit) {
+                pieceEnd--;
+            }
+            pieces.push({ start: pieceStart, end: pieceEnd });
+            pieceStart = pieceEnd;
+        }
+        return pieces;
+    }
+
+    const parts = splitAt(text, start, end, SEPARATORS[level]);
+    const pieces = [];
+
+    for (const part of parts) {
+        if (measure(part.start, part.end) <= limit) {
+            pieces.push(part);
+        } else {
+            pieces.push(...splitRecursive(text, part.start, part.end, level + 1, limit, measure));
+        }
+    }
+
+    return pieces;
+}
+
+/**
+ * Greedily merge contiguous pieces into chunks no larger than the limit.
+ * Each new chunk starts with trailing pieces of the previous one, up to the overlap.
+ *
+ * @returns {Array<{start: number, end: number}>}
+ */
+function mergePieces(pieces, limit, overlap, measure) {
+    const ranges = [];
+    let current = [];
+
+    for (const piece of pieces) {
+        if (current.length > 0 && measure(current[0].start, piece.end) > limit) {
+            ranges.push({ start: current[0].start, end: current[current.length - 1].end });
+
+            // Carry over trailing pieces that fit in the overlap budget
+            const lastEnd = current[current.length - 1].end;
+            let carry = [];
+            for (let i = current.length - 1; i > 0; i--) {
+                if (measure(current[i].start, lastEnd) > overlap) break;
+                if (measure(current[i].start, piece.end) > limit) break;
+                carry = current.slice(i);
+            }
+            current = carry;
+        }
+
+        current.push(piece);
+    }
+
+    if (current.length > 0) {
+        ranges.push({ start: current[0].start, end: current[current.length - 1].end });
+    }
+
+    return ranges;
+}
+
+/**
+ * Sliding window of whole sentences
+ * Sentences longer than chunkSize are split on word boundaries first.
+ *
+ * @returns {Array<{start: number, end: number}>}
+ */
+function sentenceWindows(text, { chunkSize, sentencesPerChunk, sentenceOverlap }) {
+    const measure = (start, end) => end - start;
+    const sentences = [];
+
+    for (const paragraph of splitAt(text, 0, text.length, SEPARATORS[0])) {
+        for (const sentence of splitAt(text, paragraph.start, paragraph.end, SEPARATORS[1])) {
+            sentences.push(...splitRecursive(text, sentence.start, sentence.end, 2, chunkSize, measure));
+        }
+    }
+
+    const step = Math.max(1, sentencesPerChunk - sentenceOverlap);
+    const ranges = [];
+
+    for (let i = 0; i < sentences.length; i += step) {
+        const window = sentences.slice(i, i + sentencesPerChunk);
+        ranges.push({ start: window[0].start, end: window[window.length - 1].end });
+
+        if (i + sentencesPerChunk >= sentences.length) break;
+    }
+
+    return ranges;
+}
+
+/**
+ * Check whether a strategy name is supported
+ * @param {string} strategy - Strategy name
+ * @returns {boolean}
+ */
+function isValidStrategy(strategy) {
+    return Object.values(CHUNK_STRATEGIES).includes(strategy);
+}
+
 /**
  * Clean and preprocess text before chunking
  * @param {string} text - Raw text
@@ -112,6 +500,14 @@ function preprocessText(text) {
 }
 
 module.exports = {
+    CHUNK_STRATEGIES,
     chunkText,
-    preprocessText
+    collapseDuplicateChunks,
+    preprocessText,
+    normalizeText,
+    joinSections,
+    locateSections,
+    estimateTokens,
+    loadTokenCounter,
+    isValidStrategy
 };
@@ -0,0 +1,196 @@
+/**
+ * Citations
+ * Checks the numbered source markers in an answer ([1], [2][3], [1, 2])
+ * against the chunks the answer was generated from.
+ *
+ * Marker N refers to the Nth retrieved chunk, which is also sources[N - 1]
+ * in the query response. The check is lexical: a sentence counts as
+ * supported when enough of its content words appear in a chunk it cites.
+ * It flags:
+ * - uncited:        a sentence with no marker (suggestedSource names a chunk that
+ *                   would support it, if any)
+ * - unsupported:    a sentence whose cited chunks do not contain its content
+ * - invalid_marker: a sentence that only cites chunks that do not exist
+ *
+ * Code is not prose: fenced code blocks are skipped and inline code spans are
+ * read without their brackets, so `arr[5]` is not taken for a citation.
+ */
+
+const MARKER_PATTERN = /\[(?:chunk\s*)?(\d+(?:\s*,\s*\d+)*)\]/gi;
+const LEADING_MARKERS_PATTERN = /^(?:\s*\[(?:chunk\s*)?\d+(?:\s*,\s*\d+)*\])+/i;
+// A fenced block runs to its closing fence, or to the end of an unfinished answer
+const FENCED_BLOCK_PATTERN = /^[ \t]*(`{3,}|~{3,})[^\n]*\n[\s\S]*?(?:^[ \t]*\1[^\n]*$|(?![\s\S]))/gm;
+const CODE_SPAN_PATTERN = /(`+)([^`\n]|[^`\n][\s\S]*?[^`\n])\1(?!`)/g;
+
+// Share of a sentence's content words that must appear in a cited chunk
+const MIN_SUPPORT_OVERLAP = 0.4;
+// Shorter sentences (e.g. "Yes.") are not checked
+const MIN_CHECKED_WORDS = 4;
+// Words are compared by prefix so "evicts" matches "eviction"
+const STEM_LENGTH = 6;
+
+const STOPWORDS = new Set([
+    'about', 'after', 'also', 'because', 'been', 'before', 'being', 'between', 'both', 'could',
+    'does', 'each', 'from', 'have', 'here', 'into', 'more', 'most', 'only', 'other', 'same',
+    'should', 'some', 'such', 'than', 'that', 'their', 'them', 'then', 'there', 'these', 'they',
+    'this', 'those', 'through', 'very', 'were', 'what', 'when', 'where', 'which', 'while', 'will',
+    'with', 'would', 'your', 'context', 'chunk', 'according', 'provided', 'mentioned'
+]);
+
+/**
+ * Answer text without code that could look like markers
+ * Fenced blocks are dropped; code spans keep their words but lose their brackets.
+ *
+ * @param {string} text - Answer text (Markdown)
+ * @returns {string}
+ */
+function stripCode(text) {
+    return text
+        .replace(FENCED_BLOCK_PATTERN, '')
+        .replace(CODE_SPAN_PATTERN, (match, fence, code) => code.replace(/[[\]]/g, ' '));
+}
+
+/**
+ * Marker numbers in a piece of text, in order ("[1][3, 4]" -> [1, 3, 4])
+ * Markers inside code are ignored.
+ * @param {string} text - Text with markers
+ * @returns {number[]}
+ */
+function parseMarkers(text) {
+    const markers = [];
+    for (const match of stripCode(text).matchAll(MARKER_PATTERN)) {
+        markers.push(...match[1].split(',').map(number => parseInt(number, 10)));
+    }
+    return markers;
+}
+
+/**
+ * Split an answer into sentences, keeping markers with the sentence they follow
+ * ("LRU evicts the oldest page. [2] FIFO..." keeps [2] on the first sentence).
+ *
+ * @param {string} answer - Answer text
+ * @returns {string[]}
+ */
+function splitSentences(answer) {
+    const sentences = [];
+
+    for (const line of answer.split('\n')) {
+        for (const piece of line.split(/(?<=[.!?])\s+/)) {
+            const leading = piece.match(LEADING_MARKERS_PATTERN);
+
+            if (leading && sentences.length > 0) {
+                sentences[sentences.length - 1] += leading[0];
+                const rest = piece.slice(leading[0].length).trim();
+                if (rest) sentences.push(rest);
+            } else if (piece.trim()) {
+                sentences.push(piece.trim());
+            }
+        }
+    }
+
+    return sentences;
+}
+
+/**
+ * Stemmed content words of a text
+ * @param {string} text - Text
+ * @returns {Set<string>}
+ */
+function contentWords(text) {
+    const words = text
+        .replace(MARKER_PATTERN, ' ')
+        .toLowerCase()
+        .match(/[a-z0-9][a-z0-9'-]*/g) || [];
+
+    return new Set(words
+        .filter(word => (word.length >= 4 || /\d/.test(word)) && !STOPWORDS.has(word))
+        .map(word => word.slice(0, STEM_LENGTH)));
+}
+
+/**
+ * Share of the sentence's content words found in the chunk words
+ */
+function overlap(sentenceWords, chunkWords) {
+    if (sentenceWords.size === 0) return 0;
+
+    let found = 0;
+    for (const word of sentenceWords) {
+        if (chunkWords.has(word)) found++;
+    }
+    return found / sentenceWords.size;
+}
+
+/**
+ * Whether a sentence makes a claim worth checking
+ * Headings, lead-ins ending in ":" and very short sentences are skipped.
+ */
+function isCheckable(sentence) {
+    const text = sentence.replace(MARKER_PATTERN, '').replace(/^[#>*\-\s\d.]+/, '').trim();
+    return !text.endsWith(':') && text.split(/\s+/).length >= MIN_CHECKED_WORDS;
+}
+
+/**
+ * Verify an answer's citation markers against the chunks it was generated from
+ *
+ * @param {string} answer - Generated answer
+ * @param {Array<{content: string, parentSection?: Object}>} chunks - Context chunks, in prompt order
+ *   (a chunk widened to its section is checked against the section text the model saw)
+ * @returns {{markers: number[], invalidMarkers: number[], sentences: number, supportedSentences: number,
+ *   flagged: Array<{sentence: string, reason: string, markers: number[], suggestedSource: number|null}>,
+ *   verified: boolean}}
+ */
+function verifyCitations(answer, chunks) {
+    const chunkWords = chunks.map(chunk => contentWords(chunk.parentSection?.content ?? chunk.content ?? ''));
+    const isValid = marker => marker >= 1 && marker <= chunks.length;
+    const prose = stripCode(answer);
+
+    const allMarkers = parseMarkers(prose);
+    const markers = [...new Set(allMarkers.filter(isValid))];
+    const invalidMarkers = [...new Set(allMarkers.filter(marker => !isValid(marker)))];
+
+    const flagged = [];
+    let checked = 0;
+
+    for (const sentence of splitSentences(prose)) {
+        if (!isCheckable(sentence)) continue;
+        checked++;
+
+        const sentenceMarkers = [...new Set(parseMarkers(sentence))];
+        const validMarkers = sentenceMarkers.filter(isValid);
+        const words = contentWords(sentence);
+        const text = sentence
+            .replace(MARKER_PATTERN, '')
+            .replace(/\s+([.,;:!?])/g, '$1')
+            .replace(/^[-*>#\s]+/, '')
+            .trim();
+
+        if (sentenceMarkers.length === 0) {
+            const scores = chunkWords.map(chunk => overlap(words, chunk));
+            const best = Math.max(0, ...scores);
+            flagged.push({
+                sentence: text,
+                reason: 'uncited',
+                markers: [],
+                suggestedSource: best >= MIN_SUPPORT_OVERLAP ? scores.indexOf(best) + 1 : null
+            });
+        } else if (validMarkers.length === 0) {
+            flagged.push({ sentence: text, reason: 'invalid_marker', markers: sentenceMarkers, suggestedSource: null });
+        } else if (!validMarkers.some(marker => overlap(words, chunkWords[marker - 1]) >= MIN_SUPPORT_OVERLAP)) {
+            flagged.push({ sentence: text, reason: 'unsupported', markers: sentenceMarkers, suggestedSource: null });
+        }
+    }
+
+    return {
+        markers,
+        invalidMarkers,
+        sentences: checked,
+        supportedSentences: checked - flagged.length,
+        flagged,
+        verified: flagged.length === 0 && invalidMarkers.length === 0
+    };
+}
+
+module.exports = {
+    parseMarkers,
+    verifyCitations
+};
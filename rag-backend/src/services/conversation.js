@@ -0,0 +1,112 @@
+/**
+ * Conversation Service
+ * Chat session memory for /query: loads prior turns within a token budget
+ * and stores new question/answer turns.
+ *
+ * TODO: Summarize turns that fall outside the budget instead of dropping them
+ */
+
+const { getSession, getSessionMessages, addSessionMessages } = require('../db/supabase');
+const { estimateTokens } = require('./chunker');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+/**
+ * Pick the most recent messages that fit in the token budget
+ * The result always starts with a user message so turns stay paired.
+ *
+ * @param {Array<{role: string, content: string}>} messages - Messages, oldest first
+ * @param {number} tokenBudget - Approximate token budget
+ * @returns {Array<{role: string, content: string}>} Selected messages, oldest first
+ */
+function selectHistory(messages, tokenBudget = config.chat.historyTokenBudget) {
+    const selected = [];
+    let used = 0;
+
+    for (let i = messages.length - 1; i >= 0; i--) {
+        const cost = estimateTokens(messages[i].content);
+        if (used + cost > tokenBudget) break;
+
+        selected.unshift({ role: messages[i].role, content: messages[i].content });
+        used += cost;
+    }
+
+    while (selected.length > 0 && selected[0].role !== 'user') {
+        selected.shift();
+    }
+
+    return selected;
+}
+
+/**
+ * Load a chat session and the history to include in the prompt
+ *
+ * @param {string} sessionId - Session UUID
+ * @returns {Promise<{session: Object, history: Array, turnCount: number}|null>} Null if the session does not exist
+ */
+async function loadConversation(sessionId) {
+    const session = await getSession(sessionId);
+
+    if (!session) {
+        return null;
+    }
+
+    const messages = await getSessionMessages(sessionId);
+    const history = selectHistory(messages);
+
+    logger.debug('Loaded conversation history', {
+        sessionId,
+        storedMessages: messages.length,
+        historyMessages: history.length
+    });
+
+    return {
+        session,
+        history,
+        turnCount: messages.filter(message => message.role === 'user').length
+    };
+}
+
+/**
+ * Store a question/answer turn
+ *
+ * @param {string} sessionId - Session UUID
+ * @param {Object} turn - Turn to store
+ * @param {string} turn.question - Question as asked
+ * @param {string|null} turn.standaloneQuestion - Condensed retrieval query, if rewritten
+ * @param {string} turn.answer - Generated answer
+ * @param {string|null} turn.promptVersion - Answer prompt id (name@version), null when no LLM call was made
+ * @param {Array} turn.sources - Formatted response sources
+ */
+async function saveTurn(sessionId, turn) {
+    await addSessionMessages(sessionId, [
+        {
+            role: 'user',
+            content: turn.question,
+            standaloneQuestion: turn.standaloneQuestion
+        },
+        {
+            role: 'assistant',
+            content: turn.answer,
+            promptVersion: turn.promptVersion,
+            // Keep references only; chunk content lives in the vector store
+            sources: turn.sources.map(source => ({
+                chunkId: source.chunkId,
+                documentId: source.documentId,
+                documentTitle: source.documentTitle,
+                format: source.format,
+                pageStart: source.pageStart,
+                pageEnd: source.pageEnd,
+                slideStart: source.slideStart,
+                slideEnd: source.slideEnd,
+                headingPath: source.headingPath
+            }))
+        }
+    ]);
+}
+
+module.exports = {
+    selectHistory,
+    loadConversation,
+    saveTurn
+};
@@ -1,86 +1,257 @@
 /**
  * Embedding Service
- * Generates vector embeddings using Transformers.js (local, no API needed).
- * 
- * Uses all-MiniLM-L6-v2 model which produces 384-dimensional embeddings.
- * Model is downloaded on first use (~23MB) and cached locally.
- * 
- * Benefits:
+ * Generates vector embeddings through a pluggable provider.
+ *
+ * Providers:
+ * - transformers: local models through Transformers.js (default, no API needed)
+ *
+ * The model is chosen with EMBEDDING_MODEL (default all-MiniLM-L6-v2, 384
+ * dimensions). Models are downloaded on first use and cached locally.
+ * Once scripts/reembed.js has switched the corpus to another model, the
+ * vector store records it and that model is used instead (see syncActiveModel).
+ *
+ * Every stored chunk records the model and dimension it was embedded with,
+ * and searches only compare a query against chunks from the same model:
+ * vectors from different models live in different spaces and their cosine
+ * similarity means nothing. To change models, re-embed the corpus with
+ * scripts/reembed.js.
+ *
+ * Benefits of the local provider:
  * - No API rate limits
  * - Completely free
  * - Works offline
  * - Data stays local
  */
 
+const config = require('../config');
 const logger = require('../utils/logger');
 
-// Lazy load the pipeline to avoid blocking startup
-let embeddingPipeline = null;
-let pipelinePromise = null;
+// Inputs are truncated before tokenizing (model max is ~512 tokens)
+const MAX_INPUT_CHARS = 2000;
+
+// Chunks stored before models were recorded were all embedded with this model
+const LEGACY_EMBEDDING_MODEL = 'Xenova/all-MiniLM-L6-v2';
 
 /**
- * Initialize the embedding pipeline (lazy loaded)
- * Uses dynamic import for ES module compatibility
+ * Known models
+ * bge and e5 are trained with instructions: queries and passages get
+ * different prefixes, and bge uses the [CLS] token instead of mean pooling.
+ * Other Transformers.js feature-extraction models work too when
+ * EMBEDDING_DIMENSIONS is set.
  */
-async function getEmbeddingPipeline() {
-    if (embeddingPipeline) {
-        return embeddingPipeline;
-    }
+const EMBEDDING_MODELS = {
+    'Xenova/all-MiniLM-L6-v2': { dimensions: 384, pooling: 'mean' },
+    'Xenova/bge-small-en-v1.5': {
+        dimensions: 384,
+        pooling: 'cls',
+        queryPrefix: 'Represent this sentence for searching relevant passages: '
+    },
+    'Xenova/bge-base-en-v1.5': {
+        dimensions: 768,
+        pooling: 'cls',
+        queryPrefix: 'Represent this sentence for searching relevant passages: '
+    },
+    'Xenova/e5-small-v2': { dimensions: 384, pooling: 'mean', queryPrefix: 'query: ', passagePrefix: 'passage: ' },
+    'Xenova/e5-base-v2': { dimensions: 768, pooling: 'mean', queryPrefix: 'query: ', passagePrefix: 'passage: ' },
+    'Xenova/multilingual-e5-small': { dimensions: 384, pooling: 'mean', queryPrefix: 'query: ', passagePrefix: 'passage: ' }
+};
+
+/**
+ * What a text is embedded as - instruction-tuned models embed them differently
+ */
+const INPUT_TYPES = {
+    QUERY: 'query',
+    PASSAGE: 'passage'
+};
+
+/**
+ * Local Transformers.js models
+ * The pipeline is loaded lazily so startup is not blocked.
+ */
+function createTransformersProvider(model, profile) {
+    let pipelinePromise = null;
+
+    const getPipeline = () => {
+        if (!pipelinePromise) {
+            pipelinePromise = (async () => {
+                logger.info('Loading embedding model (first time may take 10-30 seconds)...', { model });
+                const startTime = Date.now();
+
+                // Dynamic import for ES module
+                const { pipeline } = await import('@xenova/transformers');
+                const extractor = await pipeline('feature-extraction', model);
 
-    if (pipelinePromise) {
+                logger.info(`Embedding model loaded in ${Date.now() - startTime}ms`, { model });
+                return extractor;
+            })();
+
+            // Let a later call retry a failed download
+            pipelinePromise.catch(() => { pipelinePromise = null; });
+        }
         return pipelinePromise;
+    };
+
+    return {
+        getPipeline,
+
+        async embed(texts, inputType) {
+            const extractor = await getPipeline();
+            const prefix = (inputType === INPUT_TYPES.QUERY ? profile.queryPrefix : profile.passagePrefix) || '';
+
+            const output = await extractor(texts.map(text => prefix + text.slice(0, MAX_INPUT_CHARS)), {
+                pooling: profile.pooling,
+                normalize: true
+            });
+
+            return output.tolist();
+        }
+    };
+}
+
+const PROVIDERS = {
+    transformers: createTransformersProvider
+};
+
+// One provider instance per model, so a worker can hold several models
+const providers = new Map();
+
+// { model, dimensions } recorded by the vector store, null until read (or when none is recorded)
+let activeModel = null;
+let syncTimer = null;
+
+/**
+ * Model that queries and new documents are embedded with
+ * @returns {string} Model name
+ */
+function getActiveModel() {
+    return activeModel?.model || config.embedding.model;
+}
+
+/**
+ * Read the active model from the vector store
+ * activate_embedding_model records the model it switched the corpus to, so
+ * queries follow a re-embed without a restart. Keeps the current model when
+ * the store can't be read.
+ */
+async function syncActiveModel() {
+    // Loaded lazily: workers use this module without a vector store
+    const vectorStore = require('../db/vectorStore');
+
+    try {
+        const recorded = await vectorStore.getActiveEmbeddingModel();
+        const previous = getActiveModel();
+
+        activeModel = recorded;
+
+        if (getActiveModel() !== previous) {
+            logger.info('Switched embedding model', { from: previous, to: getActiveModel() });
+        }
+    } catch (error) {
+        logger.warn('Could not read the active embedding model', { error: error.message, model: getActiveModel() });
     }
+}
 
-    pipelinePromise = (async () => {
-        logger.info('Loading embedding model (first time may take 10-30 seconds)...');
-        const startTime = Date.now();
+/**
+ * Read the active model now and every config.embedding.modelSyncIntervalMs
+ * @returns {Promise<void>} Resolves after the first read
+ */
+async function startActiveModelSync() {
+    await syncActiveModel();
+
+    if (!syncTimer && config.embedding.modelSyncIntervalMs > 0) {
+        syncTimer = setInterval(syncActiveModel, config.embedding.modelSyncIntervalMs);
+        syncTimer.unref();
+    }
+}
+
+/**
+ * Model, provider and dimension for a model name
+ * @param {string} model - Model name (default: the active model)
+ * @returns {{provider: string, model: string, dimensions: number}}
+ */
+function getEmbeddingSpace(model = getActiveModel()) {
+    const profile = EMBEDDING_MODELS[model];
+    let dimensions = profile?.dimensions;
+
+    if (model === activeModel?.model) {
+        dimensions = activeModel.dimensions;
+    } else if (model === config.embedding.model && config.embedding.dimensions) {
+        dimensions = config.embedding.dimensions;
+    }
+
+    if (!dimensions) {
+        throw new Error(`Unknown embedding model: ${model}. Set EMBEDDING_DIMENSIONS or use one of: ${Object.keys(EMBEDDING_MODELS).join(', ')}`);
+    }
+
+    return { provider: config.embedding.provider, model, dimensions };
+}
+
+/**
+ * Get (and cache) the provider for a model
+ * @param {string} model - Model name (default: the active model)
+ */
+function getEmbeddingProvider(model = getActiveModel()) {
+    if (providers.has(model)) {
+        return providers.get(model);
+    }
 
-        // Dynamic import for ES module
-        const { pipeline } = await import('@xenova/transformers');
+    const space = getEmbeddingSpace(model);
+    const createProvider = PROVIDERS[space.provider];
 
-        // Load the feature extraction pipeline
-        // all-MiniLM-L6-v2 is excellent for semantic search
-        embeddingPipeline = await pipeline(
-            'feature-extraction',
-            'Xenova/all-MiniLM-L6-v2'
-        );
+    if (!createProvider) {
+        throw new Error(`Unknown embedding provider: ${space.provider}. Use one of: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
 
-        logger.info(`Embedding model loaded in ${Date.now() - startTime}ms`);
-        return embeddingPipeline;
-    })();
+    const profile = { pooling: 'mean', ...EMBEDDING_MODELS[model] };
+    const provider = { ...space, ...createProvider(model, profile) };
 
-    return pipelinePromise;
+    providers.set(model, provider);
+    return provider;
 }
 
 /**
- * Generate embedding for a single text
- * 
+ * Load the default model ahead of the first request
+ */
+async function getEmbeddingPipeline() {
+    return getEmbeddingProvider().getPipeline();
+}
+
+/**
+ * Embed texts with a provider, checking the dimension it produced
+ */
+async function embedWith(provider, texts, inputType) {
+    const embeddings = await provider.embed(texts, inputType);
+
+    const mismatch = embeddings.find(embedding => embedding.length !== provider.dimensions);
+    if (mismatch) {
+        throw new Error(`${provider.model} returned ${mismatch.length} dimensions, expected ${provider.dimensions}`);
+    }
+
+    return embeddings;
+}
+
+/**
+ * Generate the embedding for a search query
+ *
  * @param {string} text - Text to embed
- * @returns {Promise<number[]>} Embedding vector (384 dimensions)
+ * @param {Object} options - Optional settings
+ * @param {string} options.model - Model name (default: the active model)
+ * @returns {Promise<number[]>} Embedding vector
  */
-async function generateEmbedding(text) {
+async function generateEmbedding(text, options = {}) {
     const startTime = Date.now();
 
     if (!text || text.trim().length === 0) {
         throw new Error('Cannot generate embedding for empty text');
     }
 
-    try {
-        const extractor = await getEmbeddingPipeline();
-
-        // Truncate text if too long (model max is ~512 tokens)
-        const truncatedText = text.slice(0, 2000);
-
-        // Generate embedding
-        const output = await extractor(truncatedText, {
-            pooling: 'mean',
-            normalize: true
-        });
+    const provider = getEmbeddingProvider(options.model);
 
-        // Convert to regular array
-        const embedding = Array.from(output.data);
+    try {
+        const [embedding] = await embedWith(provider, [text], INPUT_TYPES.QUERY);
 
         logger.debug('Generated embedding', {
+            model: provider.model,
             inputLength: text.length,
             embeddingDimension: embedding.length,
             latencyMs: Date.now() - startTime
@@ -91,6 +262,7 @@ async function generateEmbedding(text) {
     } catch (error) {
         logger.error('Embedding generation failed', {
             error: error.message,
+            model: provider.model,
             inputLength: text.length
         });
         throw new Error(`Embedding failed: ${error.message}`);
@@ -98,33 +270,54 @@ async function generateEmbedding(text) {
 }
 
 /**
- * Generate embeddings for multiple texts
- * Processes sequentially for simplicity
- * 
+ * Generate embeddings for document chunks
+ * Texts are sent to the provider in batches of config.embedding.batchSize,
+ * which is several times faster than one call per text.
+ *
+ * WARNING: CPU-bound - ingestion calls this from the worker pool (see workers/)
+ *
  * @param {string[]} texts - Array of texts to embed
+ * @param {Object} options - Optional settings
+ * @param {function(number, number): void} options.onProgress - Called with (done, total) after each batch
+ * @param {number} options.batchSize - Texts per provider call (default: config.embedding.batchSize)
+ * @param {string} options.model - Model name (default: the active model)
  * @returns {Promise<number[][]>} Array of embedding vectors
  */
-async function generateEmbeddings(texts) {
+async function generateEmbeddings(texts, options = {}) {
     const startTime = Date.now();
+    const batchSize = options.batchSize || config.embedding.batchSize;
+    const provider = getEmbeddingProvider(options.model);
     const embeddings = [];
 
-    logger.info(`Starting batch embedding for ${texts.length} chunks (local model)`);
+    logger.info(`Starting batch embedding for ${texts.length} chunks`, { model: provider.model, batchSize });
+
+    for (let i = 0; i < texts.length; i += batchSize) {
+        const batch = texts.slice(i, i + batchSize);
 
-    // Ensure model is loaded before processing
-    await getEmbeddingPipeline();
+        try {
+            embeddings.push(...await embedWith(provider, batch, INPUT_TYPES.PASSAGE));
+        } catch (error) {
+            logger.error('Batch embedding failed', {
+                error: error.message,
+                model: provider.model,
+                batchStart: i,
+                batchSize: batch.length
+            });
+            throw new Error(`Embedding failed: ${error.message}`);
+        }
 
-    for (let i = 0; i < texts.length; i++) {
-        const embedding = await generateEmbedding(texts[i]);
-        embeddings.push(embedding);
+        const done = Math.min(i + batchSize, texts.length);
 
-        // Log progress every 10 chunks
-        if ((i + 1) % 10 === 0) {
-            logger.debug(`Processed ${i + 1}/${texts.length} chunks`);
+        if (options.onProgress) {
+            options.onProgress(done, texts.length);
         }
+
+        logger.debug(`Processed ${done}/${texts.length} chunks`);
     }
 
     const totalTime = Date.now() - startTime;
     logger.info('Batch embedding completed', {
+        model: provider.model,
         chunkCount: texts.length,
         totalTimeMs: totalTime,
         avgTimePerChunkMs: (totalTime / texts.length).toFixed(2)
@@ -134,6 +327,11 @@ async function generateEmbeddings(texts) {
 }
 
 module.exports = {
+    EMBEDDING_MODELS,
+    LEGACY_EMBEDDING_MODEL,
+    getActiveModel,
+    startActiveModelSync,
+    getEmbeddingSpace,
     generateEmbedding,
     generateEmbeddings,
     getEmbeddingPipeline  // Export for pre-warming
@@ -0,0 +1,142 @@
+/**
+ * Flashcards Service
+ * Generates flashcard decks from the knowledge base and stores them.
+ *
+ * Cards come back from the LLM as JSON ({ cards: [{ question, answer, chunk }] },
+ * see the flashcards prompt in shared/prompts) and are validated card by
+ * card. "chunk" is the number of the context chunk the answer came from and
+ * is stored as the card's source citation.
+ */
+
+const { gatherStudyChunks, describeSource } = require('./studyMaterial');
+const { generateJson } = require('./structuredOutput');
+const { formatContext } = require('./llm');
+const prompts = require('./prompts');
+const { createFlashcardDeck } = require('../db/supabase');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+const MAX_QUESTION_CHARS = 300;
+const MAX_ANSWER_CHARS = 1000;
+// Completion budget per card, on top of a fixed allowance for the JSON wrapper
+const TOKENS_PER_CARD = 120;
+
+/**
+ * Check the LLM's cards against the schema
+ * Well-formed cards are kept even when others are not, so a last attempt
+ * with a few bad cards still yields a usable deck.
+ *
+ * @param {Object} output - Parsed JSON from the LLM
+ * @param {number} count - Number of cards requested
+ * @param {number} chunkCount - Number of context chunks the cards may cite
+ * @returns {{value: Array|null, errors: string[]}}
+ */
+function validateCards(output, count, chunkCount) {
+    if (!output || !Array.isArray(output.cards)) {
+        return { value: null, errors: ['"cards" must be an array'] };
+    }
+
+    const errors = [];
+    const cards = [];
+    const seen = new Set();
+
+    output.cards.forEach((card, i) => {
+        const label = `cards[${i}]`;
+        const question = typeof card?.question === 'string' ? card.question.trim() : '';
+        const answer = typeof card?.answer === 'string' ? card.answer.trim() : '';
+
+        if (!question || question.length > MAX_QUESTION_CHARS) {
+            errors.push(`${label}.question must be a non-empty string of at most ${MAX_QUESTION_CHARS} characters`);
+        } else if (!answer || answer.length > MAX_ANSWER_CHARS) {
+            errors.push(`${label}.answer must be a non-empty string of at most ${MAX_ANSWER_CHARS} characters`);
+        } else if (!Number.isInteger(card.chunk) || card.chunk < 1 || card.chunk > chunkCount) {
+            errors.push(`${label}.chunk must be the number of a context chunk (1-${chunkCount})`);
+        } else if (seen.has(question.toLowerCase())) {
+            errors.push(`${label} repeats an earlier question`);
+        } else {
+            seen.add(question.toLowerCase());
+            cards.push({ question, answer, chunk: card.chunk });
+        }
+    });
+
+    if (cards.length < count) {
+        errors.push(`Expected ${count} valid cards, got ${cards.length}`);
+    }
+
+    return {
+        value: cards.length > 0 ? cards.slice(0, count) : null,
+        errors
+    };
+}
+
+/**
+ * Generate a flashcard deck and store it
+ *
+ * @param {Object} request - Deck request
+ * @param {string|null} request.topic - What the cards should focus on; null covers the whole scope
+ * @param {Object} request.filters - Scope filters (documentIds, collectionId, tags)
+ * @param {number} request.count - Number of cards
+ * @param {string|null} request.title - Deck title (default: topic or first document title)
+ * @returns {Promise<{deck: Object, cards: Array, usage: Object|null, attempts: number, chunksUsed: number}>}
+ */
+async function generateDeck({ topic, filters, count, title }) {
+    const startTime = Date.now();
+
+    const chunks = await gatherStudyChunks({ topic, filters, limit: config.study.contextChunks });
+
+    const prompt = prompts.render('flashcards', {
+        context: formatContext(chunks),
+        count,
+        focus: topic
+            ? `Focus on: ${topic}`
+            : 'Cover the most important concepts across all of the material.'
+    });
+
+    const { value: cards, errors, attempts, usage, model } = await generateJson({
+        agent: 'study',
+        label: 'flashcards',
+        messages: [
+            { role: 'system', content: prompt.system },
+            { role: 'user', content: prompt.user }
+        ],
+        validate: output => validateCards(output, count, chunks.length),
+        temperature: 0.3,
+        maxTokens: 256 + count * TOKENS_PER_CARD
+    });
+
+    const stored = await createFlashcardDeck({
+        title: title || topic || `Flashcards: ${chunks[0].document_title || 'Knowledge base'}`,
+        topic,
+        scope: filters,
+        promptVersion: prompt.id,
+        model
+    }, cards.map(card => {
+        const chunk = chunks[card.chunk - 1];
+        return {
+            question: card.question,
+            answer: card.answer,
+            chunkId: chunk.id,
+            documentId: chunk.document_id,
+            source: describeSource(chunk)
+        };
+    }));
+
+    logger.info('Flashcards generated', {
+        deckId: stored.deck.id,
+        cards: stored.cards.length,
+        requested: count,
+        chunksUsed: chunks.length,
+        attempts,
+        unresolvedErrors: errors.length,
+        promptVersion: prompt.id,
+        latencyMs: Date.now() - startTime,
+        ...usage
+    });
+
+    return { ...stored, usage, attempts, chunksUsed: chunks.length };
+}
+
+module.exports = {
+    validateCards,
+    generateDeck
+};
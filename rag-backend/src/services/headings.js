@@ -0,0 +1,380 @@
+/**
+ * Headings Service
+ * Recovers the chapter and section structure of PDF pages, so PDF chunks get
+ * a heading path like Markdown and HTML chunks do.
+ *
+ * The PDF outline (bookmarks) is used when the file has one. Otherwise a line
+ * is taken as a heading when it is:
+ * - numbered like "Chapter 3", "Part II" or "Lecture 4"      -> level 1
+ * - numbered like "2.3 Page Tables", in at least the body font -> one level per number (2)
+ * - numbered like "3 Memory", in a larger font than the body  -> level 1
+ * - set in a larger font than the body text                   -> level by font size
+ * Lines repeated at the top or bottom of several pages (running headers and
+ * footers) are never headings. OCR'd pages have no font sizes, so only their
+ * "Chapter 3" and "2.3 ..." lines can be headings.
+ *
+ * buildOutline turns the heading paths of any format's sections into the
+ * document's section tree (see GET /documents/:id/outline).
+ */
+
+// A line is set in a heading font when it is this much larger than the body text
+const HEADING_FONT_SCALE = 1.15;
+// Larger fonts beyond this many get the deepest font-size level
+const MAX_FONT_LEVELS = 3;
+const MAX_LEVELS = 6;
+const MAX_HEADING_LENGTH = 120;
+const MAX_HEADING_WORDS = 15;
+// Lines at the top or bottom of at least this many pages are running headers/footers
+const RUNNING_LINE_PAGES = 3;
+const RUNNING_LINE_DEPTH = 2;
+
+const KEYWORD_HEADING = /^(chapter|part|section|unit|lecture|module)\s+(\d+|[ivxlc]+)\b/i;
+const NUMBERED_HEADING = /^(\d{1,2}(?:\.\d{1,2}){0,3})\.?\s+\p{Lu}/u;
+
+const OUTLINE_SOURCES = {
+    PDF_OUTLINE: 'pdf-outline',
+    DETECTED: 'detected',
+    HEADINGS: 'headings',
+    CHUNKS: 'chunks'
+};
+
+/**
+ * Lines of a page with their font size (0 when unknown, e.g. OCR text)
+ */
+function pageLines(page) {
+    if (page.lines) return page.lines;
+    return page.text.split('\n').map(text => ({ text, size: 0 }));
+}
+
+/**
+ * Font sizes are compared in half points so rounding noise doesn't split them
+ */
+function roundSize(size) {
+    return Math.round(size * 2) / 2;
+}
+
+/**
+ * Normalize a title for matching ("2.3  Page-Tables" -> "23pagetables")
+ */
+function matchKey(text) {
+    return text.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '');
+}
+
+/**
+ * Match keys of a line: as written, and without its numbering
+ * ("Chapter 1 Introduction" also matches an outline entry "Introduction")
+ */
+function titleKeys(text) {
+    const unnumbered = text.trim()
+        .replace(KEYWORD_HEADING, '')
+        .replace(/^\d{1,2}(?:\.\d{1,2})*\.?\s+/, '');
+    return [matchKey(text), matchKey(unnumbered)].filter(Boolean);
+}
+
+/**
+ * Font size of most of the text (by characters)
+ */
+function findBodySize(pages) {
+    const charsBySize = new Map();
+
+    for (const page of pages) {
+        for (const line of pageLines(page)) {
+            if (line.size > 0) {
+                const size = roundSize(line.size);
+                charsBySize.set(size, (charsBySize.get(size) || 0) + line.text.trim().length);
+            }
+        }
+    }
+
+    let bodySize = 0;
+    let bodyChars = -1;
+    for (const [size, chars] of charsBySize) {
+        if (chars > bodyChars) {
+            bodySize = size;
+            bodyChars = chars;
+        }
+    }
+    return bodySize;
+}
+
+/**
+ * Lines repeated at the top or bottom of several pages, by size and text
+ */
+function findRunningLines(pages) {
+    const pagesByKey = new Map();
+
+    for (const page of pages) {
+        const lines = pageLines(page).filter(line => line.text.trim());
+        const edges = new Set([...lines.slice(0, RUNNING_LINE_DEPTH), ...lines.slice(-RUNNING_LINE_DEPTH)]);
+
+        for (const line of edges) {
+            const key = `${roundSize(line.size)}|${matchKey(line.text)}`;
+            pagesByKey.set(key, (pagesByKey.get(key) || 0) + 1);
+        }
+    }
+
+    return new Set([...pagesByKey].filter(([, count]) => count >= RUNNING_LINE_PAGES).map(([key]) => key));
+}
+
+/**
+ * Whether a line reads like a title rather than a sentence
+ */
+function looksLikeTitle(text) {
+    return text.length >= 2
+        && text.length <= MAX_HEADING_LENGTH
+        && text.split(/\s+/).length <= MAX_HEADING_WORDS
+        && /\p{L}/u.test(text)
+        && !/^\p{Ll}/u.test(text)
+        && !/[.,;:]$/.test(text);
+}
+
+/**
+ * Heading level of a line, or 0 when it isn't a heading
+ *
+ * @param {{text: string, size: number}} line - Page line
+ * @param {number} bodySize - Body font size (0 when unknown)
+ * @param {Map<number, number>} fontLevels - Heading font size -> level
+ * @returns {{level: number, numbered: boolean}}
+ */
+function classifyLine(line, bodySize, fontLevels) {
+    const text = line.text.trim();
+    const notHeading = { level: 0, numbered: false };
+
+    if (!looksLikeTitle(text)) return notHeading;
+
+    const size = roundSize(line.size);
+    const hasSize = size > 0 && bodySize > 0;
+    const largerFont = hasSize && size >= bodySize * HEADING_FONT_SCALE;
+
+    if (KEYWORD_HEADING.test(text)) {
+        return { level: 1, numbered: true };
+    }
+
+    const numbered = text.match(NUMBERED_HEADING);
+    if (numbered) {
+        const depth = numbered[1].split('.').length;
+
+        // "2.3 Title" in running text is rare, "3 Title" is usually a numbered list item
+        if (depth > 1 && (!hasSize || size >= bodySize)) {
+            return { level: Math.min(depth, MAX_LEVELS), numbered: true };
+        }
+        if (depth === 1 && largerFont) {
+            return { level: 1, numbered: true };
+        }
+    }
+
+    if (largerFont) {
+        return { level: fontLevels.get(size), numbered: false };
+    }
+
+    return notHeading;
+}
+
+/**
+ * Detect headings from numbering patterns and font sizes
+ *
+ * @param {Array} pages - Extracted pages
+ * @returns {Map<number, Array<{lineIndex: number, level: number, title: string}>>} Headings by page number
+ */
+function detectHeadings(pages) {
+    const bodySize = findBodySize(pages);
+    const runningLines = findRunningLines(pages);
+
+    // Larger fonts get higher levels (1 = largest)
+    const headingSizes = new Set();
+    for (const page of pages) {
+        for (const line of pageLines(page)) {
+            const size = roundSize(line.size);
+            if (bodySize > 0 && size >= bodySize * HEADING_FONT_SCALE) headingSizes.add(size);
+        }
+    }
+    const fontLevels = new Map([...headingSizes]
+        .sort((a, b) => b - a)
+        .map((size, rank) => [size, Math.min(rank + 1, MAX_FONT_LEVELS)]));
+
+    const headingsByPage = new Map();
+
+    for (const page of pages) {
+        const headings = [];
+        let previous = null;
+
+        pageLines(page).forEach((line, lineIndex) => {
+            const isRunning = runningLines.has(`${roundSize(line.size)}|${matchKey(line.text)}`);
+            const { level, numbered } = isRunning ? { level: 0 } : classifyLine(line, bodySize, fontLevels);
+
+            if (!level) {
+                previous = null;
+                return;
+            }
+
+            // A title wrapped over several lines: same font, directly below, not numbered itself
+            if (previous && !numbered && previous.lineIndex === lineIndex - 1
+                && roundSize(previous.size) === roundSize(line.size)) {
+                previous.heading.title += ` ${line.text.trim()}`;
+                previous.lineIndex = lineIndex;
+                return;
+            }
+
+            const heading = { lineIndex, level, title: line.text.trim() };
+            headings.push(heading);
+            previous = { heading, lineIndex, size: line.size };
+        });
+
+        if (headings.length > 0) {
+            headingsByPage.set(page.pageNumber, headings);
+        }
+    }
+
+    return headingsByPage;
+}
+
+/**
+ * Place PDF outline entries on their pages
+ * Each entry starts at the line matching its title, or at the top of its
+ * page when the title isn't found (e.g. it is part of an image).
+ *
+ * @param {Array} pages - Extracted pages
+ * @param {Array<{title: string, level: number, pageNumber: number}>} outline - Outline entries in order
+ * @returns {Map<number, Array<{lineIndex: number, level: number, title: string}>>} Headings by page number
+ */
+function placeOutline(pages, outline) {
+    const linesByPage = new Map(pages.map(page => [page.pageNumber, pageLines(page).map(line => titleKeys(line.text))]));
+    const headingsByPage = new Map();
+
+    for (const entry of outline) {
+        const lines = linesByPage.get(entry.pageNumber);
+        if (!lines) continue;
+
+        const headings = headingsByPage.get(entry.pageNumber) || [];
+        const title = matchKey(entry.title);
+        // Entries on the same page are in page order
+        const from = headings.length > 0 ? headings[headings.length - 1].lineIndex : 0;
+
+        let lineIndex = title ? lines.findIndex((keys, i) => i >= from && keys.some(line => (
+            line === title
+            || line.startsWith(title)
+            // The first line of a title wrapped over several lines
+            || (title.startsWith(line) && line.length >= 8)
+        ))) : -1;
+        if (lineIndex === -1) lineIndex = from;
+
+        headings.push({ lineIndex, level: Math.min(entry.level, MAX_LEVELS), title: entry.title });
+        headingsByPage.set(entry.pageNumber, headings);
+    }
+
+    return headingsByPage;
+}
+
+/**
+ * Split PDF pages into sections at their headings
+ * Every section stays within one page and carries the heading path in
+ * effect where it starts, like the Markdown loader's sections.
+ *
+ * @param {Array<{pageNumber: number, text: string, lines?: Array<{text: string, size: number}>, ocrConfidence?: number}>} pages - Extracted pages
+ * @param {Array<{title: string, level: number, pageNumber: number}>} outline - PDF outline entries (may be empty)
+ * @returns {{sections: Array<{pageNumber: number, text: string, headingPath?: string[], ocrConfidence?: number}>, source: string|null}}
+ *   source is 'pdf-outline' or 'detected', or null when no headings were found
+ */
+function splitPages(pages, outline = []) {
+    const fromOutline = outline.length > 0;
+    const headingsByPage = fromOutline ? placeOutline(pages, outline) : detectHeadings(pages);
+    const sections = [];
+    const stack = [];
+
+    for (const page of pages) {
+        const lines = pageLines(page);
+        let start = 0;
+
+        const addSection = (end) => {
+            const text = lines.slice(start, end).map(line => line.text).join('\n');
+            start = end;
+
+            if (!text.trim()) return;
+
+            sections.push({
+                pageNumber: page.pageNumber,
+                text,
+                ...(stack.length > 0 && { headingPath: stack.map(heading => heading.title) }),
+                ...(page.ocrConfidence !== undefined && { ocrConfidence: page.ocrConfidence })
+            });
+        };
+
+        for (const heading of headingsByPage.get(page.pageNumber) || []) {
+            addSection(heading.lineIndex);
+
+            while (stack.length > 0 && stack[stack.length - 1].level >= heading.level) {
+                stack.pop();
+            }
+            stack.push(heading);
+        }
+
+        addSection(lines.length);
+    }
+
+    let source = null;
+    if (headingsByPage.size > 0) {
+        source = fromOutline ? OUTLINE_SOURCES.PDF_OUTLINE : OUTLINE_SOURCES.DETECTED;
+    }
+
+    return { sections, source };
+}
+
+/**
+ * Extend a node's page and slide span with a section's
+ */
+function extendSpan(node, section) {
+    const pageStart = section.pageStart ?? section.pageNumber;
+    const slideStart = section.slideStart ?? section.slideNumber;
+
+    if (pageStart !== undefined && pageStart !== null) {
+        node.pageStart ??= pageStart;
+        node.pageEnd = section.pageEnd ?? pageStart;
+    }
+    if (slideStart !== undefined && slideStart !== null) {
+        node.slideStart ??= slideStart;
+        node.slideEnd = section.slideEnd ?? slideStart;
+    }
+}
+
+/**
+ * Build the section tree of a document from its sections' heading paths
+ * Works for any format's sections, and for chunks' location metadata
+ * ({ headingPath, pageStart, pageEnd, ... }) of documents stored without a tree.
+ *
+ * @param {Array<{headingPath?: string[], pageNumber?: number, slideNumber?: number}>} sections - Sections in document order
+ * @returns {Array<{title: string, level: number, pageStart?: number, pageEnd?: number, slideStart?: number, slideEnd?: number, children: Array}>}
+ */
+function buildOutline(sections) {
+    const roots = [];
+    // Open nodes, one per level of the current heading path
+    const stack = [];
+
+    for (const section of sections) {
+        const headingPath = section.headingPath || [];
+
+        let depth = 0;
+        while (depth < stack.length && depth < headingPath.length && stack[depth].title === headingPath[depth]) {
+            depth++;
+        }
+        stack.length = depth;
+
+        for (let i = depth; i < headingPath.length; i++) {
+            const node = { title: headingPath[i], level: i + 1, children: [] };
+            (i === 0 ? roots : stack[i - 1].children).push(node);
+            stack.push(node);
+        }
+
+        for (const node of stack) {
+            extendSpan(node, section);
+        }
+    }
+
+    return roots;
+}
+
+module.exports = {
+    OUTLINE_SOURCES,
+    detectHeadings,
+    splitPages,
+    buildOutline
+};
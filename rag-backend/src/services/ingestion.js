@@ -0,0 +1,329 @@
+/**
+ * Ingestion Service
+ * Runs the document pipeline: extract -> chunk -> embed -> store.
+ * Any format with a loader (see loaders/) is supported.
+ *
+ * Runs as a background job (see routes/ingest.js). Progress is reported per
+ * stage, and finished stages are kept in the job context so a retry resumes
+ * where the previous attempt failed instead of re-embedding everything.
+ *
+ * Extraction and embedding run in the worker pool (see workers/) so the
+ * server keeps answering queries while a large document is processed.
+ *
+ * Uploads are identified by the SHA-256 of the file. Re-uploading identical
+ * content returns the existing document unless the upload asks to replace it.
+ */
+
+const { AppError } = require('../middleware/errorHandler');
+const { CHUNK_STRATEGIES, chunkText, collapseDuplicateChunks, joinSections, locateSections, loadTokenCounter } = require('./chunker');
+const { buildOutline, OUTLINE_SOURCES } = require('./headings');
+const { createDocument, deleteDocument, findDocumentsByHash } = require('../db/documentStore');
+const { insertChunks, deleteDocumentChunks, countChunks } = require('../db/vectorStore');
+const { runTask, embedTexts } = require('../workers');
+const { getEmbeddingSpace } = require('./embeddings');
+const { invalidateAnswers } = require('./queryCache');
+const { sha256 } = require('../utils/hash');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+const STAGES = {
+    EXTRACTING: 'extracting',
+    CHUNKING: 'chunking',
+    EMBEDDING: 'embedding',
+    STORING: 'storing'
+};
+
+// Overall progress (percent) at the start of each stage; embedding dominates
+const STAGE_PROGRESS = {
+    [STAGES.EXTRACTING]: 0,
+    [STAGES.CHUNKING]: 10,
+    [STAGES.EMBEDDING]: 15,
+    [STAGES.STORING]: 90
+};
+
+/**
+ * Remove a partially stored document so a retry does not create duplicates
+ * insertChunks already rolls back its own batches; this compensating delete
+ * also removes the document row (deletes retry transient failures).
+ */
+async function discardDocument(documentId) {
+    try {
+        await deleteDocumentChunks(documentId);
+        await deleteDocument(documentId);
+    } catch (error) {
+        logger.error('Failed to clean up partially stored document', {
+            documentId,
+            error: error.message
+        });
+    }
+}
+
+/**
+ * Look up a stored document with the same content hash
+ * The stored document is returned as is: a collection or tags sent with the
+ * upload are not applied to it, and are listed in ignoredFields when they differ.
+ *
+ * @param {string} contentHash - SHA-256 of the uploaded file
+ * @param {Object} upload - { collectionId, tags } sent with the upload
+ * @returns {Promise<Object|null>} Summary of the stored document ({ duplicate: true, ... }) or null
+ */
+async function findDuplicate(contentHash, upload = {}) {
+    const [existing] = await findDocumentsByHash(contentHash);
+    if (!existing) return null;
+
+    const chunkCounts = await countChunks([existing.id]);
+    const storedTags = existing.tags || [];
+    const ignoredFields = [];
+
+    if (upload.collectionId && upload.collectionId !== existing.collection_id) {
+        ignoredFields.push('collectionId');
+    }
+    if (upload.tags?.length > 0 &&
+        (upload.tags.length !== storedTags.length || upload.tags.some(tag => !storedTags.includes(tag)))) {
+        ignoredFields.push('tags');
+    }
+
+    return {
+        duplicate: true,
+        documentId: existing.id,
+        fileName: existing.title,
+        format: existing.format,
+        chunkCount: chunkCounts[existing.id] || 0,
+        collectionId: existing.collection_id,
+        tags: existing.tags,
+        contentHash,
+        createdAt: existing.created_at,
+        ignoredFields
+    };
+}
+
+/**
+ * Delete documents superseded by a replacing upload
+ * Runs after the new document is stored, so a failure leaves a duplicate
+ * behind (logged) rather than losing the document.
+ * 
+ * @returns {Promise<string[]>} IDs of the deleted documents
+ */
+async function removeReplacedDocuments(documents) {
+    const replacedIds = [];
+
+    for (const document of documents) {
+        try {
+            await deleteDocumentChunks(document.id);
+            await deleteDocument(document.id);
+            replacedIds.push(document.id);
+        } catch (error) {
+            logger.error('Failed to remove replaced document', {
+                documentId: document.id,
+                error: error.message
+            });
+        }
+    }
+
+    return replacedIds;
+}
+
+/**
+ * Ingest a document
+ *
+ * @param {Object} payload - Upload to ingest
+ * @param {Buffer} payload.buffer - File contents
+ * @param {string} payload.format - Format ID from loaders.detectFormat
+ * @param {string} payload.fileName - Original file name (used as the title)
+ * @param {string} payload.chunkStrategy - Chunking strategy
+ * @param {string|null} payload.collectionId - Collection UUID
+ * @param {string[]} payload.tags - Document tags
+ * @param {string} payload.contentHash - SHA-256 of the file
+ * @param {boolean} payload.replace - Replace documents with the same content instead of returning them
+ * @param {Object} job - Job helpers from the job queue
+ * @param {function(string, number): void} job.reportProgress - Report (stage, percent)
+ * @param {Object} job.context - State kept across retries
+ * @returns {Promise<Object>} Document ID, counts and stage timings,
+ *   or the existing document's summary ({ duplicate: true, ... }) for a re-upload
+ */
+async function ingestDocument(payload, job) {
+    const { buffer, format, fileName, chunkStrategy, collectionId, tags, replace } = payload;
+    const { reportProgress, context } = job;
+    const timings = context.timings || (context.timings = {});
+    const contentHash = payload.contentHash || sha256(buffer);
+
+    // The same file may have been stored while this job was queued
+    if (!replace) {
+        const duplicate = await findDuplicate(contentHash, { collectionId, tags });
+        if (duplicate) {
+            logger.info('Identical document already stored, skipping ingestion', {
+                documentId: duplicate.documentId,
+                fileName
+            });
+            return duplicate;
+        }
+    }
+
+    // Step 1: Extract text and structure from the file
+    if (!context.extraction) {
+        reportProgress(STAGES.EXTRACTING, STAGE_PROGRESS[STAGES.EXTRACTING]);
+        const extractStart = Date.now();
+        let extraction;
+        try {
+            extraction = await runTask('load', { buffer, format }, {
+                // Only slow steps (OCR) report progress; extraction spans 0-10%
+                onProgress: (done, total) => reportProgress(
+                    STAGES.EXTRACTING,
+                    STAGE_PROGRESS[STAGES.CHUNKING] * (done / total)
+                )
+            });
+        } catch (error) {
+            // A corrupt file fails the same way every time, so don't retry it. Worker crashes
+            // and OCR start-up failures stay untagged and are retried by the job queue.
+            if (error.statusCode === 422) {
+                throw new AppError(`Could not read ${format.toUpperCase()} file: ${error.message}`, 422);
+            }
+            throw error;
+        }
+        timings.extraction = Date.now() - extractStart;
+        logger.info(`Text extracted: ${extraction.sections.length} sections, ${extraction.text.length} chars`);
+
+        if (!extraction.text || extraction.text.trim().length === 0) {
+            throw new AppError(config.ocr.enabled
+                ? 'Could not extract any text from the document, even with OCR.'
+                : 'Could not extract text from the document. It may be scanned or image-based (OCR is disabled).', 422);
+        }
+
+        context.extraction = extraction;
+    }
+
+    const { sections, pageCount, slideCount, ocrPageCount, outlineSource, info } = context.extraction;
+
+    // Step 2: Preprocess and chunk text
+    if (!context.chunks) {
+        reportProgress(STAGES.CHUNKING, STAGE_PROGRESS[STAGES.CHUNKING]);
+        const chunkStart = Date.now();
+        // Sections are cleaned and joined so chunk offsets map back to pages, slides or headings
+        const { text: cleanedText, sectionRanges } = joinSections(sections);
+        // The token strategy measures chunks with the tokenizer of the model that will embed them
+        const countTokens = (chunkStrategy || config.rag.chunkStrategy) === CHUNK_STRATEGIES.TOKEN
+            ? await loadTokenCounter(getEmbeddingSpace().model)
+            : undefined;
+        let chunks = chunkText(cleanedText, { strategy: chunkStrategy, countTokens });
+
+        if (config.ingest.collapseDuplicateChunks) {
+            ({ chunks, collapsedCount: context.collapsedChunkCount } = collapseDuplicateChunks(chunks));
+        }
+
+        timings.chunking = Date.now() - chunkStart;
+        logger.info(`Created ${chunks.length} chunks`);
+
+        if (chunks.length === 0) {
+            throw new AppError('No valid chunks could be created from the document', 422);
+        }
+
+        context.chunks = chunks.map(chunk => ({
+            ...chunk,
+            location: locateSections(chunk.startChar, chunk.endChar, sectionRanges)
+        }));
+    }
+
+    const chunks = context.chunks;
+
+    // Step 3: Generate embeddings for chunks
+    if (!context.embeddings) {
+        const start = STAGE_PROGRESS[STAGES.EMBEDDING];
+        const span = STAGE_PROGRESS[STAGES.STORING] - start;
+
+        reportProgress(STAGES.EMBEDDING, start);
+        const embedStart = Date.now();
+        // Recorded on every chunk so searches never compare vectors across models
+        context.embeddingModel = getEmbeddingSpace().model;
+        context.embeddings = await embedTexts(chunks.map(c => c.content), {
+            model: context.embeddingModel,
+            onProgress: (done, total) => reportProgress(STAGES.EMBEDDING, start + span * (done / total))
+        });
+        timings.embedding = Date.now() - embedStart;
+    }
+
+    // Step 4: Store document and chunks
+    reportProgress(STAGES.STORING, STAGE_PROGRESS[STAGES.STORING]);
+    const storeStart = Date.now();
+
+    // Looked up again just before storing: documents to replace, or one stored meanwhile
+    const existing = await findDocumentsByHash(contentHash);
+
+    if (existing.length > 0 && !replace) {
+        return findDuplicate(contentHash, { collectionId, tags });
+    }
+
+    // Section tree served by GET /documents/:id/outline; chunks carry their heading path
+    const outlineSections = buildOutline(sections);
+    const outline = outlineSections.length > 0
+        ? { source: outlineSource || OUTLINE_SOURCES.HEADINGS, sections: outlineSections }
+        : null;
+
+    const document = await createDocument(fileName, { tags, collectionId, format, contentHash, outline });
+    logger.info(`Document created with ID: ${document.id}`);
+
+    const chunksWithEmbeddings = chunks.map((chunk, index) => ({
+        content: chunk.content,
+        embedding: context.embeddings[index],
+        embeddingModel: context.embeddingModel,
+        metadata: {
+            chunkStrategy: chunk.strategy,
+            contentHash: sha256(chunk.content),
+            format,
+            startChar: chunk.startChar,
+            endChar: chunk.endChar,
+            ...chunk.location
+        }
+    }));
+
+    try {
+        await insertChunks(document, chunksWithEmbeddings);
+    } catch (error) {
+        await discardDocument(document.id);
+        throw error;
+    }
+
+    const replacedDocumentIds = await removeReplacedDocuments(existing);
+
+    // New chunks can answer questions better than what was cached
+    invalidateAnswers('document added');
+
+    timings.storage = Date.now() - storeStart;
+
+    logger.info('Document ingestion completed successfully', {
+        documentId: document.id,
+        fileName,
+        chunkCount: chunks.length,
+        replacedDocumentIds
+    });
+
+    return {
+        documentId: document.id,
+        fileName,
+        format,
+        pageCount,
+        slideCount,
+        ocrPageCount,
+        chunkCount: chunks.length,
+        collapsedChunkCount: context.collapsedChunkCount || 0,
+        outlineSource: outline?.source ?? null,
+        chunkStrategy,
+        embeddingModel: context.embeddingModel,
+        collectionId,
+        tags,
+        documentInfo: info,
+        contentHash,
+        replacedDocumentIds,
+        timings: {
+            extractionMs: timings.extraction,
+            chunkingMs: timings.chunking,
+            embeddingMs: timings.embedding,
+            storageMs: timings.storage
+        }
+    };
+}
+
+module.exports = {
+    STAGES,
+    findDuplicate,
+    ingestDocument
+};
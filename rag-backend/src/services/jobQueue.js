@@ -0,0 +1,220 @@
+/**
+ * Job Queue
+ * In-process background job queue with progress reporting and retries.
+ *
+ * Jobs move through: queued -> running -> completed | failed
+ * (running -> retrying -> running while attempts remain).
+ * Failed attempts are retried with exponential backoff unless the error is
+ * a client error (statusCode 4xx), which would fail the same way again.
+ *
+ * Each job keeps a `context` object across attempts so a task can skip
+ * stages that already succeeded (e.g. reuse embeddings when storage failed).
+ *
+ * TODO: Persist jobs (e.g. in Supabase) so they survive restarts
+ * TODO: Move to a shared queue (BullMQ/Redis) when running multiple instances
+ */
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const logger = require('../utils/logger');
+
+const JOB_STATUS = {
+    QUEUED: 'queued',
+    RUNNING: 'running',
+    RETRYING: 'retrying',
+    COMPLETED: 'completed',
+    FAILED: 'failed'
+};
+
+const FINISHED_STATUSES = [JOB_STATUS.COMPLETED, JOB_STATUS.FAILED];
+
+/**
+ * Create a job queue
+ *
+ * @param {Object} options - Queue settings
+ * @param {string} options.name - Queue name (for logs)
+ * @param {number} options.concurrency - Jobs run at the same time
+ * @param {number} options.maxAttempts - Attempts per job, including the first
+ * @param {number} options.retryBaseDelayMs - Delay before the first retry; doubles per attempt
+ * @param {number} options.jobTtlMs - How long finished jobs stay queryable
+ */
+function createJobQueue(options) {
+    const {
+        name,
+        concurrency = 1,
+        maxAttempts = 3,
+        retryBaseDelayMs = 2000,
+        jobTtlMs = 60 * 60 * 1000
+    } = options;
+
+    const jobs = new Map();
+    const pending = [];
+    const events = new EventEmitter();
+    let running = 0;
+
+    // Any number of SSE clients may watch the same job
+    events.setMaxListeners(0);
+
+    /**
+     * Public view of a job (task, payload and context stay internal)
+     */
+    function toJSON(job) {
+        return {
+            id: job.id,
+            type: job.type,
+            status: job.status,
+            stage: job.stage,
+            progress: job.progress,
+            attempts: job.attempts,
+            maxAttempts,
+            error: job.error,
+            result: job.result,
+            createdAt: job.createdAt,
+            updatedAt: job.updatedAt,
+            nextRetryAt: job.nextRetryAt
+        };
+    }
+
+    function update(job, changes) {
+        Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+        events.emit(job.id, toJSON(job));
+    }
+
+    function finish(job, changes) {
+        update(job, changes);
+
+        // Release the payload (e.g. uploaded file buffer) and forget the job later
+        job.payload = null;
+        job.context = null;
+        setTimeout(() => jobs.delete(job.id), jobTtlMs).unref();
+    }
+
+    async function runJob(job) {
+        running++;
+        job.attempts++;
+        update(job, { status: JOB_STATUS.RUNNING, error: null, nextRetryAt: null });
+
+        const reportProgress = (stage, progress) => {
+            update(job, { stage, progress: Math.max(0, Math.min(100, Math.round(progress))) });
+        };
+
+        try {
+            const result = await job.task(job.payload, { reportProgress, context: job.context, attempt: job.attempts });
+
+            finish(job, { status: JOB_STATUS.COMPLETED, progress: 100, result });
+            logger.info(`${name} job completed`, { jobId: job.id, attempts: job.attempts });
+
+        } catch (error) {
+            const isClientError = error.statusCode >= 400 && error.statusCode < 500;
+            const canRetry = !isClientError && job.attempts < maxAttempts;
+
+            logger.error(`${name} job attempt failed`, {
+                jobId: job.id,
+                attempt: job.attempts,
+                stage: job.stage,
+                error: error.message,
+                willRetry: canRetry
+            });
+
+            if (canRetry) {
+                const delayMs = retryBaseDelayMs * 2 ** (job.attempts - 1);
+                update(job, {
+                    status: JOB_STATUS.RETRYING,
+                    error: error.message,
+                    nextRetryAt: new Date(Date.now() + delayMs).toISOString()
+                });
+                setTimeout(() => schedule(job), delayMs);
+            } else {
+                finish(job, { status: JOB_STATUS.FAILED, error: error.message });
+            }
+        } finally {
+            running--;
+            drain();
+        }
+    }
+
+    function drain() {
+        while (running < concurrency && pending.length > 0) {
+            runJob(pending.shift());
+        }
+    }
+
+    function schedule(job) {
+        pending.push(job);
+        drain();
+    }
+
+    /**
+     * Add a job to the queue
+     *
+     * @param {string} type - Job type (e.g. 'ingest')
+     * @param {Object} payload - Task input
+     * @param {function(Object, Object): Promise<Object>} task - Called with (payload, { reportProgress, context, attempt })
+     * @returns {Object} Public job view
+     */
+    function enqueue(type, payload, task) {
+        const now = new Date().toISOString();
+        const job = {
+            id: crypto.randomUUID(),
+            type,
+            status: JOB_STATUS.QUEUED,
+            stage: null,
+            progress: 0,
+            attempts: 0,
+            error: null,
+            result: null,
+            createdAt: now,
+            updatedAt: now,
+            nextRetryAt: null,
+            payload,
+            task,
+            context: {}
+        };
+
+        jobs.set(job.id, job);
+        logger.info(`${name} job queued`, { jobId: job.id, type, queueLength: pending.length + 1 });
+
+        schedule(job);
+        return toJSON(job);
+    }
+
+    /**
+     * Get a job by ID
+     * @param {string} jobId - Job ID
+     * @returns {Object|null} Public job view or null if unknown/expired
+     */
+    function getJob(jobId) {
+        const job = jobs.get(jobId);
+        return job ? toJSON(job) : null;
+    }
+
+    /**
+     * Subscribe to a job's updates
+     * @param {string} jobId - Job ID
+     * @param {function(Object): void} listener - Called with the public job view on every update
+     * @returns {function(): void} Unsubscribe function
+     */
+    function subscribe(jobId, listener) {
+        events.on(jobId, listener);
+        return () => events.off(jobId, listener);
+    }
+
+    return {
+        enqueue,
+        getJob,
+        subscribe
+    };
+}
+
+/**
+ * Whether a job has reached a final status
+ */
+function isFinished(job) {
+    return FINISHED_STATUSES.includes(job.status);
+}
+
+module.exports = {
+    JOB_STATUS,
+    createJobQueue,
+    isFinished
+};
@@ -1,158 +1,135 @@
 /**
  * LLM Service
- * Generates answers using Groq API with context from retrieved chunks.
+ * Generates answers with context from retrieved chunks.
+ * Calls go through the shared provider layer (llmClient.js), which falls
+ * back from Groq to other configured providers.
  * 
- * TODO: Implement streaming responses for real-time output
- * TODO: Add conversation history support
- * TODO: Implement prompt templates and versioning
- * TODO: Add response caching for identical queries
- * TODO: Implement fallback to alternative LLM providers
+ * The system prompts are templates in shared/prompts (rag-answer,
+ * rag-condense). Answers report the prompt version (name@version) that
+ * produced them.
  */
 
-const Groq = require('groq-sdk');
-const config = require('../config');
+const llmClient = require('./llmClient');
+const prompts = require('./prompts');
 const logger = require('../utils/logger');
 
-// Initialize Groq client
-const groq = new Groq({
-    apiKey: config.groq.apiKey
-});
+// Each prior message is capped in the condense prompt to keep the rewrite cheap
+const CONDENSE_MESSAGE_CHARS = 1000;
 
 /**
- * System prompt for RAG responses
- * TODO: Make this configurable and support prompt templates
+ * Select the answer prompt version
+ * Chat sessions are the A/B cohort: every turn of a session uses the same version.
+ * 
+ * @param {string|null} cohortKey - Chat session ID, if any
+ * @returns {{id: string, system: string}} Rendered rag-answer prompt
+ */
+function getAnswerPrompt(cohortKey = null) {
+    return prompts.render('rag-answer', {}, { cohortKey });
+}
+
+/**
+ * Build chat messages: system prompt, prior turns, then the current prompt
+ * 
+ * @param {string} systemPrompt - Rendered system prompt
+ * @param {string} userPrompt - Prompt for the current question
+ * @param {Array<{role: string, content: string}>} history - Prior turns, oldest first
+ * @returns {Array<{role: string, content: string}>}
+ */
+function buildMessages(systemPrompt, userPrompt, history = []) {
+    return [
+        { role: 'system', content: systemPrompt },
+        ...history.map(message => ({ role: message.role, content: message.content })),
+        { role: 'user', content: userPrompt }
+    ];
+}
+
+/**
+ * Format retrieved chunks as numbered context with source attribution
+ * Prompts refer to chunks by these numbers ([Chunk 1], [Chunk 2], ...).
+ * A chunk widened to its section (retriever.attachParentSections) is given
+ * as the section text, which contains it.
+ * 
+ * @param {Array} context - Retrieved chunks
+ * @returns {string}
+ */
+function formatContext(context) {
+    return context
+        .map((chunk, i) => `[Chunk ${i + 1}]${formatRelevance(chunk)}${formatSourceLabel(chunk)}\n${chunk.parentSection?.content ?? chunk.content}`)
+        .join('\n\n---\n\n');
+}
+
+/**
+ * Build the user prompt: numbered context chunks followed by the question
+ * 
+ * @param {string} question - User's question
+ * @param {Array} context - Retrieved chunks
+ * @returns {{userPrompt: string, contextText: string}}
  */
-const SYSTEM_PROMPT = `You are a helpful assistant that answers questions based on the provided context.
+function buildUserPrompt(question, context) {
+    const contextText = formatContext(context);
+
+    const userPrompt = `CONTEXT:
+${contextText}
 
-INSTRUCTIONS:
-1. Only use information from the provided context to answer the question.
-2. If the context doesn't contain enough information to answer, say so clearly.
-3. Cite specific parts of the context when relevant.
-4. Be concise and direct in your responses.
-5. If asked about something not in the context, acknowledge the limitation.
+---
 
-Do not make up information or use knowledge outside of the provided context.`;
+QUESTION: ${question}
+
+Please answer the question based only on the context provided above.`;
+
+    return { userPrompt, contextText };
+}
 
 /**
  * Generate an answer using the LLM with context
  * 
  * @param {string} question - User's question
  * @param {Array<{content: string, similarity: number}>} context - Retrieved chunks
- * @returns {Promise<{answer: string, usage: Object}>}
+ * @param {Object} options - { history, prompt } prior conversation turns, oldest first; prompt from getAnswerPrompt
+ * @returns {Promise<{answer: string, usage: Object, promptVersion: string, provider: string}>}
  * 
- * TODO: Add support for different prompt templates
  * TODO: Implement chain-of-thought reasoning option
  */
-async function generateAnswer(question, context) {
+async function generateAnswer(question, context, options = {}) {
     const startTime = Date.now();
 
     if (!question || question.trim().length === 0) {
         throw new Error('Question cannot be empty');
     }
 
-    // Format context for the prompt
-    // TODO: Consider better formatting (numbering, source attribution)
-    const contextText = context
-        .map((chunk, i) => `[Chunk ${i + 1}] (Similarity: ${(chunk.similarity * 100).toFixed(1)}%)\n${chunk.content}`)
-        .join('\n\n---\n\n');
-
-    // Build user prompt with context and question
-    let instruction = 'Please answer the question based only on the context provided above.';
-
-    // Dynamic instruction for Flashcards and Quiz
-    const lowerQ = question.toLowerCase();
-    const isFlashcard = lowerQ.includes('flashcard');
-    const isQuiz = lowerQ.includes('quiz');
-
-    if (isFlashcard) {
-        instruction += `
-        
-        IMPORTANT: The user wants flashcards. You MUST return the response in valid JSON format.
-        The flashcard deck should include:
-        1. A few cards that summarize key concepts using bullet points.
-        2. Cards with specific questions and answers to test knowledge.
-
-        IMPORTANT: The user wants flashcards. You MUST return the response in valid JSON format.
-        The flashcard deck should include:
-        1. A few cards that summarize key concepts using bullet points.
-        2. Cards with specific questions and answers to test knowledge.
-
-        CRITICAL: 
-        - The response must be valid parseable JSON.
-        - Escape all newlines in strings as \\n. 
-        - Do NOT use real newlines inside string values.
-
-        Structure:
-        {
-            "type": "flashcards",
-            "data": [
-                { "question": "Key Concept: [Topic]", "answer": "- Point 1\\n- Point 2\\n- Point 3" },
-                { "question": "What is...?", "answer": "It is..." }
-            ]
-        }
-        Do not include any markdown formatting (like \`\`\`json) outside the JSON. Return ONLY the raw JSON string.`;
-    } else if (isQuiz) {
-        instruction += `
-        
-        IMPORTANT: The user wants a quiz. You MUST return the response in valid JSON format.
-        Structure:
-        {
-            "type": "quiz",
-            "data": [
-                { "question": "Question 1", "answer": "Answer 1" },
-                { "question": "Question 2", "answer": "Answer 2" }
-            ]
-        }
-        Do not include any markdown formatting (like \`\`\`json) outside the JSON. Return ONLY the raw JSON string.`;
-    }
-
-    const userPrompt = `CONTEXT:
-${contextText}
-
----
-
-QUESTION: ${question}
-
-${instruction}`;
+    const { userPrompt, contextText } = buildUserPrompt(question, context);
+    const prompt = options.prompt || getAnswerPrompt();
 
     logger.debug('Generating LLM response', {
         questionLength: question.length,
         contextChunks: context.length,
-        totalContextLength: contextText.length
+        totalContextLength: contextText.length,
+        historyMessages: options.history?.length || 0
     });
 
     try {
-        const response = await groq.chat.completions.create({
-            model: config.groq.llmModel,
-            messages: [
-                { role: 'system', content: SYSTEM_PROMPT },
-                { role: 'user', content: userPrompt }
-            ],
+        const response = await llmClient.complete({
+            agent: 'answer',
+            messages: buildMessages(prompt.system, userPrompt, options.history),
             temperature: 0.2, // Lower temperature for more focused answers
-            max_tokens: 1024, // TODO: Make configurable
-            // TODO: Enable streaming for real-time responses
-            // stream: true
+            maxTokens: 1024 // TODO: Make configurable
         });
 
-        const answer = response.choices[0].message.content;
-        const usage = response.usage;
-
         const latency = Date.now() - startTime;
 
         logger.info('LLM response generated', {
             latencyMs: latency,
-            promptTokens: usage.prompt_tokens,
-            completionTokens: usage.completion_tokens,
-            totalTokens: usage.total_tokens
+            provider: response.provider,
+            model: response.model,
+            promptVersion: prompt.id,
+            ...response.usage
         });
 
         return {
-            answer,
-            usage: {
-                promptTokens: usage.prompt_tokens,
-                completionTokens: usage.completion_tokens,
-                totalTokens: usage.total_tokens
-            }
+            answer: response.content,
+            usage: response.usage,
+            promptVersion: prompt.id,
+            provider: response.provider
         };
 
     } catch (error) {
@@ -164,20 +141,178 @@ ${instruction}`;
     }
 }
 
+/**
+ * Describe how well a chunk matched, e.g. " (Similarity: 82.5%)"
+ * Keyword-only matches may have no similarity score.
+ *
+ * @param {Object} chunk - Retrieved chunk
+ * @returns {string} Label, or empty string when no similarity is known
+ */
+function formatRelevance(chunk) {
+    if (typeof chunk.similarity !== 'number') {
+        return chunk.retrievers ? ' (Keyword match)' : '';
+    }
+    return ` (Similarity: ${(chunk.similarity * 100).toFixed(1)}%)`;
+}
+
+/**
+ * Describe where a chunk came from, e.g. " (Source: notes.pdf, p. 4-5)"
+ * or " (Source: lecture3.pptx, slide 12)"
+ * 
+ * @param {Object} chunk - Retrieved chunk with document_title and metadata
+ * @returns {string} Label, or empty string when nothing is known
+ */
+function formatSourceLabel(chunk) {
+    const parts = [];
+    const { pageStart, pageEnd, slideStart, slideEnd, headingPath } = chunk.metadata || {};
+
+    if (chunk.document_title) {
+        parts.push(chunk.document_title);
+    }
+
+    if (pageStart) {
+        parts.push(pageEnd && pageEnd !== pageStart ? `p. ${pageStart}-${pageEnd}` : `p. ${pageStart}`);
+    }
+
+    if (slideStart) {
+        parts.push(slideEnd && slideEnd !== slideStart ? `slides ${slideStart}-${slideEnd}` : `slide ${slideStart}`);
+    }
+
+    if (headingPath?.length) {
+        parts.push(headingPath.join(' > '));
+    }
+
+    return parts.length > 0 ? ` (Source: ${parts.join(', ')})` : '';
+}
+
 /**
  * Generate a streaming answer (for real-time output)
- * TODO: Implement this for production use
+ * Yields token deltas as they arrive, then a final 'done' event with the
+ * full answer and token usage.
  * 
  * @param {string} question - User's question
  * @param {Array} context - Retrieved chunks
- * @returns {AsyncGenerator<string>} Stream of answer chunks
+ * @param {Object} options - { signal, history, prompt } AbortSignal to cancel the completion, prior turns, prompt from getAnswerPrompt
+ * @returns {AsyncGenerator<{type: 'token', content: string} | {type: 'done', answer: string, usage: Object, promptVersion: string, provider: string}>}
  */
-async function* generateAnswerStream(question, context) {
-    // TODO: Implement streaming response
-    throw new Error('Streaming not yet implemented');
+async function* generateAnswerStream(question, context, options = {}) {
+    const startTime = Date.now();
+
+    if (!question || question.trim().length === 0) {
+        throw new Error('Question cannot be empty');
+    }
+
+    const { userPrompt, contextText } = buildUserPrompt(question, context);
+    const prompt = options.prompt || getAnswerPrompt();
+
+    logger.debug('Generating streaming LLM response', {
+        questionLength: question.length,
+        contextChunks: context.length,
+        totalContextLength: contextText.length,
+        historyMessages: options.history?.length || 0
+    });
+
+    let answer = '';
+    let done = null;
+
+    try {
+        const stream = llmClient.stream({
+            agent: 'answer',
+            messages: buildMessages(prompt.system, userPrompt, options.history),
+            temperature: 0.2,
+            maxTokens: 1024,
+            signal: options.signal
+        });
+
+        for await (const event of stream) {
+            if (event.type === 'token') {
+                answer += event.content;
+                yield event;
+            } else {
+                done = event;
+            }
+        }
+    } catch (error) {
+        if (options.signal?.aborted) {
+            logger.info('LLM stream cancelled', { answerLength: answer.length });
+            return;
+        }
+
+        logger.error('LLM streaming failed', {
+            error: error.message,
+            questionLength: question.length
+        });
+        throw new Error(`LLM generation failed: ${error.message}`);
+    }
+
+    logger.info('LLM stream completed', {
+        latencyMs: Date.now() - startTime,
+        provider: done.provider,
+        model: done.model,
+        promptVersion: prompt.id,
+        ...done.usage
+    });
+
+    yield {
+        type: 'done',
+        answer,
+        usage: done.usage,
+        promptVersion: prompt.id,
+        provider: done.provider
+    };
+}
+
+/**
+ * Rewrite a follow-up question into a standalone retrieval query
+ * e.g. "explain the second point more" -> "Explain virtual memory paging in more detail"
+ * Falls back to the original question if the rewrite fails.
+ * 
+ * @param {string} question - Latest user message
+ * @param {Array<{role: string, content: string}>} history - Prior turns, oldest first
+ * @returns {Promise<string>} Standalone question
+ */
+async function condenseQuestion(question, history) {
+    if (!history || history.length === 0) {
+        return question;
+    }
+
+    const conversation = history
+        .map(message => {
+            const content = message.content.length > CONDENSE_MESSAGE_CHARS
+                ? `${message.content.slice(0, CONDENSE_MESSAGE_CHARS)}…`
+                : message.content;
+            return `${message.role === 'user' ? 'User' : 'Assistant'}: ${content}`;
+        })
+        .join('\n\n');
+
+    try {
+        const prompt = prompts.render('rag-condense', { conversation, question });
+
+        const response = await llmClient.complete({
+            agent: 'condense',
+            messages: [
+                { role: 'system', content: prompt.system },
+                { role: 'user', content: prompt.user }
+            ],
+            temperature: 0,
+            maxTokens: 200
+        });
+
+        const condensed = response.content.trim();
+        return condensed || question;
+
+    } catch (error) {
+        logger.warn('Question condensation failed, using original question', {
+            error: error.message
+        });
+        return question;
+    }
 }
 
 module.exports = {
+    formatContext,
+    getAnswerPrompt,
     generateAnswer,
-    generateAnswerStream
+    generateAnswerStream,
+    condenseQuestion
 };
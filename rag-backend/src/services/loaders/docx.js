@@ -0,0 +1,49 @@
+/**
+ * DOCX Loader
+ * Converts Word documents to HTML with mammoth, which maps Word heading
+ * styles to <h1>-<h6>, then splits the HTML at headings.
+ *
+ * TODO: Keep table structure instead of flattening cells to lines
+ */
+
+const JSZip = require('jszip');
+const mammoth = require('mammoth');
+const { htmlToSections } = require('./html');
+const { hasPart, readTitle } = require('./ooxml');
+const logger = require('../../utils/logger');
+
+/**
+ * @param {Buffer} buffer - DOCX file contents
+ * @returns {Promise<{sections: Array, info: Object}>}
+ */
+async function load(buffer) {
+    let html, messages, zip;
+    try {
+        ({ value: html, messages } = await mammoth.convertToHtml({ buffer }));
+        zip = await JSZip.loadAsync(buffer);
+    } catch (error) {
+        // A damaged package fails the same way every time (see loaders/index.js)
+        error.statusCode = 422;
+        throw error;
+    }
+
+    if (messages.length > 0) {
+        logger.debug('DOCX conversion warnings', {
+            warnings: messages.slice(0, 5).map(message => message.message)
+        });
+    }
+
+    return {
+        sections: htmlToSections(html),
+        info: { title: await readTitle(zip) }
+    };
+}
+
+module.exports = {
+    format: 'docx',
+    label: 'DOCX',
+    extensions: ['.docx'],
+    mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+    detect: buffer => hasPart(buffer, 'word/document.xml'),
+    load
+};
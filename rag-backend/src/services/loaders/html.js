@@ -0,0 +1,128 @@
+/**
+ * HTML Loader
+ * Converts HTML to text sections split at <h1>-<h6> headings.
+ *
+ * Also used by the DOCX loader, which converts Word documents to HTML first.
+ *
+ * TODO: Use a real HTML parser if pages with malformed markup become common
+ */
+
+const { decodeEntities } = require('./text');
+
+// Elements whose content is never document text
+const SKIPPED_ELEMENTS = /<(script|style|noscript|template|svg|head)\b[^>]*>[\s\S]*?<\/\1\s*>/gi;
+
+// Elements that start a new line in the extracted text
+const BLOCK_ELEMENTS = new Set([
+    'p', 'div', 'br', 'li', 'tr', 'table', 'section', 'article', 'header', 'footer',
+    'blockquote', 'pre', 'ul', 'ol', 'dl', 'dt', 'dd', 'hr', 'figure', 'figcaption', 'main', 'aside'
+]);
+
+const TAG_PATTERN = /<(\/?)([a-zA-Z][a-zA-Z0-9]*)\b[^>]*>/g;
+
+/**
+ * Split HTML into sections, one per heading
+ * Text before the first heading becomes a section without a heading path.
+ *
+ * @param {string} html - HTML markup
+ * @returns {Array<{text: string, headingPath: string[]}>}
+ */
+function htmlToSections(html) {
+    const body = html
+        .replace(/<!--[\s\S]*?-->/g, '')
+        .replace(/<[!?][^>]*>/g, '')
+        .replace(SKIPPED_ELEMENTS, '');
+
+    const sections = [];
+    const headings = [];
+    let current = { text: '', headingPath: [] };
+    let heading = null;
+    let lastIndex = 0;
+
+    const appendText = (raw) => {
+        const text = decodeEntities(raw.replace(/\s+/g, ' '));
+        if (heading) {
+            heading.text += text;
+        } else {
+            current.text += text;
+        }
+    };
+
+    for (const match of body.matchAll(TAG_PATTERN)) {
+        appendText(body.slice(lastIndex, match.index));
+        lastIndex = match.index + match[0].length;
+
+        const isClosing = match[1] === '/';
+        const tag = match[2].toLowerCase();
+        const level = /^h[1-6]$/.test(tag) ? Number(tag[1]) : null;
+
+        if (level && !isClosing) {
+            heading = { level, text: '' };
+        } else if (level && isClosing && heading) {
+            const title = heading.text.trim();
+            heading = null;
+            if (!title) continue;
+
+            // A heading closes every open heading at its level or deeper
+            while (headings.length > 0 && headings[headings.length - 1].level >= level) {
+                headings.pop();
+            }
+            headings.push({ level, title });
+
+            sections.push(current);
+            current = { text: `${title}\n`, headingPath: headings.map(h => h.title) };
+        } else if (BLOCK_ELEMENTS.has(tag)) {
+            current.text += '\n';
+        }
+    }
+
+    appendText(body.slice(lastIndex));
+    sections.push(current);
+
+    return sections
+        .map(section => ({
+            ...section,
+            text: section.text.split('\n').map(line => line.trim()).join('\n')
+        }))
+        .filter(section => section.text.trim().length > 0);
+}
+
+/**
+ * Read the <title> element, if any
+ */
+function extractTitle(html) {
+    const match = html.match(/<title\b[^>]*>([\s\S]*?)<\/title\s*>/i);
+    const title = match && decodeEntities(match[1]).replace(/\s+/g, ' ').trim();
+    return title || null;
+}
+
+/**
+ * Whether the buffer starts like an HTML document
+ */
+function looksLikeHtml(buffer) {
+    const head = buffer.slice(0, 512).toString('utf8').replace(/^\uFEFF/, '').trimStart().toLowerCase();
+    return head.startsWith('<!doctype html') || head.startsWith('<html');
+}
+
+/**
+ * @param {Buffer} buffer - HTML file contents
+ * @returns {Promise<{sections: Array, info: Object}>}
+ */
+async function load(buffer) {
+    const html = buffer.toString('utf8');
+
+    return {
+        sections: htmlToSections(html),
+        info: { title: extractTitle(html) }
+    };
+}
+
+module.exports = {
+    format: 'html',
+    label: 'HTML',
+    extensions: ['.html', '.htm'],
+    mimeTypes: ['text/html', 'application/xhtml+xml'],
+    sniff: looksLikeHtml,
+    load,
+    htmlToSections
+};
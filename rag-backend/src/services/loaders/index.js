@@ -0,0 +1,136 @@
+/**
+ * Document Loaders
+ * Registry of per-format loaders that turn an uploaded file into the
+ * normalized sections consumed by chunker.joinSections.
+ *
+ * A section is { text, pageNumber?, slideNumber?, headingPath?, ocrConfidence? }:
+ * a PDF page, a slide, or the text under a heading. Chunks record the section location,
+ * so sources can cite "p. 4", "slide 12" or "Memory > Paging".
+ *
+ * Each loader exports:
+ * - format, label: ID stored with the document, and a display name
+ * - extensions, mimeTypes: what uploads may claim to be
+ * - detect(buffer): optional, reliable magic-byte check
+ * - sniff(buffer): optional, weak content guess used when the extension is unknown
+ * - load(buffer, { onProgress }): Promise<{ sections, info, pageCount?, slideCount?, ocrPageCount?, outlineSource? }>
+ *   outlineSource says where heading paths came from when not from the file's own
+ *   headings (PDF: 'pdf-outline' or 'detected')
+ *   A file that cannot be parsed rejects with error.statusCode = 422; other failures
+ *   (e.g. OCR not starting) are left untagged so ingestion retries them
+ *
+ * TODO: Add EPUB and ODT loaders
+ */
+
+const path = require('path');
+const logger = require('../../utils/logger');
+
+const pdf = require('./pdf');
+const docx = require('./docx');
+const pptx = require('./pptx');
+const html = require('./html');
+const markdown = require('./markdown');
+const text = require('./text');
+
+// Order matters for sniffing: plain text accepts almost anything
+const LOADERS = [pdf, docx, pptx, html, markdown, text];
+
+const SUPPORTED_FORMATS = LOADERS.map(loader => loader.format);
+
+/**
+ * Human-readable list of supported formats, for error messages
+ */
+function describeFormats() {
+    return LOADERS.map(loader => loader.label).join(', ');
+}
+
+function findByExtension(fileName) {
+    const extension = path.extname(fileName || '').toLowerCase();
+    return extension ? LOADERS.find(loader => loader.extensions.includes(extension)) : undefined;
+}
+
+/**
+ * Whether an upload claims a supported type (by extension or MIME type)
+ * Used to reject obviously unsupported uploads before they are buffered;
+ * the content is checked by detectFormat afterwards.
+ *
+ * @param {string} fileName - Original file name
+ * @param {string} mimeType - MIME type sent by the client
+ * @returns {boolean}
+ */
+function isSupportedUpload(fileName, mimeType) {
+    return Boolean(findByExtension(fileName)) || LOADERS.some(loader => loader.mimeTypes.includes(mimeType));
+}
+
+/**
+ * Detect a file's format from its content, then its extension
+ * Magic bytes win over the extension, so a PDF renamed to .txt still loads as PDF.
+ *
+ * @param {Buffer} buffer - File contents
+ * @param {string} fileName - Original file name
+ * @returns {string|null} Format ID, or null if unsupported
+ */
+function detectFormat(buffer, fileName) {
+    if (!buffer || buffer.length === 0) {
+        return null;
+    }
+
+    const detected = LOADERS.find(loader => loader.detect?.(buffer));
+    if (detected) {
+        return detected.format;
+    }
+
+    // Text-based formats can only be told apart by extension
+    const byExtension = findByExtension(fileName);
+    if (byExtension && !byExtension.detect && text.sniff(buffer)) {
+        return byExtension.format;
+    }
+
+    const sniffed = LOADERS.find(loader => loader.sniff?.(buffer));
+    return sniffed ? sniffed.format : null;
+}
+
+/**
+ * Load a document into sections
+ *
+ * @param {Buffer} buffer - File contents
+ * @param {string} format - Format ID from detectFormat
+ * @param {Object} options - { onProgress(done, total) } for loaders with slow steps (PDF OCR)
+ * @returns {Promise<{format: string, sections: Array, text: string, pageCount: number|null, slideCount: number|null, ocrPageCount: number, outlineSource: string|null, info: Object}>}
+ */
+async function loadDocument(buffer, format, options = {}) {
+    const loader = LOADERS.find(candidate => candidate.format === format);
+
+    if (!loader) {
+        throw new Error(`Unsupported document format: ${format}`);
+    }
+
+    const startTime = Date.now();
+    const result = await loader.load(buffer, options);
+    const documentText = result.sections.map(section => section.text).join('\n\n');
+
+    logger.info('Document loaded', {
+        format,
+        sectionCount: result.sections.length,
+        textLength: documentText.length,
+        processingTimeMs: Date.now() - startTime
+    });
+
+    return {
+        format,
+        sections: result.sections,
+        text: documentText,
+        pageCount: result.pageCount ?? null,
+        slideCount: result.slideCount ?? null,
+        ocrPageCount: result.ocrPageCount || 0,
+        outlineSource: result.outlineSource ?? null,
+        info: result.info || {}
+    };
+}
+
+module.exports = {
+    SUPPORTED_FORMATS,
+    describeFormats,
+    isSupportedUpload,
+    detectFormat,
+    loadDocument
+};
@@ -0,0 +1,109 @@
+/**
+ * Markdown Loader
+ * Splits Markdown notes into sections at ATX (# Heading) and setext
+ * (underlined) headings, and strips the most common inline syntax.
+ *
+ * Headings inside fenced code blocks are ignored.
+ */
+
+const { decodeText } = require('./text');
+
+const ATX_HEADING = /^ {0,3}(#{1,6})\s+(.+?)\s*#*\s*$/;
+const SETEXT_UNDERLINE = /^ {0,3}(=+|-+)\s*$/;
+const FENCE = /^ {0,3}(```|~~~)/;
+
+/**
+ * Remove inline Markdown syntax, keeping the readable text
+ */
+function stripInline(line) {
+    return line
+        .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')      // images -> alt text
+        .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')       // links -> link text
+        .replace(/<[^>\n]+>/g, '')                      // inline HTML
+        .replace(/(\*\*|__)(.+?)\1/g, '$2')             // bold
+        .replace(/(^|[^\w*])[*_]([^*_\n]+)[*_]/g, '$1$2') // italics
+        .replace(/`([^`]+)`/g, '$1');                   // inline code
+}
+
+/**
+ * Split Markdown into sections, one per heading
+ *
+ * @param {string} markdown - Markdown source
+ * @returns {Array<{text: string, headingPath: string[]}>}
+ */
+function markdownToSections(markdown) {
+    const lines = markdown.replace(/\r\n/g, '\n').split('\n');
+    const sections = [];
+    const headings = [];
+    let current = { lines: [], headingPath: [] };
+    let inFence = false;
+
+    const startSection = (level, title) => {
+        while (headings.length > 0 && headings[headings.length - 1].level >= level) {
+            headings.pop();
+        }
+        headings.push({ level, title });
+
+        sections.push(current);
+        current = { lines: [title], headingPath: headings.map(h => h.title) };
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+
+        if (FENCE.test(line)) {
+            inFence = !inFence;
+            continue;
+        }
+
+        if (inFence) {
+            current.lines.push(line);
+            continue;
+        }
+
+        const atx = line.match(ATX_HEADING);
+        if (atx) {
+            startSection(atx[1].length, stripInline(atx[2]));
+            continue;
+        }
+
+        // Setext: a text line underlined with === (level 1) or --- (level 2)
+        const next = lines[i + 1];
+        if (line.trim() && next !== undefined && SETEXT_UNDERLINE.test(next) && !/^\s*[-*+]\s/.test(line)) {
+            startSection(next.trim()[0] === '=' ? 1 : 2, stripInline(line.trim()));
+            i++;
+            continue;
+        }
+
+        current.lines.push(stripInline(line));
+    }
+
+    sections.push(current);
+
+    return sections
+        .map(section => ({ text: section.lines.join('\n'), headingPath: section.headingPath }))
+        .filter(section => section.text.trim().length > 0);
+}
+
+/**
+ * @param {Buffer} buffer - Markdown file contents
+ * @returns {Promise<{sections: Array, info: Object}>}
+ */
+async function load(buffer) {
+    const sections = markdownToSections(decodeText(buffer));
+    const firstHeading = sections.find(section => section.headingPath.length > 0);
+
+    return {
+        sections,
+        info: { title: firstHeading ? firstHeading.headingPath[0] : null }
+    };
+}
+
+module.exports = {
+    format: 'markdown',
+    label: 'Markdown',
+    extensions: ['.md', '.markdown'],
+    mimeTypes: ['text/markdown', 'text/x-markdown'],
+    load,
+    markdownToSections
+};
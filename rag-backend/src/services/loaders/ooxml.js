@@ -0,0 +1,39 @@
+/**
+ * Office Open XML helpers shared by the DOCX and PPTX loaders
+ * Both formats are ZIP packages of XML parts.
+ */
+
+const { decodeEntities } = require('./text');
+
+const ZIP_MAGIC = Buffer.from([0x50, 0x4b, 0x03, 0x04]);
+
+/**
+ * Whether the buffer is a ZIP package containing the given part
+ * ZIP local file headers store entry names uncompressed, so the part name
+ * can be found without unzipping.
+ *
+ * @param {Buffer} buffer - File contents
+ * @param {string} partName - e.g. 'word/document.xml'
+ * @returns {boolean}
+ */
+function hasPart(buffer, partName) {
+    return buffer.length > 4 && buffer.subarray(0, 4).equals(ZIP_MAGIC) && buffer.includes(partName);
+}
+
+/**
+ * Read the document title from docProps/core.xml, if set
+ *
+ * @param {Object} zip - Loaded JSZip package
+ * @returns {Promise<string|null>}
+ */
+async function readTitle(zip) {
+    const core = await zip.file('docProps/core.xml')?.async('string');
+    const match = core?.match(/<dc:title>([\s\S]*?)<\/dc:title>/);
+    const title = match && decodeEntities(match[1]).trim();
+    return title || null;
+}
+
+module.exports = {
+    hasPart,
+    readTitle
+};
@@ -0,0 +1,39 @@
+/**
+ * PDF Loader
+ * Wraps pdfExtractor so PDFs load into the same sections as other formats:
+ * each page is split at its headings (see headings.js), so sections carry a
+ * page number and heading path. OCR'd pages keep their recognition confidence.
+ */
+
+const { extractText, isValidPdf } = require('../pdfExtractor');
+const { splitPages } = require('../headings');
+
+/**
+ * @param {Buffer} buffer - PDF file contents
+ * @param {Object} options - { onProgress(done, total) } OCR progress
+ * @returns {Promise<{sections: Array, pageCount: number, ocrPageCount: number, outlineSource: string|null, info: Object}>}
+ */
+async function load(buffer, options = {}) {
+    const { pages, outline, pageCount, ocrPageCount, info } = await extractText(buffer, {
+        onOcrProgress: options.onProgress
+    });
+
+    const { sections, source } = splitPages(pages, outline);
+
+    return {
+        sections,
+        pageCount,
+        ocrPageCount,
+        outlineSource: source,
+        info
+    };
+}
+
+module.exports = {
+    format: 'pdf',
+    label: 'PDF',
+    extensions: ['.pdf'],
+    mimeTypes: ['application/pdf'],
+    detect: isValidPdf,
+    load
+};
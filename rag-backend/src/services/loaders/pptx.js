@@ -0,0 +1,143 @@
+/**
+ * PPTX Loader
+ * Extracts slide text (and speaker notes) as one section per slide,
+ * in presentation order, so sources can cite slide numbers.
+ *
+ * TODO: Extract text from charts and SmartArt
+ */
+
+const JSZip = require('jszip');
+const { decodeEntities } = require('./text');
+const { hasPart, readTitle } = require('./ooxml');
+
+/**
+ * Extract paragraphs of text from a DrawingML part
+ * Text runs (<a:t>) are joined within a paragraph (<a:p>).
+ *
+ * @param {string} xml - Slide or notes XML
+ * @returns {string[]} Non-empty paragraphs
+ */
+function extractParagraphs(xml) {
+    const paragraphs = [];
+
+    for (const [paragraph] of xml.matchAll(/<a:p\b[\s\S]*?<\/a:p>/g)) {
+        const text = [...paragraph.matchAll(/<a:t\b[^>]*>([\s\S]*?)<\/a:t>/g)]
+            .map(run => decodeEntities(run[1]))
+            .join('')
+            .trim();
+
+        if (text) paragraphs.push(text);
+    }
+
+    return paragraphs;
+}
+
+/**
+ * Map relationship IDs to absolute part names for a part's .rels file
+ *
+ * @param {Object} zip - Loaded JSZip package
+ * @param {string} relsPath - e.g. 'ppt/_rels/presentation.xml.rels'
+ * @param {string} baseDir - Directory the targets are relative to, e.g. 'ppt'
+ * @returns {Promise<Map<string, string>>}
+ */
+async function readRelationships(zip, relsPath, baseDir) {
+    const xml = await zip.file(relsPath)?.async('string');
+    const relationships = new Map();
+
+    for (const [tag] of (xml || '').matchAll(/<Relationship\b[^>]*>/g)) {
+        const id = tag.match(/\bId="([^"]+)"/)?.[1];
+        const target = tag.match(/\bTarget="([^"]+)"/)?.[1];
+        if (!id || !target) continue;
+
+        const resolved = target.startsWith('/')
+            ? target.slice(1)
+            : `${baseDir}/${target}`.split('/').reduce((parts, segment) => {
+                if (segment === '..') parts.pop();
+                else if (segment !== '.') parts.push(segment);
+                return parts;
+            }, []).join('/');
+
+        relationships.set(id, resolved);
+    }
+
+    return relationships;
+}
+
+/**
+ * Slide part names in presentation order
+ * Falls back to file name order if the presentation part can't be read.
+ */
+async function listSlides(zip) {
+    const presentation = await zip.file('ppt/presentation.xml')?.async('string');
+    const relationships = await readRelationships(zip, 'ppt/_rels/presentation.xml.rels', 'ppt');
+
+    const ordered = [...(presentation || '').matchAll(/<p:sldId\b[^>]*\br:id="([^"]+)"/g)]
+        .map(match => relationships.get(match[1]))
+        .filter(partName => partName && zip.file(partName));
+
+    if (ordered.length > 0) {
+        return ordered;
+    }
+
+    const slideNumber = name => Number(name.match(/slide(\d+)\.xml$/)[1]);
+    return Object.keys(zip.files)
+        .filter(name => /^ppt\/slides\/slide\d+\.xml$/.test(name))
+        .sort((a, b) => slideNumber(a) - slideNumber(b));
+}
+
+/**
+ * Speaker notes for a slide, if it has any
+ */
+async function readNotes(zip, slidePath) {
+    const fileName = slidePath.split('/').pop();
+    const relationships = await readRelationships(zip, `ppt/slides/_rels/${fileName}.rels`, 'ppt/slides');
+    const notesPath = [...relationships.values()].find(target => target.includes('notesSlides/'));
+    const xml = notesPath && await zip.file(notesPath)?.async('string');
+
+    // Notes pages repeat the slide number placeholder; keep only the typed notes
+    return xml ? extractParagraphs(xml).filter(text => !/^\d+$/.test(text)) : [];
+}
+
+/**
+ * @param {Buffer} buffer - PPTX file contents
+ * @returns {Promise<{sections: Array, slideCount: number, info: Object}>}
+ */
+async function load(buffer) {
+    let zip, slides;
+    try {
+        zip = await JSZip.loadAsync(buffer);
+        slides = await listSlides(zip);
+    } catch (error) {
+        // A damaged package fails the same way every time (see loaders/index.js)
+        error.statusCode = 422;
+        throw error;
+    }
+
+    const sections = [];
+
+    for (let i = 0; i < slides.length; i++) {
+        const paragraphs = extractParagraphs(await zip.file(slides[i]).async('string'));
+        const notes = await readNotes(zip, slides[i]);
+
+        if (notes.length > 0) {
+            paragraphs.push(`Speaker notes: ${notes.join('\n')}`);
+        }
+
+        sections.push({ slideNumber: i + 1, text: paragraphs.join('\n') });
+    }
+
+    return {
+        sections,
+        slideCount: slides.length,
+        info: { title: await readTitle(zip) }
+    };
+}
+
+module.exports = {
+    format: 'pptx',
+    label: 'PPTX',
+    extensions: ['.pptx'],
+    mimeTypes: ['application/vnd.openxmlformats-officedocument.presentationml.presentation'],
+    detect: buffer => hasPart(buffer, 'ppt/presentation.xml'),
+    load
+};
@@ -0,0 +1,101 @@
+/**
+ * Plain Text Loader
+ * Loads UTF-8 text as a single section.
+ *
+ * Also holds the text helpers shared by the markup-based loaders.
+ */
+
+const NAMED_ENTITIES = {
+    amp: '&',
+    lt: '<',
+    gt: '>',
+    quot: '"',
+    apos: "'",
+    nbsp: ' ',
+    ndash: '–',
+    mdash: '—',
+    hellip: '…',
+    lsquo: '‘',
+    rsquo: '’',
+    ldquo: '“',
+    rdquo: '”',
+    bull: '•',
+    middot: '·',
+    copy: '©',
+    deg: '°',
+    times: '×',
+    rarr: '→',
+    larr: '←',
+    agrave: 'à',
+    eacute: 'é',
+    egrave: 'è',
+    ccedil: 'ç',
+    auml: 'ä',
+    ouml: 'ö',
+    uuml: 'ü'
+};
+
+/**
+ * Decode HTML/XML character references (&amp;, &#233;, &#xE9;)
+ * Unknown named entities are left as they are.
+ *
+ * @param {string} text - Text with entities
+ * @returns {string} Decoded text
+ */
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#[0-9]+|[a-z]+);/gi, (entity, ref) => {
+        if (ref[0] === '#') {
+            const codePoint = ref[1].toLowerCase() === 'x'
+                ? parseInt(ref.slice(2), 16)
+                : parseInt(ref.slice(1), 10);
+            return codePoint > 0 && codePoint <= 0x10FFFF ? String.fromCodePoint(codePoint) : entity;
+        }
+        return NAMED_ENTITIES[ref] ?? entity;
+    });
+}
+
+/**
+ * Decode a UTF-8 buffer, dropping the byte order mark
+ */
+function decodeText(buffer) {
+    return buffer.toString('utf8').replace(/^\uFEFF/, '');
+}
+
+/**
+ * Whether the buffer looks like text rather than a binary file
+ * Binary files almost always contain NUL bytes or invalid UTF-8 early on.
+ */
+function looksLikeText(buffer) {
+    const sample = buffer.slice(0, 4096);
+
+    if (sample.length === 0 || sample.includes(0)) {
+        return false;
+    }
+
+    // Replacement characters mean the bytes were not valid UTF-8
+    // (the sample may cut the last character in half, so allow one)
+    const replacements = sample.toString('utf8').split('\uFFFD').length - 1;
+    return replacements <= 1;
+}
+
+/**
+ * @param {Buffer} buffer - Text file contents
+ * @returns {Promise<{sections: Array, info: Object}>}
+ */
+async function load(buffer) {
+    return {
+        sections: [{ text: decodeText(buffer) }],
+        info: { title: null }
+    };
+}
+
+module.exports = {
+    format: 'text',
+    label: 'plain text',
+    extensions: ['.txt', '.text'],
+    mimeTypes: ['text/plain'],
+    sniff: looksLikeText,
+    load,
+    decodeEntities,
+    decodeText
+};
@@ -0,0 +1,137 @@
+/**
+ * OCR Service
+ * Recognizes text on scanned/image-only PDF pages, fully locally.
+ *
+ * Pages are rasterized with pdf.js (pdfjs-dist + @napi-rs/canvas) and read
+ * with tesseract.js, using the language data bundled in @tesseract.js-data/*
+ * so nothing is downloaded at runtime. Tesseract runs in a worker thread;
+ * rendering runs on the main thread one page at a time.
+ *
+ * TODO: Run several tesseract workers (scheduler) for large scanned documents
+ * TODO: Deskew/denoise page images before recognition
+ */
+
+const path = require('path');
+const { createWorker, OEM } = require('tesseract.js');
+const { openPdf } = require('./pdfjs');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+// Shared tesseract worker, created on first use
+let workerPromise = null;
+
+/**
+ * Directory holding <language>.traineddata.gz
+ */
+function resolveLangPath() {
+    if (config.ocr.langPath) {
+        return path.resolve(config.ocr.langPath);
+    }
+
+    try {
+        return require(`@tesseract.js-data/${config.ocr.language}`).langPath;
+    } catch (error) {
+        throw new Error(`No OCR language data for '${config.ocr.language}'. Install @tesseract.js-data/${config.ocr.language} or set OCR_LANG_PATH.`);
+    }
+}
+
+/**
+ * Get the shared tesseract worker
+ */
+function getWorker() {
+    if (!workerPromise) {
+        const startTime = Date.now();
+
+        workerPromise = createWorker(config.ocr.language, OEM.LSTM_ONLY, {
+            langPath: resolveLangPath(),
+            gzip: true,
+            // Language data is read from disk; don't write a cached copy to the working directory
+            cacheMethod: 'none'
+        }).then(worker => {
+            logger.info('OCR worker ready', {
+                language: config.ocr.language,
+                loadTimeMs: Date.now() - startTime
+            });
+            return worker;
+        }).catch(error => {
+            // Allow a later document to try again
+            workerPromise = null;
+            throw error;
+        });
+    }
+    return workerPromise;
+}
+
+/**
+ * Render a PDF page to a PNG image
+ *
+ * @param {Object} pdfDocument - pdf.js document
+ * @param {number} pageNumber - 1-based page number
+ * @returns {Promise<Buffer>} PNG image
+ */
+async function renderPage(pdfDocument, pageNumber) {
+    const page = await pdfDocument.getPage(pageNumber);
+
+    try {
+        const viewport = page.getViewport({ scale: config.ocr.renderScale });
+        const { canvas } = pdfDocument.canvasFactory.create(Math.ceil(viewport.width), Math.ceil(viewport.height));
+
+        await page.render({ canvas, viewport, background: 'white' }).promise;
+        return canvas.toBuffer('image/png');
+    } finally {
+        page.cleanup();
+    }
+}
+
+/**
+ * OCR selected pages of a PDF
+ *
+ * @param {Buffer} pdfBuffer - PDF file contents
+ * @param {number[]} pageNumbers - 1-based pages to recognize
+ * @param {Object} options - { onProgress(done, total) } called after each page
+ * @returns {Promise<Map<number, {text: string, confidence: number}>>} Text and mean confidence (0-100) per page
+ */
+async function recognizePages(pdfBuffer, pageNumbers, options = {}) {
+    const startTime = Date.now();
+    const results = new Map();
+
+    if (pageNumbers.length === 0) {
+        return results;
+    }
+
+    const worker = await getWorker();
+    const pdfDocument = await openPdf(pdfBuffer);
+
+    try {
+        for (const [index, pageNumber] of pageNumbers.entries()) {
+            try {
+                const image = await renderPage(pdfDocument, pageNumber);
+                const { data } = await worker.recognize(image);
+
+                results.set(pageNumber, {
+                    text: data.text || '',
+                    confidence: Math.round(data.confidence * 10) / 10
+                });
+            } catch (error) {
+                // One unreadable page shouldn't lose the rest of the document
+                logger.warn('OCR failed for page', { pageNumber, error: error.message });
+            }
+
+            options.onProgress?.(index + 1, pageNumbers.length);
+        }
+    } finally {
+        await pdfDocument.destroy();
+    }
+
+    logger.info('OCR completed', {
+        pagesRequested: pageNumbers.length,
+        pagesRecognized: results.size,
+        processingTimeMs: Date.now() - startTime
+    });
+
+    return results;
+}
+
+module.exports = {
+    recognizePages
+};
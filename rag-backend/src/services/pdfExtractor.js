@@ -2,48 +2,245 @@
  * PDF Text Extraction Service
  * Extracts plain text from PDF files for chunking and embedding.
  * 
- * TODO: Add OCR support for scanned PDFs (using Tesseract.js)
- * TODO: Implement async processing for large files
- * TODO: Add support for other document formats (DOCX, TXT, HTML)
- * TODO: Extract metadata (title, author, page numbers)
- * TODO: Preserve document structure (headings, paragraphs)
+ * Text is extracted page by page so chunks can be traced back to page numbers.
+ * Used through loaders/pdf.js; other formats have their own loaders.
+ * 
+ * Pages with little or no text (scanned or image-only) are OCR'd locally
+ * (see ocr.js). Only those pages are OCR'd, so mixed documents keep their
+ * native text, and OCR'd pages carry the recognition confidence.
+ *
+ * Each page also keeps its lines with their font size, and the PDF outline
+ * (bookmarks) is read with pdf.js, so headings can be recovered (see headings.js).
+ * TODO: Preserve paragraph structure
  */
 
 const pdfParse = require('pdf-parse');
+const { recognizePages } = require('./ocr');
+const { openPdf } = require('./pdfjs');
+const config = require('../config');
 const logger = require('../utils/logger');
 
+/**
+ * Render a single page to text
+ * Same line-joining logic as pdf-parse's default renderer. Each line keeps
+ * the largest font size on it, in points.
+ * 
+ * @param {Object} pageData - pdf.js page proxy
+ * @returns {Promise<{text: string, lines: Array<{text: string, size: number}>}>} Page text and its lines
+ */
+async function renderPage(pageData) {
+    const textContent = await pageData.getTextContent({
+        normalizeWhitespace: false,
+        disableCombineTextItems: false
+    });
+
+    let lastY;
+    const lines = [];
+
+    for (const item of textContent.items) {
+        if (lines.length === 0 || (lastY != item.transform[5] && lastY)) {
+            lines.push({ text: '', size: 0 });
+        }
+
+        const line = lines[lines.length - 1];
+        line.text += item.str;
+
+        // The font size is the scale of the text matrix; whitespace items don't count
+        if (item.str.trim()) {
+            line.size = Math.max(line.size, Math.round(Math.hypot(item.transform[2], item.transform[3]) * 10) / 10);
+        }
+        lastY = item.transform[5];
+    }
+
+    return { text: lines.map(line => line.text).join('\n'), lines };
+}
+
+/**
+ * Page number a PDF outline destination points to
+ * 
+ * @param {Object} pdfDocument - pdf.js document
+ * @param {string|Array|null} dest - Named or explicit destination
+ * @returns {Promise<number|null>} 1-based page number, or null when it can't be resolved
+ */
+async function resolveDestination(pdfDocument, dest) {
+    try {
+        const explicit = typeof dest === 'string' ? await pdfDocument.getDestination(dest) : dest;
+        if (!Array.isArray(explicit)) return null;
+
+        const [target] = explicit;
+        const pageIndex = Number.isInteger(target) ? target : await pdfDocument.getPageIndex(target);
+        return pageIndex + 1;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Read the PDF outline (bookmarks) as a flat list in document order
+ * Entries without a page (e.g. links to URLs) are skipped; their children are kept.
+ * 
+ * @param {Buffer} pdfBuffer - PDF file buffer
+ * @returns {Promise<Array<{title: string, level: number, pageNumber: number}>>} Empty when the PDF has no outline
+ */
+async function readOutline(pdfBuffer) {
+    const pdfDocument = await openPdf(pdfBuffer);
+    const entries = [];
+
+    const visit = async (items, level) => {
+        for (const item of items || []) {
+            const title = (item.title || '').replace(/\s+/g, ' ').trim();
+            const pageNumber = await resolveDestination(pdfDocument, item.dest);
+
+            if (title && pageNumber) {
+                entries.push({ title, level, pageNumber });
+            }
+            await visit(item.items, level + 1);
+        }
+    };
+
+    try {
+        await visit(await pdfDocument.getOutline(), 1);
+    } finally {
+        await pdfDocument.destroy();
+    }
+
+    return entries;
+}
+
+/**
+ * Replace the text of low-density pages with OCR output
+ * Pages are only replaced when OCR finds more text than was extracted.
+ * 
+ * @param {Buffer} pdfBuffer - PDF file buffer
+ * @param {Array<{pageNumber: number, text: string}>} pages - Extracted pages (updated in place)
+ * @param {function(number, number): void} [onProgress] - Called with (pages done, pages to OCR)
+ * @returns {Promise<number>} Number of pages replaced with OCR text
+ */
+async function applyOcr(pdfBuffer, pages, onProgress) {
+    const sparsePages = pages.filter(page => page.text.trim().length < config.ocr.minCharsPerPage);
+
+    if (sparsePages.length === 0) {
+        return 0;
+    }
+
+    if (sparsePages.length > config.ocr.maxPages) {
+        logger.warn('Too many pages need OCR, only the first ones will be recognized', {
+            sparsePages: sparsePages.length,
+            maxPages: config.ocr.maxPages
+        });
+    }
+
+    const pageNumbers = sparsePages.slice(0, config.ocr.maxPages).map(page => page.pageNumber);
+    logger.info('Running OCR on low-text pages', { pageNumbers });
+
+    const recognized = await recognizePages(pdfBuffer, pageNumbers, { onProgress });
+    let replaced = 0;
+
+    for (const page of sparsePages) {
+        const ocr = recognized.get(page.pageNumber);
+
+        if (ocr && ocr.text.trim().length > page.text.trim().length) {
+            page.text = ocr.text;
+            // OCR text has no font sizes
+            page.lines = null;
+            page.ocrConfidence = ocr.confidence;
+            replaced++;
+        }
+    }
+
+    return replaced;
+}
+
+/**
+ * Mark an error as caused by the file itself (see loaders/index.js)
+ * @param {Error} error - Parse error
+ * @returns {Error} The same error, with statusCode 422
+ */
+function unreadable(error) {
+    error.statusCode = 422;
+    return error;
+}
+
 /**
  * Extract text from a PDF buffer
  * 
  * @param {Buffer} pdfBuffer - PDF file buffer
- * @returns {Promise<{text: string, pageCount: number, info: Object}>}
+ * @param {Object} options - { onOcrProgress(done, total) } progress of the OCR fallback
+ * @returns {Promise<{text: string, pages: Array<{pageNumber: number, text: string, lines: Array<{text: string, size: number}>|null, ocrConfidence?: number}>,
+ *   outline: Array<{title: string, level: number, pageNumber: number}>, pageCount: number, ocrPageCount: number, info: Object}>}
+ *   lines is null for OCR'd pages
  * 
- * WARNING: This is synchronous and blocks the event loop for large files
- * TODO: Move to worker thread for CPU-intensive processing
+ * WARNING: CPU-bound - ingestion calls this from the worker pool (see workers/)
  */
-async function extractText(pdfBuffer) {
+async function extractText(pdfBuffer, options = {}) {
     const startTime = Date.now();
 
     if (!pdfBuffer || pdfBuffer.length === 0) {
-        throw new Error('Empty or invalid PDF buffer');
+        throw unreadable(new Error('Empty or invalid PDF buffer'));
     }
 
     logger.debug('Starting PDF extraction', { bufferSize: pdfBuffer.length });
 
     try {
+        // Collect each page's text and lines as pdf-parse renders it
+        const renderedPages = new Map();
+
         // pdf-parse options
-        // TODO: Add custom render function for better text extraction
-        const options = {
+        const parseOptions = {
             // Max pages to process (0 = all)
             max: 0,
             // TODO: Add page range support
+            pagerender: async (pageData) => {
+                const page = await renderPage(pageData);
+                renderedPages.set(pageData.pageNumber, page);
+                return page.text;
+            }
         };
 
-        const data = await pdfParse(pdfBuffer, options);
+        let data;
+        try {
+            data = await pdfParse(pdfBuffer, parseOptions);
+        } catch (error) {
+            throw unreadable(error);
+        }
+
+        // Pages that failed to render are kept as empty so numbering stays aligned
+        const pages = [];
+        for (let pageNumber = 1; pageNumber <= data.numpages; pageNumber++) {
+            const page = renderedPages.get(pageNumber);
+            pages.push({ pageNumber, text: page?.text || '', lines: page?.lines || null });
+        }
+
+        let ocrPageCount = 0;
+        if (config.ocr.enabled) {
+            try {
+                ocrPageCount = await applyOcr(pdfBuffer, pages, options.onOcrProgress);
+            } catch (error) {
+                // Fall back to the native text; an empty document is rejected by the caller
+                logger.error('OCR fallback failed', { error: error.message });
+
+                // Without any native text the OCR failure (e.g. tesseract not starting) decides
+                // the outcome, and it may pass on a retry
+                if (!pages.some(page => page.text.trim())) {
+                    throw error;
+                }
+            }
+        }
+
+        let outline = [];
+        try {
+            outline = await readOutline(pdfBuffer);
+        } catch (error) {
+            // Headings are then detected from the page text instead
+            logger.warn('Could not read PDF outline', { error: error.message });
+        }
 
         const result = {
-            text: data.text,
+            text: ocrPageCount > 0 ? pages.map(page => page.text).join('\n\n') : data.text,
+            pages,
+            outline,
             pageCount: data.numpages,
+            ocrPageCount,
             info: {
                 title: data.info?.Title || null,
                 author: data.info?.Author || null,
@@ -55,16 +252,17 @@ async function extractText(pdfBuffer) {
 
         logger.info('PDF extraction completed', {
             pageCount: result.pageCount,
+            ocrPageCount,
+            outlineEntries: outline.length,
             textLength: result.text.length,
             processingTimeMs: processingTime
         });
 
-        // TODO: Add quality check - warn if text/page ratio is suspiciously low
-        // (might indicate scanned PDF needing OCR)
         const avgCharsPerPage = result.text.length / result.pageCount;
-        if (avgCharsPerPage < 100) {
+        if (avgCharsPerPage < config.ocr.minCharsPerPage) {
             logger.warn('Low text density detected - PDF might be scanned/image-based', {
-                avgCharsPerPage
+                avgCharsPerPage,
+                ocrEnabled: config.ocr.enabled
             });
         }
 
@@ -75,7 +273,9 @@ async function extractText(pdfBuffer) {
             error: error.message,
             bufferSize: pdfBuffer.length
         });
-        throw new Error(`PDF extraction failed: ${error.message}`);
+        const extractionError = new Error(`PDF extraction failed: ${error.message}`);
+        extractionError.statusCode = error.statusCode;
+        throw extractionError;
     }
 }
 
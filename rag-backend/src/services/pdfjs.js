@@ -0,0 +1,40 @@
+/**
+ * pdf.js Loader
+ * Opens PDFs with pdfjs-dist for what pdf-parse doesn't expose: rendering
+ * pages for OCR (see ocr.js) and reading the outline (see pdfExtractor.js).
+ */
+
+const path = require('path');
+
+/**
+ * pdf.js is an ES module, so it is loaded with a dynamic import
+ */
+let pdfjsPromise = null;
+function loadPdfjs() {
+    if (!pdfjsPromise) {
+        pdfjsPromise = import('pdfjs-dist/legacy/build/pdf.mjs');
+    }
+    return pdfjsPromise;
+}
+
+/**
+ * Open a PDF document
+ * The caller must destroy() the document when done with it.
+ *
+ * @param {Buffer} pdfBuffer - PDF file contents
+ * @returns {Promise<Object>} pdf.js document
+ */
+async function openPdf(pdfBuffer) {
+    const pdfjs = await loadPdfjs();
+
+    // pdf.js takes ownership of the data it is given, so pass a copy
+    return pdfjs.getDocument({
+        data: new Uint8Array(pdfBuffer),
+        standardFontDataUrl: path.join(path.dirname(require.resolve('pdfjs-dist/package.json')), 'standard_fonts/'),
+        verbosity: 0
+    }).promise;
+}
+
+module.exports = {
+    openPdf
+};
@@ -0,0 +1,12 @@
+/**
+ * Prompts
+ * The shared prompt registry (shared/prompts) for the RAG backend, with the
+ * templates in PROMPTS_DIR (if set) taking precedence.
+ */
+
+const { createPromptRegistry } = require('../../../shared/prompts');
+const config = require('../config');
+
+module.exports = createPromptRegistry({
+    overrideDir: config.prompts.overrideDir
+});
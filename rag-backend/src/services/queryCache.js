@@ -0,0 +1,183 @@
+/**
+ * Query Cache
+ * Caches question embeddings and LLM answers for repeated questions.
+ *
+ * - Embeddings are keyed on the normalized question text and embedding model,
+ *   so "What is a B-tree?" and "what is a b-tree" share one entry.
+ * - Answers are keyed on the normalized question, the IDs of the retrieved
+ *   chunks (in prompt order), the answer prompt version and the LLM
+ *   providers and models configured for answers. They expire after
+ *   CACHE_ANSWER_TTL_MS and are all dropped whenever a document is added,
+ *   changed or deleted.
+ * - Each drop starts a new cache generation. An answer is only stored when
+ *   no drop happened since its request started retrieving, so an answer
+ *   built from chunks that changed meanwhile is never served later.
+ * - Answers from a fallback provider are not cached: the primary provider
+ *   should answer the question again once it is back.
+ *
+ * Session follow-ups are never answered from the cache: their answers
+ * depend on the conversation, not only on the question.
+ */
+
+const { generateEmbedding, getActiveModel } = require('./embeddings');
+const llmClient = require('./llmClient');
+const { createTtlCache } = require('../utils/ttlCache');
+const { sha256 } = require('../utils/hash');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+const embeddingCache = createTtlCache({
+    maxEntries: config.cache.embeddingMaxEntries,
+    ttlMs: 0  // an embedding never changes for a given model
+});
+
+const answerCache = createTtlCache({
+    maxEntries: config.cache.answerMaxEntries,
+    ttlMs: config.cache.answerTtlMs
+});
+
+// Incremented by invalidateAnswers
+let answerGeneration = 0;
+
+/**
+ * Normalize a question for cache keys: case, whitespace and trailing punctuation
+ * @param {string} question - Raw question
+ * @returns {string}
+ */
+function normalizeQuestion(question) {
+    return question
+        .normalize('NFKC')
+        .toLowerCase()
+        .replace(/\s+/g, ' ')
+        .replace(/[\s?!.]+$/, '')
+        .trim();
+}
+
+/**
+ * Embed a search question, reusing the embedding of an identical earlier question
+ *
+ * @param {string} question - Search question (standalone question for follow-ups)
+ * @returns {Promise<{embedding: number[], cacheHit: boolean}>}
+ */
+async function getQuestionEmbedding(question) {
+    if (!config.cache.enabled) {
+        return { embedding: await generateEmbedding(question), cacheHit: false };
+    }
+
+    const key = `${getActiveModel()}\n${normalizeQuestion(question)}`;
+    const cached = embeddingCache.get(key);
+
+    if (cached) {
+        return { embedding: cached, cacheHit: true };
+    }
+
+    const embedding = await generateEmbedding(question);
+    embeddingCache.set(key, embedding);
+
+    return { embedding, cacheHit: false };
+}
+
+/**
+ * Cache key for an answer, or null when the answer must not be cached
+ *
+ * @param {string} question - Question as sent to the LLM
+ * @param {Array<{id: string, parentSection?: Object}>} chunks - Retrieved chunks, in prompt order
+ * @param {Array} history - Prior conversation turns
+ * @param {string} promptVersion - Answer prompt id (name@version)
+ * @returns {string|null}
+ */
+function getAnswerKey(question, chunks, history, promptVersion) {
+    if (!config.cache.enabled || history.length > 0 || chunks.length === 0) {
+        return null;
+    }
+
+    return sha256(JSON.stringify([
+        promptVersion,
+        llmClient.describe('answer'),
+        normalizeQuestion(question),
+        // A chunk widened to its section puts different text in the prompt
+        chunks.map(chunk => (chunk.parentSection ? `${chunk.id}+section` : chunk.id))
+    ]));
+}
+
+/**
+ * Look up a cached answer
+ * @param {string|null} key - From getAnswerKey
+ * @returns {{answer: string, usage: Object}|undefined}
+ */
+function getCachedAnswer(key) {
+    return key ? answerCache.get(key) : undefined;
+}
+
+/**
+ * Current answer cache generation
+ * Read it before retrieving, and pass it to setCachedAnswer.
+ * @returns {number}
+ */
+function getAnswerGeneration() {
+    return answerGeneration;
+}
+
+/**
+ * Store an answer
+ * Skipped when the cache was invalidated after `generation` was read, or
+ * when the answer came from a fallback provider.
+ *
+ * @param {string|null} key - From getAnswerKey
+ * @param {{answer: string, usage: Object}} result - LLM answer and the usage it cost
+ * @param {Object} options - Where the answer came from
+ * @param {number} options.generation - getAnswerGeneration() from before retrieval
+ * @param {string} options.provider - LLM provider that produced the answer
+ */
+function setCachedAnswer(key, result, { generation, provider }) {
+    if (!key) return;
+
+    if (generation !== answerGeneration) {
+        logger.debug('Not caching answer from before an invalidation', { generation, current: answerGeneration });
+        return;
+    }
+
+    if (provider !== config.llm.providers[0]?.name) {
+        logger.debug('Not caching answer from a fallback provider', { provider });
+        return;
+    }
+
+    answerCache.set(key, result);
+}
+
+/**
+ * Drop all cached answers after the knowledge base changed
+ * Answers quote chunk content and document titles, so any change can make them stale.
+ *
+ * @param {string} reason - What changed (for logs)
+ */
+function invalidateAnswers(reason) {
+    answerGeneration++;
+    const cleared = answerCache.clear();
+
+    if (cleared > 0) {
+        logger.info('Answer cache invalidated', { reason, cleared });
+    }
+}
+
+/**
+ * Cache sizes and hit rates for monitoring
+ */
+function getCacheStats() {
+    return {
+        enabled: config.cache.enabled,
+        embeddings: embeddingCache.stats(),
+        answers: answerCache.stats()
+    };
+}
+
+module.exports = {
+    normalizeQuestion,
+    getQuestionEmbedding,
+    getAnswerKey,
+    getCachedAnswer,
+    getAnswerGeneration,
+    setCachedAnswer,
+    invalidateAnswers,
+    getCacheStats
+};
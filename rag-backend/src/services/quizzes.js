@@ -0,0 +1,412 @@
+/**
+ * Quizzes Service
+ * Generates quizzes from the knowledge base and grades attempts.
+ *
+ * Question types:
+ * - multiple_choice: 3-5 options (one correct, the rest distractors), answered with an option index
+ * - true_false:      a statement, answered with true or false
+ * - short_answer:    free text, graded by the LLM against a model answer and rubric
+ *
+ * Every question is worth 1 point. Multiple-choice and true/false answers are
+ * graded here; short answers get partial credit (0-1) from the quiz-grading
+ * prompt, in one LLM call per attempt.
+ */
+
+const { gatherStudyChunks, describeSource } = require('./studyMaterial');
+const { generateJson } = require('./structuredOutput');
+const { formatContext } = require('./llm');
+const prompts = require('./prompts');
+const { createQuiz, createQuizAttempt } = require('../db/supabase');
+const { AppError } = require('../middleware/errorHandler');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+const QUESTION_TYPES = {
+    MULTIPLE_CHOICE: 'multiple_choice',
+    TRUE_FALSE: 'true_false',
+    SHORT_ANSWER: 'short_answer'
+};
+
+const QUESTION_TYPE_LABELS = {
+    [QUESTION_TYPES.MULTIPLE_CHOICE]: 'multiple choice',
+    [QUESTION_TYPES.TRUE_FALSE]: 'true/false',
+    [QUESTION_TYPES.SHORT_ANSWER]: 'short answer'
+};
+
+const MIN_OPTIONS = 3;
+const MAX_OPTIONS = 5;
+const MAX_RUBRIC_POINTS = 5;
+const MAX_QUESTION_CHARS = 500;
+const MAX_TEXT_CHARS = 1000;
+// Completion budget per question, on top of a fixed allowance for the JSON wrapper
+const TOKENS_PER_QUESTION = 200;
+const TOKENS_PER_GRADE = 100;
+
+// What an attempt must send per question type (for validation errors)
+const EXPECTED_RESPONSES = {
+    [QUESTION_TYPES.MULTIPLE_CHOICE]: 'the 0-based index of an option',
+    [QUESTION_TYPES.TRUE_FALSE]: 'true or false',
+    [QUESTION_TYPES.SHORT_ANSWER]: `text of at most ${MAX_TEXT_CHARS} characters`
+};
+
+/**
+ * Check whether a value is a non-empty string of at most maxLength characters
+ */
+function isText(value, maxLength = MAX_TEXT_CHARS) {
+    return typeof value === 'string' && value.trim().length > 0 && value.trim().length <= maxLength;
+}
+
+/**
+ * Check one generated question against the schema for its type
+ * @returns {string|null} Problem, or null when the question is valid
+ */
+function checkQuestion(question, types, chunkCount) {
+    if (!types.includes(question?.type)) {
+        return `type must be one of: ${types.join(', ')}`;
+    }
+    if (!isText(question.question, MAX_QUESTION_CHARS)) {
+        return `question must be a non-empty string of at most ${MAX_QUESTION_CHARS} characters`;
+    }
+    if (!Number.isInteger(question.chunk) || question.chunk < 1 || question.chunk > chunkCount) {
+        return `chunk must be the number of a context chunk (1-${chunkCount})`;
+    }
+    if (question.explanation !== undefined && question.explanation !== null && typeof question.explanation !== 'string') {
+        return 'explanation must be a string';
+    }
+
+    switch (question.type) {
+        case QUESTION_TYPES.MULTIPLE_CHOICE: {
+            const { options, answer } = question;
+            if (!Array.isArray(options) || options.length < MIN_OPTIONS || options.length > MAX_OPTIONS
+                || !options.every(option => isText(option))) {
+                return `options must be ${MIN_OPTIONS}-${MAX_OPTIONS} non-empty strings`;
+            }
+            if (new Set(options.map(option => option.trim().toLowerCase())).size !== options.length) {
+                return 'options must all be different';
+            }
+            if (!Number.isInteger(answer) || answer < 0 || answer >= options.length) {
+                return `answer must be the 0-based index of the correct option (0-${options.length - 1})`;
+            }
+            return null;
+        }
+        case QUESTION_TYPES.TRUE_FALSE:
+            return typeof question.answer === 'boolean' ? null : 'answer must be true or false';
+        default:
+            if (!isText(question.answer)) {
+                return 'answer must be a non-empty model answer';
+            }
+            if (!Array.isArray(question.rubric) || question.rubric.length === 0
+                || question.rubric.length > MAX_RUBRIC_POINTS || !question.rubric.every(point => isText(point))) {
+                return `rubric must be 1-${MAX_RUBRIC_POINTS} non-empty strings`;
+            }
+            return null;
+    }
+}
+
+/**
+ * Check the LLM's questions against the schema
+ * Valid questions are kept even when others are not, so a last attempt with
+ * a few bad questions still yields a usable quiz.
+ *
+ * @param {Object} output - Parsed JSON from the LLM
+ * @param {number} count - Number of questions requested
+ * @param {string[]} types - Allowed question types
+ * @param {number} chunkCount - Number of context chunks the questions may cite
+ * @returns {{value: Array|null, errors: string[]}}
+ */
+function validateQuestions(output, count, types, chunkCount) {
+    if (!output || !Array.isArray(output.questions)) {
+        return { value: null, errors: ['"questions" must be an array'] };
+    }
+
+    const errors = [];
+    const questions = [];
+    const seen = new Set();
+
+    output.questions.forEach((question, i) => {
+        const problem = checkQuestion(question, types, chunkCount);
+        const key = problem ? null : question.question.trim().toLowerCase();
+
+        if (problem) {
+            errors.push(`questions[${i}].${problem}`);
+        } else if (seen.has(key)) {
+            errors.push(`questions[${i}] repeats an earlier question`);
+        } else {
+            seen.add(key);
+            questions.push({
+                type: question.type,
+                question: question.question.trim(),
+                options: question.type === QUESTION_TYPES.MULTIPLE_CHOICE
+                    ? question.options.map(option => option.trim())
+                    : null,
+                answer: typeof question.answer === 'string' ? question.answer.trim() : question.answer,
+                rubric: question.type === QUESTION_TYPES.SHORT_ANSWER
+                    ? question.rubric.map(point => point.trim())
+                    : null,
+                explanation: question.explanation?.trim() || null,
+                chunk: question.chunk
+            });
+        }
+    });
+
+    if (questions.length < count) {
+        errors.push(`Expected ${count} valid questions, got ${questions.length}`);
+    }
+
+    return {
+        value: questions.length > 0 ? questions.slice(0, count) : null,
+        errors
+    };
+}
+
+/**
+ * Generate a quiz and store it
+ *
+ * @param {Object} request - Quiz request
+ * @param {string|null} request.topic - What the questions should focus on; null covers the whole scope
+ * @param {Object} request.filters - Scope filters (documentIds, collectionId, tags)
+ * @param {number} request.count - Number of questions
+ * @param {string[]} request.types - Question types to use
+ * @param {string|null} request.title - Quiz title (default: topic or first document title)
+ * @returns {Promise<{quiz: Object, questions: Array, usage: Object|null, attempts: number, chunksUsed: number}>}
+ */
+async function generateQuiz({ topic, filters, count, types, title }) {
+    const startTime = Date.now();
+
+    const chunks = await gatherStudyChunks({ topic, filters, limit: config.study.contextChunks });
+
+    const prompt = prompts.render('quiz', {
+        context: formatContext(chunks),
+        count,
+        types: types.map(type => QUESTION_TYPE_LABELS[type]).join(', '),
+        focus: topic
+            ? `Focus on: ${topic}`
+            : 'Cover the most important concepts across all of the material.'
+    });
+
+    const { value: questions, errors, attempts, usage, model } = await generateJson({
+        agent: 'study',
+        label: 'quiz questions',
+        messages: [
+            { role: 'system', content: prompt.system },
+            { role: 'user', content: prompt.user }
+        ],
+        validate: output => validateQuestions(output, count, types, chunks.length),
+        temperature: 0.4,
+        maxTokens: 256 + count * TOKENS_PER_QUESTION
+    });
+
+    const stored = await createQuiz({
+        title: title || topic || `Quiz: ${chunks[0].document_title || 'Knowledge base'}`,
+        topic,
+        scope: filters,
+        promptVersion: prompt.id,
+        model
+    }, questions.map(question => {
+        const chunk = chunks[question.chunk - 1];
+        return {
+            ...question,
+            chunkId: chunk.id,
+            documentId: chunk.document_id,
+            source: describeSource(chunk)
+        };
+    }));
+
+    logger.info('Quiz generated', {
+        quizId: stored.quiz.id,
+        questions: stored.questions.length,
+        requested: count,
+        types,
+        chunksUsed: chunks.length,
+        attempts,
+        unresolvedErrors: errors.length,
+        promptVersion: prompt.id,
+        latencyMs: Date.now() - startTime,
+        ...usage
+    });
+
+    return { ...stored, usage, attempts, chunksUsed: chunks.length };
+}
+
+/**
+ * Check that a response has the right shape for its question type
+ * @returns {boolean}
+ */
+function isValidResponse(question, response) {
+    switch (question.type) {
+        case QUESTION_TYPES.MULTIPLE_CHOICE:
+            return Number.isInteger(response) && response >= 0 && response < question.options.length;
+        case QUESTION_TYPES.TRUE_FALSE:
+            return typeof response === 'boolean';
+        default:
+            return typeof response === 'string' && response.length <= MAX_TEXT_CHARS;
+    }
+}
+
+/**
+ * Grade short answers against their rubrics in one LLM call
+ *
+ * @param {Array<{question: Object, response: string}>} items - Answered short-answer questions
+ * @returns {Promise<{grades: Array<{score: number, feedback: string}>, promptVersion: string, usage: Object|null}>}
+ *   Grades in the same order as items
+ */
+async function gradeShortAnswers(items) {
+    // JSON-encoded, so an answer can't break out of its field or pose as another item
+    const prompt = prompts.render('quiz-grading', {
+        items: JSON.stringify(items.map(({ question, response }, i) => ({
+            item: i + 1,
+            question: question.question,
+            modelAnswer: question.correct_answer,
+            rubric: question.rubric,
+            studentAnswer: String(response)
+        })), null, 2)
+    });
+
+    const validate = output => {
+        if (!output || !Array.isArray(output.grades)) {
+            return { value: null, errors: ['"grades" must be an array'] };
+        }
+
+        const grades = new Array(items.length).fill(null);
+        const errors = [];
+
+        output.grades.forEach((grade, i) => {
+            if (!Number.isInteger(grade?.item) || grade.item < 1 || grade.item > items.length) {
+                errors.push(`grades[${i}].item must be an item number (1-${items.length})`);
+            } else if (typeof grade.score !== 'number' || grade.score < 0 || grade.score > 1) {
+                errors.push(`grades[${i}].score must be a number from 0 to 1`);
+            } else if (!isText(grade.feedback)) {
+                errors.push(`grades[${i}].feedback must be a non-empty string`);
+            } else {
+                grades[grade.item - 1] = { score: grade.score, feedback: grade.feedback.trim() };
+            }
+        });
+
+        grades.forEach((grade, i) => {
+            if (!grade) errors.push(`Item ${i + 1} has no grade`);
+        });
+
+        // An ungraded answer cannot be scored, so a partial result is not usable
+        return { value: errors.length === 0 ? grades : null, errors };
+    };
+
+    const { value: grades, usage } = await generateJson({
+        agent: 'study',
+        label: 'short-answer grades',
+        messages: [
+            { role: 'system', content: prompt.system },
+            { role: 'user', content: prompt.user }
+        ],
+        validate,
+        temperature: 0,
+        maxTokens: 256 + items.length * TOKENS_PER_GRADE
+    });
+
+    return { grades, promptVersion: prompt.id, usage };
+}
+
+/**
+ * Correct answer to reveal once an attempt is graded
+ */
+function formatCorrectAnswer(question) {
+    return question.type === QUESTION_TYPES.SHORT_ANSWER
+        ? { answer: question.correct_answer, rubric: question.rubric }
+        : question.correct_answer;
+}
+
+/**
+ * Grade a quiz attempt and store it with per-question scores
+ * Unanswered questions score 0.
+ *
+ * @param {Object} quiz - Stored quiz record
+ * @param {Array} questions - Stored question records, in order
+ * @param {Array<{questionId: string, response: *}>} answers - Submitted answers
+ * @returns {Promise<{attempt: Object, answers: Array, usage: Object|null}>}
+ */
+async function gradeAttempt(quiz, questions, answers) {
+    const startTime = Date.now();
+    const responses = new Map();
+
+    for (const { questionId, response } of answers) {
+        const question = questions.find(item => item.id === questionId);
+
+        if (!question) {
+            throw new AppError(`Question ${questionId} is not part of this quiz`, 400);
+        }
+        if (responses.has(questionId)) {
+            throw new AppError(`Question ${questionId} is answered more than once`, 400);
+        }
+        if (response !== null && response !== undefined && !isValidResponse(question, response)) {
+            throw new AppError(`Invalid answer for question ${questionId}: expected ${EXPECTED_RESPONSES[question.type]}`, 400);
+        }
+
+        responses.set(questionId, response ?? null);
+    }
+
+    const results = questions.map(question => {
+        const response = responses.has(question.id) ? responses.get(question.id) : null;
+        const answered = question.type === QUESTION_TYPES.SHORT_ANSWER
+            ? typeof response === 'string' && response.trim().length > 0
+            : response !== null;
+
+        if (!answered) {
+            return { question, response, score: 0, feedback: 'Not answered.' };
+        }
+        if (question.type === QUESTION_TYPES.SHORT_ANSWER) {
+            return { question, response: response.trim(), score: null, feedback: null };
+        }
+        return { question, response, score: response === question.correct_answer ? 1 : 0, feedback: null };
+    });
+
+    // Short answers: one LLM call for all of them
+    const pending = results.filter(result => result.score === null);
+    let gradingPromptVersion = null;
+    let usage = null;
+
+    if (pending.length > 0) {
+        const graded = await gradeShortAnswers(pending);
+        pending.forEach((result, i) => {
+            result.score = Math.round(graded.grades[i].score * 100) / 100;
+            result.feedback = graded.grades[i].feedback;
+        });
+        gradingPromptVersion = graded.promptVersion;
+        usage = graded.usage;
+    }
+
+    const score = results.reduce((sum, result) => sum + result.score, 0);
+
+    const stored = await createQuizAttempt({
+        quizId: quiz.id,
+        score: Math.round(score * 100) / 100,
+        maxScore: questions.length,
+        gradingPromptVersion
+    }, results.map(result => ({
+        questionId: result.question.id,
+        response: result.response,
+        score: result.score,
+        maxScore: 1,
+        correct: result.score === 1,
+        feedback: result.feedback
+    })));
+
+    logger.info('Quiz attempt graded', {
+        quizId: quiz.id,
+        attemptId: stored.attempt.id,
+        score: stored.attempt.score,
+        maxScore: stored.attempt.max_score,
+        shortAnswersGraded: pending.length,
+        gradingPromptVersion,
+        latencyMs: Date.now() - startTime,
+        ...usage
+    });
+
+    return { ...stored, usage };
+}
+
+module.exports = {
+    QUESTION_TYPES,
+    validateQuestions,
+    generateQuiz,
+    formatCorrectAnswer,
+    gradeAttempt
+};
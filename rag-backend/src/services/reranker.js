@@ -0,0 +1,127 @@
+/**
+ * Reranker Service
+ * Re-scores retrieved chunks with a local cross-encoder (Transformers.js).
+ *
+ * Embedding search compares a question and a chunk that were encoded
+ * separately, so a chunk sharing the question's vocabulary can outrank the
+ * one that actually answers it. A cross-encoder reads the question and the
+ * chunk together and scores how well the chunk answers it. That is too slow
+ * to run over the whole corpus, so /query over-fetches candidates with the
+ * retriever and reranks only those.
+ *
+ * Runs on the main thread like query embeddings: a few dozen short pairs
+ * take well under a second and must not queue behind ingestion work.
+ */
+
+const config = require('../config');
+const logger = require('../utils/logger');
+
+// Question + chunk pairs are truncated to the model's input size by the tokenizer
+const MAX_INPUT_TOKENS = 512;
+
+let modelPromise = null;
+
+/**
+ * Load the cross-encoder tokenizer and model (lazy loaded)
+ */
+function getReranker() {
+    if (!modelPromise) {
+        modelPromise = (async () => {
+            logger.info('Loading reranker model...', { model: config.rerank.model });
+            const startTime = Date.now();
+
+            // Dynamic import for ES module
+            const { AutoTokenizer, AutoModelForSequenceClassification } = await import('@xenova/transformers');
+
+            const [tokenizer, model] = await Promise.all([
+                AutoTokenizer.from_pretrained(config.rerank.model),
+                AutoModelForSequenceClassification.from_pretrained(config.rerank.model)
+            ]);
+
+            logger.info(`Reranker model loaded in ${Date.now() - startTime}ms`);
+            return { tokenizer, model };
+        })();
+
+        // Let a later request retry a failed download
+        modelPromise.catch(() => { modelPromise = null; });
+    }
+    return modelPromise;
+}
+
+/**
+ * Relevance of each chunk to the question, 0-1
+ * The model's logit is squashed with a sigmoid so scores are comparable across questions.
+ *
+ * @param {string} question - Search question
+ * @param {string[]} passages - Chunk texts
+ * @returns {Promise<number[]>} Scores in input order
+ */
+async function scorePairs(question, passages) {
+    const { tokenizer, model } = await getReranker();
+    const scores = [];
+
+    for (let i = 0; i < passages.length; i += config.rerank.batchSize) {
+        const batch = passages.slice(i, i + config.rerank.batchSize);
+
+        const inputs = tokenizer(new Array(batch.length).fill(question), {
+            text_pair: batch,
+            padding: true,
+            truncation: true,
+            max_length: MAX_INPUT_TOKENS
+        });
+
+        const { logits } = await model(inputs);
+
+        // One relevance logit per pair
+        for (const logit of logits.data) {
+            scores.push(1 / (1 + Math.exp(-logit)));
+        }
+    }
+
+    return scores;
+}
+
+/**
+ * Rerank retrieved chunks and keep the best ones
+ *
+ * @param {string} question - Search question (the standalone question for follow-ups)
+ * @param {Array} chunks - Retriever output, best first
+ * @param {Object} options - Rerank options
+ * @param {number} options.limit - Chunks to keep
+ * @returns {Promise<Array>} Chunks ordered by rerankScore, each with retrievalRank (1-based, before reranking)
+ */
+async function rerankChunks(question, chunks, options = {}) {
+    const { limit = chunks.length } = options;
+    const startTime = Date.now();
+
+    if (chunks.length === 0) {
+        return [];
+    }
+
+    try {
+        const scores = await scorePairs(question, chunks.map(chunk => chunk.content));
+
+        const reranked = chunks
+            .map((chunk, index) => ({ ...chunk, retrievalRank: index + 1, rerankScore: scores[index] }))
+            .sort((a, b) => b.rerankScore - a.rerankScore)
+            .slice(0, limit);
+
+        logger.debug('Rerank completed', {
+            candidates: chunks.length,
+            kept: reranked.length,
+            promoted: reranked.filter((chunk, index) => chunk.retrievalRank > index + 1).length,
+            latencyMs: Date.now() - startTime
+        });
+
+        return reranked;
+
+    } catch (error) {
+        logger.error('Reranking failed', { error: error.message, candidates: chunks.length });
+        throw new Error(`Reranking failed: ${error.message}`);
+    }
+}
+
+module.exports = {
+    rerankChunks,
+    getReranker  // Export for pre-warming
+};
@@ -0,0 +1,321 @@
+/**
+ * Retriever Service
+ * Combines vector (semantic) and keyword (lexical) search.
+ *
+ * Modes:
+ * - vector:  pgvector cosine similarity only
+ * - keyword: full-text / BM25 only
+ * - hybrid:  both, fused with weighted Reciprocal Rank Fusion (RRF)
+ *
+ * RRF scores each chunk as sum(weight / (k + rank)) over the retrievers that
+ * returned it, so exact term matches (course codes, names, formulas) can
+ * surface even when their embedding similarity is low.
+ *
+ * attachParentSections widens matched chunks to the section they sit in
+ * (all chunks under the same heading), for questions that need more than
+ * one chunk of a chapter to answer.
+ */
+
+const { searchSimilar, searchKeyword, getDocumentChunks } = require('../db/vectorStore');
+const { getActiveModel } = require('./embeddings');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+const RETRIEVAL_MODES = {
+    VECTOR: 'vector',
+    KEYWORD: 'keyword',
+    HYBRID: 'hybrid'
+};
+
+// Each leg fetches extra candidates so fusion has something to re-order
+const MIN_CANDIDATES = 10;
+const CANDIDATE_MULTIPLIER = 2;
+
+/**
+ * Check if a retrieval mode is supported
+ * @param {string} mode - Mode name
+ * @returns {boolean}
+ */
+function isValidMode(mode) {
+    return Object.values(RETRIEVAL_MODES).includes(mode);
+}
+
+/**
+ * Fuse ranked result lists with weighted Reciprocal Rank Fusion
+ *
+ * @param {Array<{name: string, results: Array, weight: number}>} lists - Ranked lists per retriever
+ * @param {number} k - RRF smoothing constant
+ * @returns {Array} Chunks ordered by fused score, annotated with per-retriever ranks
+ */
+function fuseResults(lists, k) {
+    const fused = new Map();
+
+    for (const { name, results, weight } of lists) {
+        results.forEach((chunk, i) => {
+            const rank = i + 1;
+            let entry = fused.get(chunk.id);
+
+            if (!entry) {
+                entry = {
+                    ...chunk,
+                    similarity: chunk.similarity ?? null,
+                    retrievers: [],
+                    vectorRank: null,
+                    keywordRank: null,
+                    keywordScore: null,
+                    fusedScore: 0
+                };
+                fused.set(chunk.id, entry);
+            }
+
+            entry.retrievers.push(name);
+            entry[`${name}Rank`] = rank;
+            entry.fusedScore += weight / (k + rank);
+
+            // The vector leg's similarity is authoritative; keyword results may not have one
+            if (name === RETRIEVAL_MODES.VECTOR || entry.similarity === null) {
+                entry.similarity = chunk.similarity ?? entry.similarity;
+            }
+            if (name === RETRIEVAL_MODES.KEYWORD) {
+                entry.keywordScore = chunk.rank ?? null;
+            }
+        });
+    }
+
+    return [...fused.values()].sort((a, b) => b.fusedScore - a.fusedScore);
+}
+
+/**
+ * Retrieve the most relevant chunks for a question
+ *
+ * @param {string} question - Raw question text (used by keyword search)
+ * @param {number[]} queryEmbedding - Question embedding (used by vector search)
+ * @param {Object} options - Retrieval options
+ * @param {number} options.limit - Number of chunks to return
+ * @param {number} options.threshold - Minimum cosine similarity for vector results
+ * @param {Object} options.filters - Scope filters (documentIds, collectionId, tags)
+ * @param {string} options.mode - vector | keyword | hybrid
+ * @param {number} options.vectorWeight - RRF weight of the vector retriever (hybrid mode only)
+ * @param {number} options.keywordWeight - RRF weight of the keyword retriever (hybrid mode only)
+ * @param {string} options.embeddingModel - Model queryEmbedding came from (default: the active model)
+ * @returns {Promise<{chunks: Array, stats: Object}>} Fused chunks and candidate counts
+ */
+async function retrieve(question, queryEmbedding, options = {}) {
+    const {
+        limit = config.rag.topK,
+        threshold = config.rag.similarityThreshold,
+        filters = {},
+        mode = config.rag.retrievalMode,
+        vectorWeight = config.rag.vectorWeight,
+        keywordWeight = config.rag.keywordWeight,
+        embeddingModel = getActiveModel()
+    } = options;
+
+    if (!isValidMode(mode)) {
+        throw new Error(`Unknown retrieval mode: ${mode}`);
+    }
+
+    // Weights only balance the two legs of hybrid mode; vector and keyword
+    // modes search their one source whatever its weight
+    const hybrid = mode === RETRIEVAL_MODES.HYBRID;
+    const weights = {
+        vector: hybrid ? vectorWeight : 1,
+        keyword: hybrid ? keywordWeight : 1
+    };
+    const useVector = mode !== RETRIEVAL_MODES.KEYWORD && weights.vector > 0;
+    const useKeyword = mode !== RETRIEVAL_MODES.VECTOR && weights.keyword > 0;
+    const candidateLimit = hybrid
+        ? Math.max(limit * CANDIDATE_MULTIPLIER, MIN_CANDIDATES)
+        : limit;
+
+    const [vectorResults, keywordResults] = await Promise.all([
+        useVector
+            ? searchSimilar(queryEmbedding, { limit: candidateLimit, threshold, filters, embeddingModel })
+            : [],
+        useKeyword
+            ? searchKeyword(question, { limit: candidateLimit, queryEmbedding, filters, embeddingModel })
+            : []
+    ]);
+
+    const chunks = fuseResults([
+        { name: RETRIEVAL_MODES.VECTOR, results: vectorResults, weight: weights.vector },
+        { name: RETRIEVAL_MODES.KEYWORD, results: keywordResults, weight: weights.keyword }
+    ], config.rag.rrfK).slice(0, limit);
+
+    const stats = {
+        mode,
+        vectorWeight: useVector ? weights.vector : 0,
+        keywordWeight: useKeyword ? weights.keyword : 0,
+        vectorCandidates: vectorResults.length,
+        keywordCandidates: keywordResults.length,
+        overlap: chunks.filter(chunk => chunk.retrievers.length > 1).length
+    };
+
+    logger.debug('Retrieval completed', { ...stats, returned: chunks.length });
+
+    return { chunks, stats };
+}
+
+/**
+ * Whether a heading path lies under another (itself or one of its subsections)
+ */
+function isUnder(headingPath, sectionPath) {
+    return Array.isArray(headingPath)
+        && headingPath.length >= sectionPath.length
+        && sectionPath.every((title, i) => headingPath[i] === title);
+}
+
+/**
+ * Text spanned by consecutive chunks of a document
+ * Chunks overlap, so each adds only what lies past the previous one's end
+ * (startChar/endChar are offsets in the document text). Chunks stored
+ * without offsets, or separated by a gap, are joined with a blank line.
+ *
+ * @param {Array} chunks - Consecutive chunks, in order
+ * @returns {string}
+ */
+function joinChunks(chunks) {
+    let text = '';
+    let end = null;
+
+    for (const chunk of chunks) {
+        const { startChar, endChar } = chunk.metadata || {};
+        const hasOffsets = Number.isInteger(startChar) && Number.isInteger(endChar);
+
+        if (text && hasOffsets && end !== null && startChar < end) {
+            text += chunk.content.slice(end - startChar);
+        } else {
+            text += (text ? '\n\n' : '') + chunk.content;
+        }
+
+        end = hasOffsets ? Math.max(endChar, end ?? endChar) : null;
+    }
+
+    return text;
+}
+
+/**
+ * Cut a section down to about maxChars around one of its chunks
+ * Neighbours are added alternately before and after the chunk while they fit.
+ *
+ * @param {Array} sectionChunks - The section's chunks, in order
+ * @param {string} chunkId - Matched chunk
+ * @param {number} maxChars - Character budget
+ * @returns {{content: string, chunkIds: string[], truncated: boolean}}
+ */
+function cutSection(sectionChunks, chunkId, maxChars) {
+    const index = Math.max(0, sectionChunks.findIndex(chunk => chunk.id === chunkId));
+    let start = index;
+    let end = index + 1;
+
+    const fits = (from, to) => joinChunks(sectionChunks.slice(from, to)).length <= maxChars;
+
+    for (let grown = true; grown;) {
+        grown = false;
+
+        if (start > 0 && fits(start - 1, end)) {
+            start--;
+            grown = true;
+        }
+        if (end < sectionChunks.length && fits(start, end + 1)) {
+            end++;
+            grown = true;
+        }
+    }
+
+    const included = sectionChunks.slice(start, end);
+
+    return {
+        content: joinChunks(included),
+        chunkIds: included.map(chunk => chunk.id),
+        truncated: included.length < sectionChunks.length
+    };
+}
+
+/**
+ * Attach the section each retrieved chunk sits in
+ * A chunk with a heading path gets parentSection: the chunks under the same
+ * heading (subsections included), cut to about maxChars around it. Only the
+ * best-ranked chunk of each section is widened, so the prompt doesn't repeat
+ * a section, and other hits whose text a widened section already holds are
+ * dropped. Chunks are returned unchanged when the sections can't be read.
+ *
+ * @param {Array} chunks - Retrieved chunks, best first
+ * @param {Object} options - { maxChars } (default: config.rag.parentContextChars)
+ * @returns {Promise<Array>} Chunks, with parentSection { headingPath, content, chunkCount, sectionChunkCount, truncated } where found
+ */
+async function attachParentSections(chunks, options = {}) {
+    const { maxChars = config.rag.parentContextChars } = options;
+    const documentChunks = new Map();
+    const widened = new Set();
+    // Chunk ID -> the result entry whose section includes it
+    const coveredBy = new Map();
+
+    try {
+        const result = [];
+
+        for (const chunk of chunks) {
+            const headingPath = chunk.metadata?.headingPath;
+            const sectionKey = JSON.stringify([chunk.document_id, headingPath]);
+
+            if (coveredBy.has(chunk.id)) {
+                continue;
+            }
+
+            if (!headingPath?.length || widened.has(sectionKey)) {
+                result.push(chunk);
+                continue;
+            }
+            widened.add(sectionKey);
+
+            if (!documentChunks.has(chunk.document_id)) {
+                documentChunks.set(chunk.document_id, await getDocumentChunks(chunk.document_id));
+            }
+
+            const sectionChunks = documentChunks.get(chunk.document_id)
+                .filter(candidate => isUnder(candidate.metadata?.headingPath, headingPath));
+
+            if (sectionChunks.length <= 1) {
+                result.push(chunk);
+                continue;
+            }
+
+            const { content, chunkIds, truncated } = cutSection(sectionChunks, chunk.id, maxChars);
+            const entry = {
+                ...chunk,
+                parentSection: {
+                    headingPath,
+                    content,
+                    chunkCount: chunkIds.length,
+                    sectionChunkCount: sectionChunks.length,
+                    truncated
+                }
+            };
+
+            chunkIds.forEach(id => coveredBy.set(id, entry));
+            result.push(entry);
+        }
+
+        // Better-ranked hits kept as they were may sit inside a section widened later
+        const deduplicated = result.filter(entry => entry.parentSection || !coveredBy.has(entry.id));
+
+        logger.debug('Parent sections attached', {
+            chunks: chunks.length,
+            widened: deduplicated.filter(chunk => chunk.parentSection).length,
+            dropped: chunks.length - deduplicated.length
+        });
+
+        return deduplicated;
+    } catch (error) {
+        logger.warn('Could not load parent sections, using matched chunks only', { error: error.message });
+        return chunks;
+    }
+}
+
+module.exports = {
+    RETRIEVAL_MODES,
+    isValidMode,
+    fuseResults,
+    retrieve,
+    attachParentSections
+};
@@ -0,0 +1,91 @@
+/**
+ * Spaced Repetition
+ * SM-2 scheduling for flashcard reviews.
+ *
+ * Each review is rated 0-5 for how well the answer was recalled:
+ *   0 - complete blackout
+ *   1 - wrong, but the answer seemed familiar once shown
+ *   2 - wrong, but the answer seemed easy to recall once shown
+ *   3 - correct, with serious difficulty
+ *   4 - correct, after some hesitation
+ *   5 - correct, with perfect recall
+ *
+ * Ratings of 3 or more move the card on to a longer interval (1 day, 6 days,
+ * then the previous interval times the ease factor). Lower ratings send it
+ * back to a 1-day interval. The ease factor drifts with every rating and
+ * never drops below 1.3.
+ */
+
+const MIN_QUALITY = 0;
+const MAX_QUALITY = 5;
+const PASSING_QUALITY = 3;
+const MIN_EASE_FACTOR = 1.3;
+const DEFAULT_EASE_FACTOR = 2.5;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Check a review rating
+ * @param {*} quality - Rating from the request
+ * @returns {boolean}
+ */
+function isValidQuality(quality) {
+    return Number.isInteger(quality) && quality >= MIN_QUALITY && quality <= MAX_QUALITY;
+}
+
+/**
+ * Compute a card's next review from its current state and a rating
+ *
+ * @param {Object} state - Current card state (a new card has none of these set)
+ * @param {number} state.easeFactor - Ease factor (default: 2.5)
+ * @param {number} state.intervalDays - Current interval in days (default: 0)
+ * @param {number} state.repetitions - Successful reviews in a row (default: 0)
+ * @param {number} state.lapses - Times the card was forgotten after being learned (default: 0)
+ * @param {number} quality - Rating, 0-5
+ * @param {Date} now - Time of the review (default: now)
+ * @returns {{easeFactor: number, intervalDays: number, repetitions: number, lapses: number, dueAt: Date}}
+ */
+function scheduleReview(state, quality, now = new Date()) {
+    if (!isValidQuality(quality)) {
+        throw new RangeError(`quality must be an integer from ${MIN_QUALITY} to ${MAX_QUALITY}`);
+    }
+
+    const easeFactor = Number(state.easeFactor) || DEFAULT_EASE_FACTOR;
+    const intervalDays = Number(state.intervalDays) || 0;
+    const repetitions = Number(state.repetitions) || 0;
+    const lapses = Number(state.lapses) || 0;
+
+    const next = {
+        easeFactor: Math.max(
+            MIN_EASE_FACTOR,
+            easeFactor + 0.1 - (MAX_QUALITY - quality) * (0.08 + (MAX_QUALITY - quality) * 0.02)
+        ),
+        intervalDays: 1,
+        repetitions: 0,
+        lapses
+    };
+
+    if (quality >= PASSING_QUALITY) {
+        next.repetitions = repetitions + 1;
+        if (repetitions === 1) {
+            next.intervalDays = 6;
+        } else if (repetitions > 1) {
+            next.intervalDays = Math.max(1, Math.round(intervalDays * easeFactor));
+        }
+    } else if (repetitions > 0) {
+        next.lapses = lapses + 1;
+    }
+
+    next.easeFactor = Math.round(next.easeFactor * 100) / 100;
+
+    return {
+        ...next,
+        dueAt: new Date(now.getTime() + next.intervalDays * DAY_MS)
+    };
+}
+
+module.exports = {
+    MIN_QUALITY,
+    MAX_QUALITY,
+    isValidQuality,
+    scheduleReview
+};
@@ -0,0 +1,137 @@
+/**
+ * Structured Output
+ * Asks the LLM for JSON and checks the result with a validator.
+ *
+ * Models sometimes wrap JSON in markdown fences, cut it off at the token
+ * limit or leave out required fields. An invalid response is sent back to
+ * the model with the list of problems, and it is asked for a corrected
+ * version, up to config.study.maxAttempts calls in total.
+ */
+
+const llmClient = require('./llmClient');
+const { AppError } = require('../middleware/errorHandler');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+// Problems listed in a repair request; the rest are usually the same mistake repeated
+const MAX_REPORTED_ERRORS = 10;
+
+/**
+ * Parse a JSON object from an LLM response, tolerating markdown fences
+ * @param {string} content - Raw completion text
+ * @returns {Object} Parsed object
+ */
+function parseJson(content) {
+    const text = content
+        .replace(/^\s*```(?:json)?\s*/i, '')
+        .replace(/\s*```\s*$/, '');
+
+    const start = text.indexOf('{');
+    const end = text.lastIndexOf('}');
+
+    if (start === -1 || end < start) {
+        throw new Error('Response does not contain a JSON object');
+    }
+
+    return JSON.parse(text.slice(start, end + 1));
+}
+
+/**
+ * Add token usage from another call
+ */
+function addUsage(total, usage) {
+    if (!usage) return total;
+    if (!total) return { ...usage };
+
+    return {
+        promptTokens: total.promptTokens + usage.promptTokens,
+        completionTokens: total.completionTokens + usage.completionTokens,
+        totalTokens: total.totalTokens + usage.totalTokens
+    };
+}
+
+/**
+ * Generate JSON that passes a validator
+ *
+ * The validator returns the usable value and a list of problems. A response
+ * with problems is repaired while attempts remain; after the last attempt a
+ * partially valid value (e.g. some well-formed cards) is still returned.
+ *
+ * @param {Object} request - Generation request
+ * @param {string} request.agent - LLM agent name (selects the model)
+ * @param {Array<{role: string, content: string}>} request.messages - System and user messages
+ * @param {function(Object): {value: *, errors: string[]}} request.validate - Checks parsed JSON;
+ *   value is null when nothing is usable
+ * @param {string} request.label - What is generated, for logs and errors (e.g. 'flashcards')
+ * @param {number} request.temperature - Sampling temperature
+ * @param {number} request.maxTokens - Completion token limit
+ * @returns {Promise<{value: *, errors: string[], attempts: number, usage: Object|null, provider: string, model: string}>}
+ */
+async function generateJson(request) {
+    const { agent, validate, label, temperature = 0.3, maxTokens = 2048 } = request;
+    const maxAttempts = Math.max(1, config.study.maxAttempts);
+    const messages = [...request.messages];
+
+    let usage = null;
+    let result = { value: null, errors: [] };
+    let response;
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+        try {
+            response = await llmClient.complete({
+                agent,
+                messages,
+                temperature,
+                maxTokens,
+                responseFormat: { type: 'json_object' }
+            });
+        } catch (error) {
+            logger.error(`Failed to generate ${label}`, { error: error.message, attempt });
+            throw new Error(`LLM generation failed: ${error.message}`);
+        }
+
+        usage = addUsage(usage, response.usage);
+
+        try {
+            result = validate(parseJson(response.content));
+        } catch (error) {
+            result = { value: null, errors: [`Invalid JSON: ${error.message}`] };
+        }
+
+        if (result.errors.length === 0) {
+            return { ...result, attempts: attempt, usage, provider: response.provider, model: response.model };
+        }
+
+        logger.warn(`Invalid ${label} output`, {
+            attempt,
+            maxAttempts,
+            errors: result.errors.slice(0, MAX_REPORTED_ERRORS)
+        });
+
+        // Ask the model to fix its own answer rather than starting over
+        messages.push(
+            { role: 'assistant', content: response.content },
+            {
+                role: 'user',
+                content: `Your response did not match the required JSON schema:\n${result.errors
+                    .slice(0, MAX_REPORTED_ERRORS)
+                    .map(error => `- ${error}`)
+                    .join('\n')}\n\nReturn the complete corrected JSON object only, with no other text.`
+            }
+        );
+    }
+
+    if (result.value === null) {
+        throw new AppError(`Could not generate valid ${label}: ${result.errors.slice(0, 3).join('; ')}`, 502);
+    }
+
+    logger.warn(`Using partially valid ${label} output`, { attempts: maxAttempts, errors: result.errors.length });
+
+    return { ...result, attempts: maxAttempts, usage, provider: response.provider, model: response.model };
+}
+
+module.exports = {
+    parseJson,
+    addUsage,
+    generateJson
+};
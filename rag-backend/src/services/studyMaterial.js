@@ -0,0 +1,110 @@
+/**
+ * Study Material
+ * Picks the chunks that study aids (flashcards, quizzes) are generated from.
+ *
+ * - With a topic: hybrid retrieval for the topic within the scope, as /query does.
+ * - Without one: chunks spread evenly through the scoped documents, so a deck
+ *   covers a whole lecture rather than only its first pages.
+ */
+
+const { listDocuments } = require('../db/documentStore');
+const { getDocumentChunks } = require('../db/vectorStore');
+const { retrieve } = require('./retriever');
+const { getQuestionEmbedding } = require('./queryCache');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+// Documents read when sampling a collection or tag scope without a topic (newest first)
+const MAX_SAMPLED_DOCUMENTS = 20;
+
+/**
+ * Pick up to `limit` items at evenly spaced positions
+ * @param {Array} items - Items in order
+ * @param {number} limit - Number of items to keep
+ * @returns {Array}
+ */
+function sampleEvenly(items, limit) {
+    if (items.length <= limit) {
+        return items;
+    }
+
+    const step = items.length / limit;
+    return Array.from({ length: limit }, (_, i) => items[Math.floor(i * step)]);
+}
+
+/**
+ * Chunks spread through every document in the scope, in document order
+ */
+async function sampleScopeChunks(filters, limit) {
+    const { documents, total } = await listDocuments({ limit: MAX_SAMPLED_DOCUMENTS, filters });
+
+    if (documents.length === 0) {
+        throw new AppError('No documents found in the requested scope', 404);
+    }
+
+    if (total > documents.length) {
+        logger.warn('Study scope has more documents than are sampled', {
+            total,
+            sampled: documents.length
+        });
+    }
+
+    const chunks = [];
+    for (const document of [...documents].reverse()) {
+        const documentChunks = await getDocumentChunks(document.id);
+        chunks.push(...documentChunks.map(chunk => ({ ...chunk, document_title: document.title })));
+    }
+
+    return sampleEvenly(chunks, limit);
+}
+
+/**
+ * Where a chunk came from, stored with each card or question as its citation
+ * Kept as a copy so the citation still reads correctly once the chunk is gone.
+ *
+ * @param {Object} chunk - Chunk with document_title and metadata
+ * @returns {Object} Document title and page/slide/heading location
+ */
+function describeSource(chunk) {
+    const { pageStart, pageEnd, slideStart, slideEnd, headingPath } = chunk.metadata || {};
+
+    return {
+        documentTitle: chunk.document_title || null,
+        pageStart: pageStart ?? null,
+        pageEnd: pageEnd ?? null,
+        slideStart: slideStart ?? null,
+        slideEnd: slideEnd ?? null,
+        headingPath: headingPath ?? null
+    };
+}
+
+/**
+ * Select the chunks to generate study material from
+ *
+ * @param {Object} options - Selection options
+ * @param {string|null} options.topic - What to focus on; null covers the whole scope
+ * @param {Object} options.filters - Scope filters (documentIds, collectionId, tags)
+ * @param {number} options.limit - Maximum number of chunks
+ * @returns {Promise<Array>} Chunks with document_title and metadata
+ */
+async function gatherStudyChunks({ topic, filters, limit }) {
+    const chunks = topic
+        ? (await retrieve(topic, (await getQuestionEmbedding(topic)).embedding, { limit, filters })).chunks
+        : await sampleScopeChunks(filters, limit);
+
+    if (chunks.length === 0) {
+        throw new AppError(topic
+            ? 'No material related to this topic was found in the knowledge base'
+            : 'The documents in the requested scope have no content yet', 422);
+    }
+
+    logger.debug('Study material selected', { topic, filters, chunks: chunks.length });
+
+    return chunks;
+}
+
+module.exports = {
+    sampleEvenly,
+    describeSource,
+    gatherStudyChunks
+};
@@ -0,0 +1,405 @@
+/**
+ * Summaries Service
+ * Map-reduce summaries of a whole document, or of a page, slide or heading range.
+ *
+ * - Map: the selected chunks are split into batches of about SUMMARY_BATCH_CHARS
+ *   characters and each batch is condensed into notes (summary-map prompt).
+ *   Notes that are still too long together are condensed again, for up to
+ *   MAX_MAP_ROUNDS rounds.
+ * - Reduce: the notes are written up in the requested style (summary-reduce
+ *   prompt) and streamed. A range that fits in one batch skips the map step.
+ *
+ * Summaries are stored per document version: the cache key holds a hash of
+ * the summarized chunk text, so a re-chunked document or a new reduce prompt
+ * version gets a new summary while repeated requests reuse the stored one.
+ */
+
+const llmClient = require('./llmClient');
+const prompts = require('./prompts');
+const { formatContext } = require('./llm');
+const { addUsage } = require('./structuredOutput');
+const { getDocumentChunks } = require('../db/vectorStore');
+const { findDocumentSummary, saveDocumentSummary } = require('../db/supabase');
+const { AppError } = require('../middleware/errorHandler');
+const { sha256 } = require('../utils/hash');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+// Instruction appended to the reduce prompt and completion budget per style
+const SUMMARY_STYLES = {
+    brief: {
+        instruction: 'Write one short paragraph of at most 150 words that covers the main ideas.',
+        maxTokens: 400
+    },
+    detailed: {
+        instruction: 'Write a detailed summary with a "##" heading for each major section, '
+            + 'a few paragraphs under each, and the key terms in bold.',
+        maxTokens: 1500
+    },
+    outline: {
+        instruction: 'Write a nested bullet-point outline: one top-level bullet per section, '
+            + 'with its key points as indented sub-bullets. Do not write paragraphs.',
+        maxTokens: 1200
+    }
+};
+
+const MAP_MAX_TOKENS = 800;
+// Rounds of condensing notes before the reduce call gets whatever is left
+const MAX_MAP_ROUNDS = 3;
+const NOTE_SEPARATOR = '\n\n---\n\n';
+
+/**
+ * Whether a chunk's page or slide span overlaps a range
+ */
+function overlaps(start, end, range) {
+    return Boolean(start) && start <= range.end && (end || start) >= range.start;
+}
+
+/**
+ * Whether a heading path contains the requested headings as consecutive levels
+ * (["Memory", "Paging"] matches "Chapter 3 > Memory > Paging > TLBs")
+ */
+function matchesHeading(headingPath, heading) {
+    if (!Array.isArray(headingPath)) return false;
+
+    const path = headingPath.map(level => String(level).trim().toLowerCase());
+    const wanted = heading.map(level => level.trim().toLowerCase());
+
+    for (let i = 0; i + wanted.length <= path.length; i++) {
+        if (wanted.every((level, j) => path[i + j] === level)) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Chunks inside a range, in document order
+ *
+ * @param {Array} chunks - Document chunks, in order
+ * @param {Object} range - {} for the whole document, or one of
+ *   { pages: {start, end} }, { slides: {start, end} }, { heading: string[] }
+ * @returns {Array}
+ */
+function selectChunks(chunks, range) {
+    if (range.pages) {
+        return chunks.filter(chunk => overlaps(chunk.metadata?.pageStart, chunk.metadata?.pageEnd, range.pages));
+    }
+    if (range.slides) {
+        return chunks.filter(chunk => overlaps(chunk.metadata?.slideStart, chunk.metadata?.slideEnd, range.slides));
+    }
+    if (range.heading) {
+        return chunks.filter(chunk => matchesHeading(chunk.metadata?.headingPath, range.heading));
+    }
+    return chunks;
+}
+
+/**
+ * Describe a range for prompts and exports, e.g. "pages 3-10"
+ */
+function describeRange(range) {
+    const span = ({ start, end }) => (start === end ? `${start}` : `${start}-${end}`);
+
+    if (range.pages) {
+        return `${range.pages.start === range.pages.end ? 'page' : 'pages'} ${span(range.pages)}`;
+    }
+    if (range.slides) {
+        return `${range.slides.start === range.slides.end ? 'slide' : 'slides'} ${span(range.slides)}`;
+    }
+    if (range.heading) {
+        return `section "${range.heading.join(' > ')}"`;
+    }
+    return 'the whole document';
+}
+
+/**
+ * Canonical form of a range for the cache key ("all", "pages:3-10", "heading:memory>paging")
+ */
+function getRangeKey(range) {
+    if (range.pages) return `pages:${range.pages.start}-${range.pages.end}`;
+    if (range.slides) return `slides:${range.slides.start}-${range.slides.end}`;
+    if (range.heading) return `heading:${range.heading.map(level => level.trim().toLowerCase()).join('>')}`;
+    return 'all';
+}
+
+/**
+ * Split items into batches of at most maxChars (an oversized item gets a batch of its own)
+ *
+ * @param {Array} items - Items in order
+ * @param {number} maxChars - Character budget per batch
+ * @param {function} sizeOf - Characters of an item
+ * @returns {Array<Array>}
+ */
+function splitBatches(items, maxChars, sizeOf) {
+    const batches = [];
+    let current = [];
+    let size = 0;
+
+    for (const item of items) {
+        const itemSize = sizeOf(item);
+
+        if (current.length > 0 && size + itemSize > maxChars) {
+            batches.push(current);
+            current = [];
+            size = 0;
+        }
+
+        current.push(item);
+        size += itemSize;
+    }
+
+    if (current.length > 0) {
+        batches.push(current);
+    }
+
+    return batches;
+}
+
+/**
+ * Format notes from an earlier round as numbered parts
+ */
+function formatNotes(notes) {
+    return notes.map((note, i) => `[Part ${i + 1}]\n${note}`).join(NOTE_SEPARATOR);
+}
+
+/**
+ * Condense one batch into notes (map step)
+ */
+async function condenseBatch(document, text, part, parts, signal) {
+    const prompt = prompts.render('summary-map', {
+        title: document.title,
+        part,
+        parts,
+        context: text
+    }, { cohortKey: document.id });
+
+    try {
+        return await llmClient.complete({
+            agent: 'summary',
+            messages: [
+                { role: 'system', content: prompt.system },
+                { role: 'user', content: prompt.user }
+            ],
+            temperature: 0.2,
+            maxTokens: MAP_MAX_TOKENS,
+            signal
+        });
+    } catch (error) {
+        logger.error('Failed to condense document part', { error: error.message, documentId: document.id, part, parts });
+        throw new Error(`LLM generation failed: ${error.message}`);
+    }
+}
+
+/**
+ * Store a finished summary
+ * The summary was already generated (and maybe streamed), so a storage
+ * failure is logged and the summary returned without an ID.
+ */
+async function storeSummary(summary) {
+    try {
+        return await saveDocumentSummary(summary);
+    } catch (error) {
+        logger.error('Failed to cache document summary', { error: error.message, documentId: summary.documentId });
+        return {
+            id: null,
+            document_id: summary.documentId,
+            style: summary.style,
+            range: summary.range,
+            prompt_version: summary.promptVersion,
+            model: summary.model,
+            summary: summary.summary,
+            chunk_count: summary.chunkCount,
+            created_at: new Date().toISOString()
+        };
+    }
+}
+
+/**
+ * Select the chunks to summarize and look for a stored summary of them
+ *
+ * @param {Object} document - Document record
+ * @param {Object} request - Summary request
+ * @param {string} request.style - brief, detailed or outline
+ * @param {Object} request.range - See selectChunks
+ * @returns {Promise<{document: Object, style: string, range: Object, chunks: Array, key: Object, cached: Object|null}>}
+ *   cached is the stored summary record, if there is one
+ */
+async function planSummary(document, { style, range }) {
+    const chunks = selectChunks(await getDocumentChunks(document.id), range)
+        .map(chunk => ({ ...chunk, document_title: document.title }));
+
+    if (chunks.length === 0) {
+        throw new AppError(Object.keys(range).length > 0
+            ? `The document has no content in ${describeRange(range)}`
+            : 'The document has no content yet', 422);
+    }
+
+    const key = {
+        documentId: document.id,
+        style,
+        rangeKey: getRangeKey(range),
+        sourceHash: sha256(chunks.map(chunk => chunk.content).join('\n')),
+        promptVersion: prompts.resolve('summary-reduce', { cohortKey: document.id }).id
+    };
+
+    return { document, style, range, chunks, key, cached: await findDocumentSummary(key) };
+}
+
+/**
+ * Generate and store a summary, streaming the reduce step
+ * Yields map progress, summary text deltas, then a final 'done' event with
+ * the stored summary record.
+ *
+ * @param {Object} plan - Result of planSummary
+ * @param {Object} options - { signal } AbortSignal to cancel the LLM calls
+ * @returns {AsyncGenerator<{type: 'progress', round: number, completed: number, total: number}
+ *   | {type: 'token', content: string}
+ *   | {type: 'done', summary: Object, usage: Object|null, mapCalls: number}>}
+ */
+async function* streamSummary(plan, options = {}) {
+    const startTime = Date.now();
+    const { document, style, range, chunks, key } = plan;
+    const { batchChars, concurrency } = config.summary;
+
+    let usage = null;
+    let mapCalls = 0;
+    let items = chunks;
+    let formatItems = formatContext;
+    let sizeOf = chunk => chunk.content.length;
+
+    // Map: condense until everything fits in one reduce call
+    for (let round = 1; round <= MAX_MAP_ROUNDS; round++) {
+        const batches = splitBatches(items, batchChars, sizeOf);
+        if (batches.length <= 1) break;
+
+        const notes = [];
+
+        for (let i = 0; i < batches.length; i += concurrency) {
+            const responses = await Promise.all(batches.slice(i, i + concurrency).map((batch, j) =>
+                condenseBatch(document, formatItems(batch), i + j + 1, batches.length, options.signal)));
+
+            for (const response of responses) {
+                notes.push(response.content.trim());
+                usage = addUsage(usage, response.usage);
+            }
+            mapCalls += responses.length;
+
+            yield { type: 'progress', round, completed: notes.length, total: batches.length };
+        }
+
+        items = notes;
+        formatItems = formatNotes;
+        sizeOf = note => note.length;
+    }
+
+    // Reduce
+    const prompt = prompts.render('summary-reduce', {
+        title: document.title,
+        range: describeRange(range),
+        notes: formatItems(items),
+        style: SUMMARY_STYLES[style].instruction
+    }, { cohortKey: document.id });
+
+    let done = null;
+
+    try {
+        const stream = llmClient.stream({
+            agent: 'summary',
+            messages: [
+                { role: 'system', content: prompt.system },
+                { role: 'user', content: prompt.user }
+            ],
+            temperature: 0.3,
+            maxTokens: SUMMARY_STYLES[style].maxTokens,
+            signal: options.signal
+        });
+
+        for await (const event of stream) {
+            if (event.type === 'token') {
+                yield event;
+            } else {
+                done = event;
+            }
+        }
+    } catch (error) {
+        logger.error('Failed to write document summary', { error: error.message, documentId: document.id });
+        throw new Error(`LLM generation failed: ${error.message}`);
+    }
+
+    usage = addUsage(usage, done.usage);
+
+    if (!done.content.trim()) {
+        throw new AppError('The model returned an empty summary', 502);
+    }
+
+    const summary = await storeSummary({
+        ...key,
+        range,
+        model: done.model,
+        summary: done.content.trim(),
+        chunkCount: chunks.length
+    });
+
+    logger.info('Document summarized', {
+        documentId: document.id,
+        summaryId: summary.id,
+        style,
+        range: key.rangeKey,
+        chunks: chunks.length,
+        mapCalls,
+        promptVersion: key.promptVersion,
+        latencyMs: Date.now() - startTime,
+        ...usage
+    });
+
+    yield { type: 'done', summary, usage, mapCalls };
+}
+
+/**
+ * Generate and store a summary without streaming
+ *
+ * @param {Object} plan - Result of planSummary
+ * @returns {Promise<{summary: Object, usage: Object|null, mapCalls: number}>}
+ */
+async function generateSummary(plan) {
+    let result = null;
+
+    for await (const event of streamSummary(plan)) {
+        if (event.type === 'done') {
+            result = event;
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Render a summary as a Markdown document for export
+ *
+ * @param {Object} document - Document record
+ * @param {Object} summary - Summary record
+ * @returns {string}
+ */
+function formatMarkdown(document, summary) {
+    const styleLabel = summary.style.charAt(0).toUpperCase() + summary.style.slice(1);
+    const details = [
+        `${styleLabel} summary of ${describeRange(summary.range || {})}`,
+        `${summary.chunk_count} chunks`,
+        `generated ${summary.created_at.slice(0, 10)}`,
+        summary.prompt_version
+    ];
+
+    return `# Summary: ${document.title}\n\n_${details.join(' · ')}_\n\n${summary.summary}\n`;
+}
+
+module.exports = {
+    SUMMARY_STYLES,
+    selectChunks,
+    describeRange,
+    getRangeKey,
+    splitBatches,
+    planSummary,
+    streamSummary,
+    generateSummary,
+    formatMarkdown
+};
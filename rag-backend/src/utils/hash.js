@@ -0,0 +1,19 @@
+/**
+ * Hashing Helpers
+ * Content hashes used to detect re-uploaded documents and duplicate chunks.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * SHA-256 of a buffer or string, hex encoded
+ * @param {Buffer|string} data - Content to hash (strings are hashed as UTF-8)
+ * @returns {string} 64-character hex digest
+ */
+function sha256(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+module.exports = {
+    sha256
+};
@@ -0,0 +1,50 @@
+/**
+ * Retry Helper
+ * Retries an async operation with exponential backoff.
+ */
+
+const logger = require('./logger');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Run an operation, retrying failures that shouldRetry accepts
+ * Delays are baseDelayMs, 2x, 4x, ... plus up to 20% jitter so parallel
+ * callers don't retry in lockstep.
+ *
+ * @param {function(number): Promise<*>} operation - Called with the attempt number (1-based)
+ * @param {Object} options - Retry settings
+ * @param {string} options.label - Operation name (for logs)
+ * @param {number} options.retries - Retries after the first attempt
+ * @param {number} options.baseDelayMs - Delay before the first retry
+ * @param {function(Error): boolean} options.shouldRetry - Whether an error is worth retrying
+ * @returns {Promise<*>} Result of the first successful attempt
+ */
+async function withRetry(operation, options) {
+    const { label, retries = 3, baseDelayMs = 500, shouldRetry = () => true } = options;
+
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await operation(attempt);
+        } catch (error) {
+            if (attempt > retries || !shouldRetry(error)) {
+                throw error;
+            }
+
+            const delayMs = Math.round(baseDelayMs * 2 ** (attempt - 1) * (1 + Math.random() * 0.2));
+
+            logger.warn(`${label} failed, retrying`, {
+                attempt,
+                retries,
+                delayMs,
+                error: error.message
+            });
+
+            await sleep(delayMs);
+        }
+    }
+}
+
+module.exports = {
+    withRetry
+};
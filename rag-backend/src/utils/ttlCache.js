@@ -0,0 +1,76 @@
+/**
+ * TTL Cache
+ * In-memory LRU cache with per-entry expiry and hit/miss counters.
+ *
+ * TODO: Back with Redis so several server instances share one cache
+ */
+
+/**
+ * Create a cache
+ *
+ * @param {Object} options - Cache settings
+ * @param {number} options.maxEntries - Least recently used entries are evicted beyond this
+ * @param {number} options.ttlMs - Entry lifetime (0 = no expiry)
+ * @returns {{get: function, set: function, clear: function, stats: function}}
+ */
+function createTtlCache({ maxEntries, ttlMs }) {
+    // Map iteration order is insertion order, so the first key is the least recently used
+    const entries = new Map();
+    let hits = 0;
+    let misses = 0;
+
+    /**
+     * Get a value, or undefined when missing or expired
+     */
+    function get(key) {
+        const entry = entries.get(key);
+
+        if (!entry || (entry.expiresAt && entry.expiresAt <= Date.now())) {
+            entries.delete(key);
+            misses++;
+            return undefined;
+        }
+
+        // Move to the most recently used end
+        entries.delete(key);
+        entries.set(key, entry);
+        hits++;
+        return entry.value;
+    }
+
+    function set(key, value) {
+        entries.delete(key);
+        entries.set(key, { value, expiresAt: ttlMs > 0 ? Date.now() + ttlMs : 0 });
+
+        while (entries.size > maxEntries) {
+            entries.delete(entries.keys().next().value);
+        }
+    }
+
+    /**
+     * Drop every entry
+     * @returns {number} Number of entries removed
+     */
+    function clear() {
+        const size = entries.size;
+        entries.clear();
+        return size;
+    }
+
+    function stats() {
+        const lookups = hits + misses;
+        return {
+            size: entries.size,
+            maxEntries,
+            hits,
+            misses,
+            hitRate: lookups > 0 ? parseFloat((hits / lookups).toFixed(3)) : null
+        };
+    }
+
+    return { get, set, clear, stats };
+}
+
+module.exports = {
+    createTtlCache
+};
@@ -0,0 +1,75 @@
+/**
+ * Validation Helpers
+ * Small input checks shared by route handlers.
+ */
+
+const { AppError } = require('../middleware/errorHandler');
+
+const MAX_SCOPE_DOCUMENTS = 100;
+
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Check whether a value is a UUID string
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+function isUuid(value) {
+    return typeof value === 'string' && UUID_REGEX.test(value);
+}
+
+/**
+ * Check whether a value is an array of non-empty strings
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+function isStringArray(value) {
+    return Array.isArray(value) && value.every(item => typeof item === 'string' && item.trim().length > 0);
+}
+
+/**
+ * Validate the optional retrieval scope from the request body
+ * 
+ * @param {Object} body - Request body
+ * @returns {{documentIds?: string[], collectionId?: string, tags?: string[]}} Search filters
+ */
+function parseScope(body) {
+    const { documentIds, collectionId, tags } = body;
+    const filters = {};
+
+    if (documentIds !== undefined) {
+        if (!Array.isArray(documentIds) || !documentIds.every(isUuid)) {
+            throw new AppError('documentIds must be an array of document UUIDs', 400);
+        }
+        if (documentIds.length > MAX_SCOPE_DOCUMENTS) {
+            throw new AppError(`documentIds can contain at most ${MAX_SCOPE_DOCUMENTS} documents`, 400);
+        }
+        if (documentIds.length > 0) {
+            filters.documentIds = documentIds;
+        }
+    }
+
+    if (collectionId !== undefined && collectionId !== null) {
+        if (!isUuid(collectionId)) {
+            throw new AppError('collectionId must be a valid UUID', 400);
+        }
+        filters.collectionId = collectionId;
+    }
+
+    if (tags !== undefined) {
+        if (!isStringArray(tags)) {
+            throw new AppError('tags must be an array of non-empty strings', 400);
+        }
+        if (tags.length > 0) {
+            filters.tags = tags.map(tag => tag.trim());
+        }
+    }
+
+    return filters;
+}
+
+module.exports = {
+    isUuid,
+    isStringArray,
+    parseScope
+};
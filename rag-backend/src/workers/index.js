@@ -0,0 +1,107 @@
+/**
+ * Workers
+ * Shared worker pool for ingestion. Use runTask() rather than the pool
+ * directly: with WORKER_POOL_SIZE=0 tasks run inline on the main thread.
+ *
+ * Query-time work (embedding a single question) stays on the main thread;
+ * it is fast and must not wait behind a large document in the pool queue.
+ */
+
+const path = require('path');
+const { createWorkerPool } = require('./workerPool');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+// Smallest share of an embedding job worth sending to another worker
+const MIN_BATCHES_PER_WORKER = 2;
+
+let pool = null;
+
+function getPool() {
+    if (!pool) {
+        pool = createWorkerPool({
+            name: 'Ingestion',
+            script: path.join(__dirname, 'taskWorker.js'),
+            size: config.workers.poolSize
+        });
+        logger.info('Worker pool created', { size: config.workers.poolSize });
+    }
+    return pool;
+}
+
+/**
+ * Run a CPU-heavy task (see tasks.js) in the worker pool
+ *
+ * @param {string} type - Task name: 'load' | 'embed'
+ * @param {Object} payload - Task input
+ * @param {Object} options - { onProgress(done, total) }
+ * @returns {Promise<*>} Task result
+ */
+async function runTask(type, payload, options = {}) {
+    if (config.workers.poolSize <= 0) {
+        // Loaded lazily so the main thread only pays for what it runs
+        const handler = require('./tasks')[type];
+        if (!handler) {
+            throw new Error(`Unknown worker task: ${type}`);
+        }
+        return handler(payload, options.onProgress || (() => {}));
+    }
+
+    return getPool().run(type, payload, options);
+}
+
+/**
+ * Embed texts using every worker in the pool
+ * Texts are split into one contiguous slice per worker (slices are kept to
+ * at least two batches so small documents don't pay for extra workers).
+ *
+ * @param {string[]} texts - Texts to embed
+ * @param {Object} options - { onProgress(done, total) } across all slices,
+ *   { model } to embed with another model than config.embedding.model
+ * @returns {Promise<number[][]>} Embeddings in input order
+ */
+async function embedTexts(texts, options = {}) {
+    const minSliceSize = config.embedding.batchSize * MIN_BATCHES_PER_WORKER;
+    const sliceCount = Math.max(1, Math.min(config.workers.poolSize, Math.floor(texts.length / minSliceSize)));
+    const sliceSize = Math.ceil(texts.length / sliceCount);
+    const doneBySlice = new Array(sliceCount).fill(0);
+
+    const slices = await Promise.all(doneBySlice.map((_, index) =>
+        runTask('embed', {
+            texts: texts.slice(index * sliceSize, (index + 1) * sliceSize),
+            model: options.model
+        }, {
+            onProgress: (done) => {
+                doneBySlice[index] = done;
+                options.onProgress?.(doneBySlice.reduce((sum, count) => sum + count, 0), texts.length);
+            }
+        })
+    ));
+
+    return slices.flat();
+}
+
+/**
+ * Stop the pool's workers (for scripts and graceful shutdown)
+ */
+async function shutdownWorkers() {
+    if (pool) {
+        const stopping = pool;
+        pool = null;
+        await stopping.destroy();
+    }
+}
+
+/**
+ * Pool status for monitoring
+ */
+function getWorkerStats() {
+    return pool ? pool.stats() : { size: config.workers.poolSize, workers: 0, busy: 0, queued: 0 };
+}
+
+module.exports = {
+    runTask,
+    embedTexts,
+    shutdownWorkers,
+    getWorkerStats
+};
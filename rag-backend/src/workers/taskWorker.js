@@ -0,0 +1,30 @@
+/**
+ * Task Worker
+ * Entry point of each worker thread in the pool (see workerPool.js).
+ * Runs one task at a time; models and OCR workers stay loaded between tasks.
+ */
+
+const { parentPort } = require('worker_threads');
+const TASKS = require('./tasks');
+
+parentPort.on('message', async ({ id, type, payload }) => {
+    const handler = TASKS[type];
+
+    try {
+        if (!handler) {
+            throw new Error(`Unknown worker task: ${type}`);
+        }
+
+        const result = await handler(payload, (done, total) => {
+            parentPort.postMessage({ id, event: 'progress', done, total });
+        });
+
+        parentPort.postMessage({ id, event: 'result', result });
+    } catch (error) {
+        parentPort.postMessage({
+            id,
+            event: 'error',
+            error: { message: error.message, statusCode: error.statusCode }
+        });
+    }
+});
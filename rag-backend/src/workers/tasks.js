@@ -0,0 +1,31 @@
+/**
+ * Worker Tasks
+ * CPU-heavy tasks that run in the worker pool (or inline when the pool is
+ * disabled). Each handler takes (payload, reportProgress) and returns a
+ * result that can be structured-cloned back to the main thread.
+ */
+
+const { loadDocument } = require('../services/loaders');
+const { generateEmbeddings } = require('../services/embeddings');
+
+const TASKS = {
+    /**
+     * Extract text and structure from an uploaded file (incl. OCR)
+     * @param {{buffer: Uint8Array, format: string}} payload
+     */
+    load: async ({ buffer, format }, reportProgress) => {
+        // Buffers arrive in workers as plain Uint8Arrays
+        const fileBuffer = Buffer.from(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+        return loadDocument(fileBuffer, format, { onProgress: reportProgress });
+    },
+
+    /**
+     * Embed texts in batches
+     * @param {{texts: string[], model?: string}} payload - model defaults to config.embedding.model
+     */
+    embed: async ({ texts, model }, reportProgress) => {
+        return generateEmbeddings(texts, { model, onProgress: reportProgress });
+    }
+};
+
+module.exports = TASKS;
@@ -0,0 +1,158 @@
+/**
+ * Worker Pool
+ * Bounded pool of worker_threads that run CPU-heavy tasks off the main
+ * thread, so the HTTP server keeps answering requests while a document
+ * is being extracted or embedded.
+ *
+ * Workers are started on demand up to `size` and reused. Tasks beyond that
+ * wait in a FIFO queue. A worker that crashes fails its current task and is
+ * replaced on the next one. Idle workers are unref'd so they never keep a
+ * script from exiting.
+ *
+ * Messages (see taskWorker.js):
+ * - main -> worker: { id, type, payload }
+ * - worker -> main: { id, event: 'progress', done, total }
+ *                   { id, event: 'result', result }
+ *                   { id, event: 'error', error: { message, statusCode } }
+ */
+
+const { Worker } = require('worker_threads');
+const logger = require('../utils/logger');
+
+/**
+ * Create a worker pool
+ *
+ * @param {Object} options - Pool settings
+ * @param {string} options.name - Pool name (for logs)
+ * @param {string} options.script - Absolute path of the worker script
+ * @param {number} options.size - Maximum number of workers
+ */
+function createWorkerPool(options) {
+    const { name, script, size } = options;
+
+    if (!(size >= 1)) {
+        throw new Error(`${name} pool size must be at least 1`);
+    }
+
+    const idle = [];
+    const workers = new Set();
+    const pending = [];
+    let nextTaskId = 1;
+
+    function startWorker() {
+        const worker = new Worker(script);
+        worker.task = null;
+
+        worker.on('message', (message) => {
+            const task = worker.task;
+            if (!task || message.id !== task.id) return;
+
+            if (message.event === 'progress') {
+                task.onProgress?.(message.done, message.total);
+                return;
+            }
+
+            worker.task = null;
+            release(worker);
+
+            if (message.event === 'result') {
+                task.resolve(message.result);
+            } else {
+                const error = new Error(message.error.message);
+                error.statusCode = message.error.statusCode;
+                task.reject(error);
+            }
+        });
+
+        worker.on('error', (error) => {
+            logger.error(`${name} worker crashed`, { threadId: worker.threadId, error: error.message });
+        });
+
+        worker.on('exit', (code) => {
+            workers.delete(worker);
+            const index = idle.indexOf(worker);
+            if (index >= 0) idle.splice(index, 1);
+
+            if (worker.task) {
+                worker.task.reject(new Error(`${name} worker exited unexpectedly (code ${code})`));
+                worker.task = null;
+            }
+
+            // Start a replacement if tasks are still waiting
+            drain();
+        });
+
+        workers.add(worker);
+        logger.debug(`${name} worker started`, { threadId: worker.threadId, poolSize: workers.size });
+        return worker;
+    }
+
+    function release(worker) {
+        worker.unref();
+        idle.push(worker);
+        drain();
+    }
+
+    function drain() {
+        while (pending.length > 0) {
+            let worker = idle.pop();
+
+            if (!worker) {
+                if (workers.size >= size) return;
+                worker = startWorker();
+            }
+
+            const task = pending.shift();
+            worker.task = task;
+            worker.ref();
+            worker.postMessage({ id: task.id, type: task.type, payload: task.payload });
+        }
+    }
+
+    /**
+     * Run a task on a pool worker
+     *
+     * @param {string} type - Task type handled by the worker script
+     * @param {Object} payload - Task input (structured-cloned to the worker)
+     * @param {Object} taskOptions - { onProgress(done, total) }
+     * @returns {Promise<*>} Task result
+     */
+    function run(type, payload, taskOptions = {}) {
+        return new Promise((resolve, reject) => {
+            pending.push({
+                id: nextTaskId++,
+                type,
+                payload,
+                onProgress: taskOptions.onProgress,
+                resolve,
+                reject
+            });
+            drain();
+        });
+    }
+
+    /**
+     * Stop all workers; queued and running tasks fail
+     */
+    async function destroy() {
+        for (const task of pending.splice(0)) {
+            task.reject(new Error(`${name} pool was shut down`));
+        }
+        await Promise.all([...workers].map(worker => worker.terminate()));
+    }
+
+    return {
+        run,
+        destroy,
+        stats: () => ({
+            size,
+            workers: workers.size,
+            busy: workers.size - idle.length,
+            queued: pending.length
+        })
+    };
+}
+
+module.exports = {
+    createWorkerPool
+};
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { CHUNK_STRATEGIES, chunkText, collapseDuplicateChunks } = require('../src/services/chunker');
+
+const toChunks = contents => contents.map((content, index) => ({ content, index }));
+
+test('collapseDuplicateChunks drops repeats that differ in case or whitespace', () => {
+    const { chunks, collapsedCount } = collapseDuplicateChunks(toChunks([
+        'Operating Systems - Lecture 4',
+        'Pages map virtual addresses to frames.',
+        'operating systems  -\nlecture 4'
+    ]));
+
+    assert.equal(collapsedCount, 1);
+    assert.deepEqual(chunks.map(chunk => chunk.content), [
+        'Operating Systems - Lecture 4',
+        'Pages map virtual addresses to frames.'
+    ]);
+    assert.deepEqual(chunks.map(chunk => chunk.index), [0, 1]);
+});
+
+test('collapseDuplicateChunks keeps chunks that only differ in numbers', () => {
+    const { chunks, collapsedCount } = collapseDuplicateChunks(toChunks([
+        'A page holds 4096 bytes and addresses are 32 bits wide.',
+        'A page holds 8192 bytes and addresses are 64 bits wide.',
+        '| 1 | 2.5 | 3 |',
+        '| 4 | 5.5 | 6 |'
+    ]));
+
+    assert.equal(collapsedCount, 0);
+    assert.equal(chunks.length, 4);
+});
+
+test('token strategy keeps every chunk within the token budget', () => {
+    // One token per word plus [CLS] and [SEP], like a WordPiece count of plain words
+    const countTokens = text => text.split(/\s+/).filter(Boolean).length + 2;
+    const text = Array.from({ length: 40 }, (_, i) => `Sentence ${i} has exactly six words.`).join(' ');
+
+    const chunks = chunkText(text, { strategy: CHUNK_STRATEGIES.TOKEN, maxTokens: 30, tokenOverlap: 8, countTokens });
+
+    assert.ok(chunks.length > 1);
+    for (const chunk of chunks) {
+        assert.ok(countTokens(chunk.content) <= 30, `${countTokens(chunk.content)} tokens`);
+        assert.equal(chunk.strategy, CHUNK_STRATEGIES.TOKEN);
+    }
+});
+
+test('token strategy needs a token counter', () => {
+    assert.throws(() => chunkText('Some text.', { strategy: CHUNK_STRATEGIES.TOKEN }), /countTokens/);
+});
@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseMarkers, verifyCitations } = require('../src/services/citations');
+
+test('parseMarkers ignores brackets inside code', () => {
+    const answer = [
+        'Read the sixth element with `arr[5]` or ``matrix[1][2]`` [1].',
+        '```c',
+        'int x = arr[3];',
+        '```',
+        'Bounds are not checked [2, 3].'
+    ].join('\n');
+
+    assert.deepEqual(parseMarkers(answer), [1, 2, 3]);
+    assert.deepEqual(parseMarkers('An unfinished block:\n```\nbuffer[7] = 0;'), []);
+});
+
+test('verifyCitations does not flag code as invalid markers', () => {
+    const chunks = [{ content: 'Array indexing starts at zero in C, so the sixth element of an array is read at index five.' }];
+    const answer = 'The sixth element of the array is read with `arr[5]` because indexing starts at zero [1].\n\n'
+        + '```c\nint sixth = arr[5];\n```';
+
+    const result = verifyCitations(answer, chunks);
+
+    assert.deepEqual(result.invalidMarkers, []);
+    assert.deepEqual(result.markers, [1]);
+    assert.equal(result.verified, true);
+});
@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+// The route takes these when it loads, so stub them first
+const documentStore = require('../src/db/documentStore');
+const summaries = require('../src/services/summaries');
+
+const DOCUMENT_ID = '11111111-1111-4111-8111-111111111111';
+const plans = [];
+
+documentStore.getDocument = async (id) => (id === DOCUMENT_ID ? { id, title: 'os-notes.pdf' } : null);
+summaries.planSummary = async (document, params) => {
+    plans.push(params);
+    return {
+        document,
+        chunks: [{ id: 'chunk-1' }],
+        cached: {
+            id: 'summary-1',
+            document_id: document.id,
+            style: params.style,
+            range: params.range,
+            summary: 'Paging maps pages to frames.',
+            chunk_count: 1,
+            prompt_version: 'summary-reduce@v1',
+            created_at: '2026-01-01T00:00:00.000Z'
+        }
+    };
+};
+
+const documentsRouter = require('../src/routes/documents');
+const { errorHandler } = require('../src/middleware/errorHandler');
+
+const app = express();
+app.use(express.json());
+app.use('/documents', documentsRouter);
+app.use(errorHandler);
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+    server.closeAllConnections();
+    server.close();
+});
+
+async function summarize(body, documentId = DOCUMENT_ID) {
+    plans.length = 0;
+    const response = await fetch(`${baseUrl}/documents/${documentId}/summary`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+    const result = await response.json();
+
+    return { status: response.status, message: result.error?.message, data: result.data, params: plans[0] };
+}
+
+test('a summary request defaults to a brief summary of the whole document', async () => {
+    const { status, params, data } = await summarize({});
+
+    assert.equal(status, 200);
+    assert.deepEqual(params, { style: 'brief', range: {} });
+    assert.equal(data.cached, true);
+    assert.equal(data.summary, 'Paging maps pages to frames.');
+});
+
+test('summary ranges are parsed into pages, slides or a heading path', async () => {
+    assert.deepEqual((await summarize({ style: 'outline', pages: { start: 3, end: 10 } })).params,
+        { style: 'outline', range: { pages: { start: 3, end: 10 } } });
+    // end defaults to start
+    assert.deepEqual((await summarize({ slides: { start: 4 } })).params,
+        { style: 'brief', range: { slides: { start: 4, end: 4 } } });
+    assert.deepEqual((await summarize({ heading: ' Paging ' })).params,
+        { style: 'brief', range: { heading: ['Paging'] } });
+    assert.deepEqual((await summarize({ style: 'detailed', heading: ['Memory ', ' Paging'], pages: null })).params,
+        { style: 'detailed', range: { heading: ['Memory', 'Paging'] } });
+});
+
+test('invalid summary requests are rejected before the document is loaded', async () => {
+    const rejected = [
+        [{ style: 'haiku' }, /^style must be one of: brief, detailed, outline/],
+        [{ pages: { start: 1, end: 2 }, heading: 'Paging' }, /at most one of pages, slides or heading/],
+        [{ pages: { start: 0, end: 2 } }, /^pages must be/],
+        [{ pages: { start: 5, end: 2 } }, /^pages must be/],
+        [{ slides: { start: 1.5 } }, /^slides must be/],
+        [{ slides: 3 }, /^slides must be/],
+        [{ heading: [] }, /^heading must be/],
+        [{ heading: ['Memory', ''] }, /^heading must be/],
+        [{ heading: ['1', '2', '3', '4', '5', '6', '7'] }, /^heading must be/],
+        [{ heading: 'x'.repeat(201) }, /^heading must be/]
+    ];
+
+    for (const [body, message] of rejected) {
+        const result = await summarize(body);
+
+        assert.equal(result.status, 400, JSON.stringify(body));
+        assert.match(result.message, message);
+        assert.equal(result.params, undefined);
+    }
+});
+
+test('a summary of an unknown document is a 404', async () => {
+    const { status, message } = await summarize({}, '22222222-2222-4222-8222-222222222222');
+
+    assert.equal(status, 404);
+    assert.equal(message, 'Document not found');
+});
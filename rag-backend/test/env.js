@@ -0,0 +1,9 @@
+/**
+ * Test Environment
+ * Loaded before every test file (see the "test" script) so the config
+ * module finds its required variables. Tests never reach these services.
+ */
+
+process.env.SUPABASE_URL ??= 'http://localhost:54321';
+process.env.SUPABASE_ANON_KEY ??= 'test-anon-key';
+process.env.GROQ_API_KEY ??= 'test-groq-key';
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { validateCards } = require('../src/services/flashcards');
+
+test('validateCards keeps well-formed cards and trims them', () => {
+    const { value, errors } = validateCards({
+        cards: [
+            { question: ' What is a page? ', answer: ' A fixed-size block of virtual memory. ', chunk: 1 },
+            { question: 'What is a frame?', answer: 'A fixed-size block of physical memory.', chunk: 2 }
+        ]
+    }, 2, 2);
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(value, [
+        { question: 'What is a page?', answer: 'A fixed-size block of virtual memory.', chunk: 1 },
+        { question: 'What is a frame?', answer: 'A fixed-size block of physical memory.', chunk: 2 }
+    ]);
+});
+
+test('validateCards drops bad cards but keeps the rest', () => {
+    const { value, errors } = validateCards({
+        cards: [
+            { question: 'What is a page?', answer: 'A block of virtual memory.', chunk: 1 },
+            { question: '', answer: 'No question', chunk: 1 },
+            { question: 'What is a TLB?', answer: '', chunk: 1 },
+            { question: 'What is thrashing?', answer: 'Constant paging.', chunk: 3 },
+            { question: 'What is swapping?', answer: 'Moving pages to disk.', chunk: '1' },
+            { question: 'what is a PAGE?', answer: 'Again.', chunk: 1 },
+            null
+        ]
+    }, 3, 2);
+
+    assert.deepEqual(value, [{ question: 'What is a page?', answer: 'A block of virtual memory.', chunk: 1 }]);
+    assert.deepEqual(errors, [
+        'cards[1].question must be a non-empty string of at most 300 characters',
+        'cards[2].answer must be a non-empty string of at most 1000 characters',
+        'cards[3].chunk must be the number of a context chunk (1-2)',
+        'cards[4].chunk must be the number of a context chunk (1-2)',
+        'cards[5] repeats an earlier question',
+        'cards[6].question must be a non-empty string of at most 300 characters',
+        'Expected 3 valid cards, got 1'
+    ]);
+});
+
+test('validateCards caps the deck at the requested count', () => {
+    const cards = ['A', 'B', 'C'].map(letter => ({ question: `Question ${letter}?`, answer: letter, chunk: 1 }));
+    const { value, errors } = validateCards({ cards }, 2, 1);
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(value.map(card => card.answer), ['A', 'B']);
+});
+
+test('validateCards rejects output without a cards array', () => {
+    assert.deepEqual(validateCards({ cards: 'none' }, 1, 1), { value: null, errors: ['"cards" must be an array'] });
+    assert.deepEqual(validateCards(null, 1, 1), { value: null, errors: ['"cards" must be an array'] });
+
+    const { value, errors } = validateCards({ cards: [{ question: 'Q?', answer: 'A', chunk: 0 }] }, 1, 1);
+    assert.equal(value, null);
+    assert.equal(errors.length, 2);
+});
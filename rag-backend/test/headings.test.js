@@ -0,0 +1,147 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { splitPages, buildOutline } = require('../src/services/headings');
+
+const located = sections => sections.map(section => [section.pageNumber, section.headingPath]);
+
+test('splitPages places PDF outline entries on their lines', () => {
+    const pages = [
+        { pageNumber: 1, text: 'Chapter 1 Introduction\nAn OS manages hardware.\n1.1 History\nBatch systems came first.' },
+        { pageNumber: 2, text: 'Diagram only\nMore text here.' }
+    ];
+    const outline = [
+        { title: 'Introduction', level: 1, pageNumber: 1 },
+        { title: 'History', level: 2, pageNumber: 1 },
+        { title: 'Figures', level: 2, pageNumber: 2 }
+    ];
+
+    const { sections, source } = splitPages(pages, outline);
+
+    assert.equal(source, 'pdf-outline');
+    assert.deepEqual(located(sections), [
+        [1, ['Introduction']],
+        [1, ['Introduction', 'History']],
+        // Not found on the page, so it starts at the top
+        [2, ['Introduction', 'Figures']]
+    ]);
+    assert.equal(sections[0].text, 'Chapter 1 Introduction\nAn OS manages hardware.');
+    assert.equal(sections[2].text, pages[1].text);
+});
+
+test('splitPages detects headings by font size and skips running headers', () => {
+    const header = { text: 'CS301 Operating Systems', size: 14 };
+    const body = text => ({ text, size: 10 });
+    const pages = [
+        { pageNumber: 1, lines: [header, { text: 'Memory Management', size: 18 }, body('Paging splits memory into fixed-size pages.')] },
+        {
+            pageNumber: 2,
+            lines: [
+                header,
+                { text: 'Page Tables and', size: 14 },
+                { text: 'Translation', size: 14 },
+                body('Each process has its own table of frames.')
+            ]
+        },
+        {
+            pageNumber: 3,
+            lines: [
+                header,
+                body('Lookaside buffers cache the translations.'),
+                { text: 'Scheduling', size: 18 },
+                body('The scheduler decides which process runs.')
+            ]
+        }
+    ];
+
+    const { sections, source } = splitPages(pages);
+
+    assert.equal(source, 'detected');
+    assert.deepEqual(located(sections), [
+        [1, undefined],
+        [1, ['Memory Management']],
+        [2, ['Memory Management']],
+        // A title wrapped over two lines is one heading
+        [2, ['Memory Management', 'Page Tables and Translation']],
+        [3, ['Memory Management', 'Page Tables and Translation']],
+        [3, ['Scheduling']]
+    ]);
+    assert.equal(sections[0].text, header.text);
+});
+
+test('splitPages finds numbered headings in OCR text', () => {
+    const pages = [{
+        pageNumber: 1,
+        text: 'Chapter 2\nProcesses run programs.\n2.1 Scheduling\nThe scheduler picks a process.\n3 Items to remember\nthat is all.',
+        ocrConfidence: 81
+    }];
+
+    const { sections, source } = splitPages(pages);
+
+    assert.equal(source, 'detected');
+    assert.deepEqual(sections, [
+        { pageNumber: 1, text: 'Chapter 2\nProcesses run programs.', headingPath: ['Chapter 2'], ocrConfidence: 81 },
+        {
+            pageNumber: 1,
+            // "3 Items" is in the body font, so it reads as a list item
+            text: '2.1 Scheduling\nThe scheduler picks a process.\n3 Items to remember\nthat is all.',
+            headingPath: ['Chapter 2', '2.1 Scheduling'],
+            ocrConfidence: 81
+        }
+    ]);
+});
+
+test('splitPages keeps whole pages when there are no headings', () => {
+    const pages = [{ pageNumber: 1, text: 'just some notes.' }, { pageNumber: 2, text: '   ' }];
+
+    assert.deepEqual(splitPages(pages), {
+        sections: [{ pageNumber: 1, text: 'just some notes.' }],
+        source: null
+    });
+});
+
+test('buildOutline nests heading paths and spans their pages', () => {
+    const outline = buildOutline([
+        { pageNumber: 1 },
+        { headingPath: ['Memory'], pageNumber: 1 },
+        { headingPath: ['Memory', 'Paging'], pageNumber: 2 },
+        { headingPath: ['Memory', 'Paging'], pageNumber: 3 },
+        { headingPath: ['Memory', 'Segmentation'], pageNumber: 4 },
+        // Chunk metadata spans several pages
+        { headingPath: ['Scheduling'], pageStart: 5, pageEnd: 6 }
+    ]);
+
+    assert.deepEqual(outline, [
+        {
+            title: 'Memory',
+            level: 1,
+            pageStart: 1,
+            pageEnd: 4,
+            children: [
+                { title: 'Paging', level: 2, pageStart: 2, pageEnd: 3, children: [] },
+                { title: 'Segmentation', level: 2, pageStart: 4, pageEnd: 4, children: [] }
+            ]
+        },
+        { title: 'Scheduling', level: 1, pageStart: 5, pageEnd: 6, children: [] }
+    ]);
+});
+
+test('buildOutline spans slides and opens every level of a new path', () => {
+    const outline = buildOutline([
+        { headingPath: ['Intro'], slideNumber: 1 },
+        { headingPath: ['Intro'], slideNumber: 3 },
+        { headingPath: ['Deadlock', 'Conditions'], slideNumber: 4 }
+    ]);
+
+    assert.deepEqual(outline, [
+        { title: 'Intro', level: 1, slideStart: 1, slideEnd: 3, children: [] },
+        {
+            title: 'Deadlock',
+            level: 1,
+            slideStart: 4,
+            slideEnd: 4,
+            children: [{ title: 'Conditions', level: 2, slideStart: 4, slideEnd: 4, children: [] }]
+        }
+    ]);
+    assert.deepEqual(buildOutline([]), []);
+});
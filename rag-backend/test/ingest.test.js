@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+// The route takes these from the service when it loads, so stub them first
+const ingestion = require('../src/services/ingestion');
+let runIngestion;
+ingestion.findDuplicate = async () => null;
+ingestion.ingestDocument = (payload, job) => runIngestion(payload, job);
+
+const ingestRouter = require('../src/routes/ingest');
+const { errorHandler } = require('../src/middleware/errorHandler');
+
+const app = express();
+app.use('/ingest', ingestRouter);
+app.use(errorHandler);
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+    server.closeAllConnections();
+    server.close();
+});
+
+async function upload(text) {
+    const form = new FormData();
+    form.append('file', new Blob([text], { type: 'text/plain' }), 'notes.txt');
+
+    const response = await fetch(`${baseUrl}/ingest`, { method: 'POST', body: form });
+    return { status: response.status, body: await response.json() };
+}
+
+// Every event of a job's stream, until the server closes it
+async function readEvents(eventsUrl, onEvent = () => {}) {
+    const response = await fetch(`${baseUrl}${eventsUrl}`);
+    assert.equal(response.headers.get('content-type'), 'text/event-stream');
+
+    const events = [];
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    for await (const chunk of response.body) {
+        buffer += decoder.decode(chunk, { stream: true });
+
+        let boundary;
+        while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+            const [eventLine, dataLine] = buffer.slice(0, boundary).split('\n');
+            buffer = buffer.slice(boundary + 2);
+
+            const event = { event: eventLine.slice('event: '.length), data: JSON.parse(dataLine.slice('data: '.length)) };
+            events.push(event);
+            onEvent(event);
+        }
+    }
+
+    return events;
+}
+
+test('the events stream sends progress, then the completed job, and closes', async () => {
+    let finish;
+    runIngestion = async (payload, { reportProgress }) => {
+        await new Promise(resolve => { finish = resolve; });
+        reportProgress('embedding', 50);
+        return { documentId: 'doc-1', fileName: payload.fileName };
+    };
+
+    const { status, body } = await upload('Paging maps virtual pages to physical frames.');
+    assert.equal(status, 202);
+    assert.equal(body.data.format, 'text');
+
+    // Finish once the client has subscribed and received the current state
+    const received = await readEvents(body.data.eventsUrl, () => finish());
+    assert.deepEqual(received.map(item => item.event), ['progress', 'progress', 'completed']);
+    assert.equal(received[0].data.status, 'running');
+    assert.equal(received[1].data.stage, 'embedding');
+    assert.equal(received[1].data.progress, 50);
+    assert.deepEqual(received[2].data.result, { documentId: 'doc-1', fileName: 'notes.txt' });
+});
+
+test('a finished job streams its final state right away', async () => {
+    const error = Object.assign(new Error('Could not read TEXT file: bad encoding'), { statusCode: 422 });
+    runIngestion = async () => { throw error; };
+
+    const { body } = await upload('Thrashing happens when working sets do not fit.');
+    const jobId = body.data.jobId;
+
+    let job;
+    do {
+        await new Promise(resolve => setTimeout(resolve, 5));
+        job = (await (await fetch(`${baseUrl}/ingest/jobs/${jobId}`)).json()).data;
+    } while (job.status !== 'failed');
+
+    const received = await readEvents(body.data.eventsUrl);
+    assert.equal(received.length, 1);
+    assert.equal(received[0].event, 'failed');
+    assert.equal(received[0].data.error, 'Could not read TEXT file: bad encoding');
+    assert.equal(received[0].data.attempts, 1);
+});
+
+test('unknown and malformed job IDs are rejected', async () => {
+    const missing = await fetch(`${baseUrl}/ingest/jobs/00000000-0000-4000-8000-000000000000/events`);
+    assert.equal(missing.status, 404);
+
+    const malformed = await fetch(`${baseUrl}/ingest/jobs/not-a-job/events`);
+    assert.equal(malformed.status, 400);
+});
@@ -0,0 +1,185 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const v8 = require('v8');
+const vm = require('vm');
+
+const { JOB_STATUS, createJobQueue, isFinished } = require('../src/services/jobQueue');
+
+// Statuses a job goes through, resolved once it finishes
+function watchJob(queue, job) {
+    const statuses = [job.status];
+
+    const finished = new Promise((resolve) => {
+        const unsubscribe = queue.subscribe(job.id, (current) => {
+            if (current.status !== statuses[statuses.length - 1]) statuses.push(current.status);
+            if (isFinished(current)) {
+                unsubscribe();
+                resolve(current);
+            }
+        });
+    });
+
+    return { statuses, finished };
+}
+
+function failure(message, statusCode) {
+    return Object.assign(new Error(message), { statusCode });
+}
+
+test('a failed attempt is retried and the job completes', async () => {
+    const queue = createJobQueue({ name: 'Test', maxAttempts: 3, retryBaseDelayMs: 0 });
+    const attempts = [];
+
+    const job = queue.enqueue('ingest', { file: 'notes.txt' }, async (payload, { reportProgress, context, attempt }) => {
+        attempts.push({ attempt, extracted: context.extracted });
+        context.extracted = true;
+        reportProgress('embedding', 150);
+
+        if (attempt === 1) throw new Error('Embedding service unavailable');
+        return { file: payload.file };
+    });
+    const { statuses, finished } = watchJob(queue, job);
+
+    const done = await finished;
+
+    // A free slot starts the job inside enqueue()
+    assert.deepEqual(statuses, [
+        JOB_STATUS.RUNNING,
+        JOB_STATUS.RETRYING,
+        JOB_STATUS.RUNNING,
+        JOB_STATUS.COMPLETED
+    ]);
+    // Context carries over, so the second attempt can skip finished stages
+    assert.deepEqual(attempts, [{ attempt: 1, extracted: undefined }, { attempt: 2, extracted: true }]);
+    assert.equal(done.attempts, 2);
+    assert.equal(done.progress, 100);
+    assert.equal(done.error, null);
+    assert.deepEqual(done.result, { file: 'notes.txt' });
+});
+
+test('progress is clamped to 0-100 and rounded', async () => {
+    const queue = createJobQueue({ name: 'Test', retryBaseDelayMs: 0 });
+    const progress = [];
+
+    const job = queue.enqueue('ingest', {}, async (payload, { reportProgress }) => {
+        // Let the test subscribe first
+        await new Promise(resolve => setImmediate(resolve));
+        reportProgress('chunking', -5);
+        reportProgress('embedding', 42.6);
+        reportProgress('storing', 180);
+        return {};
+    });
+    queue.subscribe(job.id, (current) => progress.push(current.progress));
+    await watchJob(queue, job).finished;
+
+    assert.deepEqual(progress.slice(0, 3), [0, 43, 100]);
+});
+
+test('a client error fails the job without a retry', async () => {
+    const queue = createJobQueue({ name: 'Test', maxAttempts: 3, retryBaseDelayMs: 0 });
+    let calls = 0;
+
+    const job = queue.enqueue('ingest', {}, async () => {
+        calls++;
+        throw failure('Could not read PDF file: Invalid PDF structure', 422);
+    });
+    const { statuses, finished } = watchJob(queue, job);
+
+    const done = await finished;
+
+    assert.equal(calls, 1);
+    assert.deepEqual(statuses, [JOB_STATUS.RUNNING, JOB_STATUS.FAILED]);
+    assert.equal(done.error, 'Could not read PDF file: Invalid PDF structure');
+});
+
+test('the job fails once maxAttempts are used up', async () => {
+    const queue = createJobQueue({ name: 'Test', maxAttempts: 2, retryBaseDelayMs: 0 });
+    let calls = 0;
+
+    const job = queue.enqueue('ingest', {}, async () => {
+        calls++;
+        throw failure(`Worker exited unexpectedly (attempt ${calls})`, 500);
+    });
+    const { statuses, finished } = watchJob(queue, job);
+
+    const done = await finished;
+
+    assert.equal(calls, 2);
+    assert.deepEqual(statuses, [
+        JOB_STATUS.RUNNING,
+        JOB_STATUS.RETRYING,
+        JOB_STATUS.RUNNING,
+        JOB_STATUS.FAILED
+    ]);
+    assert.equal(done.attempts, 2);
+    assert.equal(done.maxAttempts, 2);
+    assert.equal(done.error, 'Worker exited unexpectedly (attempt 2)');
+    assert.equal(done.nextRetryAt, null);
+});
+
+test('a job waits in the queue while all slots are busy', async () => {
+    const queue = createJobQueue({ name: 'Test', concurrency: 1, retryBaseDelayMs: 0 });
+    let release;
+
+    const first = queue.enqueue('ingest', {}, () => new Promise(resolve => { release = resolve; }));
+    const second = queue.enqueue('ingest', {}, async () => ({}));
+    const { statuses, finished } = watchJob(queue, second);
+
+    assert.equal(first.status, JOB_STATUS.RUNNING);
+    assert.equal(second.status, JOB_STATUS.QUEUED);
+
+    release({});
+    await finished;
+    assert.deepEqual(statuses, [JOB_STATUS.QUEUED, JOB_STATUS.RUNNING, JOB_STATUS.COMPLETED]);
+});
+
+test('jobs run no more than concurrency at a time', async () => {
+    const queue = createJobQueue({ name: 'Test', concurrency: 2, retryBaseDelayMs: 0 });
+    let active = 0;
+    let maxActive = 0;
+
+    const task = async () => {
+        active++;
+        maxActive = Math.max(maxActive, active);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        active--;
+        return {};
+    };
+    const jobs = [1, 2, 3, 4].map(() => queue.enqueue('ingest', {}, task));
+
+    await Promise.all(jobs.map(job => watchJob(queue, job).finished));
+
+    assert.equal(maxActive, 2);
+});
+
+test('the payload is released when a job finishes', async () => {
+    v8.setFlagsFromString('--expose-gc');
+    const gc = vm.runInNewContext('gc');
+
+    const queue = createJobQueue({ name: 'Test', retryBaseDelayMs: 0 });
+    let payloadRef;
+
+    const job = (() => {
+        const payload = { buffer: Buffer.alloc(1024) };
+        payloadRef = new WeakRef(payload);
+        return queue.enqueue('ingest', payload, async () => ({}));
+    })();
+    await watchJob(queue, job).finished;
+
+    // The finished job is still queryable, but no longer holds the upload
+    await new Promise(resolve => setImmediate(resolve));
+    gc();
+    assert.equal(payloadRef.deref(), undefined);
+    assert.equal(queue.getJob(job.id).status, JOB_STATUS.COMPLETED);
+});
+
+test('finished jobs expire after jobTtlMs', async () => {
+    const queue = createJobQueue({ name: 'Test', retryBaseDelayMs: 0, jobTtlMs: 10 });
+
+    const job = queue.enqueue('ingest', {}, async () => ({}));
+    await watchJob(queue, job).finished;
+    assert.equal(queue.getJob(job.id).status, JOB_STATUS.COMPLETED);
+
+    await new Promise(resolve => setTimeout(resolve, 30));
+    assert.equal(queue.getJob(job.id), null);
+});
@@ -0,0 +1,41 @@
+process.env.VECTOR_STORE = 'local';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const documentStore = require('../src/db/documentStore');
+
+test('documents round-trip through the local document store', async () => {
+    const collection = await documentStore.createCollection('Operating Systems');
+    const first = await documentStore.createDocument('paging.pdf', {
+        tags: ['memory'],
+        collectionId: collection.id,
+        contentHash: 'hash-1'
+    });
+    const second = await documentStore.createDocument('scheduling.md', { format: 'markdown', tags: ['cpu'] });
+
+    assert.equal((await documentStore.getDocument(first.id)).title, 'paging.pdf');
+    assert.equal(await documentStore.getDocument('missing'), null);
+    assert.deepEqual((await documentStore.findDocumentsByHash('hash-1')).map(doc => doc.id), [first.id]);
+
+    const { documents, total } = await documentStore.listDocuments({ filters: { tags: ['memory', 'disk'] } });
+    assert.equal(total, 1);
+    assert.equal(documents[0].id, first.id);
+
+    const page = await documentStore.listDocuments({ limit: 1, offset: 1 });
+    assert.equal(page.total, 2);
+    assert.equal(page.documents.length, 1);
+
+    const updated = await documentStore.updateDocument(second.id, { title: 'cpu.md', collectionId: collection.id });
+    assert.equal(updated.title, 'cpu.md');
+    assert.equal((await documentStore.listCollections())[0].document_count, 2);
+
+    assert.equal((await documentStore.getCollection(collection.id)).name, 'Operating Systems');
+    assert.equal(await documentStore.deleteCollection(collection.id), true);
+    assert.equal(await documentStore.getCollection(collection.id), null);
+    assert.equal((await documentStore.getDocument(first.id)).collection_id, null);
+
+    assert.equal(await documentStore.deleteDocument(first.id), true);
+    assert.equal(await documentStore.deleteDocument(first.id), false);
+    assert.equal((await documentStore.listDocuments()).total, 1);
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const config = require('../src/config');
+const {
+    getAnswerKey,
+    getCachedAnswer,
+    getAnswerGeneration,
+    setCachedAnswer,
+    invalidateAnswers
+} = require('../src/services/queryCache');
+
+const primary = config.llm.providers[0].name;
+const chunks = [{ id: 'chunk-1' }, { id: 'chunk-2' }];
+const result = { answer: 'A B-tree is a balanced search tree [1].', usage: { total_tokens: 42 } };
+
+test('answers are keyed on the normalized question and chunks', () => {
+    const key = getAnswerKey('What is a B-tree?', chunks, [], 'rag-answer@v2');
+
+    setCachedAnswer(key, result, { generation: getAnswerGeneration(), provider: primary });
+
+    assert.deepEqual(getCachedAnswer(getAnswerKey('what is a b-tree', chunks, [], 'rag-answer@v2')), result);
+    assert.equal(getCachedAnswer(getAnswerKey('What is a B-tree?', [chunks[1]], [], 'rag-answer@v2')), undefined);
+    assert.equal(getAnswerKey('What is a B-tree?', chunks, [{ role: 'user', content: 'Hi' }], 'rag-answer@v2'), null);
+});
+
+test('an answer built before an invalidation is not stored', () => {
+    const key = getAnswerKey('What is paging?', chunks, [], 'rag-answer@v2');
+    const generation = getAnswerGeneration();
+
+    // A document changes while the answer is being generated
+    invalidateAnswers('document updated');
+    setCachedAnswer(key, result, { generation, provider: primary });
+
+    assert.equal(getCachedAnswer(key), undefined);
+});
+
+test('answers from a fallback provider are not stored', () => {
+    const key = getAnswerKey('What is a TLB?', chunks, [], 'rag-answer@v2');
+
+    setCachedAnswer(key, result, { generation: getAnswerGeneration(), provider: 'local-fallback' });
+
+    assert.equal(getCachedAnswer(key), undefined);
+});
@@ -0,0 +1,181 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const db = require('../src/db/supabase');
+const llmClient = require('../src/services/llmClient');
+const { QUESTION_TYPES, validateQuestions, gradeAttempt } = require('../src/services/quizzes');
+
+const ALL_TYPES = Object.values(QUESTION_TYPES);
+
+const multipleChoice = {
+    type: 'multiple_choice',
+    question: 'Which structure maps pages to frames?',
+    options: ['Page table', 'Stack', 'Heap'],
+    answer: 0,
+    chunk: 1
+};
+const trueFalse = { type: 'true_false', question: 'A TLB caches translations.', answer: true, chunk: 1 };
+const shortAnswer = {
+    type: 'short_answer',
+    question: 'Why does thrashing happen?',
+    answer: ' Too little memory for the working sets. ',
+    rubric: [' Names working sets ', 'Mentions page faults'],
+    explanation: ' Pages are evicted as soon as they load. ',
+    chunk: 2
+};
+
+test('validateQuestions keeps each valid type and normalizes it', () => {
+    const { value, errors } = validateQuestions({ questions: [multipleChoice, trueFalse, shortAnswer] }, 3, ALL_TYPES, 2);
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(value.map(question => question.type), ALL_TYPES);
+    assert.deepEqual(value[0].options, ['Page table', 'Stack', 'Heap']);
+    assert.equal(value[0].rubric, null);
+    assert.equal(value[1].options, null);
+    assert.equal(value[1].answer, true);
+    assert.equal(value[2].answer, 'Too little memory for the working sets.');
+    assert.deepEqual(value[2].rubric, ['Names working sets', 'Mentions page faults']);
+    assert.equal(value[2].explanation, 'Pages are evicted as soon as they load.');
+    assert.equal(value[0].explanation, null);
+});
+
+test('validateQuestions reports the problem with each bad question', () => {
+    const { value, errors } = validateQuestions({
+        questions: [
+            trueFalse,
+            { ...multipleChoice, options: ['Page table', 'Stack'] },
+            { ...multipleChoice, options: ['Page table', 'page table', 'Heap'] },
+            { ...multipleChoice, answer: 3 },
+            { ...trueFalse, question: 'Another statement.', answer: 'true' },
+            { ...shortAnswer, rubric: [] },
+            { ...shortAnswer, chunk: 3 },
+            { ...trueFalse, question: ' a tlb caches translations. ' }
+        ]
+    }, 2, ALL_TYPES, 2);
+
+    assert.equal(value.length, 1);
+    assert.deepEqual(errors, [
+        'questions[1].options must be 3-5 non-empty strings',
+        'questions[2].options must all be different',
+        'questions[3].answer must be the 0-based index of the correct option (0-2)',
+        'questions[4].answer must be true or false',
+        'questions[5].rubric must be 1-5 non-empty strings',
+        'questions[6].chunk must be the number of a context chunk (1-2)',
+        'questions[7] repeats an earlier question',
+        'Expected 2 valid questions, got 1'
+    ]);
+});
+
+test('validateQuestions only accepts the requested types', () => {
+    const { value, errors } = validateQuestions({ questions: [shortAnswer] }, 1, ['true_false'], 2);
+
+    assert.equal(value, null);
+    assert.deepEqual(errors, ['questions[0].type must be one of: true_false', 'Expected 1 valid questions, got 0']);
+    assert.deepEqual(validateQuestions({}, 1, ALL_TYPES, 1), { value: null, errors: ['"questions" must be an array'] });
+});
+
+/**
+ * Store attempts in memory instead of Supabase
+ */
+function fakeAttemptTables() {
+    const inserted = {};
+
+    db.supabase.from = (table) => {
+        const builder = {
+            insert: (rows) => {
+                inserted[table] = rows;
+                return builder;
+            },
+            select: () => builder,
+            single: () => builder,
+            then: (resolve) => resolve({
+                data: table === 'quiz_attempts'
+                    ? { id: 'attempt-1', ...inserted[table] }
+                    : inserted[table].map((row, i) => ({ id: `answer-${i}`, ...row })),
+                error: null
+            })
+        };
+        return builder;
+    };
+
+    return inserted;
+}
+
+const quiz = { id: 'quiz-1' };
+const storedQuestions = [
+    { id: 'q1', type: 'multiple_choice', question: multipleChoice.question, options: multipleChoice.options, correct_answer: 0 },
+    { id: 'q2', type: 'true_false', question: trueFalse.question, correct_answer: true },
+    { id: 'q3', type: 'short_answer', question: shortAnswer.question, correct_answer: 'Too little memory.', rubric: ['Names working sets'] },
+    { id: 'q4', type: 'true_false', question: 'Paging avoids external fragmentation.', correct_answer: true }
+];
+
+test('gradeAttempt scores choices locally and short answers with the LLM', async () => {
+    const inserted = fakeAttemptTables();
+    const requests = [];
+
+    llmClient.complete = async (request) => {
+        requests.push(request);
+        return {
+            content: JSON.stringify({ grades: [{ item: 1, score: 0.667, feedback: ' Mentions working sets. ' }] }),
+            usage: { promptTokens: 10, completionTokens: 5, totalTokens: 15 },
+            provider: 'test',
+            model: 'test-model'
+        };
+    };
+
+    const result = await gradeAttempt(quiz, storedQuestions, [
+        { questionId: 'q1', response: 0 },
+        { questionId: 'q2', response: false },
+        { questionId: 'q3', response: '  The working sets do not fit. ' }
+    ]);
+
+    assert.equal(requests.length, 1);
+    const items = JSON.parse(requests[0].messages[1].content.match(/\[[\s\S]*\]/)[0]);
+    assert.deepEqual(items, [{
+        item: 1,
+        question: shortAnswer.question,
+        modelAnswer: 'Too little memory.',
+        rubric: ['Names working sets'],
+        studentAnswer: 'The working sets do not fit.'
+    }]);
+
+    assert.equal(inserted.quiz_attempts.score, 1.67);
+    assert.equal(inserted.quiz_attempts.max_score, 4);
+    assert.match(inserted.quiz_attempts.grading_prompt_version, /^quiz-grading@/);
+    assert.deepEqual(inserted.quiz_attempt_answers.map(answer => [answer.score, answer.correct]), [
+        [1, true],
+        [0, false],
+        [0.67, false],
+        [0, false]
+    ]);
+    assert.equal(inserted.quiz_attempt_answers[2].feedback, 'Mentions working sets.');
+    assert.equal(inserted.quiz_attempt_answers[3].feedback, 'Not answered.');
+    assert.equal(result.attempt.id, 'attempt-1');
+    assert.equal(result.usage.totalTokens, 15);
+});
+
+test('gradeAttempt skips the LLM when no short answer was given', async () => {
+    const inserted = fakeAttemptTables();
+    llmClient.complete = async () => assert.fail('short answers should not be graded');
+
+    await gradeAttempt(quiz, storedQuestions, [
+        { questionId: 'q2', response: true },
+        { questionId: 'q3', response: '   ' }
+    ]);
+
+    assert.equal(inserted.quiz_attempts.score, 1);
+    assert.equal(inserted.quiz_attempts.grading_prompt_version, null);
+});
+
+test('gradeAttempt rejects answers that do not fit the quiz', async () => {
+    fakeAttemptTables();
+
+    await assert.rejects(gradeAttempt(quiz, storedQuestions, [{ questionId: 'other', response: 0 }]),
+        { statusCode: 400, message: 'Question other is not part of this quiz' });
+    await assert.rejects(gradeAttempt(quiz, storedQuestions, [
+        { questionId: 'q2', response: true },
+        { questionId: 'q2', response: false }
+    ]), /answered more than once/);
+    await assert.rejects(gradeAttempt(quiz, storedQuestions, [{ questionId: 'q1', response: 3 }]),
+        /expected the 0-based index of an option/);
+});
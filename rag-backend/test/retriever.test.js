@@ -0,0 +1,147 @@
+process.env.VECTOR_STORE = 'local';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const vectorStore = require('../src/db/vectorStore');
+const { fuseResults, retrieve, attachParentSections } = require('../src/services/retriever');
+
+/**
+ * Store a document whose chunks are overlapping windows of text, like chunkText makes
+ */
+async function storeDocument(id, text, windows) {
+    const chunks = windows.map(([startChar, endChar, headingPath]) => ({
+        content: text.slice(startChar, endChar),
+        embedding: [1, 0],
+        embeddingModel: 'test-model',
+        metadata: { startChar, endChar, headingPath }
+    }));
+
+    await vectorStore.insertChunks({ id, title: `${id}.md` }, chunks);
+    return vectorStore.getDocumentChunks(id);
+}
+
+test('attachParentSections rebuilds sections without repeating chunk overlaps', async () => {
+    const text = 'Paging splits memory into pages. Pages map to frames. Frames hold pages in RAM.';
+    const [first, second, third] = await storeDocument('doc-overlap', text, [
+        [0, 32, ['Memory']],
+        [22, 54, ['Memory']],
+        [44, text.length, ['Memory']]
+    ]);
+
+    const [widened] = await attachParentSections([second], { maxChars: 1000 });
+
+    assert.equal(widened.parentSection.content, text);
+    assert.equal(widened.parentSection.chunkCount, 3);
+    assert.equal(widened.parentSection.truncated, false);
+    assert.ok(first && third);
+});
+
+test('attachParentSections drops hits already inside a widened section', async () => {
+    const text = 'Round robin gives each process a time slice. Priority scheduling picks the most urgent. '
+        + 'Deadlock needs four conditions.';
+    const [robin, priority, deadlock] = await storeDocument('doc-covered', text, [
+        [0, 44, ['Scheduling']],
+        [45, 87, ['Scheduling', 'Priorities']],
+        [88, text.length, ['Deadlock']]
+    ]);
+    // Chunks that don't overlap are separated by a blank line
+    const scheduling = `${robin.content}\n\n${priority.content}`;
+
+    // priority is alone in its subsection, so it stays as it is until robin widens to all of Scheduling
+    const result = await attachParentSections([priority, deadlock, robin], { maxChars: 1000 });
+
+    assert.deepEqual(result.map(chunk => chunk.id), [deadlock.id, robin.id]);
+    assert.equal(result[1].parentSection.content, scheduling);
+
+    const withParentFirst = await attachParentSections([robin, priority], { maxChars: 1000 });
+    assert.deepEqual(withParentFirst.map(chunk => chunk.id), [robin.id]);
+    assert.equal(withParentFirst[0].parentSection.content, scheduling);
+});
+
+test('attachParentSections keeps hits outside the cut part of a long section', async () => {
+    const text = 'A'.repeat(40) + ' ' + 'B'.repeat(40) + ' ' + 'C'.repeat(40);
+    const [a, , c] = await storeDocument('doc-long', text, [
+        [0, 40, ['Long']],
+        [41, 81, ['Long']],
+        [82, text.length, ['Long']]
+    ]);
+
+    const result = await attachParentSections([a, c], { maxChars: 90 });
+
+    assert.deepEqual(result.map(chunk => chunk.id), [a.id, c.id]);
+    assert.equal(result[0].parentSection.truncated, true);
+    assert.equal(result[1].parentSection, undefined);
+});
+
+test('retrieve ignores the weights in single-source modes', async () => {
+    const text = 'Semaphores guard critical sections. Monitors wrap them in a language construct.';
+    await storeDocument('doc-modes', text, [[0, 35, ['Synchronization']], [36, text.length, ['Synchronization']]]);
+    const options = { filters: { documentIds: ['doc-modes'] }, embeddingModel: 'test-model' };
+
+    const keyword = await retrieve('semaphores', [1, 0], { ...options, mode: 'keyword', keywordWeight: 0 });
+    assert.equal(keyword.chunks.length, 1);
+    assert.equal(keyword.stats.keywordWeight, 1);
+    assert.equal(keyword.stats.vectorCandidates, 0);
+
+    const vector = await retrieve('semaphores', [1, 0], { ...options, mode: 'vector', vectorWeight: 0 });
+    assert.equal(vector.chunks.length, 2);
+    assert.equal(vector.stats.keywordCandidates, 0);
+
+    const hybrid = await retrieve('semaphores', [1, 0], { ...options, mode: 'hybrid', keywordWeight: 0 });
+    assert.equal(hybrid.stats.keywordCandidates, 0);
+    assert.equal(hybrid.stats.vectorCandidates, 2);
+});
+
+test('fuseResults sums weighted reciprocal ranks across retrievers', () => {
+    const vector = [{ id: 'a', similarity: 0.9 }, { id: 'b', similarity: 0.8 }];
+    const keyword = [{ id: 'b', rank: 3.2 }, { id: 'c', rank: 1.5 }];
+
+    const fused = fuseResults([
+        { name: 'vector', results: vector, weight: 1 },
+        { name: 'keyword', results: keyword, weight: 1 }
+    ], 60);
+
+    assert.deepEqual(fused.map(chunk => chunk.id), ['b', 'a', 'c']);
+    assert.equal(fused[0].fusedScore, 1 / 62 + 1 / 61);
+    assert.deepEqual(fused[0].retrievers, ['vector', 'keyword']);
+    assert.equal(fused[0].vectorRank, 2);
+    assert.equal(fused[0].keywordRank, 1);
+    assert.equal(fused[0].similarity, 0.8);
+    assert.equal(fused[0].keywordScore, 3.2);
+    assert.equal(fused[2].similarity, null);
+    assert.equal(fused[2].vectorRank, null);
+});
+
+test('fuseResults lets a heavier retriever win the top rank', () => {
+    const vector = [{ id: 'a' }, { id: 'b' }];
+    const keyword = [{ id: 'b' }, { id: 'a' }];
+
+    const byVector = fuseResults([
+        { name: 'vector', results: vector, weight: 2 },
+        { name: 'keyword', results: keyword, weight: 1 }
+    ], 60);
+    const byKeyword = fuseResults([
+        { name: 'vector', results: vector, weight: 1 },
+        { name: 'keyword', results: keyword, weight: 2 }
+    ], 60);
+
+    assert.equal(byVector[0].id, 'a');
+    assert.equal(byKeyword[0].id, 'b');
+});
+
+test('retrieve skips a hybrid leg weighted 0 and reports the weights used', async () => {
+    const text = 'Virtual memory pages are swapped to disk when physical memory runs out.';
+    await storeDocument('doc-weights', text, [[0, text.length, ['Memory']]]);
+    const options = { filters: { documentIds: ['doc-weights'] }, embeddingModel: 'test-model', mode: 'hybrid' };
+
+    const both = await retrieve('swapped pages', [1, 0], { ...options, vectorWeight: 1, keywordWeight: 0.5 });
+    assert.equal(both.chunks.length, 1);
+    assert.deepEqual(both.chunks[0].retrievers, ['vector', 'keyword']);
+    assert.equal(both.stats.keywordWeight, 0.5);
+    assert.equal(both.stats.overlap, 1);
+
+    const vectorOnly = await retrieve('swapped pages', [1, 0], { ...options, vectorWeight: 1, keywordWeight: 0 });
+    assert.deepEqual(vectorOnly.chunks[0].retrievers, ['vector']);
+    assert.equal(vectorOnly.stats.keywordWeight, 0);
+});
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { isValidQuality, scheduleReview } = require('../src/services/spacedRepetition');
+
+const now = new Date('2026-03-02T09:00:00.000Z');
+const daysLater = days => new Date(now.getTime() + days * 24 * 60 * 60 * 1000);
+
+test('scheduleReview follows the SM-2 intervals for correct answers', () => {
+    const first = scheduleReview({}, 4, now);
+    assert.deepEqual(first, { easeFactor: 2.5, intervalDays: 1, repetitions: 1, lapses: 0, dueAt: daysLater(1) });
+
+    const second = scheduleReview(first, 5, now);
+    assert.deepEqual(second, { easeFactor: 2.6, intervalDays: 6, repetitions: 2, lapses: 0, dueAt: daysLater(6) });
+
+    // The interval grows by the ease factor before this rating lowers it
+    const third = scheduleReview(second, 3, now);
+    assert.deepEqual(third, { easeFactor: 2.46, intervalDays: 16, repetitions: 3, lapses: 0, dueAt: daysLater(16) });
+});
+
+test('scheduleReview sends a forgotten card back to a 1-day interval', () => {
+    const learned = { easeFactor: 2.46, intervalDays: 16, repetitions: 3, lapses: 0 };
+
+    assert.deepEqual(scheduleReview(learned, 2, now), {
+        easeFactor: 2.14,
+        intervalDays: 1,
+        repetitions: 0,
+        lapses: 1,
+        dueAt: daysLater(1)
+    });
+
+    // A card that was never learned does not count as a lapse
+    assert.equal(scheduleReview({}, 1, now).lapses, 0);
+});
+
+test('scheduleReview keeps the ease factor at or above 1.3', () => {
+    assert.equal(scheduleReview({ easeFactor: 1.3, repetitions: 4, intervalDays: 10 }, 0, now).easeFactor, 1.3);
+    assert.equal(scheduleReview({ easeFactor: 1.3, repetitions: 4, intervalDays: 10 }, 3, now).intervalDays, 13);
+});
+
+test('scheduleReview reads numeric state stored as strings', () => {
+    const next = scheduleReview({ easeFactor: '2.5', intervalDays: '6', repetitions: '2', lapses: '1' }, 4, now);
+
+    assert.equal(next.intervalDays, 15);
+    assert.equal(next.repetitions, 3);
+    assert.equal(next.lapses, 1);
+});
+
+test('scheduleReview rejects ratings outside 0-5', () => {
+    for (const quality of [-1, 6, 2.5, '3', null]) {
+        assert.equal(isValidQuality(quality), false);
+        assert.throws(() => scheduleReview({}, quality, now), RangeError);
+    }
+    assert.equal(isValidQuality(0), true);
+    assert.equal(isValidQuality(5), true);
+});
@@ -0,0 +1,192 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const db = require('../src/db/supabase');
+const llmClient = require('../src/services/llmClient');
+const config = require('../src/config');
+const {
+    selectChunks,
+    describeRange,
+    getRangeKey,
+    splitBatches,
+    streamSummary,
+    generateSummary
+} = require('../src/services/summaries');
+
+const chunk = (id, metadata) => ({ id, content: `Chunk ${id}`, metadata });
+
+const pdfChunks = [
+    chunk('a', { pageStart: 1, pageEnd: 1, headingPath: ['Chapter 3', 'Memory'] }),
+    chunk('b', { pageStart: 2, pageEnd: 4, headingPath: ['Chapter 3', 'Memory', 'Paging'] }),
+    chunk('c', { pageStart: 5, headingPath: ['Chapter 3', 'Memory', 'Paging', 'TLBs'] }),
+    chunk('d', { pageStart: 6, pageEnd: 6, headingPath: ['Chapter 4', 'Paging'] }),
+    chunk('e', {})
+];
+
+test('selectChunks keeps chunks whose page span overlaps the range', () => {
+    const ids = range => selectChunks(pdfChunks, range).map(item => item.id);
+
+    assert.deepEqual(ids({ pages: { start: 3, end: 5 } }), ['b', 'c']);
+    assert.deepEqual(ids({ pages: { start: 6, end: 6 } }), ['d']);
+    assert.deepEqual(ids({ pages: { start: 7, end: 9 } }), []);
+    assert.deepEqual(ids({}), ['a', 'b', 'c', 'd', 'e']);
+});
+
+test('selectChunks keeps chunks in a slide range', () => {
+    const slides = [
+        chunk('s1', { slideStart: 1, slideEnd: 1 }),
+        chunk('s2', { slideStart: 2, slideEnd: 3 }),
+        chunk('s4', { slideStart: 4 })
+    ];
+
+    assert.deepEqual(selectChunks(slides, { slides: { start: 3, end: 4 } }).map(item => item.id), ['s2', 's4']);
+    // Page ranges don't match slides
+    assert.deepEqual(selectChunks(slides, { pages: { start: 1, end: 4 } }), []);
+});
+
+test('selectChunks matches heading paths on consecutive levels, ignoring case', () => {
+    const ids = heading => selectChunks(pdfChunks, { heading }).map(item => item.id);
+
+    assert.deepEqual(ids(['Memory', 'Paging']), ['b', 'c']);
+    assert.deepEqual(ids([' memory ', 'PAGING']), ['b', 'c']);
+    assert.deepEqual(ids(['Paging']), ['b', 'c', 'd']);
+    // Levels must follow each other: Chapter 3 > Paging skips Memory
+    assert.deepEqual(ids(['Chapter 3', 'Paging']), []);
+    assert.deepEqual(ids(['Memory', 'Paging', 'TLBs', 'Misses']), []);
+});
+
+test('getRangeKey and describeRange name each kind of range', () => {
+    assert.equal(getRangeKey({}), 'all');
+    assert.equal(getRangeKey({ pages: { start: 3, end: 10 } }), 'pages:3-10');
+    assert.equal(getRangeKey({ slides: { start: 2, end: 2 } }), 'slides:2-2');
+    assert.equal(getRangeKey({ heading: [' Memory ', 'Paging'] }), 'heading:memory>paging');
+
+    assert.equal(describeRange({}), 'the whole document');
+    assert.equal(describeRange({ pages: { start: 3, end: 10 } }), 'pages 3-10');
+    assert.equal(describeRange({ slides: { start: 2, end: 2 } }), 'slide 2');
+    assert.equal(describeRange({ heading: ['Memory', 'Paging'] }), 'section "Memory > Paging"');
+});
+
+test('splitBatches fills batches up to the budget and isolates oversized items', () => {
+    const batches = splitBatches(['aaa', 'bb', 'cccccccc', 'd', 'ee'], 5, item => item.length);
+
+    assert.deepEqual(batches, [['aaa', 'bb'], ['cccccccc'], ['d', 'ee']]);
+    assert.deepEqual(splitBatches([], 5, item => item.length), []);
+});
+
+function summaryPlan(chunkCount, chunkChars) {
+    const chunks = Array.from({ length: chunkCount }, (_, i) => ({
+        id: `chunk-${i}`,
+        content: String(i).padEnd(chunkChars, '.'),
+        document_title: 'OS notes',
+        metadata: {}
+    }));
+
+    return {
+        document: { id: 'doc-1', title: 'OS notes' },
+        style: 'brief',
+        range: {},
+        chunks,
+        key: {
+            documentId: 'doc-1',
+            style: 'brief',
+            rangeKey: 'all',
+            sourceHash: 'hash',
+            promptVersion: 'summary-reduce@v1'
+        }
+    };
+}
+
+// LLM and database doubles; notes returns the map output for each call
+function fakeSummaryServices(notes) {
+    const calls = { map: 0, reduce: [] };
+
+    llmClient.complete = async () => {
+        calls.map++;
+        return { content: notes(calls.map), usage: { promptTokens: 10, completionTokens: 5, totalTokens: 15 } };
+    };
+    llmClient.stream = async function* (request) {
+        calls.reduce.push(request);
+        yield { type: 'token', content: 'Paging ' };
+        yield { type: 'token', content: 'maps pages.' };
+        yield { type: 'done', content: 'Paging maps pages.', usage: null, model: 'test-model' };
+    };
+
+    db.supabase.from = () => {
+        let row;
+        const builder = {
+            upsert: (values) => {
+                row = values;
+                return builder;
+            },
+            select: () => builder,
+            single: () => builder,
+            then: (resolve) => resolve({ data: { id: 'summary-1', ...row }, error: null })
+        };
+        return builder;
+    };
+
+    return calls;
+}
+
+test('a range that fits one batch skips the map step', async () => {
+    config.summary.batchChars = 1000;
+    const calls = fakeSummaryServices(() => assert.fail('no map calls expected'));
+
+    const events = [];
+    for await (const event of streamSummary(summaryPlan(3, 100))) {
+        events.push(event);
+    }
+
+    assert.equal(calls.map, 0);
+    assert.equal(calls.reduce.length, 1);
+    assert.deepEqual(events.filter(event => event.type === 'token').map(event => event.content), ['Paging ', 'maps pages.']);
+
+    const done = events[events.length - 1];
+    assert.equal(done.type, 'done');
+    assert.equal(done.mapCalls, 0);
+    assert.equal(done.summary.id, 'summary-1');
+    assert.equal(done.summary.summary, 'Paging maps pages.');
+    assert.equal(done.summary.chunk_count, 3);
+});
+
+test('notes are condensed again until they fit one reduce call', async () => {
+    config.summary.batchChars = 250;
+    config.summary.concurrency = 2;
+    // Each note is short enough that the second round fits one batch
+    const calls = fakeSummaryServices(call => `Note ${call}`);
+
+    const progress = [];
+    for await (const event of streamSummary(summaryPlan(6, 100))) {
+        if (event.type === 'progress') progress.push(event);
+    }
+
+    // 6 chunks of 100 characters make 3 batches of 2; map calls run 2 at a time
+    assert.equal(calls.map, 3);
+    assert.deepEqual(progress.map(({ round, completed, total }) => [round, completed, total]), [[1, 2, 3], [1, 3, 3]]);
+    assert.match(calls.reduce[0].messages[1].content, /\[Part 3\]\nNote 3/);
+});
+
+test('map rounds stop at the limit even when notes do not shrink', async () => {
+    config.summary.batchChars = 150;
+    config.summary.concurrency = 3;
+    // Notes as long as the chunks: every round has as many batches as the last
+    const calls = fakeSummaryServices(() => 'x'.repeat(100));
+
+    const { mapCalls, summary } = await generateSummary(summaryPlan(4, 100));
+
+    assert.equal(mapCalls, 12);
+    assert.equal(calls.map, 12);
+    assert.equal(calls.reduce.length, 1);
+    assert.equal(summary.summary, 'Paging maps pages.');
+});
+
+test('an empty reduce output is rejected', async () => {
+    config.summary.batchChars = 1000;
+    fakeSummaryServices(() => '');
+    llmClient.stream = async function* () {
+        yield { type: 'done', content: '  ', usage: null, model: 'test-model' };
+    };
+
+    await assert.rejects(generateSummary(summaryPlan(1, 10)), { statusCode: 502 });
+});
@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const config = require('../src/config');
+const db = require('../src/db/supabase');
+
+config.supabase.retryBaseDelayMs = 1;
+config.supabase.maxRetries = 2;
+config.supabase.insertBatchSize = 2;
+
+/**
+ * Replace the client's table access with a fake that answers each request
+ * from `respond` and records what was sent
+ */
+function fakeTables(respond) {
+    const calls = [];
+
+    db.supabase.from = (table) => {
+        const call = { table, ops: [] };
+        const builder = {
+            then: (resolve, reject) => {
+                calls.push(call);
+                return Promise.resolve(respond(call, calls)).then(resolve, reject);
+            }
+        };
+        for (const op of ['upsert', 'insert', 'select', 'single', 'delete', 'in', 'eq', 'order', 'range']) {
+            builder[op] = (...args) => {
+                call.ops.push({ op, args });
+                return builder;
+            };
+        }
+        return builder;
+    };
+
+    return calls;
+}
+
+const opOf = (call, name) => call.ops.find(op => op.op === name);
+const timeout = { data: null, error: { message: 'canceling statement due to statement timeout', code: '57014' }, status: 500 };
+const chunk = content => ({ content, embedding: [0.1, 0.2], embeddingModel: 'test-model' });
+
+test('createDocument retries with the same client-generated ID', async () => {
+    const calls = fakeTables((call, all) => (all.length === 1
+        ? timeout
+        : { data: opOf(call, 'upsert').args[0], error: null, status: 201 }));
+
+    const document = await db.createDocument('notes.pdf', { tags: ['os'] });
+
+    assert.equal(calls.length, 2);
+    const [first, second] = calls.map(call => opOf(call, 'upsert'));
+    assert.equal(first.args[0].id, second.args[0].id);
+    assert.deepEqual(first.args[1], { onConflict: 'id' });
+    assert.equal(document.id, first.args[0].id);
+    assert.deepEqual(document.tags, ['os']);
+});
+
+test('createDocument does not retry constraint violations', async () => {
+    const calls = fakeTables(() => ({
+        data: null,
+        error: { message: 'violates foreign key constraint', code: '23503' },
+        status: 409
+    }));
+
+    await assert.rejects(db.createDocument('notes.pdf', { collectionId: 'missing' }), /Database error/);
+    assert.equal(calls.length, 1);
+});
+
+test('insertChunks retries a batch without duplicating rows', async () => {
+    const calls = fakeTables((call, all) => (all.length === 2 ? timeout : { data: null, error: null, status: 201 }));
+
+    const rows = await db.insertChunks({ id: 'doc-1' }, [chunk('a'), chunk('b'), chunk('c')]);
+
+    const upserts = calls.map(call => opOf(call, 'upsert'));
+    assert.equal(upserts.length, 3);
+    assert.deepEqual(upserts[1].args[0].map(row => row.id), upserts[2].args[0].map(row => row.id));
+    assert.deepEqual(upserts[2].args[1], { onConflict: 'id', ignoreDuplicates: true });
+    assert.equal(new Set(rows.map(row => row.id)).size, 3);
+    assert.deepEqual(rows.map(row => row.metadata.chunkIndex), [0, 1, 2]);
+});
+
+test('insertChunks deletes every attempted batch when a batch keeps failing', async () => {
+    const calls = fakeTables((call) => {
+        if (opOf(call, 'delete')) return { data: null, error: null, status: 204 };
+        const batch = opOf(call, 'upsert').args[0];
+        return batch[0].content === 'c' ? timeout : { data: null, error: null, status: 201 };
+    });
+
+    await assert.rejects(
+        db.insertChunks({ id: 'doc-1' }, [chunk('a'), chunk('b'), chunk('c')]),
+        /Failed to insert chunks/
+    );
+
+    const written = calls
+        .filter(call => opOf(call, 'upsert'))
+        .flatMap(call => opOf(call, 'upsert').args[0].map(row => row.id));
+    const deleted = calls
+        .filter(call => opOf(call, 'delete'))
+        .flatMap(call => opOf(call, 'in').args[1]);
+
+    // The failing batch timed out and may have been written, so it is deleted too
+    assert.deepEqual(new Set(deleted), new Set(written));
+    assert.equal(deleted.length, 3);
+});
+
+test('getDocumentChunks pages past the 1,000-row response limit', async () => {
+    const calls = fakeTables((call) => {
+        const [from] = opOf(call, 'range').args;
+        const count = from === 0 ? 1000 : 5;
+        return {
+            data: Array.from({ length: count }, (_, i) => ({ id: `chunk-${from + i}`, metadata: { chunkIndex: from + i } })),
+            error: null,
+            status: 200
+        };
+    });
+
+    const chunks = await db.getDocumentChunks('doc-1');
+
+    assert.equal(chunks.length, 1005);
+    assert.equal(chunks[1004].id, 'chunk-1004');
+    assert.deepEqual(calls.map(call => opOf(call, 'range').args), [[0, 999], [1000, 1999]]);
+});
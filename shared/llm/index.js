@@ -0,0 +1,462 @@
+/**
+ * LLM Provider Layer
+ * Chat completions shared by rag-backend and calendar-agent, over Groq and
+ * any OpenAI-compatible server (llama.cpp, Ollama, vLLM, LM Studio).
+ *
+ * - Providers are tried in order: when one keeps failing, the next one
+ *   answers the call. A call cancelled by the caller is never retried.
+ * - Transient errors (network errors, timeouts, 408, 429 and 5xx) are
+ *   retried with exponential backoff and full jitter.
+ * - Every attempt has a timeout. For streams it limits the wait for each
+ *   chunk, so long answers are not cut off.
+ * - Each agent (answer, summary, studyPlan, ...) can use its own model per
+ *   provider.
+ *
+ * Talks to the OpenAI chat completions HTTP API with the global fetch, so it
+ * has no npm dependencies and both services can require it by path.
+ *
+ * TODO: Skip a provider for a while after repeated failures (circuit breaker)
+ */
+
+const { setTimeout: delay } = require('timers/promises');
+
+const DEFAULT_TIMEOUT_MS = 30000;
+const DEFAULT_MAX_RETRIES = 2;
+const DEFAULT_RETRY_DELAY_MS = 500;
+
+// Longest backoff, including a server's Retry-After
+const MAX_RETRY_DELAY_MS = 10000;
+
+/**
+ * Settings for known provider names
+ * Groq reports stream usage in x_groq instead of honouring stream_options.
+ */
+const PROVIDER_DEFAULTS = {
+    groq: {
+        baseUrl: 'https://api.groq.com/openai/v1',
+        streamUsage: false
+    }
+};
+
+/**
+ * Error from an LLM provider
+ * retryable is set for failures that may succeed when tried again.
+ */
+class LlmError extends Error {
+    constructor(message, { provider, model, status, retryable = false, retryAfterMs } = {}) {
+        super(message);
+        this.name = 'LlmError';
+        this.provider = provider;
+        this.model = model;
+        this.status = status;
+        this.retryable = retryable;
+        this.retryAfterMs = retryAfterMs;
+    }
+}
+
+/**
+ * Read the provider list from environment variables
+ *
+ * LLM_PROVIDERS is the fallback order (default: groq,local). For each
+ * provider NAME:
+ *   NAME_BASE_URL        OpenAI-compatible API root (optional for groq)
+ *   NAME_API_KEY         Bearer token (optional for local servers)
+ *   NAME_MODEL           Model for every agent
+ *   NAME_MODEL_<AGENT>   Model for one agent, e.g. GROQ_MODEL_STUDY_PLAN
+ * Providers without a base URL or model are left out.
+ *
+ * @param {Object} env - process.env
+ * @param {Object} options - Service defaults
+ * @param {string[]} options.agents - Agent names (camelCase)
+ * @param {Object<string, string>} options.defaultModels - Default model per provider name
+ * @returns {Array<{name: string, baseUrl: string, apiKey: string, streamUsage: boolean, models: Object}>}
+ */
+function readProvidersFromEnv(env, { agents = [], defaultModels = {} } = {}) {
+    const names = (env.LLM_PROVIDERS || 'groq,local')
+        .split(',')
+        .map(name => name.trim().toLowerCase())
+        .filter(Boolean);
+
+    return names
+        .map(name => {
+            const prefix = name.toUpperCase().replace(/[^A-Z0-9]/g, '_');
+            const defaults = PROVIDER_DEFAULTS[name] || {};
+            const models = { default: env[`${prefix}_MODEL`] || defaultModels[name] };
+
+            for (const agent of agents) {
+                const agentKey = agent.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase();
+                models[agent] = env[`${prefix}_MODEL_${agentKey}`] || models.default;
+            }
+
+            return {
+                name,
+                baseUrl: (env[`${prefix}_BASE_URL`] || defaults.baseUrl || '').replace(/\/+$/, ''),
+                apiKey: env[`${prefix}_API_KEY`] || null,
+                streamUsage: defaults.streamUsage ?? true,
+                models
+            };
+        })
+        .filter(provider => provider.baseUrl && provider.models.default);
+}
+
+/**
+ * Abort signal for one attempt: fires on the caller's signal or after timeoutMs
+ * reset() restarts the timer (streams call it for every chunk).
+ */
+function createDeadline(callerSignal, timeoutMs) {
+    const controller = new AbortController();
+    let timer = null;
+
+    const deadline = {
+        signal: controller.signal,
+        timedOut: false,
+
+        reset() {
+            clearTimeout(timer);
+            timer = setTimeout(() => {
+                deadline.timedOut = true;
+                controller.abort();
+            }, timeoutMs);
+        },
+
+        clear() {
+            clearTimeout(timer);
+            callerSignal?.removeEventListener('abort', onCallerAbort);
+        }
+    };
+
+    const onCallerAbort = () => controller.abort(callerSignal.reason);
+
+    if (callerSignal?.aborted) {
+        controller.abort(callerSignal.reason);
+    } else {
+        callerSignal?.addEventListener('abort', onCallerAbort, { once: true });
+    }
+
+    deadline.reset();
+    return deadline;
+}
+
+/**
+ * Wait between retries; rejects with the abort reason as soon as the caller cancels
+ * (timers/promises removes its abort listener once the timer fires)
+ */
+async function sleep(ms, signal) {
+    try {
+        await delay(ms, undefined, { signal });
+    } catch (error) {
+        throw signal?.aborted ? signal.reason : error;
+    }
+}
+
+function isRetryableStatus(status) {
+    return status === 408 || status === 429 || status >= 500;
+}
+
+/**
+ * Pull the message out of an OpenAI-style error body
+ */
+function describeErrorBody(text) {
+    try {
+        const body = JSON.parse(text);
+        return body.error?.message || body.message || text;
+    } catch {
+        return text || 'no response body';
+    }
+}
+
+/**
+ * POST a chat completion request, throwing LlmError for non-2xx responses
+ */
+async function postChatCompletion(provider, body, signal) {
+    let response;
+
+    try {
+        response = await fetch(`${provider.baseUrl}/chat/completions`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...(provider.apiKey && { Authorization: `Bearer ${provider.apiKey}` })
+            },
+            body: JSON.stringify(body),
+            signal
+        });
+    } catch (error) {
+        if (signal.aborted) throw error;
+
+        // fetch rejects with TypeError('fetch failed') for DNS, connection and TLS errors
+        throw new LlmError(`${provider.name} unreachable: ${error.cause?.message || error.message}`, {
+            provider: provider.name,
+            model: body.model,
+            retryable: true
+        });
+    }
+
+    if (!response.ok) {
+        const text = await response.text().catch(() => '');
+        const retryAfter = parseFloat(response.headers.get('retry-after'));
+
+        throw new LlmError(`${provider.name} returned ${response.status}: ${describeErrorBody(text)}`, {
+            provider: provider.name,
+            model: body.model,
+            status: response.status,
+            retryable: isRetryableStatus(response.status),
+            retryAfterMs: Number.isFinite(retryAfter) ? retryAfter * 1000 : undefined
+        });
+    }
+
+    return response;
+}
+
+/**
+ * Parse a server-sent event stream of chat completion chunks
+ */
+async function* readEvents(body) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    for await (const bytes of body) {
+        buffer += decoder.decode(bytes, { stream: true });
+
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+
+        for (const line of lines) {
+            if (!line.startsWith('data:')) continue;
+
+            const data = line.slice(5).trim();
+            if (data === '[DONE]') return;
+            if (data) yield JSON.parse(data);
+        }
+    }
+}
+
+/**
+ * Token usage in the shape the services report
+ */
+function normalizeUsage(usage) {
+    return usage
+        ? {
+            promptTokens: usage.prompt_tokens,
+            completionTokens: usage.completion_tokens,
+            totalTokens: usage.total_tokens
+        }
+        : null;
+}
+
+/**
+ * Request body for a chat completion
+ */
+function buildBody(provider, model, { messages, temperature, maxTokens, responseFormat }, stream) {
+    return {
+        model,
+        messages,
+        ...(temperature !== undefined && { temperature }),
+        ...(maxTokens !== undefined && { max_tokens: maxTokens }),
+        ...(responseFormat && { response_format: responseFormat }),
+        ...(stream && { stream: true }),
+        ...(stream && provider.streamUsage && { stream_options: { include_usage: true } })
+    };
+}
+
+/**
+ * Create a client over an ordered list of providers
+ *
+ * @param {Object} options - Client settings
+ * @param {Array} options.providers - From readProvidersFromEnv, in fallback order
+ * @param {number} options.timeoutMs - Per-attempt timeout (per chunk for streams)
+ * @param {number} options.maxRetries - Retries per provider for transient errors
+ * @param {number} options.retryBaseDelayMs - First backoff delay, doubled per retry
+ * @param {Object} options.logger - Service logger
+ * @returns {{complete: function, stream: function, describe: function}}
+ */
+function createLlmClient({
+    providers,
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+    maxRetries = DEFAULT_MAX_RETRIES,
+    retryBaseDelayMs = DEFAULT_RETRY_DELAY_MS,
+    logger = console
+}) {
+    if (!providers || providers.length === 0) {
+        throw new Error('No LLM provider configured. Set GROQ_API_KEY or LOCAL_BASE_URL and LOCAL_MODEL (see LLM_PROVIDERS).');
+    }
+
+    const modelFor = (provider, agent) => provider.models[agent] || provider.models.default;
+
+    /**
+     * Run one provider's attempts, retrying transient failures
+     * operation(provider, model, deadline) must clear the deadline once done with it.
+     */
+    async function withRetries(provider, model, callerSignal, operation) {
+        for (let attempt = 1; ; attempt++) {
+            const deadline = createDeadline(callerSignal, timeoutMs);
+
+            try {
+                return await operation(provider, model, deadline);
+            } catch (error) {
+                deadline.clear();
+
+                if (callerSignal?.aborted) throw error;
+
+                const failure = deadline.timedOut
+                    ? new LlmError(`${provider.name} timed out after ${timeoutMs}ms`, { provider: provider.name, model, retryable: true })
+                    : error;
+
+                if (!failure.retryable || attempt > maxRetries) throw failure;
+
+                // Full jitter: spread retries from many requests over the backoff window
+                const backoff = Math.min(MAX_RETRY_DELAY_MS, retryBaseDelayMs * 2 ** (attempt - 1));
+                const delayMs = Math.min(MAX_RETRY_DELAY_MS, Math.max(failure.retryAfterMs || 0, Math.random() * backoff));
+
+                logger.warn('LLM call failed, retrying', {
+                    provider: provider.name,
+                    model,
+                    attempt,
+                    delayMs: Math.round(delayMs),
+                    error: failure.message
+                });
+
+                await sleep(delayMs, callerSignal);
+            }
+        }
+    }
+
+    /**
+     * Try each provider in order until one succeeds
+     */
+    async function withFallback(agent, callerSignal, operation) {
+        const failures = [];
+
+        for (const [index, provider] of providers.entries()) {
+            const model = modelFor(provider, agent);
+
+            try {
+                return await withRetries(provider, model, callerSignal, operation);
+            } catch (error) {
+                if (callerSignal?.aborted) throw error;
+
+                failures.push(error.message);
+
+                if (index < providers.length - 1) {
+                    logger.warn('LLM provider failed, falling back', {
+                        agent,
+                        provider: provider.name,
+                        model,
+                        next: providers[index + 1].name,
+                        error: error.message
+                    });
+                }
+            }
+        }
+
+        throw new LlmError(failures.join('; '), {
+            status: 503,
+            provider: providers[providers.length - 1].name
+        });
+    }
+
+    /**
+     * Generate a chat completion
+     *
+     * @param {Object} request - Completion request
+     * @param {string} request.agent - Agent name, selects the model
+     * @param {Array<{role: string, content: string}>} request.messages - Chat messages
+     * @param {number} request.temperature - Sampling temperature
+     * @param {number} request.maxTokens - Completion token limit
+     * @param {Object} request.responseFormat - e.g. { type: 'json_object' }
+     * @param {AbortSignal} request.signal - Cancels the call
+     * @returns {Promise<{content: string, usage: Object|null, provider: string, model: string}>}
+     */
+    async function complete(request) {
+        return withFallback(request.agent, request.signal, async (provider, model, deadline) => {
+            try {
+                const response = await postChatCompletion(provider, buildBody(provider, model, request, false), deadline.signal);
+                const body = await response.json();
+
+                return {
+                    content: body.choices?.[0]?.message?.content ?? '',
+                    usage: normalizeUsage(body.usage),
+                    provider: provider.name,
+                    model
+                };
+            } finally {
+                deadline.clear();
+            }
+        });
+    }
+
+    /**
+     * Stream a chat completion
+     * Falls back to the next provider only until the first chunk arrives;
+     * after that a failure is thrown to the caller.
+     *
+     * @param {Object} request - Same as complete()
+     * @returns {AsyncGenerator<{type: 'token', content: string} | {type: 'done', content: string, usage: Object|null, provider: string, model: string}>}
+     */
+    async function* stream(request) {
+        const opened = await withFallback(request.agent, request.signal, async (provider, model, deadline) => {
+            const response = await postChatCompletion(provider, buildBody(provider, model, request, true), deadline.signal);
+            const events = readEvents(response.body);
+
+            // Read the first chunk here so a server that fails before answering still falls back
+            const first = await events.next();
+
+            return { provider, model, deadline, events, first };
+        });
+
+        const { provider, model, deadline, events } = opened;
+        let content = '';
+        let usage = null;
+
+        try {
+            let item = opened.first;
+
+            while (!item.done) {
+                const chunk = item.value;
+                const delta = chunk.choices?.[0]?.delta?.content;
+
+                if (delta) {
+                    content += delta;
+                    yield { type: 'token', content: delta };
+                }
+
+                const chunkUsage = chunk.usage || chunk.x_groq?.usage;
+                if (chunkUsage) {
+                    usage = normalizeUsage(chunkUsage);
+                }
+
+                deadline.reset();
+                item = await events.next();
+            }
+        } catch (error) {
+            if (deadline.timedOut) {
+                throw new LlmError(`${provider.name} stream stalled for ${timeoutMs}ms`, { provider: provider.name, model });
+            }
+            throw error;
+        } finally {
+            deadline.clear();
+            // Closes the response body when the caller stops early
+            await events.return();
+        }
+
+        yield { type: 'done', content, usage, provider: provider.name, model };
+    }
+
+    /**
+     * Provider chain for one agent (for /health and cache keys), without API keys
+     * @param {string} agent - Agent name
+     * @returns {Array<{provider: string, model: string}>}
+     */
+    function describe(agent) {
+        return providers.map(provider => ({ provider: provider.name, model: modelFor(provider, agent) }));
+    }
+
+    return { complete, stream, describe };
+}
+
+module.exports = {
+    LlmError,
+    PROVIDER_DEFAULTS,
+    readProvidersFromEnv,
+    createLlmClient
+};
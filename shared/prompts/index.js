@@ -0,0 +1,198 @@
+/**
+ * Prompt Registry
+ * Versioned prompt templates shared by all agents, read from files.
+ *
+ * Layout (shared/prompts/templates, and optionally an override directory):
+ *   prompts.json               Active version and A/B variants per prompt
+ *   <name>/<version>.md        System prompt
+ *   <name>/<version>.user.md   User message template (optional)
+ *
+ * Templates use {{variable}} placeholders. Rendering fails when a
+ * placeholder has no value rather than sending a broken prompt. Callers
+ * send the user template as the user message, so a new version of a prompt
+ * with one needs its own <version>.user.md too.
+ *
+ * An override directory (PROMPTS_DIR in each service) with the same layout
+ * takes precedence per prompt entry and per file, so a deployment can pin
+ * another version or edit a template without a release. Files are re-read
+ * when they change on disk.
+ *
+ * A/B tests: "variants": { "v2": 20 } serves v2 to 20% of cohorts. The
+ * cohort key (user ID, chat session ID) is hashed with the prompt name, so a
+ * user keeps the same version. Calls without a cohort key get the active
+ * version.
+ *
+ * Rendered prompts carry their id (name@version) so callers can record which
+ * prompt produced a stored plan, answer or log entry.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const BUILT_IN_DIR = path.join(__dirname, 'templates');
+const MANIFEST_FILE = 'prompts.json';
+
+const PLACEHOLDER = /\{\{\s*(\w+)\s*\}\}/g;
+
+/**
+ * Read a file, reusing the last read while its mtime is unchanged
+ * @returns {string|null} Content, or null when the file does not exist
+ */
+function createFileReader() {
+    const files = new Map();
+
+    return function readFile(filePath) {
+        let stat;
+
+        try {
+            stat = fs.statSync(filePath);
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+
+        const cached = files.get(filePath);
+        if (cached && cached.mtimeMs === stat.mtimeMs) {
+            return cached.content;
+        }
+
+        const content = fs.readFileSync(filePath, 'utf8');
+        files.set(filePath, { mtimeMs: stat.mtimeMs, content });
+        return content;
+    };
+}
+
+/**
+ * Pick the version for a cohort
+ * Each variant takes the next slice of the 100 buckets; the rest get the active version.
+ */
+function selectVersion(name, entry, cohortKey) {
+    if (!cohortKey || !entry.variants) {
+        return entry.version;
+    }
+
+    const bucket = crypto.createHash('sha256')
+        .update(`${name}:${cohortKey}`)
+        .digest()
+        .readUInt32BE(0) % 100;
+
+    let upperBound = 0;
+    for (const [version, percent] of Object.entries(entry.variants)) {
+        upperBound += percent;
+        if (bucket < upperBound) {
+            return version;
+        }
+    }
+
+    return entry.version;
+}
+
+/**
+ * Replace {{variable}} placeholders
+ */
+function fillTemplate(template, variables, id) {
+    return template.replace(PLACEHOLDER, (match, key) => {
+        if (variables[key] === undefined || variables[key] === null) {
+            throw new Error(`Prompt ${id} needs variable "${key}"`);
+        }
+        return String(variables[key]);
+    });
+}
+
+/**
+ * Create a registry over the built-in templates and an optional override directory
+ *
+ * @param {Object} options - Registry settings
+ * @param {string|null} options.overrideDir - Directory with the same layout, checked first
+ * @returns {{resolve: function, render: function}}
+ */
+function createPromptRegistry({ overrideDir = null } = {}) {
+    const dirs = overrideDir ? [path.resolve(overrideDir), BUILT_IN_DIR] : [BUILT_IN_DIR];
+    const readFile = createFileReader();
+
+    /**
+     * Built-in manifest with override entries applied
+     */
+    function getManifest() {
+        const manifest = {};
+
+        for (const dir of [...dirs].reverse()) {
+            const content = readFile(path.join(dir, MANIFEST_FILE));
+
+            if (content !== null) {
+                try {
+                    Object.assign(manifest, JSON.parse(content));
+                } catch (error) {
+                    throw new Error(`Invalid ${path.join(dir, MANIFEST_FILE)}: ${error.message}`);
+                }
+            }
+        }
+
+        return manifest;
+    }
+
+    /**
+     * First copy of a template file, override directory first
+     */
+    function readTemplate(name, fileName) {
+        for (const dir of dirs) {
+            const content = readFile(path.join(dir, name, fileName));
+            if (content !== null) {
+                return content.trimEnd();
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Version of a prompt that render() would use, without rendering it
+     *
+     * @param {string} name - Prompt name, e.g. 'study-plan'
+     * @param {Object} options - Same options as render()
+     * @returns {{id: string, name: string, version: string}}
+     */
+    function resolve(name, options = {}) {
+        const entry = getManifest()[name];
+
+        if (!entry) {
+            throw new Error(`Unknown prompt: ${name}`);
+        }
+
+        const version = selectVersion(name, entry, options.cohortKey);
+        return { id: `${name}@${version}`, name, version };
+    }
+
+    /**
+     * Render a prompt
+     *
+     * @param {string} name - Prompt name, e.g. 'study-plan'
+     * @param {Object} variables - Placeholder values
+     * @param {Object} options - Render options
+     * @param {string} options.cohortKey - Stable ID for A/B selection (user or session ID)
+     * @returns {{id: string, name: string, version: string, system: string, user: string|null}}
+     */
+    function render(name, variables = {}, options = {}) {
+        const { id, version } = resolve(name, options);
+        const system = readTemplate(name, `${version}.md`);
+        const user = readTemplate(name, `${version}.user.md`);
+
+        if (system === null) {
+            throw new Error(`Prompt ${id} has no template (${name}/${version}.md)`);
+        }
+
+        return {
+            id,
+            name,
+            version,
+            system: fillTemplate(system, variables, id),
+            user: user === null ? null : fillTemplate(user, variables, id)
+        };
+    }
+
+    return { resolve, render };
+}
+
+module.exports = {
+    createPromptRegistry
+};